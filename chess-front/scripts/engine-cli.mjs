@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * Command-line front-end for the engine: speaks the Marseillais Chess
+ * Interface (src/workers/engine-protocol.js) on stdin/stdout, so GUIs,
+ * scripts and match harnesses can use double-move-engine.js outside the
+ * browser.
+ *
+ * Searches run in a worker thread so `stop`, `isready` and `quit` are
+ * answered while the engine thinks. The transposition table is a
+ * SharedArrayBuffer owned by this thread; `stop` bumps its control word,
+ * which ends the running search the same way the browser's helper threads
+ * are stopped.
+ *
+ * Options (setoption name <name> value <value>):
+ *   Hash        transposition table size in MB
+ *   Tablebases  directory written by scripts/generate-tablebases.mjs
+ *   EvalParams  evaluation parameter file (e.g. from scripts/tune-eval.mjs)
+ *   FirstMoveEnPassant  whether a double push on the first move of a turn
+ *               can be taken en passant (true by default)
+ *
+ * Usage:
+ *   node scripts/engine-cli.mjs
+ *   printf 'position startpos\ngo depth 2\n' | node scripts/engine-cli.mjs
+ */
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
+import {
+  findBestTurn,
+  clearSearchTables,
+  createSharedTranspositionTable,
+  attachSharedTranspositionTable,
+  generateLegalMoves,
+  setEvalParams,
+} from '../src/workers/double-move-engine.js';
+import { decodeTablebase, addTablebase, clearTablebases } from '../src/workers/tablebase.js';
+import {
+  parseCommand,
+  parsePosition,
+  setUpPosition,
+  updatePosition,
+  parseGo,
+  goLimits,
+  formatTurn,
+  formatInfo,
+  formatPosition,
+} from '../src/workers/engine-protocol.js';
+
+const ENGINE_NAME = 'Marseillais Engine';
+const DEFAULT_HASH_MB = 16;
+const MAX_HASH_MB = 1024;
+
+/**
+ * { name, value } of a setoption command (option names are case-insensitive)
+ */
+function parseSetOption(args) {
+  const valueAt = args.indexOf('value');
+  const name = args.slice(1, valueAt === -1 ? args.length : valueAt).join(' ').toLowerCase();
+  const value = valueAt === -1 ? '' : args.slice(valueAt + 1).join(' ');
+  return { name, value };
+}
+
+// ============================================================================
+// SEARCH THREAD
+// ============================================================================
+
+function runSearchThread() {
+  const send = line => parentPort.postMessage({ type: 'output', line });
+  attachSharedTranspositionTable(workerData.table);
+
+  let firstMoveEnPassant = true;
+  let position = setUpPosition(parsePosition(['startpos']));
+
+  const setUp = args => updatePosition(position, { ...parsePosition(args), firstMoveEnPassant });
+
+  function go(args, searchId) {
+    const { state, maxMoves } = position;
+    const color = state.sideToMove;
+    if (generateLegalMoves(state, color).length === 0) {
+      send('bestturn (none)');
+      return;
+    }
+
+    const { depth, timeMs, maxNodes } = goLimits(parseGo(args), color);
+    const turn = findBestTurn(state, depth, color, maxMoves, {
+      timeMs,
+      maxNodes,
+      searchId,
+      onDepth: info => send(formatInfo(info)),
+    });
+    send(turn ? `bestturn ${formatTurn(turn)}` : 'bestturn (none)');
+  }
+
+  function setOption(args) {
+    const { name, value } = parseSetOption(args);
+    if (name === 'tablebases') {
+      clearTablebases();
+      if (!value) return;
+      const { tables } = JSON.parse(readFileSync(path.join(value, 'index.json'), 'utf8'));
+      for (const table of tables) {
+        addTablebase(decodeTablebase(readFileSync(path.join(value, `${table}.dtb`))));
+      }
+      send(`info string tablebases ${tables.join(' ')}`);
+    } else if (name === 'firstmoveenpassant') {
+      if (value !== 'true' && value !== 'false') throw new Error('FirstMoveEnPassant must be true or false');
+      firstMoveEnPassant = value === 'true';
+      position.state.firstMoveEnPassant = firstMoveEnPassant;
+    } else if (name === 'evalparams') {
+      // Either a bare parameter set or a tune-eval.mjs output file
+      const data = value ? JSON.parse(readFileSync(value, 'utf8')) : null;
+      setEvalParams(data?.params ?? data ?? undefined);
+    } else {
+      send(`info string unknown option ${name}`);
+    }
+  }
+
+  parentPort.on('message', ({ type, line, table, searchId }) => {
+    if (type === 'table') {
+      attachSharedTranspositionTable(table);
+      return;
+    }
+
+    const { name, args } = parseCommand(line);
+    try {
+      if (name === 'position') {
+        position = setUp(args);
+      } else if (name === 'newgame') {
+        clearSearchTables();
+        position = setUpPosition({ ...parsePosition(['startpos']), firstMoveEnPassant });
+      } else if (name === 'isready') {
+        send('readyok');
+      } else if (name === 'fen') {
+        send(`fen ${formatPosition(position)}`);
+      } else if (name === 'setoption') {
+        setOption(args);
+      } else if (name === 'go') {
+        go(args, searchId);
+      } else {
+        send(`info string unknown command ${name}`);
+      }
+    } catch (err) {
+      send(`info string error: ${err.message}`);
+      if (name === 'go') send('bestturn (none)');
+    } finally {
+      if (name === 'go') parentPort.postMessage({ type: 'searchDone' });
+    }
+  });
+}
+
+// ============================================================================
+// PROTOCOL THREAD
+// ============================================================================
+
+function runProtocolThread() {
+  let table = createSharedTranspositionTable(DEFAULT_HASH_MB);
+  let control = new Int32Array(table, 0, 1);
+  let searching = false;
+  let quitting = false;
+
+  const worker = new Worker(new URL(import.meta.url), { workerData: { table } });
+  const forward = (line, extra = {}) => worker.postMessage({ type: 'command', line, ...extra });
+
+  function quit() {
+    quitting = true;
+    if (searching) {
+      Atomics.add(control, 0, 1);
+    } else {
+      worker.terminate();
+    }
+  }
+
+  worker.on('message', message => {
+    if (message.type === 'output') {
+      process.stdout.write(`${message.line}\n`);
+    } else if (message.type === 'searchDone') {
+      searching = false;
+      if (quitting) worker.terminate();
+    }
+  });
+  worker.on('error', err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+
+  const input = readline.createInterface({ input: process.stdin });
+
+  input.on('line', line => {
+    const { name, args } = parseCommand(line);
+    if (!name || quitting) return;
+
+    if (name === 'mci') {
+      process.stdout.write([
+        `id name ${ENGINE_NAME}`,
+        'id author double-chess',
+        `option name Hash type spin default ${DEFAULT_HASH_MB} min 1 max ${MAX_HASH_MB}`,
+        'option name Tablebases type string default <empty>',
+        'option name EvalParams type string default <empty>',
+        'option name FirstMoveEnPassant type check default true',
+        'mciok',
+      ].join('\n') + '\n');
+    } else if (name === 'isready' && searching) {
+      process.stdout.write('readyok\n');
+    } else if (name === 'go') {
+      if (searching) {
+        process.stdout.write('info string already searching\n');
+        return;
+      }
+      searching = true;
+      // Taken here, not in the search thread, so a stop sent right after
+      // the go can't slip in before the search starts
+      const searchId = Atomics.add(control, 0, 1) + 1;
+      forward(line, { searchId });
+    } else if (name === 'stop') {
+      if (searching) Atomics.add(control, 0, 1);
+    } else if (name === 'quit') {
+      quit();
+      input.close();
+    } else if (name === 'setoption' && parseSetOption(args).name === 'hash') {
+      // The search thread's stop signal lives in the table, so not mid-search
+      if (searching) {
+        process.stdout.write('info string Hash can\'t change during a search\n');
+        return;
+      }
+      const sizeMb = Number(parseSetOption(args).value);
+      if (!(sizeMb >= 1 && sizeMb <= MAX_HASH_MB)) {
+        process.stdout.write(`info string Hash must be 1-${MAX_HASH_MB}\n`);
+        return;
+      }
+      table = createSharedTranspositionTable(sizeMb);
+      control = new Int32Array(table, 0, 1);
+      worker.postMessage({ type: 'table', table });
+    } else {
+      forward(line);
+    }
+  });
+
+  // End of input (e.g. a piped script): let a running search finish first
+  input.on('close', () => {
+    quitting = true;
+    if (!searching) worker.terminate();
+  });
+}
+
+if (isMainThread) {
+  runProtocolThread();
+} else {
+  runSearchThread();
+}
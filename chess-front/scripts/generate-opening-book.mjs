@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * Build the engine opening book (src/workers/opening-book-data.js) by
+ * self-play search from the starting position.
+ *
+ * Every position reached within the first --plies turns is analyzed with
+ * multi-PV search; turns scoring within --margin centipawns of the best one
+ * go into the book, weighted by how close they are, and the positions they
+ * lead to are expanded in turn. Balanced and unbalanced games are built
+ * separately.
+ *
+ * A turn stays out if the search one turn shallower rates it far worse
+ * (more than twice the margin behind its best), so lines the search changes
+ * its mind about are left to the engine, and positions whose search runs
+ * out of --time get no entry. Turns that leave the board as it was (a piece
+ * out and straight back) are never booked.
+ *
+ * With the defaults a run takes about 80 minutes and books about 37
+ * unbalanced and 38 balanced positions - 10 with white to move and 27-28
+ * with black in each - most of them with three weighted turns. A much
+ * thinner book means the filter or the search has changed.
+ *
+ * Usage:
+ *   node scripts/generate-opening-book.mjs [--plies 4] [--multipv 3]
+ *     [--depth 3] [--margin 100] [--time 180000] [--out path]
+ */
+
+import { writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import {
+  GameState,
+  analyzePosition,
+  makeMove,
+  turnToString,
+  clearSearchTables,
+  WHITE,
+} from '../src/workers/double-move-engine.js';
+import { getBookKey, turnToCoords } from '../src/workers/opening-book.js';
+
+const DEFAULTS = {
+  plies: 4,
+  multipv: 3,
+  depth: 3,
+  margin: 100,
+  time: 180000,
+  out: path.join(path.dirname(fileURLToPath(import.meta.url)), '../src/workers/opening-book-data.js'),
+};
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in DEFAULTS)) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+    const value = argv[++i];
+    options[name] = name === 'out' ? path.resolve(value) : Number(value);
+  }
+  return options;
+}
+
+/**
+ * Book weight for a turn `gap` centipawns behind the best one: 100 for the
+ * best turn, falling off linearly to 1 at the margin.
+ */
+function weightForGap(gap, margin) {
+  return Math.max(1, Math.round(100 * (1 - gap / (margin + 1))));
+}
+
+/**
+ * Whether `turn` leaves the position as it was apart from the side to move -
+ * a pass, which a shallow search can rate best in a quiet position
+ */
+function isPass(state, turn) {
+  const played = state.clone();
+  for (const move of turn) makeMove(played, move);
+  return played.castling === state.castling && played.board.every((piece, sq) => piece === state.board[sq]);
+}
+
+/**
+ * Book lines for `color` to play in `state`: the best --multipv turns that
+ * aren't passes, within the margin of the best at --depth, each with its
+ * score. A turn is dropped when the search one turn shallower, which scores
+ * every turn, puts it more than twice the margin behind its best - shallow
+ * scores are noisier. Turns are matched by the position they lead to, since
+ * analyzePosition keeps one turn per position. Empty when the full-depth
+ * search doesn't finish in time.
+ */
+function analyzeStable(state, color, maxMoves, options) {
+  const analyze = (depth, multiPV) => analyzePosition(state, {
+    depth,
+    multiPV,
+    maxMoves,
+    color,
+    timeMs: options.time,
+  });
+  const resultKey = (turn) => positionAfter(state, turn, -color).zobristHash;
+
+  // analyzePosition drops transpositions, so every pass shares one line
+  const deep = analyze(options.depth, options.multipv + 1);
+  if (deep.depth < options.depth) return [];
+  const lines = deep.lines.filter(l => !isPass(state, l.turn)).slice(0, options.multipv);
+
+  const shallow = analyze(options.depth - 1, Infinity).lines.filter(l => !isPass(state, l.turn));
+  const shallowScores = new Map(shallow.map(l => [resultKey(l.turn), l.score]));
+  const shallowFloor = shallow[0].score - 2 * options.margin;
+
+  return lines.filter(l => lines[0].score - l.score <= options.margin
+    && shallowScores.get(resultKey(l.turn)) >= shallowFloor);
+}
+
+/**
+ * Position after `turn`, with `color` to move and no game history - the same
+ * state the worker gets from loading the game's FEN, so repetition bookkeeping
+ * from the generator's own line doesn't skew the search.
+ */
+function positionAfter(state, turn, color) {
+  const played = state.clone();
+  for (const move of turn) makeMove(played, move);
+
+  const position = new GameState();
+  position.board.set(played.board);
+  position.whiteKingSq = played.whiteKingSq;
+  position.blackKingSq = played.blackKingSq;
+  position.castling = played.castling;
+  position.epSquare = played.epSquare;
+  position.epSquare2 = played.epSquare2;
+  position.sideToMove = color;
+  position.zobristHash = position.computeZobristHash();
+  return position;
+}
+
+/**
+ * Breadth-first self-play from the starting position for one variant.
+ * Returns { "<hash>": [["e2e4 d2d4", weight], ...] }.
+ */
+function buildVariant(isUnbalanced, options) {
+  const entries = {};
+  const start = new GameState();
+  let frontier = [{ state: start, color: WHITE, line: [] }];
+
+  for (let ply = 0; ply < options.plies; ply++) {
+    const next = [];
+
+    for (const { state, color, line } of frontier) {
+      const key = getBookKey(state, color);
+      if (entries[key]) continue; // Transposition - already expanded
+
+      // Balanced games open with a single white move
+      const maxMoves = !isUnbalanced && ply === 0 ? 1 : 2;
+      const kept = analyzeStable(state, color, maxMoves, options);
+      if (kept.length === 0) {
+        console.log(`${isUnbalanced ? 'unbalanced' : 'balanced'} ${line.join(' | ') || '(start)'}: no stable line`);
+        continue;
+      }
+
+      const bestScore = kept[0].score;
+      entries[key] = kept.map(l => [turnToCoords(l.turn), weightForGap(bestScore - l.score, options.margin)]);
+
+      console.log(`${isUnbalanced ? 'unbalanced' : 'balanced'} ${line.join(' | ') || '(start)'}: `
+        + kept.map(l => `${turnToString(state, l.turn)} (${l.score})`).join(', '));
+
+      for (const { turn } of kept) {
+        next.push({
+          state: positionAfter(state, turn, -color),
+          color: -color,
+          line: [...line, turnToString(state, turn)],
+        });
+      }
+    }
+
+    frontier = next;
+  }
+
+  return entries;
+}
+
+function formatBook(book, options) {
+  const formatVariant = (entries) => Object.entries(entries)
+    .map(([key, turns]) => `    '${key}': ${JSON.stringify(turns)},`)
+    .join('\n');
+
+  return `// Generated by scripts/generate-opening-book.mjs - do not edit by hand.
+// Options: plies ${options.plies}, multipv ${options.multipv}, depth ${options.depth}, margin ${options.margin}
+//
+// Keys are GameState.computeZobristHash() in hex (see opening-book.js getBookKey);
+// values are [turn, weight] pairs with turns written as coordinate moves.
+
+export default {
+  version: ${book.version},
+  unbalanced: {
+${formatVariant(book.unbalanced)}
+  },
+  balanced: {
+${formatVariant(book.balanced)}
+  },
+};
+`;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const startTime = Date.now();
+
+const book = { version: 1, unbalanced: {}, balanced: {} };
+for (const isUnbalanced of [true, false]) {
+  clearSearchTables();
+  book[isUnbalanced ? 'unbalanced' : 'balanced'] = buildVariant(isUnbalanced, options);
+}
+
+writeFileSync(options.out, formatBook(book, options));
+console.log(`Wrote ${Object.keys(book.unbalanced).length} unbalanced and ${Object.keys(book.balanced).length} balanced positions `
+  + `to ${options.out} in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+/**
+ * Build the endgame tablebases (see src/workers/tablebase.js) for small
+ * material sets by working backward from the mates, one turn ply at a time.
+ *
+ * A double-move turn is split into two kinds of positions:
+ *   - turn start: the side to move has a whole turn ahead
+ *   - second move: the side to move already made a first move that gave no
+ *     check (if it has no legal second move, the turn simply ends)
+ * Pass 0 marks the checkmates. Odd passes d find the wins in d: a second-move
+ * position wins if some move reaches an opponent turn start lost in d - 1,
+ * and a turn start wins if some first move does so by check or reaches a
+ * second-move position won in d. Even passes find the losses the same way,
+ * with every move instead of some move. Second-move positions are resolved
+ * before turn starts in each pass, since a turn start can depend on one
+ * resolved in the same pass. Whatever is left when a pass finds nothing new
+ * is a draw. Only turn starts are written out.
+ *
+ * Captures and promotions that leave the material set are looked up in the
+ * tables built before (TABLEBASE_SETS order), read from --out if they're
+ * not part of this run.
+ *
+ * Usage:
+ *   node scripts/generate-tablebases.mjs [--sets KQK,KRK,...] [--out public/tablebases]
+ */
+
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import {
+  GameState,
+  generateLegalMoves,
+  makeMove,
+  undoMove,
+  isInCheck,
+  WHITE,
+  BLACK,
+  EMPTY,
+} from '../src/workers/double-move-engine.js';
+import {
+  TABLEBASE_SETS,
+  TB_INVALID,
+  createTablebase,
+  tablebaseSquares,
+  locateTablebasePosition,
+  addTablebase,
+  encodeTablebase,
+  decodeTablebase,
+} from '../src/workers/tablebase.js';
+
+const DEFAULTS = {
+  sets: TABLEBASE_SETS.join(','),
+  out: path.join(path.dirname(fileURLToPath(import.meta.url)), '../public/tablebases'),
+};
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in DEFAULTS)) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+    const value = argv[++i];
+    options[name] = name === 'out' ? path.resolve(value) : value;
+  }
+  return options;
+}
+
+const tableFile = (dir, name) => path.join(dir, `${name}.dtb`);
+
+// ============================================================================
+// BOARD SETUP
+// ============================================================================
+
+const toMailbox = sq64 => 21 + (sq64 >> 3) * 10 + (sq64 & 7);
+
+/**
+ * Set up the position of one table index; false if the squares clash or a
+ * pawn stands on the first or last rank. The strong side plays white.
+ */
+function setUpPosition(state, table, index, squares) {
+  tablebaseSquares(table, index, squares);
+
+  for (let i = 0; i < table.pieceCount; i++) {
+    for (let j = 0; j < i; j++) {
+      if (squares[i] === squares[j]) return false;
+    }
+  }
+
+  const pieces = [6, -6, ...table.strong, ...table.weak.map(type => -type)];
+  for (let i = 0; i < table.pieceCount; i++) {
+    const rank = squares[i] >> 3;
+    if (Math.abs(pieces[i]) === 1 && (rank === 0 || rank === 7)) return false;
+  }
+
+  for (let sq64 = 0; sq64 < 64; sq64++) state.board[toMailbox(sq64)] = EMPTY;
+  for (let i = 0; i < table.pieceCount; i++) {
+    state.board[toMailbox(squares[i])] = pieces[i];
+  }
+  state.whiteKingSq = toMailbox(squares[0]);
+  state.blackKingSq = toMailbox(squares[1]);
+  state.castling = 0;
+  state.epSquare = -1;
+  state.epSquare2 = -1;
+  return true;
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+const isWin = value => value !== 0 && value !== TB_INVALID && (value - 1) % 2 === 1;
+const isLoss = value => value !== 0 && value !== TB_INVALID && (value - 1) % 2 === 0;
+
+/**
+ * Build one table. Working values use the file encoding, with 0 meaning
+ * "not resolved yet" until the end, where it becomes a draw.
+ */
+function generateTable(name) {
+  const startTime = Date.now();
+  const table = createTablebase(name);
+  // Turn starts live in table.values, so lookups through
+  // locateTablebasePosition see the table while it's being built
+  addTablebase(table);
+  const turnStart = table.values;
+  const secondMove = [new Uint8Array(table.size), new Uint8Array(table.size)];
+
+  const state = new GameState();
+  state.positionHistory = null;
+  state.halfMoveClock = 0;
+  const squares = new Int8Array(table.pieceCount);
+  const found = { table: null, index: 0, side: 0, draw: false };
+
+  // Value of the turn start for `color` on the current board
+  const turnStartValue = (color) => {
+    if (!locateTablebasePosition(state.board, color, found)) {
+      if (found.draw) return 0;
+      throw new Error(`${name} reaches material without a table - build the sets it depends on first`);
+    }
+    return found.table.values[found.side][found.index];
+  };
+
+  // Value of the second-move position for `color` on the current board.
+  // Outside this material set it is worked out from the finished tables.
+  const secondMoveValue = (color) => {
+    if (locateTablebasePosition(state.board, color, found) && found.table === table) {
+      return secondMove[found.side][found.index];
+    }
+    const moves = generateLegalMoves(state, color);
+    if (moves.length === 0) return flipValue(turnStartValue(-color));
+
+    // Quickest win, else slowest loss if every move loses, else a draw
+    let quickestWin = 0;
+    let slowestLoss = 0;
+    let allLose = true;
+    for (const move of moves) {
+      const undoInfo = makeMove(state, move);
+      const value = flipValue(turnStartValue(-color));
+      undoMove(state, move, undoInfo);
+      if (isWin(value)) quickestWin = quickestWin === 0 ? value : Math.min(quickestWin, value);
+      else if (isLoss(value)) slowestLoss = Math.max(slowestLoss, value);
+      else allLose = false;
+    }
+    return quickestWin || (allLose ? slowestLoss : 0);
+  };
+
+  // Initial pass: illegal positions and checkmates
+  let positions = 0;
+  for (let side = 0; side < 2; side++) {
+    const color = side === 0 ? WHITE : BLACK;
+    for (let index = 0; index < table.size; index++) {
+      if (!setUpPosition(state, table, index, squares) || isInCheck(state, -color)) {
+        turnStart[side][index] = TB_INVALID;
+        secondMove[side][index] = TB_INVALID;
+        continue;
+      }
+      positions++;
+      const inCheck = isInCheck(state, color);
+      if (inCheck) secondMove[side][index] = TB_INVALID;
+      if (inCheck && generateLegalMoves(state, color).length === 0) turnStart[side][index] = 1;
+    }
+  }
+  console.log(`${name}: ${positions} legal turn starts (${table.size} per side)`);
+
+  for (let distance = 1; distance < TB_INVALID - 1; distance++) {
+    const passStart = Date.now();
+    const wins = distance % 2 === 1;
+    let resolved = 0;
+
+    for (const phase of [secondMove, turnStart]) {
+      for (let side = 0; side < 2; side++) {
+        const color = side === 0 ? WHITE : BLACK;
+        const values = phase[side];
+        for (let index = 0; index < table.size; index++) {
+          if (values[index] !== 0) continue;
+          setUpPosition(state, table, index, squares);
+          const value = phase === secondMove
+            ? resolveSecondMove(state, color, distance, wins, turnStartValue)
+            : resolveTurnStart(state, color, distance, wins, turnStartValue, secondMoveValue);
+          if (value !== 0) {
+            values[index] = value;
+            if (phase === turnStart) resolved++;
+          }
+        }
+      }
+    }
+
+    console.log(`  ${wins ? 'won' : 'lost'} in ${distance}: ${resolved}  ${((Date.now() - passStart) / 1000).toFixed(1)}s`);
+    // Nothing at this distance means nothing further away either
+    if (resolved === 0) break;
+  }
+
+  const counts = { wins: 0, losses: 0, draws: 0 };
+  for (const values of turnStart) {
+    for (const value of values) {
+      if (value === TB_INVALID) continue;
+      if (value === 0) counts.draws++;
+      else if (isWin(value)) counts.wins++;
+      else counts.losses++;
+    }
+  }
+  console.log(`${name}: ${counts.wins} won, ${counts.losses} lost, ${counts.draws} drawn  ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+
+  return table;
+}
+
+/**
+ * Value for the side to move of a position one turn ply later (the
+ * opponent's turn start), seen from this side: a loss in d becomes a win in
+ * d + 1 and the other way round
+ */
+function flipValue(value) {
+  return value === 0 || value === TB_INVALID ? 0 : value + 1;
+}
+
+/**
+ * Second-move position for `color`: won in `distance` if a move reaches a
+ * turn start the opponent loses in distance - 1; lost if every move reaches
+ * one the opponent wins. With no legal move the turn passes.
+ */
+function resolveSecondMove(state, color, distance, wins, turnStartValue) {
+  const moves = generateLegalMoves(state, color);
+  if (moves.length === 0) {
+    const value = flipValue(turnStartValue(-color));
+    return value === distance + 1 ? value : 0;
+  }
+
+  let worst = 0;
+  for (const move of moves) {
+    const undoInfo = makeMove(state, move);
+    const value = flipValue(turnStartValue(-color));
+    undoMove(state, move, undoInfo);
+
+    if (wins) {
+      if (value === distance + 1) return value;
+    } else {
+      if (!isLoss(value)) return 0;
+      worst = Math.max(worst, value);
+    }
+  }
+  return wins ? 0 : worst;
+}
+
+/**
+ * Turn start for `color`: a first move that gives check ends the turn,
+ * any other leads to this side's second-move position
+ */
+function resolveTurnStart(state, color, distance, wins, turnStartValue, secondMoveValue) {
+  const moves = generateLegalMoves(state, color);
+  // Stalemate (checkmates were resolved up front)
+  if (moves.length === 0) return 0;
+
+  let worst = 0;
+  for (const move of moves) {
+    const undoInfo = makeMove(state, move);
+    const value = isInCheck(state, -color)
+      ? flipValue(turnStartValue(-color))
+      : secondMoveValue(color);
+    undoMove(state, move, undoInfo);
+
+    if (wins) {
+      if (value === distance + 1) return value;
+    } else {
+      if (!isLoss(value)) return 0;
+      worst = Math.max(worst, value);
+    }
+  }
+  return wins ? 0 : worst;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+function writeIndex(dir) {
+  const names = readdirSync(dir)
+    .filter(file => file.endsWith('.dtb'))
+    .map(file => file.slice(0, -4))
+    .sort((a, b) => TABLEBASE_SETS.indexOf(a) - TABLEBASE_SETS.indexOf(b));
+  writeFileSync(path.join(dir, 'index.json'), `${JSON.stringify({ version: 1, tables: names }, null, 2)}\n`);
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const sets = options.sets.split(',').map(s => s.trim()).filter(Boolean);
+  for (const name of sets) {
+    if (!TABLEBASE_SETS.includes(name)) {
+      throw new Error(`Unknown set ${name} (known: ${TABLEBASE_SETS.join(', ')})`);
+    }
+  }
+  mkdirSync(options.out, { recursive: true });
+
+  // Tables this run depends on but doesn't build
+  for (const name of TABLEBASE_SETS) {
+    if (sets.includes(name) || !existsSync(tableFile(options.out, name))) continue;
+    addTablebase(decodeTablebase(readFileSync(tableFile(options.out, name))));
+    console.log(`Loaded ${name}`);
+  }
+
+  for (const name of TABLEBASE_SETS.filter(set => sets.includes(set))) {
+    const table = generateTable(name);
+    writeFileSync(tableFile(options.out, name), encodeTablebase(table));
+  }
+
+  writeIndex(options.out);
+  console.log(`Wrote ${sets.join(', ')} to ${options.out}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,506 @@
+#!/usr/bin/env node
+/**
+ * Engine-vs-engine match runner for judging engine changes.
+ *
+ * Plays engine A against engine B from a set of openings, each opening
+ * twice with colors swapped, under the server's double-move rules
+ * (chess-rules). After every game pair it updates an Elo estimate for A
+ * and a sequential probability ratio test (SPRT) of
+ * H0: elo = --elo0 against H1: elo = --elo1, stopping once either is accepted.
+ *
+ * An engine is a build of double-move-engine.js (e.g. a copy from another
+ * commit) plus search settings and optionally an evaluation parameter file,
+ * so the two sides can be two builds or the same build with different
+ * settings or weights.
+ *
+ * Usage:
+ *   node scripts/match.mjs --engine-b /tmp/old-engine.js [--engine-a path]
+ *     [--games 200] [--variant both|unbalanced|balanced]
+ *     [--depth 2] [--nodes 20000] [--time 0]      (both engines)
+ *     [--depth-a N] [--nodes-a N] [--time-a ms]   (engine A only, same for -b)
+ *     [--params-a file] [--params-b file]         (evaluation weights, e.g. from tune-eval.mjs)
+ *     [--openings file] [--opening-turns 2] [--max-turns 150] [--seed 1]
+ *     [--elo0 0] [--elo1 10] [--alpha 0.05] [--beta 0.05] [--no-sprt]
+ *     [--out match-results]
+ *
+ * --openings takes a file with one opening per line as SAN moves
+ * ("e4 d4 Nc6 Nf6"), optionally prefixed "balanced:" or "unbalanced:".
+ * Without it, openings come from the opening book, filled up with random
+ * legal turns to --opening-turns turns per side.
+ *
+ * --engine-b may be left out when --params-a or --params-b is given; both
+ * sides then run the current build and differ only in their weights.
+ *
+ * Writes <out>/results.json (settings, every game, Elo and SPRT state)
+ * and <out>/games.pgn.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { Chess } from 'chess.js';
+import { applyMove, turnState, createDrawState, recordDrawState, getGameResult } from 'chess-rules';
+import { GameState } from '../src/workers/double-move-engine.js';
+import { probeBook, turnToCoords } from '../src/workers/opening-book.js';
+import { buildPgn } from '../src/utils/pgn.js';
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_ENGINE = path.join(SCRIPT_DIR, '../src/workers/double-move-engine.js');
+const PROMO_CHARS = ['', 'p', 'n', 'b', 'r', 'q', 'k'];
+
+const DEFAULTS = {
+  'engine-a': DEFAULT_ENGINE,
+  'engine-b': null,
+  games: 200,
+  variant: 'both',
+  depth: 2,
+  nodes: 20000,
+  time: 0,
+  'depth-a': null,
+  'depth-b': null,
+  'nodes-a': null,
+  'nodes-b': null,
+  'time-a': null,
+  'time-b': null,
+  'params-a': null,
+  'params-b': null,
+  openings: null,
+  'opening-turns': 2,
+  'max-turns': 150,
+  seed: 1,
+  elo0: 0,
+  elo1: 10,
+  alpha: 0.05,
+  beta: 0.05,
+  sprt: true,
+  out: 'match-results',
+};
+
+const STRING_OPTIONS = ['engine-a', 'engine-b', 'params-a', 'params-b', 'variant', 'openings', 'out'];
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (name === 'no-sprt') {
+      options.sprt = false;
+    } else if (name in DEFAULTS && name !== 'sprt') {
+      const value = argv[++i];
+      options[name] = STRING_OPTIONS.includes(name) ? value : Number(value);
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  if (!options['engine-b']) {
+    if (!options['params-a'] && !options['params-b']) {
+      throw new Error('--engine-b is required (path to the engine build to test against)');
+    }
+    options['engine-b'] = DEFAULT_ENGINE;
+  }
+  if (!['both', 'unbalanced', 'balanced'].includes(options.variant)) {
+    throw new Error('--variant must be both, unbalanced or balanced');
+  }
+  return options;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so openings are reproducible
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ============================================================================
+// GAME RULES (chess-rules, as in GameService)
+// ============================================================================
+
+function createGame(isUnbalanced) {
+  const chess = new Chess();
+  return {
+    chess,
+    isUnbalanced,
+    movesInTurn: 0,
+    epSquares: [],
+    ...createDrawState(chess.fen()),
+    historyMoves: [],
+  };
+}
+
+function turnContext(game) {
+  return {
+    movesInTurn: game.movesInTurn,
+    plyCount: game.historyMoves.length,
+    isUnbalanced: game.isUnbalanced,
+    epSquares: game.epSquares,
+  };
+}
+
+/**
+ * Play one move (SAN or { from, to, promotion }). Returns the chess.js move,
+ * or null if it is illegal.
+ */
+function makeMove(game, move) {
+  const played = applyMove(game.chess, move, turnContext(game));
+  if (!played) return null;
+
+  game.movesInTurn = played.movesInTurn;
+  game.epSquares = played.epSquares;
+  const fenAfter = game.chess.fen();
+  recordDrawState(game, played.move, fenAfter);
+  game.historyMoves.push({ ...played.move, fen: fenAfter });
+
+  return played.move;
+}
+
+function getGameOverReason(game) {
+  return getGameResult(game.chess, game)?.reason ?? null;
+}
+
+/**
+ * Play coordinate moves ("e2e4") for the side to move. Returns false if a
+ * move is illegal or moves are left over after the rules ended the turn.
+ */
+function playTurn(game, coords) {
+  for (let i = 0; i < coords.length; i++) {
+    const move = { from: coords[i].slice(0, 2), to: coords[i].slice(2, 4) };
+    if (coords[i].length > 4) move.promotion = coords[i][4];
+    if (!makeMove(game, move)) return false;
+    if (game.movesInTurn === 0 && i < coords.length - 1) return false;
+  }
+  return true;
+}
+
+// ============================================================================
+// ENGINES
+// ============================================================================
+
+/**
+ * Load an engine build. Each side gets its own module instance (the query
+ * string defeats the module cache), so tables, settings and evaluation
+ * weights never leak between the two even when both use the same file.
+ */
+async function loadEngine(label, file, settings, paramsFile) {
+  const url = `${pathToFileURL(path.resolve(file)).href}?engine=${label}`;
+  const module = await import(url);
+  for (const name of ['GameState', 'findBestTurn', 'clearSearchTables', 'getMoveFrom', 'getMoveTo', 'getMovePromotion', 'squareToAlgebraic']) {
+    if (typeof module[name] !== 'function') {
+      throw new Error(`${file} does not export ${name} - not an engine build?`);
+    }
+  }
+
+  if (paramsFile) {
+    if (typeof module.setEvalParams !== 'function') {
+      throw new Error(`${file} does not support evaluation parameters (no setEvalParams)`);
+    }
+    // Either a bare parameter set or a tune-eval.mjs output file
+    const data = JSON.parse(readFileSync(paramsFile, 'utf8'));
+    module.setEvalParams(data.params ?? data);
+  }
+
+  return { label, file: path.resolve(file), params: paramsFile ? path.resolve(paramsFile) : null, settings, module };
+}
+
+/**
+ * The engine's moves for the current position, as coordinate moves.
+ * Mid-turn (after a one-move engine turn) it is asked for the second move only.
+ */
+function engineTurn(engine, game) {
+  const { module, settings } = engine;
+  const state = new module.GameState();
+  state.loadFen(game.chess.fen());
+
+  const maxMoves = turnState(game.chess, turnContext(game)).movesLeft;
+  const turn = module.findBestTurn(state, settings.depth, undefined, maxMoves, {
+    timeMs: settings.timeMs || Infinity,
+    maxNodes: settings.maxNodes || Infinity,
+  });
+  if (!turn) return null;
+
+  return turn.map(move =>
+    module.squareToAlgebraic(module.getMoveFrom(move))
+    + module.squareToAlgebraic(module.getMoveTo(move))
+    + PROMO_CHARS[module.getMovePromotion(move)]
+  );
+}
+
+// ============================================================================
+// OPENINGS
+// ============================================================================
+
+/**
+ * Openings from a file: one SAN line per opening, optionally "balanced: ..."
+ */
+function loadOpeningFile(file, variants) {
+  const openings = [];
+  for (const [i, rawLine] of readFileSync(file, 'utf8').split('\n').entries()) {
+    const line = rawLine.replace(/#.*/, '').trim();
+    if (!line) continue;
+
+    const match = /^(balanced|unbalanced):\s*(.*)$/.exec(line);
+    const lineVariants = match ? [match[1]] : variants;
+    const sans = (match ? match[2] : line).split(/\s+/).filter(Boolean);
+
+    for (const variant of lineVariants.filter(v => variants.includes(v))) {
+      const game = createGame(variant === 'unbalanced');
+      if (sans.some(san => !makeMove(game, san))) {
+        console.warn(`Skipping opening on line ${i + 1} (illegal in ${variant} mode): ${line}`);
+        continue;
+      }
+      openings.push({ variant, sans });
+    }
+  }
+  return openings;
+}
+
+/**
+ * Opening from the book, then random legal turns up to `turns` turns per side
+ */
+function randomOpening(variant, turns, random) {
+  const game = createGame(variant === 'unbalanced');
+
+  for (let i = 0; i < turns * 2 && !getGameOverReason(game); i++) {
+    const state = new GameState();
+    state.loadFen(game.chess.fen());
+    const maxMoves = variant === 'balanced' && i === 0 ? 1 : 2;
+
+    const bookTurn = probeBook(state, { isUnbalanced: variant === 'unbalanced', maxMoves, random });
+    if (bookTurn) {
+      playTurn(game, turnToCoords(bookTurn).split(' '));
+      continue;
+    }
+
+    // Random turn: each move picked among the legal ones
+    const side = game.chess.turn();
+    while (game.chess.turn() === side && !getGameOverReason(game)) {
+      const moves = game.chess.moves();
+      makeMove(game, moves[Math.floor(random() * moves.length)]);
+      if (game.movesInTurn === 0) break;
+    }
+  }
+
+  return { variant, sans: game.historyMoves.map(m => m.san) };
+}
+
+function buildOpenings(options, count) {
+  const variants = options.variant === 'both' ? ['unbalanced', 'balanced'] : [options.variant];
+  if (options.openings) {
+    const openings = loadOpeningFile(options.openings, variants);
+    if (openings.length === 0) throw new Error(`No usable openings in ${options.openings}`);
+    return openings;
+  }
+
+  const random = createRandom(options.seed);
+  const openings = [];
+  const seen = new Set();
+  // Random openings can repeat; give up on uniqueness after enough tries
+  for (let tries = 0; openings.length < count && tries < count * 20; tries++) {
+    const opening = randomOpening(variants[openings.length % variants.length], options['opening-turns'], random);
+    const key = `${opening.variant}:${opening.sans.join(' ')}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    openings.push(opening);
+  }
+  return openings;
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+function expectedScore(elo) {
+  return 1 / (1 + 10 ** (-elo / 400));
+}
+
+/**
+ * Elo difference of A over B with a 95% confidence interval
+ */
+function estimateElo({ wins, draws, losses }) {
+  const n = wins + draws + losses;
+  if (n === 0) return { elo: 0, low: -Infinity, high: Infinity };
+
+  const score = (wins + draws / 2) / n;
+  const variance = (wins * (1 - score) ** 2 + draws * (0.5 - score) ** 2 + losses * score ** 2) / n;
+  const margin = 1.96 * Math.sqrt(variance / n);
+  const toElo = (s) => {
+    if (s <= 0) return -Infinity;
+    if (s >= 1) return Infinity;
+    return -400 * Math.log10(1 / s - 1);
+  };
+
+  return { elo: toElo(score), low: toElo(score - margin), high: toElo(score + margin) };
+}
+
+/**
+ * SPRT log-likelihood ratio for H1 (elo1) vs H0 (elo0), using the usual
+ * normal approximation of the trinomial (win/draw/loss) score distribution
+ */
+function sprt({ wins, draws, losses }, { elo0, elo1, alpha, beta }) {
+  const lower = Math.log(beta / (1 - alpha));
+  const upper = Math.log((1 - beta) / alpha);
+  const n = wins + draws + losses;
+
+  // Undefined until the results vary (e.g. all draws so far)
+  let llr = 0;
+  const score = n > 0 ? (wins + draws / 2) / n : 0.5;
+  const variance = n > 0 ? (wins * (1 - score) ** 2 + draws * (0.5 - score) ** 2 + losses * score ** 2) / n : 0;
+  if (variance > 0) {
+    const s0 = expectedScore(elo0);
+    const s1 = expectedScore(elo1);
+    llr = (s1 - s0) * (2 * score - s0 - s1) * n / (2 * variance);
+  }
+
+  let decision = null;
+  if (llr >= upper) decision = 'H1';
+  else if (llr <= lower) decision = 'H0';
+  return { llr, lower, upper, decision };
+}
+
+// ============================================================================
+// MATCH
+// ============================================================================
+
+function playGame(white, black, opening, maxTurns) {
+  const game = createGame(opening.variant === 'unbalanced');
+  for (const san of opening.sans) makeMove(game, san);
+
+  let reason = getGameOverReason(game);
+  let winner = null;
+  let turns = 0;
+
+  while (!reason) {
+    if (turns++ >= maxTurns * 2) {
+      reason = 'adjudicated';
+      break;
+    }
+
+    const side = game.chess.turn() === 'w' ? 'white' : 'black';
+    const engine = side === 'white' ? white : black;
+    const fen = game.chess.fen();
+    const coords = engineTurn(engine, game);
+
+    // No move in a position that isn't over, or an illegal turn, forfeits
+    if (!coords || !playTurn(game, coords)) {
+      console.warn(`Engine ${engine.label} played an illegal turn (${coords?.join(' ') ?? 'none'}) at ${fen}`);
+      reason = 'illegal move';
+      winner = side === 'white' ? 'black' : 'white';
+      break;
+    }
+
+    // A one-move turn that the rules don't end leaves the same side to move;
+    // the next iteration asks the engine for the second move
+    reason = getGameOverReason(game);
+    if (reason === 'checkmate') winner = side;
+  }
+
+  return { game, reason, winner };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const settingsFor = (side) => ({
+    depth: options[`depth-${side}`] ?? options.depth,
+    maxNodes: options[`nodes-${side}`] ?? options.nodes,
+    timeMs: options[`time-${side}`] ?? options.time,
+  });
+
+  const engineA = await loadEngine('A', options['engine-a'], settingsFor('a'), options['params-a']);
+  const engineB = await loadEngine('B', options['engine-b'], settingsFor('b'), options['params-b']);
+  const openings = buildOpenings(options, Math.ceil(options.games / 2));
+
+  for (const engine of [engineA, engineB]) {
+    console.log(`${engine.label}: ${engine.file}${engine.params ? ` (params ${engine.params})` : ''} ${JSON.stringify(engine.settings)}`);
+  }
+  console.log(`${openings.length} openings, up to ${options.games} games\n`);
+
+  const totals = { wins: 0, draws: 0, losses: 0 };
+  const games = [];
+  const pgns = [];
+  let sprtState = null;
+
+  for (let round = 0; games.length < options.games; round++) {
+    const opening = openings[round % openings.length];
+
+    // Each opening is played twice, colors swapped
+    for (const aIsWhite of [true, false]) {
+      if (games.length >= options.games) break;
+      const [white, black] = aIsWhite ? [engineA, engineB] : [engineB, engineA];
+
+      for (const engine of [engineA, engineB]) engine.module.clearSearchTables();
+      const startTime = Date.now();
+      const { game, reason, winner } = playGame(white, black, opening, options['max-turns']);
+
+      const aWon = winner === (aIsWhite ? 'white' : 'black');
+      if (!winner) totals.draws++;
+      else if (aWon) totals.wins++;
+      else totals.losses++;
+
+      const result = !winner ? '1/2-1/2' : winner === 'white' ? '1-0' : '0-1';
+      games.push({
+        number: games.length + 1,
+        white: white.label,
+        black: black.label,
+        variant: opening.variant,
+        opening: opening.sans.join(' '),
+        result,
+        reason,
+        moves: game.historyMoves.length,
+        timeMs: Date.now() - startTime,
+      });
+      pgns.push(buildPgn({
+        moves: game.historyMoves,
+        isUnbalanced: opening.variant === 'unbalanced',
+        white: `Engine ${white.label}`,
+        black: `Engine ${black.label}`,
+        startedAt: startTime,
+        result: reason,
+        winner,
+        isCompleted: true,
+        event: 'Engine match',
+        extraTags: [['Round', String(games.length)], ['Opening', opening.sans.join(' ') || '-']],
+      }));
+
+      const elo = estimateElo(totals);
+      console.log(`Game ${games.length}: A ${aIsWhite ? 'white' : 'black'}, ${opening.variant}, ${result} (${reason})  `
+        + `+${totals.wins} =${totals.draws} -${totals.losses}  Elo ${elo.elo.toFixed(1)} [${elo.low.toFixed(1)}, ${elo.high.toFixed(1)}]`);
+    }
+
+    if (options.sprt) {
+      sprtState = sprt(totals, options);
+      console.log(`  SPRT llr ${sprtState.llr.toFixed(2)} (${sprtState.lower.toFixed(2)}, ${sprtState.upper.toFixed(2)})`);
+      if (sprtState.decision) {
+        console.log(`\nSPRT accepted ${sprtState.decision} (${sprtState.decision === 'H1' ? `A is at least ${options.elo1}` : `A is no better than ${options.elo0}`} Elo)`);
+        break;
+      }
+    }
+  }
+
+  const outDir = path.resolve(options.out);
+  mkdirSync(outDir, { recursive: true });
+  const summary = { ...totals, games: games.length, elo: estimateElo(totals), sprt: sprtState };
+  writeFileSync(path.join(outDir, 'results.json'), JSON.stringify({
+    settings: {
+      ...options,
+      engineA: { file: engineA.file, params: engineA.params, ...engineA.settings },
+      engineB: { file: engineB.file, params: engineB.params, ...engineB.settings },
+    },
+    summary,
+    games,
+  }, null, 2));
+  writeFileSync(path.join(outDir, 'games.pgn'), pgns.join('\n'));
+
+  console.log(`\nA vs B: +${totals.wins} =${totals.draws} -${totals.losses}, Elo ${summary.elo.elo.toFixed(1)} `
+    + `[${summary.elo.low.toFixed(1)}, ${summary.elo.high.toFixed(1)}]`);
+  console.log(`Results written to ${outDir}`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
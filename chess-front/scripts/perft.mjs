@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * Perft for Marseillais turns: count the turn sequences N turns deep with
+ * the engine's move generator, optionally cross-checked against a slow
+ * reference enumerator: legalTurns from chess-rules, the chess.js-based
+ * rules the server plays by.
+ *
+ * Usage:
+ *   node scripts/perft.mjs [--fen FEN] [--depth 2] [--balanced]
+ *     [--no-first-move-ep] [--divide] [--reference]
+ *   node scripts/perft.mjs --suite
+ *
+ * --balanced   the first turn is a single move (balanced mode's white opening)
+ * --no-first-move-ep  only a double push on a turn's last move can be taken
+ *              en passant (the firstMoveEnPassant game option off)
+ * --divide     split the count by root turn
+ * --reference  also count with chess.js and report any difference
+ * --suite      run the reference positions below; exits 1 on any mismatch
+ */
+
+import { legalTurns } from 'chess-rules';
+import { GameState, perft, divide } from '../src/workers/double-move-engine.js';
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// Positions chosen to exercise the double-move rules: checks ending a turn,
+// en passant at the start of a turn and after a double push inside a turn,
+// castling, promotions and turns that start in check.
+const SUITE = [
+  { name: 'start position', fen: START_FEN, depth: 2 },
+  { name: 'start position, balanced', fen: START_FEN, depth: 2, balanced: true },
+  { name: 'kiwipete (castling, pins, promotions)', fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1', depth: 1 },
+  { name: 'en passant at turn start', fen: 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3', depth: 1 },
+  { name: 'double push inside a turn', fen: '4k3/3p4/8/4P3/8/8/8/4K3 b - - 0 1', depth: 2 },
+  { name: 'double push inside a turn, last push only', fen: '4k3/3p4/8/4P3/8/8/8/4K3 b - - 0 1', depth: 2, firstMoveEnPassant: false },
+  { name: 'two double pushes in a turn', fen: '4k3/3p1p2/8/4P3/8/8/8/4K3 b - - 0 1', depth: 2 },
+  { name: 'checks end the turn', fen: '4k3/8/8/8/8/8/4P3/R3K2R w KQ - 0 1', depth: 2 },
+  { name: 'promotions', fen: '8/P1k5/8/8/8/8/5Kp1/8 w - - 0 1', depth: 2 },
+  { name: 'turn starts in check', fen: '4k3/8/8/8/1b6/8/8/4K3 w - - 0 1', depth: 2 },
+];
+
+function parseArgs(argv) {
+  const options = {
+    fen: START_FEN, depth: 2, balanced: false, firstMoveEnPassant: true,
+    divide: false, reference: false, suite: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (name === 'fen') options.fen = argv[++i];
+    else if (name === 'no-first-move-ep') options.firstMoveEnPassant = false;
+    else if (name === 'depth') options.depth = Number(argv[++i]);
+    else if (name in options) options[name] = true;
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  return options;
+}
+
+// ============================================================================
+// REFERENCE ENUMERATOR (chess.js)
+// ============================================================================
+
+function toCoords(move) {
+  return move.from + move.to + (move.promotion || '');
+}
+
+/**
+ * Every legal turn from `fen` as { turn: 'e2e4 d2d4', fen, epSquares } - the
+ * position after the turn, with the opponent to move, and the en passant
+ * targets left for them. `rules` is { maxMoves, epSquares, firstMoveEnPassant }.
+ */
+function referenceTurns(fen, rules) {
+  return legalTurns(fen, rules)
+    .map(turn => ({ turn: turn.moves.map(toCoords).join(' '), fen: turn.fen, epSquares: turn.epSquares }));
+}
+
+function referencePerft(fen, depth, rules) {
+  if (depth <= 0) return 1;
+  const turns = referenceTurns(fen, rules);
+  if (depth === 1) return turns.length;
+  return turns.reduce((nodes, turn) => nodes + referencePerft(turn.fen, depth - 1, nextRules(rules, turn)), 0);
+}
+
+function referenceDivide(fen, depth, rules) {
+  return referenceTurns(fen, rules)
+    .map(turn => ({ turn: turn.turn, nodes: referencePerft(turn.fen, depth - 1, nextRules(rules, turn)) }))
+    .sort((a, b) => (a.turn < b.turn ? -1 : a.turn > b.turn ? 1 : 0));
+}
+
+// The opponent's turn after `turn`: two moves, from the targets it left
+function nextRules(rules, turn) {
+  return { maxMoves: 2, epSquares: turn.epSquares, firstMoveEnPassant: rules.firstMoveEnPassant };
+}
+
+// ============================================================================
+// RUNNERS
+// ============================================================================
+
+function enginePosition(fen, firstMoveEnPassant = true) {
+  const state = new GameState();
+  state.firstMoveEnPassant = firstMoveEnPassant;
+  state.loadFen(fen);
+  return state;
+}
+
+/**
+ * Root turns whose counts differ (or that only one side generated)
+ */
+function diffDivides(engineDivide, referenceDivide) {
+  const engineCounts = new Map(engineDivide.map(d => [d.turn, d.nodes]));
+  const referenceCounts = new Map(referenceDivide.map(d => [d.turn, d.nodes]));
+  const turns = new Set([...engineCounts.keys(), ...referenceCounts.keys()]);
+
+  return [...turns].sort()
+    .filter(turn => engineCounts.get(turn) !== referenceCounts.get(turn))
+    .map(turn => `  ${turn}: engine ${engineCounts.get(turn) ?? '-'}, chess.js ${referenceCounts.get(turn) ?? '-'}`);
+}
+
+function runSingle(options) {
+  const maxMoves = options.balanced ? 1 : 2;
+  const perftOptions = { maxMoves };
+  const rules = { maxMoves, firstMoveEnPassant: options.firstMoveEnPassant };
+  const position = () => enginePosition(options.fen, options.firstMoveEnPassant);
+
+  let startTime = Date.now();
+  if (options.divide) {
+    const rows = divide(position(), options.depth, perftOptions);
+    for (const row of rows) console.log(`${row.turn}: ${row.nodes}`);
+    const nodes = rows.reduce((sum, row) => sum + row.nodes, 0);
+    console.log(`\nTurns: ${rows.length}  Nodes: ${nodes}  (${Date.now() - startTime}ms)`);
+
+    if (options.reference) {
+      startTime = Date.now();
+      const differences = diffDivides(rows, referenceDivide(options.fen, options.depth, rules));
+      console.log(`chess.js (${Date.now() - startTime}ms): ${differences.length === 0 ? 'all turns match' : 'differences:'}`);
+      for (const line of differences) console.log(line);
+      return differences.length === 0;
+    }
+    return true;
+  }
+
+  const nodes = perft(position(), options.depth, perftOptions);
+  console.log(`Nodes: ${nodes}  (${Date.now() - startTime}ms)`);
+
+  if (options.reference) {
+    startTime = Date.now();
+    const expected = referencePerft(options.fen, options.depth, rules);
+    console.log(`chess.js: ${expected}  (${Date.now() - startTime}ms)  ${expected === nodes ? 'OK' : 'MISMATCH'}`);
+    return expected === nodes;
+  }
+  return true;
+}
+
+function runSuite() {
+  let failures = 0;
+
+  for (const test of SUITE) {
+    const maxMoves = test.balanced ? 1 : 2;
+    const rules = { maxMoves, firstMoveEnPassant: test.firstMoveEnPassant !== false };
+    const position = () => enginePosition(test.fen, rules.firstMoveEnPassant);
+    const startTime = Date.now();
+    const nodes = perft(position(), test.depth, { maxMoves });
+    const expected = referencePerft(test.fen, test.depth, rules);
+    const ok = nodes === expected;
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${test.name} (depth ${test.depth}): engine ${nodes}, chess.js ${expected}  ${Date.now() - startTime}ms`);
+
+    if (!ok) {
+      failures++;
+      const differences = diffDivides(
+        divide(position(), test.depth, { maxMoves }),
+        referenceDivide(test.fen, test.depth, rules)
+      );
+      for (const line of differences.slice(0, 10)) console.log(line);
+      if (differences.length > 10) console.log(`  ... ${differences.length - 10} more`);
+    }
+  }
+
+  console.log(failures === 0 ? '\nAll positions match' : `\n${failures} of ${SUITE.length} positions differ`);
+  return failures === 0;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const ok = options.suite ? runSuite() : runSingle(options);
+process.exitCode = ok ? 0 : 1;
@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+/**
+ * Texel tuning of the engine's evaluation parameters.
+ *
+ * Fits the parameter vector (src/workers/eval-params.js) to game results:
+ * every position is scored with the static evaluation, mapped to an
+ * expected result with a logistic curve, and the weights are nudged one at
+ * a time (local search) while the mean squared error against the actual
+ * results keeps falling. The curve's scale K is fitted first, with the
+ * starting weights, and then held fixed.
+ *
+ * Positions come from finished games:
+ *   --positions  JSON lines of { fen, result } (result for white: 1, 0.5, 0),
+ *                as written by chess-server/scripts/export-positions.js from
+ *                the stored Game and BotGame records
+ *   --pgn        PGN files (e.g. match.mjs output), replayed with the
+ *                double-move rules; turn-start positions are taken the same
+ *                way as the exporter does
+ * Both may be given more than once. Positions with the side to move in check
+ * or holding a winning capture are dropped - the static evaluation can't
+ * judge them.
+ *
+ * Writes a JSON file { version, params, k, error, ... } that the engine
+ * worker loads with { type: 'setEvalParams', params } (or init's
+ * evalParams), and match.mjs with --params-a.
+ *
+ * Usage:
+ *   node scripts/tune-eval.mjs --positions positions.jsonl [--pgn games.pgn]
+ *     [--params start.json] [--groups pieceValues,pst,scalars]
+ *     [--step 8] [--min-step 1] [--passes 20] [--validation 0.1]
+ *     [--skip-turns 4] [--limit 0] [--seed 1] [--k 0] [--out eval-params.tuned.json]
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import {
+  GameState,
+  evaluate,
+  setEvalParams,
+  getEvalParams,
+  generateLegalMoves,
+  getMoveCaptured,
+  staticExchangeEval,
+  setTranspositionTableSize,
+  isInCheck,
+} from '../src/workers/double-move-engine.js';
+import { PARAM_LAYOUT, paramsToVector, vectorToParams } from '../src/workers/eval-params.js';
+import { parsePgn, replayMarseillaisMoves } from '../src/utils/pgn.js';
+
+const DEFAULTS = {
+  positions: [],
+  pgn: [],
+  params: null,
+  groups: 'pieceValues,pst,scalars',
+  step: 8,
+  'min-step': 1,
+  passes: 20,
+  validation: 0.1,
+  'skip-turns': 4,
+  limit: 0,
+  seed: 1,
+  k: 0,
+  out: 'eval-params.tuned.json',
+};
+
+const LIST_OPTIONS = ['positions', 'pgn'];
+const STRING_OPTIONS = ['params', 'groups', 'out'];
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS, positions: [], pgn: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in DEFAULTS)) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+    const value = argv[++i];
+    if (LIST_OPTIONS.includes(name)) options[name].push(value);
+    else if (STRING_OPTIONS.includes(name)) options[name] = value;
+    else options[name] = Number(value);
+  }
+  if (options.positions.length === 0 && options.pgn.length === 0) {
+    throw new Error('Give at least one --positions or --pgn file');
+  }
+  return options;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so the validation split is reproducible
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ============================================================================
+// POSITIONS
+// ============================================================================
+
+function readPositionsFile(file) {
+  return readFileSync(file, 'utf8').split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line))
+    .filter(p => typeof p.fen === 'string' && [0, 0.5, 1].includes(p.result));
+}
+
+const PGN_RESULTS = { '1-0': 1, '0-1': 0, '1/2-1/2': 0.5 };
+
+/**
+ * Turn-start positions of every finished game in a PGN file
+ */
+function readPgnFile(file, skipTurns) {
+  const games = readFileSync(file, 'utf8').split(/\n(?=\[Event )/);
+  const positions = [];
+
+  for (const text of games) {
+    const { sans, result, isUnbalanced, firstMoveEnPassant } = parsePgn(text);
+    if (!(result in PGN_RESULTS)) continue;
+
+    const { moves, error } = replayMarseillaisMoves(sans, { isUnbalanced, firstMoveEnPassant });
+    if (error) continue;
+
+    let turnsPlayed = 0;
+    for (const move of moves) {
+      // The turn is over once the FEN hands the move to the other side
+      if (move.fen.split(' ')[1] === move.color) continue;
+      if (++turnsPlayed <= skipTurns) continue;
+      positions.push({ fen: move.fen, result: PGN_RESULTS[result] });
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Static evaluation is only meaningful when nothing is hanging: drop
+ * positions with the side to move in check, without moves, or able to win
+ * material outright.
+ */
+function isQuiet(state) {
+  const color = state.sideToMove;
+  if (isInCheck(state, color)) return false;
+
+  const moves = generateLegalMoves(state, color);
+  if (moves.length === 0) return false;
+
+  return !moves.some(move => getMoveCaptured(move) !== 0 && staticExchangeEval(state, move) > 0);
+}
+
+function loadPositions(options) {
+  const raw = [
+    ...options.positions.flatMap(readPositionsFile),
+    ...options.pgn.flatMap(file => readPgnFile(file, options['skip-turns'])),
+  ];
+
+  const positions = [];
+  for (const { fen, result } of raw) {
+    const state = new GameState();
+    try {
+      state.loadFen(fen);
+    } catch {
+      continue;
+    }
+    if (!isQuiet(state)) continue;
+    positions.push({ state, result });
+    if (options.limit > 0 && positions.length >= options.limit) break;
+  }
+
+  return { positions, skipped: raw.length - positions.length };
+}
+
+// ============================================================================
+// TEXEL ERROR
+// ============================================================================
+
+/**
+ * Expected score for white from a centipawn evaluation
+ */
+function sigmoid(score, k) {
+  return 1 / (1 + 10 ** (-k * score / 400));
+}
+
+function meanSquaredError(scores, positions, k) {
+  let sum = 0;
+  for (let i = 0; i < positions.length; i++) {
+    const diff = positions[i].result - sigmoid(scores[i], k);
+    sum += diff * diff;
+  }
+  return sum / positions.length;
+}
+
+function evaluateAll(positions) {
+  return positions.map(p => evaluate(p.state));
+}
+
+/**
+ * Error of a parameter vector over a set of positions
+ */
+function errorFor(vector, positions, k) {
+  setEvalParams(vectorToParams(vector));
+  return meanSquaredError(evaluateAll(positions), positions, k);
+}
+
+/**
+ * Scale of the logistic curve that best fits the current weights:
+ * a coarse scan, then a finer one around the best value.
+ */
+function fitK(positions) {
+  const scores = evaluateAll(positions);
+  let best = { k: 1, error: Infinity };
+
+  for (const step of [0.1, 0.01, 0.001]) {
+    const center = best.error === Infinity ? 1.5 : best.k;
+    const span = best.error === Infinity ? 1.5 : step * 10;
+    for (let k = Math.max(step, center - span); k <= center + span; k += step) {
+      const error = meanSquaredError(scores, positions, k);
+      if (error < best.error) best = { k, error };
+    }
+  }
+
+  return Math.round(best.k * 1000) / 1000;
+}
+
+// ============================================================================
+// LOCAL SEARCH
+// ============================================================================
+
+function tunableIndices(groups) {
+  const wanted = new Set(groups.split(',').map(g => g.trim()));
+  return PARAM_LAYOUT
+    .map((entry, index) => ({ ...entry, index }))
+    .filter(entry => {
+      if (entry.fixed) return false;
+      const group = entry.name.startsWith('pieceValues.') ? 'pieceValues'
+        : entry.name.startsWith('pst.') ? 'pst'
+        : 'scalars';
+      return wanted.has(group);
+    })
+    .map(entry => entry.index);
+}
+
+/**
+ * Coordinate-wise local search: try each weight one step up and down, keep
+ * whichever lowers the error. When a whole pass changes nothing the step is
+ * halved, down to --min-step.
+ */
+function tune(vector, train, k, options) {
+  const indices = tunableIndices(options.groups);
+  let bestError = errorFor(vector, train, k);
+  let step = options.step;
+
+  console.log(`Tuning ${indices.length} of ${vector.length} parameters on ${train.length} positions, K = ${k.toFixed(3)}`);
+  console.log(`Start: error ${bestError.toFixed(6)}`);
+
+  for (let pass = 1; pass <= options.passes; pass++) {
+    const startTime = Date.now();
+    let changed = 0;
+
+    for (const index of indices) {
+      const original = vector[index];
+
+      for (const delta of [step, -step]) {
+        vector[index] = original + delta;
+        const error = errorFor(vector, train, k);
+        if (error < bestError) {
+          bestError = error;
+          changed++;
+          break;
+        }
+        vector[index] = original;
+      }
+    }
+
+    console.log(`Pass ${pass} (step ${step}): error ${bestError.toFixed(6)}, ${changed} changed  ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+
+    if (changed === 0) {
+      if (step <= options['min-step']) break;
+      step = Math.max(options['min-step'], Math.floor(step / 2));
+    }
+  }
+
+  return bestError;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const startTime = Date.now();
+
+  // Search tables are cleared on every parameter change and never used here
+  setTranspositionTableSize(1);
+
+  if (options.params) {
+    const data = JSON.parse(readFileSync(options.params, 'utf8'));
+    setEvalParams(data.params ?? data);
+  }
+  const startVector = paramsToVector(getEvalParams());
+
+  const { positions, skipped } = loadPositions(options);
+  if (positions.length === 0) {
+    throw new Error('No usable positions');
+  }
+
+  // Hold some positions back to check the fit generalizes
+  const random = createRandom(options.seed);
+  const train = [];
+  const validation = [];
+  for (const position of positions) {
+    (random() < options.validation ? validation : train).push(position);
+  }
+  const whiteWins = positions.filter(p => p.result === 1).length;
+  const blackWins = positions.filter(p => p.result === 0).length;
+  console.log(`${positions.length} positions (${skipped} skipped): white wins ${whiteWins}, black wins ${blackWins}, `
+    + `draws ${positions.length - whiteWins - blackWins}; ${validation.length} held out`);
+
+  const k = options.k > 0 ? options.k : fitK(train);
+  const vector = [...startVector];
+  const trainBefore = errorFor(startVector, train, k);
+  const validationBefore = validation.length > 0 ? errorFor(startVector, validation, k) : null;
+
+  const trainAfter = tune(vector, train, k, options);
+  const validationAfter = validation.length > 0 ? errorFor(vector, validation, k) : null;
+
+  if (validation.length > 0) {
+    console.log(`Validation: error ${validationBefore.toFixed(6)} -> ${validationAfter.toFixed(6)}`);
+  }
+
+  const changes = PARAM_LAYOUT
+    .map((entry, i) => ({ name: entry.name, from: startVector[i], to: vector[i] }))
+    .filter(change => change.from !== change.to);
+  for (const change of changes.filter(c => !c.name.startsWith('pst.'))) {
+    console.log(`  ${change.name}: ${change.from} -> ${change.to}`);
+  }
+  const pstChanges = changes.filter(c => c.name.startsWith('pst.')).length;
+  if (pstChanges > 0) console.log(`  ${pstChanges} piece-square entries changed`);
+
+  const out = path.resolve(options.out);
+  writeFileSync(out, `${JSON.stringify({
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    positions: positions.length,
+    k,
+    error: {
+      train: { before: trainBefore, after: trainAfter },
+      validation: validation.length > 0 ? { before: validationBefore, after: validationAfter } : null,
+    },
+    params: vectorToParams(vector),
+  }, null, 2)}\n`);
+
+  console.log(`Wrote ${out} in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
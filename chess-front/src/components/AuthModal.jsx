@@ -0,0 +1,130 @@
+import { useState } from 'react';
+import { login, register } from '../utils/auth';
+
+/**
+ * Sign in / create account dialog.
+ * Calls onAuthenticated({ token, user, claimed? }) on success.
+ */
+export default function AuthModal({ onClose, onAuthenticated }) {
+  const [isLogin, setIsLogin] = useState(true);
+  const [form, setForm] = useState({ login: '', username: '', email: '', password: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const canSubmit = isLogin
+    ? form.login && form.password
+    : form.username && form.email && form.password;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit || isSubmitting) return;
+
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const result = isLogin
+        ? await login({ login: form.login, password: form.password })
+        : await register({ username: form.username, email: form.email, password: form.password });
+      onAuthenticated(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  const inputClass = 'bg-slate-900/80 border border-slate-600/50 text-slate-100 placeholder-slate-500 rounded-lg px-3 py-2 focus:outline-none focus:border-blue-500';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-slate-800/95 backdrop-blur-xl rounded-2xl shadow-2xl border border-slate-700/50 max-w-sm w-full"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="border-b border-slate-700/50 px-6 py-4 flex items-center justify-between">
+          <h2 className="text-xl font-semibold mb-0 text-slate-100">
+            {isLogin ? 'Sign In' : 'Create Account'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-100 transition-colors text-2xl"
+          >
+            ✕
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 flex flex-col gap-3">
+          {isLogin ? (
+            <input
+              type="text"
+              placeholder="Username or email"
+              autoComplete="username"
+              value={form.login}
+              onChange={update('login')}
+              className={inputClass}
+            />
+          ) : (
+            <>
+              <input
+                type="text"
+                placeholder="Username"
+                autoComplete="username"
+                value={form.username}
+                onChange={update('username')}
+                className={inputClass}
+              />
+              <input
+                type="email"
+                placeholder="Email"
+                autoComplete="email"
+                value={form.email}
+                onChange={update('email')}
+                className={inputClass}
+              />
+            </>
+          )}
+          <input
+            type="password"
+            placeholder="Password"
+            autoComplete={isLogin ? 'current-password' : 'new-password'}
+            value={form.password}
+            onChange={update('password')}
+            className={inputClass}
+          />
+
+          {!isLogin && (
+            <p className="text-xs text-slate-400">
+              Games you played as a guest in this session will be added to your account.
+            </p>
+          )}
+
+          {error && <p className="text-sm text-red-400">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={!canSubmit || isSubmitting}
+            className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 text-white font-medium rounded-lg py-2 mt-1 transition-colors disabled:opacity-50 disabled:pointer-events-none"
+          >
+            {isSubmitting ? 'Please wait…' : (isLogin ? 'Sign In' : 'Create Account')}
+          </button>
+
+          <p className="text-sm text-center text-slate-400">
+            {isLogin ? 'No account?' : 'Already have an account?'}{' '}
+            <button
+              type="button"
+              onClick={() => { setIsLogin(!isLogin); setError(''); }}
+              className="text-blue-400 hover:text-blue-300 underline"
+            >
+              {isLogin ? 'Create one' : 'Sign in'}
+            </button>
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+}
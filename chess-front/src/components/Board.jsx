@@ -303,7 +303,7 @@ export default function Board({ chess, mode = "local", opponent, clock, viewInde
     }
 
     if (chess.moveFrom) {
-      const moves = chess.chessGame.moves({ square: chess.moveFrom, verbose: true });
+      const moves = chess.getLegalMoves({ square: chess.moveFrom, verbose: true });
       const found = moves.find((m) => m.to === square);
       if (!found) {
         const hasMoves = chess.getMoveOptions(square);
@@ -339,7 +339,7 @@ export default function Board({ chess, mode = "local", opponent, clock, viewInde
       return true;
     }
 
-    const moves = chess.chessGame.moves({ square: sourceSquare, verbose: true });
+    const moves = chess.getLegalMoves({ square: sourceSquare, verbose: true });
     const isPromotion = moves.find((m) => m.to === targetSquare && m.flags.includes("p"));
 
     if (isPromotion) {
@@ -1,4 +1,5 @@
 import { useEffect, useState, useCallback, useRef } from "react"; // Import hooks
+import { getGameResult } from "chess-rules";
 
 import Controls from "./Controls";
 import Board from "./Board";
@@ -7,6 +8,7 @@ import PlayFriend from "./PlayFriend";
 import PlayBot from "./PlayBot";
 import About from "./About";
 import RulesModal from "./RulesModal";
+import AuthModal from "./AuthModal";
 import { Toast, useToast } from "./Toast";
 import { useChessController } from "../hooks/useChessController";
 import { useMarseillaisEngine } from "../hooks/useMarseillaisEngine";
@@ -15,6 +17,9 @@ import ClockView from "./ClockView";
 import useClock from "../hooks/useClock";
 import MoveHistory from "./MoveHistory";
 import { log } from "../utils/debug";
+import { getStoredAuth, fetchCurrentUser, logout } from "../utils/auth";
+import { buildPgn, parsePgn, fetchGamePgn, downloadPgn } from "../utils/pgn";
+import { DEFAULT_BOT_LEVEL, getBotLevel } from "../workers/bot-levels.js";
 
 export default function BoardWrapper() {
     // Track which game ID we've already attempted to join
@@ -24,10 +29,13 @@ export default function BoardWrapper() {
     const [showPlayBot, setShowPlayBot] = useState(false);
     const [showAbout, setShowAbout] = useState(false);
     const [showRules, setShowRules] = useState(false);
+    const [showAuth, setShowAuth] = useState(false);
+    const [currentUser, setCurrentUser] = useState(() => getStoredAuth()?.user || null);
     const [startFinding, setStartFinding] = useState(false);
-    const [skillLevel, setSkillLevel] = useState(2); // Default to Normal (level 2)
+    const [skillLevel, setSkillLevel] = useState(DEFAULT_BOT_LEVEL);
     const [playerColor, setPlayerColor] = useState("w"); // Default to White
     const [isUnbalanced, setIsUnbalanced] = useState(true); // Default to Unbalanced
+    const [firstMoveEnPassant, setFirstMoveEnPassant] = useState(true); // En passant rule (online games take the server's)
     const [pendingGameId, setPendingGameId] = useState(null); // Track game ID from URL or creation
     const [pendingGameSettings, setPendingGameSettings] = useState(null); // Track game settings (time, color, etc)
     const [flipBoard, setFlipBoard] = useState(false);
@@ -43,8 +51,8 @@ export default function BoardWrapper() {
     const [viewIndex, setViewIndex] = useState(null);
 
     const clock = useClock();
-    const chess = useChessController(clock, { enableClock: mode === "friend" || isBotGameTimed, isUnbalanced, gameMode: mode });
-    const marseillais = useMarseillaisEngine(chess.chessGame, chess.setChessPosition, chess, chess.setMoveHistory, chess.setHistoryIndex, chess.setTurn, skillLevel, clock, playerColor, isUnbalanced, isBotGameTimed ? botIncrementSeconds : 0);
+    const chess = useChessController(clock, { enableClock: mode === "friend" || isBotGameTimed, isUnbalanced, firstMoveEnPassant, gameMode: mode });
+    const marseillais = useMarseillaisEngine(chess.chessGame, chess.setChessPosition, chess, chess.setMoveHistory, chess.setHistoryIndex, chess.setTurn, skillLevel, clock, playerColor, isUnbalanced, isBotGameTimed ? botIncrementSeconds : 0, isBotGameTimed, firstMoveEnPassant);
     const online = useOnlineGame(
         chess.chessGameRef,
         chess.setChessPosition,
@@ -60,9 +68,18 @@ export default function BoardWrapper() {
             setGameOverInfo(payload);
             clock.pause?.();
         },
-        setIsUnbalanced
+        setIsUnbalanced,
+        chess.loadFen,
+        setFirstMoveEnPassant
     );
 
+    // Drop a stored login the server no longer accepts (expired or signed out elsewhere)
+    useEffect(() => {
+        fetchCurrentUser()
+            .then(user => setCurrentUser(user))
+            .catch(err => console.warn('Failed to check login:', err));
+    }, []);
+
     // Check URL for game ID on mount and restore active games
     useEffect(() => {
         log('[BoardWrapper] Mount effect running');
@@ -182,7 +199,8 @@ export default function BoardWrapper() {
             log('[BoardWrapper] Joining game:', pendingGameId, 'color:', color, 'time:', joinTimeMinutes, 'isCreator:', isCreator, 'ts:', Date.now());
             // diagnostic: timestamp when issuing join request
             log('[BoardWrapper] join request timestamp:', Date.now());
-            online.joinSpecificGame(pendingGameId, null, joinTimeMinutes, joinIncrementSeconds, color);
+            const joinFirstMoveEnPassant = isCreator ? pendingGameSettings?.firstMoveEnPassant : undefined;
+            online.joinSpecificGame(pendingGameId, null, joinTimeMinutes, joinIncrementSeconds, color, joinFirstMoveEnPassant);
             // NOTE: Don't clear pendingGameId here - it will be cleared when gameStarted/spectatorJoined is received
             return;
         }
@@ -191,24 +209,16 @@ export default function BoardWrapper() {
         if (pendingGameSettings?.isBotGame && chess?.chessGame) {
             log('[BoardWrapper] Restoring bot game state...');
             try {
-                // Load the FEN position
+                // Load the FEN position (a Marseillais FEN also restores
+                // the turn phase and en passant targets)
                 log('[BoardWrapper] Loading FEN:', pendingGameSettings.fen);
-                chess.chessGame.load(pendingGameSettings.fen);
-                chess.setChessPosition(pendingGameSettings.fen);
+                chess.loadFen(pendingGameSettings.fen);
                 
                 // Restore move history
                 log('[BoardWrapper] Restoring', pendingGameSettings.moveHistory?.length || 0, 'moves');
                 chess.setMoveHistory(pendingGameSettings.moveHistory || []);
                 chess.setHistoryIndex(null);
                 
-                // Restore turn based on FEN (turn is already in the FEN)
-                chess.setTurn(chess.chessGame.turn());
-                
-                // Restore movesInTurn
-                if (chess.setMovesInTurn) {
-                    chess.setMovesInTurn(pendingGameSettings.movesInTurn || 0);
-                }
-                
                 // Restore clock state if timed game
                 if (isBotGameTimed && clock?.syncFromServer && pendingGameSettings.whiteMs !== undefined) {
                     log('[BoardWrapper] Syncing clock for timed game');
@@ -226,7 +236,7 @@ export default function BoardWrapper() {
             }
             setPendingGameSettings(null);
         }
-    }, [pendingGameId, pendingGameSettings, online.isConnected, online.joinSpecificGame, chess.chessGame, chess.setChessPosition, chess.setMoveHistory, chess.setHistoryIndex, chess.setTurn, chess.setMovesInTurn, isBotGameTimed, clock.syncFromServer]);
+    }, [pendingGameId, pendingGameSettings, online.isConnected, online.joinSpecificGame, chess.chessGame, chess.loadFen, chess.setMoveHistory, chess.setHistoryIndex, isBotGameTimed, clock.syncFromServer]);
 
     // Rejoin game when socket reconnects (mobile: returning after sharing link)
     const wasConnectedRef = useRef(null);
@@ -281,6 +291,19 @@ export default function BoardWrapper() {
         }
     }, [pendingGameId, online?.gameId]);
 
+    // A server-hosted bot game the server refused to start
+    useEffect(() => {
+        if (online?.error?.code === 'INVALID_BOT_GAME') {
+            setGameStarted(false);
+            setMode('local');
+            showToast(`Couldn't start the game: ${online.error.message}`);
+            if (window.location.pathname.startsWith('/game/')) {
+                window.history.replaceState({}, '', '/');
+            }
+            online.clearError();
+        }
+    }, [online, showToast]);
+
     // Handle game not found errors - reset state and show message
     useEffect(() => {
         if (online?.error?.code === 'GAME_NOT_FOUND') {
@@ -390,13 +413,13 @@ export default function BoardWrapper() {
         const moves = (chess.moveHistory || []).map(m => m.san);
         if (moves.length === 0) return;
         
-        const fen = chess.chessGameRef.current?.fen() || '';
+        const fen = chess.getFen();
         
         // Auto-create a game ID if we don't have one yet (user started playing without modal)
         if (!currentBotGameId && online?.isConnected) {
             const gameId = 'bot_' + Math.random().toString(36).substring(2, 11) + '_' + Date.now().toString(36);
             setCurrentBotGameId(gameId);
-            online.notifyBotGameStarted(gameId, playerColor, isUnbalanced);
+            online.notifyBotGameStarted(gameId, playerColor, isUnbalanced, skillLevel, firstMoveEnPassant);
             online.notifyBotGameMove(gameId, moves, fen);
             return;
         }
@@ -405,7 +428,7 @@ export default function BoardWrapper() {
         if (currentBotGameId) {
             online.notifyBotGameMove(currentBotGameId, moves, fen);
         }
-    }, [chess.moveHistory, mode, currentBotGameId, online, playerColor, isUnbalanced]);
+    }, [chess.moveHistory, mode, currentBotGameId, online, playerColor, isUnbalanced, skillLevel, firstMoveEnPassant]);
 
     // Clock flag -> treat as game over (timeout)
     useEffect(() => {
@@ -416,12 +439,8 @@ export default function BoardWrapper() {
         const winner = flaggedColor === 'white' ? 'black' : 'white';
         setGameOverInfo({ reason: 'timeout', winner });
 
-        // If we are the player who flagged in online mode, notify server by resigning
-        if (mode === 'friend' && online?.resign) {
-            if ((flaggedColor === 'white' && chess.playerColor === 'w') || (flaggedColor === 'black' && chess.playerColor === 'b')) {
-                online.resign();
-            }
-        }
+        // Online games are flagged by the server, which emits gameOver (timeout,
+        // or a draw if the opponent can't mate) - nothing to send from here
         
         // Log timeout for bot games (friend games are logged server-side)
         if (mode === 'local') {
@@ -448,6 +467,11 @@ export default function BoardWrapper() {
     }
 
     function handleStartBotGame(settings) {
+        if (settings.hostOnServer) {
+            handleStartServerBotGame(settings);
+            return;
+        }
+
         // Clear any pending online game state
         setPendingGameId(null);
         setPendingGameSettings(null);
@@ -471,6 +495,7 @@ export default function BoardWrapper() {
         // Apply bot game settings
         setSkillLevel(settings.skillLevel);
         setIsUnbalanced(settings.isUnbalanced);
+        setFirstMoveEnPassant(settings.firstMoveEnPassant);
         setIsBotGameTimed(settings.isTimed || false);
         setBotTimeMinutes(settings.timeMinutes || 3);
         setBotIncrementSeconds(settings.incrementSeconds || 2);
@@ -497,7 +522,53 @@ export default function BoardWrapper() {
         // Generate a game ID and notify server for tracking
         const gameId = 'bot_' + Math.random().toString(36).substring(2, 11) + '_' + Date.now().toString(36);
         setCurrentBotGameId(gameId);
-        online.notifyBotGameStarted(gameId, shortColor, settings.isUnbalanced);
+        online.notifyBotGameStarted(gameId, shortColor, settings.isUnbalanced, settings.skillLevel, settings.firstMoveEnPassant);
+    }
+
+    // Server-hosted bot game: it runs like an online game, with the server
+    // playing the bot's moves, so it uses friend mode from here on
+    function handleStartServerBotGame(settings) {
+        setShowPlayBot(false);
+        setShowPlayFriend(false);
+
+        if (!online?.isConnected) {
+            showToast('Connection lost. Please wait and try again.');
+            return;
+        }
+
+        if (online?.leaveCurrentGame) {
+            online.leaveCurrentGame();
+        }
+        setPendingGameId(null);
+        setPendingGameSettings(null);
+        joinAttemptedRef.current = null;
+        setCurrentBotGameId(null);
+
+        setMode("friend");
+        setGameOverInfo(null);
+        setFlipBoard(false);
+        setIsBotGameTimed(false);
+        setSkillLevel(settings.skillLevel);
+
+        const gameId = Math.random().toString(36).substr(2, 9);
+        const shortColor = settings.color === 'white' || settings.color === 'w' ? 'w' : 'b';
+        window.history.pushState({}, '', `/game/${gameId}`);
+
+        chess.resetGame();
+        chess.setPlayerColor(shortColor);
+        setIsUnbalanced(settings.isUnbalanced);
+        setFirstMoveEnPassant(settings.firstMoveEnPassant);
+        clock.reset({ initialSeconds: settings.timeMinutes * 60 });
+
+        online.startServerBotGame({
+            gameId,
+            playerColor: shortColor,
+            skillLevel: settings.skillLevel,
+            isUnbalanced: settings.isUnbalanced,
+            firstMoveEnPassant: settings.firstMoveEnPassant,
+            timeMinutes: settings.timeMinutes,
+            incrementSeconds: settings.incrementSeconds,
+        });
     }
 
     function handleStartFriendGame(settings) {
@@ -529,7 +600,8 @@ export default function BoardWrapper() {
             timeMinutes: settings.timeMinutes,
             incrementSeconds: settings.incrementSeconds,
             color: settings.color,
-            isUnbalanced: settings.isUnbalanced
+            isUnbalanced: settings.isUnbalanced,
+            firstMoveEnPassant: settings.firstMoveEnPassant
         };
         localStorage.setItem(`chess_game_${settings.gameId}`, JSON.stringify(playerInfo));
         log('[BoardWrapper] Stored player info for reconnection:', playerInfo);
@@ -540,6 +612,7 @@ export default function BoardWrapper() {
         // Initialize game with friend settings
         chess.setPlayerColor(settings.color);
         setIsUnbalanced(settings.isUnbalanced);
+        setFirstMoveEnPassant(settings.firstMoveEnPassant);
         clock.reset({ initialSeconds: settings.timeMinutes * 60 });
         
         // Set pending settings and game ID - let the join effect handle the actual join
@@ -570,6 +643,79 @@ export default function BoardWrapper() {
         // Don't reset - keep the final position visible
     }
 
+    // Download the current game as PGN. Online games come from the server, which has the clocks.
+    async function handleExportPgn() {
+        if (mode === "friend" && online?.gameId) {
+            try {
+                downloadPgn(await fetchGamePgn(online.gameId), `${online.gameId}.pgn`);
+            } catch (err) {
+                showToast(`Couldn't download PGN: ${err.message}`);
+            }
+            return;
+        }
+
+        const botSide = mode === "local" ? (chess.playerColor === "w" ? "b" : "w") : null;
+        const botName = `Marseillais Bot (${getBotLevel(skillLevel).name})`;
+        const isTimed = mode === "local" && isBotGameTimed;
+        const pgn = buildPgn({
+            moves: chess.moveHistory,
+            isUnbalanced,
+            firstMoveEnPassant,
+            white: botSide === "w" ? botName : (currentUser?.username || "Guest"),
+            black: botSide === "b" ? botName : (currentUser?.username || "Guest"),
+            startedAt: Date.now(),
+            initialMs: isTimed ? botTimeMinutes * 60 * 1000 : null,
+            incrementMs: isTimed ? botIncrementSeconds * 1000 : null,
+            result: gameOverInfo?.reason ?? null,
+            winner: gameOverInfo?.winner ?? null,
+            isCompleted: Boolean(gameOverInfo),
+        });
+        downloadPgn(pgn, `double-chess-${Date.now()}.pgn`);
+    }
+
+    // Load a PGN into analysis mode: both sides are played from the board, no bot, no clock
+    function handleImportPgn(text) {
+        if (isGameActive) {
+            showToast('Finish the current game before importing a PGN.');
+            return;
+        }
+
+        const { sans, isUnbalanced: pgnIsUnbalanced, firstMoveEnPassant: pgnFirstMoveEnPassant } = parsePgn(text);
+        if (sans.length === 0) {
+            showToast('No moves found in that PGN.');
+            return;
+        }
+
+        const error = chess.loadMoves(sans, { isUnbalanced: pgnIsUnbalanced, firstMoveEnPassant: pgnFirstMoveEnPassant });
+        if (error) {
+            showToast(`Couldn't import PGN - ${error}`);
+            return;
+        }
+
+        if (online?.leaveCurrentGame) {
+            online.leaveCurrentGame();
+        }
+        setPendingGameId(null);
+        setPendingGameSettings(null);
+        joinAttemptedRef.current = null;
+        setCurrentBotGameId(null);
+        window.history.pushState({}, '', '/');
+
+        setMode("analysis");
+        setIsUnbalanced(pgnIsUnbalanced);
+        setFirstMoveEnPassant(pgnFirstMoveEnPassant);
+        setIsBotGameTimed(false);
+        setGameOverInfo(null);
+        setGameStarted(true);
+        clock?.pause?.();
+        showToast(`Imported ${sans.length} moves for analysis.`);
+    }
+
+    // The chosen PGN file couldn't be read at all
+    function handleImportPgnError(err) {
+        showToast(`Couldn't import PGN - ${err.message}`);
+    }
+
     // Bot games are NOT persisted - page reload resets the game
     // (Friend games are still persisted via chess_active_game)
 
@@ -578,31 +724,12 @@ export default function BoardWrapper() {
         if (gameOverInfo) return;
         if (mode !== 'local') return;
         
-        let reason = null;
-        let winner = null;
-        
-        // Check for checkmate or standard draw from chess.js
-        if (chess.chessGame.isGameOver()) {
-            if (chess.chessGame.isCheckmate()) {
-                reason = 'checkmate';
-                winner = chess.turn === 'w' ? 'black' : 'white';
-            } else if (chess.chessGame.isDraw()) {
-                reason = 'draw';
-                winner = null;
-            }
-        }
-        
-        // Check for Marseillais-specific draw conditions (threefold repetition and 50-move rule)
-        if (!reason && chess.drawStatus) {
-            if (chess.drawStatus.isRepetition) {
-                reason = 'repetition';
-                winner = null;
-            } else if (chess.drawStatus.isFiftyMove) {
-                reason = 'fifty-move';
-                winner = null;
-            }
-        }
-        
+        // Checkmate and board draws, then the Marseillais draw rules
+        // (threefold repetition and the 50-move rule)
+        const result = getGameResult(chess.chessGame, chess.drawTrackerRef.current);
+        const reason = result?.reason;
+        const winner = result?.winner ?? null;
+
         if (reason) {
             setGameOverInfo({ reason, winner });
             clock.pause?.();
@@ -613,7 +740,7 @@ export default function BoardWrapper() {
             // Clear the bot game ID since it's finished
             setCurrentBotGameId(null);
         }
-    }, [mode, chess.chessGame, chess.turn, chess.drawStatus, gameOverInfo, clock]);
+    }, [mode, chess.chessGame, chess.drawTrackerRef, chess.turn, chess.drawStatus, gameOverInfo, clock]);
 
     useEffect(() => {
         if (!startFinding) return;
@@ -696,6 +823,14 @@ export default function BoardWrapper() {
             : (online?.isSpectator ? clock.blackMs : (chess.playerColor === "w" ? clock.blackMs : clock.whiteMs));
     };
 
+    // Name plus rating (online games between registered players), e.g. "alice (1523?)"
+    const getPlayerLabel = (color) => {
+        const name = color === "white" ? (online?.opponentNames?.white || "White") : (online?.opponentNames?.black || "Black");
+        const rating = mode === "friend" ? online?.playerRatings?.[color] : null;
+        if (!rating) return name;
+        return `${name} (${rating.rating}${rating.provisional ? "?" : ""})`;
+    };
+
     // Helper for clock labels that account for flip
     const getClockLabel = (position) => {
         const isActuallyTop = position === 'top';
@@ -703,16 +838,16 @@ export default function BoardWrapper() {
 
         if (online?.isSpectator) {
             if (showOpponent) {
-                return chess.playerColor === "w" ? (online?.opponentNames?.black || "Black") : (online?.opponentNames?.white || "White");
+                return chess.playerColor === "w" ? getPlayerLabel("black") : getPlayerLabel("white");
             } else {
-                return chess.playerColor === "w" ? (online?.opponentNames?.white || "White") : (online?.opponentNames?.black || "Black");
+                return chess.playerColor === "w" ? getPlayerLabel("white") : getPlayerLabel("black");
             }
         }
 
         if (showOpponent) {
-            return chess.playerColor === "w" ? (online?.opponentNames?.black || "Black") : (online?.opponentNames?.white || "White");
+            return chess.playerColor === "w" ? getPlayerLabel("black") : getPlayerLabel("white");
         } else {
-            return chess.playerColor === "w" ? (online?.opponentNames?.white || "White") : (online?.opponentNames?.black || "Black");
+            return chess.playerColor === "w" ? getPlayerLabel("white") : getPlayerLabel("black");
         }
     };
 
@@ -729,6 +864,7 @@ export default function BoardWrapper() {
                             onBack={() => setShowPlayFriend(false)}
                             onCopyLink={() => showToast('Link copied to clipboard!')}
                             initialIsUnbalanced={isUnbalanced}
+                            initialFirstMoveEnPassant={firstMoveEnPassant}
                         />
                     </div>
                 </div>
@@ -743,6 +879,8 @@ export default function BoardWrapper() {
                             onBack={() => setShowPlayBot(false)}
                             initialPlayerColor={playerColor}
                             initialIsUnbalanced={isUnbalanced}
+                            initialFirstMoveEnPassant={firstMoveEnPassant}
+                            initialSkillLevel={skillLevel}
                         />
                     </div>
                 </div>
@@ -753,6 +891,22 @@ export default function BoardWrapper() {
                 <RulesModal onClose={() => setShowRules(false)} />
             )}
 
+            {/* Sign In / Create Account Modal Overlay */}
+            {showAuth && (
+                <AuthModal
+                    onClose={() => setShowAuth(false)}
+                    onAuthenticated={({ token, user, claimed }) => {
+                        setCurrentUser(user);
+                        setShowAuth(false);
+                        online?.authenticate?.(token);
+                        const claimedCount = (claimed?.games || 0) + (claimed?.botGames || 0);
+                        showToast(claimedCount > 0
+                            ? `Welcome, ${user.username}! ${claimedCount} guest game${claimedCount === 1 ? '' : 's'} added to your account.`
+                            : `Welcome, ${user.username}!`);
+                    }}
+                />
+            )}
+
             {/* About Modal Overlay */}
             {showAbout && (
                 <About onClose={() => setShowAbout(false)} />
@@ -811,6 +965,24 @@ export default function BoardWrapper() {
                                 <span className="hidden md:inline ml-1">Copy link</span>
                             </button>
                         )} 
+                        <button
+                            onClick={async () => {
+                                if (!currentUser) {
+                                    setShowAuth(true);
+                                    return;
+                                }
+                                await logout();
+                                setCurrentUser(null);
+                                online?.authenticate?.(null);
+                                showToast('Signed out');
+                            }}
+                            aria-label={currentUser ? `Sign out ${currentUser.username}` : "Sign in"}
+                            title={currentUser ? "Sign out" : "Sign in"}
+                            className="w-7 h-7 p-0 bg-gradient-to-r from-slate-700 to-slate-800 hover:from-slate-600 hover:to-slate-700 text-white text-[12px] font-medium rounded-full transition-colors shadow-sm hover:shadow-sm border border-slate-600/50 flex-shrink-0 flex items-center justify-center md:rounded-md md:px-3 md:py-1 md:w-auto md:h-auto md:gap-2"
+                        >
+                            <span aria-hidden="true">👤</span>
+                            <span className="hidden md:inline ml-1">{currentUser ? currentUser.username : "Sign in"}</span>
+                        </button>
                         <button 
                             onClick={() => setShowAbout(true)}
                             aria-label="About"
@@ -937,7 +1109,7 @@ export default function BoardWrapper() {
                 )}
 
                 {/* Mobile Action Buttons - below the board */}
-                {mode && !gameStatus && !online?.isSpectator && (mode === 'friend' || chess.moveHistory?.length > 0) && (
+                {mode && mode !== 'analysis' && !gameStatus && !online?.isSpectator && (mode === 'friend' || chess.moveHistory?.length > 0) && (
                     <div className="lg:hidden flex gap-2 w-full px-2">
                         {/* Draw Button - only for online friend mode */}
                         {mode === 'friend' && (
@@ -976,6 +1148,9 @@ export default function BoardWrapper() {
                             moves={chess.moveHistory}
                             viewIndex={viewIndex}
                             onNavigate={setViewIndex}
+                            onExportPgn={handleExportPgn}
+                            onImportPgn={handleImportPgn}
+                            onImportError={handleImportPgnError}
                         />
                     </div>
                     
@@ -995,6 +1170,9 @@ export default function BoardWrapper() {
                     moves={chess.moveHistory}
                     viewIndex={viewIndex}
                     onNavigate={setViewIndex}
+                    onExportPgn={handleExportPgn}
+                    onImportPgn={handleImportPgn}
+                    onImportError={handleImportPgnError}
                 />
             </div>
             </div>
@@ -85,7 +85,7 @@ export default function GameInfo({
       <div className="flex items-center justify-between">
         <span className="text-sm font-medium text-slate-300">Game Mode</span>
         <span className="px-3 py-1 text-xs font-semibold rounded-full bg-indigo-500/30 text-indigo-300 border border-indigo-500/50">
-          {mode === "friend" ? "Playing Friend" : mode === "online" ? "Online" : "VS Bot"}
+          {mode === "friend" ? "Playing Friend" : mode === "online" ? "Online" : mode === "analysis" ? "Analysis" : "VS Bot"}
         </span>
       </div>
 
@@ -156,7 +156,7 @@ export default function GameInfo({
       )}
 
       {/* Action Buttons - desktop only */}
-      {mode && !gameStatus && !isSpectator && (
+      {mode && mode !== 'analysis' && !gameStatus && !isSpectator && (
         <div className="hidden lg:flex gap-2 mt-2">
           {/* Draw Button - only for online mode */}
           {mode === 'friend' && (
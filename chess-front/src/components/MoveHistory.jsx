@@ -1,7 +1,8 @@
 import { useEffect, useRef, useMemo, memo } from "react";
 
-function MoveHistory({ moves, viewIndex, onNavigate }) {
+function MoveHistory({ moves, viewIndex, onNavigate, onExportPgn, onImportPgn, onImportError }) {
   const scrollRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   // Helper to extract SAN from move (could be string or object)
   const getSan = (move) => {
@@ -64,6 +65,14 @@ function MoveHistory({ moves, viewIndex, onNavigate }) {
   };
   const handleEnd = () => onNavigate(null);
 
+  // PGN import: read the chosen file and hand its text (or the read error) to the parent
+  const handleImportFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // allow picking the same file again
+    if (!file) return;
+    file.text().then((text) => onImportPgn(text), (err) => onImportError?.(err));
+  };
+
   return (
     <div data-test="move-history" className="flex flex-col w-full h-full bg-slate-800/90 backdrop-blur-xl rounded-2xl shadow-xl border border-slate-700/50">
 
@@ -135,6 +144,15 @@ function MoveHistory({ moves, viewIndex, onNavigate }) {
         <button data-test="history-prev" onClick={handlePrev} className="hover:bg-slate-600 rounded text-slate-300 hover:text-white transition-all min-w-0" title="Prev"><span className="text-[11px]">◀</span></button>
         <button data-test="history-next" onClick={handleNext} className="hover:bg-slate-600 rounded text-slate-300 hover:text-white transition-all min-w-0" title="Next"><span className="text-[11px]">▶</span></button>
         <button data-test="history-live" onClick={handleEnd} className="hover:bg-slate-600 rounded text-slate-300 hover:text-white transition-all min-w-0" title="Live"><span className="text-[11px]">⏭</span></button>
+        {onExportPgn && (
+          <button data-test="history-export-pgn" onClick={onExportPgn} disabled={moves.length === 0} className="hover:bg-slate-600 rounded text-slate-300 hover:text-white transition-all min-w-0 disabled:opacity-40 disabled:pointer-events-none" title="Download PGN"><span className="text-[11px]">💾</span></button>
+        )}
+        {onImportPgn && (
+          <>
+            <button data-test="history-import-pgn" onClick={() => fileInputRef.current?.click()} className="hover:bg-slate-600 rounded text-slate-300 hover:text-white transition-all min-w-0" title="Import PGN for analysis"><span className="text-[11px]">📂</span></button>
+            <input ref={fileInputRef} type="file" accept=".pgn,text/plain" onChange={handleImportFile} className="hidden" />
+          </>
+        )}
       </div>
     </div>
   );
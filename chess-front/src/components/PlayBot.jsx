@@ -1,20 +1,29 @@
 import { useState } from 'react';
+import { BOT_LEVELS, getBotLevel } from '../workers/bot-levels.js';
 
-export default function PlayBot({ onStartGame, onBack, initialPlayerColor = 'w', initialIsUnbalanced = true }) {
+export default function PlayBot({ onStartGame, onBack, initialPlayerColor = 'w', initialIsUnbalanced = true, initialFirstMoveEnPassant = true, initialSkillLevel }) {
   const [selectedColor, setSelectedColor] = useState(initialPlayerColor);
+  const [skillLevel, setSkillLevel] = useState(getBotLevel(initialSkillLevel).level);
   const [isUnbalanced, setIsUnbalanced] = useState(initialIsUnbalanced);
+  const [firstMoveEnPassant, setFirstMoveEnPassant] = useState(initialFirstMoveEnPassant);
   const [isTimed, setIsTimed] = useState(false);
   const [timeMinutes, setTimeMinutes] = useState(3);
   const [incrementSeconds, setIncrementSeconds] = useState(2);
+  const [hostOnServer, setHostOnServer] = useState(false);
+
+  // Server-hosted games always run on the server's clocks
+  const timed = isTimed || hostOnServer;
 
   const handleStartGame = () => {
     onStartGame({
       color: selectedColor,
-      skillLevel: 2, // Fixed level
+      skillLevel,
       isUnbalanced,
-      isTimed,
-      timeMinutes: isTimed ? timeMinutes : null,
-      incrementSeconds: isTimed ? incrementSeconds : null
+      firstMoveEnPassant,
+      isTimed: timed,
+      timeMinutes: timed ? timeMinutes : null,
+      incrementSeconds: timed ? incrementSeconds : null,
+      hostOnServer
     });
   };
 
@@ -60,6 +69,29 @@ export default function PlayBot({ onStartGame, onBack, initialPlayerColor = 'w',
           </div>
         </div>
 
+        {/* Bot Strength */}
+        <div>
+          <label className="block text-xs font-medium text-slate-300 mb-2">
+            Strength: {skillLevel} · {getBotLevel(skillLevel).name}
+          </label>
+          <div className="grid grid-cols-4 gap-2">
+            {BOT_LEVELS.map(({ level, name }) => (
+              <button
+                key={level}
+                onClick={() => setSkillLevel(level)}
+                title={name}
+                className={`py-1.5 rounded-lg text-sm font-medium transition-all ${
+                  skillLevel === level
+                    ? 'bg-gradient-to-r from-blue-600 to-blue-700 text-white shadow-lg border border-blue-500/30'
+                    : 'bg-slate-700/50 text-slate-300 hover:bg-slate-600/50 border border-slate-600/30'
+                }`}
+              >
+                {level}
+              </button>
+            ))}
+          </div>
+        </div>
+
         {/* Game Variant */}
         <div>
           <label className="block text-xs font-medium text-slate-300 mb-2">
@@ -95,18 +127,51 @@ export default function PlayBot({ onStartGame, onBack, initialPlayerColor = 'w',
           </div>
         </div>
 
+        {/* En passant rule */}
+        <div>
+          <label className="flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              checked={firstMoveEnPassant}
+              onChange={() => setFirstMoveEnPassant(!firstMoveEnPassant)}
+              className="w-3.5 h-3.5 text-blue-600 bg-slate-700 border-slate-500"
+            />
+            <div className="ml-2">
+              <span className="text-sm text-slate-100">First-move en passant</span>
+              <span className="text-xs text-slate-400 ml-1">· Both pushes of a turn can be taken</span>
+            </div>
+          </label>
+        </div>
+
+        {/* Where the bot runs */}
+        <div>
+          <label className="flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              checked={hostOnServer}
+              onChange={() => setHostOnServer(!hostOnServer)}
+              className="w-3.5 h-3.5 text-blue-600 bg-slate-700 border-slate-500"
+            />
+            <div className="ml-2">
+              <span className="text-sm text-slate-100">Play on the server</span>
+              <span className="text-xs text-slate-400 ml-1">· Can be watched and resumed</span>
+            </div>
+          </label>
+        </div>
+
         {/* Game Timing */}
         <div>
-          <label className="flex items-center cursor-pointer mb-2">
+          <label className={`flex items-center mb-2 ${hostOnServer ? 'opacity-60' : 'cursor-pointer'}`}>
             <input
               type="checkbox"
-              checked={isTimed}
+              checked={timed}
+              disabled={hostOnServer}
               onChange={() => setIsTimed(!isTimed)}
               className="w-3.5 h-3.5 text-blue-600 bg-slate-700 border-slate-500"
             />
             <span className="ml-2 text-sm text-slate-100">Timed Game</span>
           </label>
-          {isTimed && (
+          {timed && (
             <div className="space-y-3 bg-slate-700/30 p-3 rounded-lg">
               <div>
                 <label className="block text-xs font-medium text-slate-300 mb-2">
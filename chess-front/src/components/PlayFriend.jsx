@@ -1,10 +1,11 @@
 import { useState } from 'react';
 
-export default function PlayFriend({ onStartGame, onBack, onCopyLink, initialIsUnbalanced = true }) {
+export default function PlayFriend({ onStartGame, onBack, onCopyLink, initialIsUnbalanced = true, initialFirstMoveEnPassant = true }) {
   const [selectedColor, setSelectedColor] = useState('random');
   const [startTime, setStartTime] = useState(3); // minutes
   const [increment, setIncrement] = useState(2); // seconds
   const [isUnbalanced, setIsUnbalanced] = useState(initialIsUnbalanced);
+  const [firstMoveEnPassant, setFirstMoveEnPassant] = useState(initialFirstMoveEnPassant);
   const [gameLink, setGameLink] = useState('');
 
   const handleCreateGame = () => {
@@ -27,7 +28,8 @@ export default function PlayFriend({ onStartGame, onBack, onCopyLink, initialIsU
       color: finalColor,
       timeMinutes: startTime,
       incrementSeconds: increment,
-      isUnbalanced
+      isUnbalanced,
+      firstMoveEnPassant
     });
   };
 
@@ -123,6 +125,22 @@ export default function PlayFriend({ onStartGame, onBack, onCopyLink, initialIsU
           </div>
         </div>
 
+        {/* En passant rule */}
+        <div>
+          <label className="flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              checked={firstMoveEnPassant}
+              onChange={() => setFirstMoveEnPassant(!firstMoveEnPassant)}
+              className="w-3.5 h-3.5 text-purple-600 bg-slate-700 border-slate-500"
+            />
+            <div className="ml-2">
+              <span className="text-sm text-slate-100">First-move en passant</span>
+              <span className="text-xs text-slate-400 ml-1">· Both pushes of a turn can be taken</span>
+            </div>
+          </label>
+        </div>
+
         {/* Time Controls - Combined */}
         <div>
           <label className="block text-xs font-medium text-slate-300 mb-2">
@@ -1,13 +1,15 @@
 import { useEffect, useRef, useState, useMemo, useCallback } from "react";
 import { Chess } from "chess.js";
+import { applyMove, legalMoves, getGameResult, toMarseillaisFen, parseMarseillaisFen } from "chess-rules";
 import { createDrawTracker } from "../utils/drawDetection";
+import { replayMarseillaisMoves } from "../utils/pgn";
 import { log } from "../utils/debug";
 
 /**
  * Minimal chess controller that exposes a single object (chess).
- * Expand this as needed (move validation UI helpers, PGN export, history, etc).
+ * Expand this as needed (move validation UI helpers, history, etc).
  */
-export function useChessController(clock, { enableClock = true, isUnbalanced = true, gameMode = "local" } = {}) {
+export function useChessController(clock, { enableClock = true, isUnbalanced = true, firstMoveEnPassant = true, gameMode = "local" } = {}) {
   const chessGameRef = useRef(new Chess());
   const chessGame = chessGameRef.current;
   const drawTrackerRef = useRef(createDrawTracker());
@@ -25,11 +27,18 @@ export function useChessController(clock, { enableClock = true, isUnbalanced = t
   const [clockStarted, setClockStarted] = useState(false);
   const [movesInTurn, setMovesInTurn] = useState(0);
   const movesInTurnRef = useRef(0);
+  // En passant targets from chess-rules (online games take the server's)
+  const epSquaresRef = useRef([]);
   const [resigned, setResigned] = useState(null); // Track resignation
 
+  // chessGame.moves() plus en passant on a target the FEN can't hold
+  const getLegalMoves = useCallback((options = {}) => {
+    return legalMoves(chessGame, { movesInTurn: movesInTurnRef.current, epSquares: epSquaresRef.current }, options);
+  }, [chessGame]);
+
   // return an object (not destructured) so caller uses chess.someProp
   const getMoveOptions = useCallback((square) => {
-    const moves = chessGame.moves({ square, verbose: true });
+    const moves = getLegalMoves({ square, verbose: true });
     if (!moves || moves.length === 0) return false;
     const squares = {};
     moves.forEach((m) => {
@@ -41,60 +50,27 @@ export function useChessController(clock, { enableClock = true, isUnbalanced = t
 
     setOptionSquares(squares);
     return true;
-  }, [chessGame]);
+  }, [getLegalMoves]);
 
   const applyLocalMove = useCallback(({ from, to, promotion }, { recordHistory = true } = {}) => {
     // Block moves if game is over (including draws by repetition or 50-move rule)
-    const currentDrawStatus = drawTrackerRef.current.checkDrawStatus(chessGame.fen());
-    if (chessGame.isGameOver() || clock.status !== "" || resigned || currentDrawStatus.isRepetition || currentDrawStatus.isFiftyMove) return null;
+    if (getGameResult(chessGame, drawTrackerRef.current) || clock.status !== "" || resigned) return null;
     try {
       const prevMovesInTurn = movesInTurnRef.current;
-      const move = chessGame.move({ from, to, promotion });
-      if (!move) return null;
-
-      // Double Move Logic
-      // In balanced mode: white's first turn is single move only, then double moves for everyone
-      // In unbalanced mode: always double moves
-      const totalMoves = moveHistory.length; // moves before this one
-      const isFirstTurnBalanced = !isUnbalanced && totalMoves === 0 && move.color === 'w';
-      
-      if (!chessGame.isGameOver()) {
-        if (isFirstTurnBalanced) {
-          // Balanced mode, first turn - white only gets 1 move
-          movesInTurnRef.current = 0;
-          setMovesInTurn(0);
-        } else if (movesInTurnRef.current === 0) {
-          // First move of the turn (double move applies)
-          // If check, turn ends. Otherwise, same player moves again.
-          if (move.san.includes('+')) {
-            movesInTurnRef.current = 0;
-            setMovesInTurn(0);
-          } else {
-            // Flip turn back to the player who just moved
-            const fen = chessGame.fen();
-            const parts = fen.split(' ');
-            // parts[1] is the current active color (which just switched). We want to revert it.
-            parts[1] = parts[1] === 'w' ? 'b' : 'w';
-            
-            // FIX: Clear en-passant target to avoid "Invalid FEN: illegal en-passant square" error.
-            // If we flip the turn back, the en-passant target (if any) created by the move 
-            // becomes invalid because the active color doesn't match the target rank.
-            parts[3] = '-';
-            
-            const newFen = parts.join(' ');
-            chessGame.load(newFen);
-            movesInTurnRef.current = 1;
-            setMovesInTurn(1);
-          }
-        } else {
-          // Second move of the turn
-          movesInTurnRef.current = 0;
-          setMovesInTurn(0);
-        }
-      } else {
-        movesInTurnRef.current = 0;
-        setMovesInTurn(0);
-      }
+      // Double-move turn logic (chess-rules): in balanced mode white's first
+      // turn is a single move, a check ends the turn early
+      const played = applyMove(chessGame, { from, to, promotion }, {
+        movesInTurn: movesInTurnRef.current,
+        plyCount: moveHistory.length,
+        isUnbalanced,
+        epSquares: epSquaresRef.current,
+        firstMoveEnPassant,
+      });
+      if (!played) return null;
+      const { move } = played;
+      movesInTurnRef.current = played.movesInTurn;
+      epSquaresRef.current = played.epSquares;
+      setMovesInTurn(played.movesInTurn);
 
       const fenAfterMove = chessGame.fen();
       setChessPosition(fenAfterMove);
@@ -106,10 +82,12 @@ export function useChessController(clock, { enableClock = true, isUnbalanced = t
       if (recordHistory) {
         // Store full move object with FEN for history navigation
         // Note: move.color is who made the move.
+        // Timed local games keep both clocks too, for the history view and PGN export
         const moveObject = {
           ...move,
           fen: fenAfterMove,
-          color: move.color 
+          color: move.color,
+          ...(enableClock && gameMode === "local" ? clock.getRemainingMs?.() : null)
         };
         setMoveHistory((prev) => [...prev, moveObject]);
       }
@@ -135,7 +113,32 @@ export function useChessController(clock, { enableClock = true, isUnbalanced = t
       console.warn("invalid move", e);
       return null;
     }
-  }, [chessGame, moveHistory.length, isUnbalanced, enableClock, clock.status, resigned]);
+  }, [chessGame, moveHistory.length, isUnbalanced, firstMoveEnPassant, enableClock, clock.status, resigned]);
+
+  // The live position as a Marseillais FEN (chess-rules), turn phase included
+  const getFen = useCallback(() => {
+    return toMarseillaisFen(chessGame, {
+      movesInTurn: movesInTurnRef.current,
+      plyCount: moveHistory.length,
+      isUnbalanced,
+      epSquares: epSquaresRef.current,
+      firstMoveEnPassant,
+    });
+  }, [chessGame, moveHistory.length, isUnbalanced, firstMoveEnPassant]);
+
+  // Take over a Marseillais (or plain) FEN from the server or a saved game:
+  // the board, the moves played in the turn and the en passant targets.
+  // Returns the FEN as chess.js holds it.
+  const loadFen = useCallback((fen) => {
+    const { fen: chessFen, turn } = parseMarseillaisFen(fen);
+    chessGame.load(chessFen);
+    movesInTurnRef.current = turn.movesInTurn;
+    setMovesInTurn(turn.movesInTurn);
+    epSquaresRef.current = turn.epSquares;
+    setChessPosition(chessFen);
+    setTurn(chessGame.turn());
+    return chessFen;
+  }, [chessGame]);
 
   const resetGame = useCallback(({ keepClock = false } = {}) => {
     chessGame.reset();
@@ -151,6 +154,7 @@ export function useChessController(clock, { enableClock = true, isUnbalanced = t
     setPlayerColor("w");
     setClockStarted(false);
     setMovesInTurn(0);
+    epSquaresRef.current = [];
     setResigned(null);
     // Reset draw tracking
     drawTrackerRef.current.reset();
@@ -160,6 +164,33 @@ export function useChessController(clock, { enableClock = true, isUnbalanced = t
     log("Game reset");
   }, [chessGame, clock]);
 
+  // Replace the game with a list of SAN moves (e.g. an imported PGN).
+  // isUnbalanced and firstMoveEnPassant are passed explicitly since the caller may be switching rules in the same update.
+  // Returns null on success or a message naming the first illegal move (nothing is loaded then).
+  const loadMoves = useCallback((sans, { isUnbalanced: loadUnbalanced = isUnbalanced, firstMoveEnPassant: loadFirstMoveEnPassant = firstMoveEnPassant } = {}) => {
+    const { chess, moves, movesInTurn: loadedMovesInTurn, epSquares, error } = replayMarseillaisMoves(sans, {
+      isUnbalanced: loadUnbalanced,
+      firstMoveEnPassant: loadFirstMoveEnPassant,
+    });
+    if (error) return error;
+
+    resetGame();
+    chessGame.load(chess.fen());
+    for (const move of moves) {
+      drawTrackerRef.current.recordMove(move, move.fen);
+    }
+    setDrawStatus(drawTrackerRef.current.checkDrawStatus(chessGame.fen()));
+    setChessPosition(chessGame.fen());
+    setMoveHistory(moves);
+    setTurn(chessGame.turn());
+    movesInTurnRef.current = loadedMovesInTurn;
+    setMovesInTurn(loadedMovesInTurn);
+    epSquaresRef.current = epSquares;
+
+    log(`Loaded ${moves.length} moves`);
+    return null;
+  }, [chessGame, isUnbalanced, firstMoveEnPassant, resetGame]);
+
   const resign = useCallback((color) => {
     setResigned(color);
     if (clock?.pause) clock.pause();
@@ -180,6 +211,8 @@ export function useChessController(clock, { enableClock = true, isUnbalanced = t
     setMoveHistory,
     movesInTurn,
     setMovesInTurn,
+    getFen,
+    loadFen,
     historyIndex,
     setHistoryIndex,
     turn,
@@ -203,12 +236,14 @@ export function useChessController(clock, { enableClock = true, isUnbalanced = t
     setPlayerColor,
 
     // helpers
+    getLegalMoves,
     getMoveOptions,
     applyLocalMove,
     resetGame,
+    loadMoves,
     resign,
 
     // initial position reference for history navigation
     initialFen,
-  }), [chessGameRef, chessGame, chessPosition, moveHistory, movesInTurn, historyIndex, turn, resigned, drawStatus, promotionMove, moveFrom, optionSquares, playerColor, getMoveOptions, applyLocalMove, resetGame, resign, initialFen]);
+  }), [chessGameRef, chessGame, chessPosition, moveHistory, movesInTurn, getFen, loadFen, historyIndex, turn, resigned, drawStatus, promotionMove, moveFrom, optionSquares, playerColor, getLegalMoves, getMoveOptions, applyLocalMove, resetGame, loadMoves, resign, initialFen]);
 }
@@ -172,6 +172,12 @@ export default function useClock(initialTime = 300) {
         }
     }, []);
 
+    // Exact remaining times, between the 100ms state updates
+    const getRemainingMs = useCallback(() => ({
+        whiteMs: clockStateRef.current.whiteMs,
+        blackMs: clockStateRef.current.blackMs
+    }), []);
+
     // Wrap return object in useMemo to ensure stable references for dependency arrays
     return useMemo(() => ({
         isActive,
@@ -185,6 +191,7 @@ export default function useClock(initialTime = 300) {
         status,
         isTimeout,
         reset,
-        syncFromServer
-    }), [isActive, whiteMs, blackMs, setIsActive, setActivePlayer, start, pause, applyIncrement, status, isTimeout, reset, syncFromServer]);
+        syncFromServer,
+        getRemainingMs
+    }), [isActive, whiteMs, blackMs, setIsActive, setActivePlayer, start, pause, applyIncrement, status, isTimeout, reset, syncFromServer, getRemainingMs]);
 }
\ No newline at end of file
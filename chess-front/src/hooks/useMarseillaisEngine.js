@@ -3,12 +3,31 @@ import { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 // v2 uses high-performance Int8Array mailbox engine with alpha-beta search
 import MarseillaisEngineWorker from '../workers/marseillais-engine-v2.worker.js?worker';
 import { log } from '../utils/debug';
-
-const LEVELS = {
-  1: { depth: 2, description: 'Easy' },
-  2: { depth: 4, description: 'Medium' },
-  3: { depth: 6, description: 'Hard' },
-};
+import { getBotLevel, isFullStrengthLevel } from '../workers/bot-levels.js';
+
+// Extra time past a level's thinking cap before an untimed search is given up
+const SEARCH_TIMEOUT_SLACK_MS = 10000;
+
+// Transposition table size sent to the worker on init
+const ENGINE_TT_SIZE_MB = 32;
+
+// Endgame tablebases (scripts/generate-tablebases.mjs writes them to public/)
+const TABLEBASE_URL = `${import.meta.env.BASE_URL}tablebases/`;
+
+// Upper bound on search threads (the main worker plus helpers) for lazy SMP
+const MAX_SEARCH_THREADS = 4;
+
+/**
+ * Number of engine workers to search with. Helpers share the transposition
+ * table through a SharedArrayBuffer, which browsers only allow on
+ * cross-origin isolated pages - otherwise stay with the single worker.
+ * One core is left for the UI.
+ */
+function getSearchThreadCount() {
+  if (typeof SharedArrayBuffer === 'undefined' || !window.crossOriginIsolated) return 1;
+  const cores = navigator.hardwareConcurrency || 1;
+  return Math.max(1, Math.min(MAX_SEARCH_THREADS, cores - 1));
+}
 
 export function useMarseillaisEngine(
   chessGame,
@@ -21,9 +40,14 @@ export function useMarseillaisEngine(
   clock,
   playerColor = 'w',
   isUnbalanced = true,
-  incrementSeconds = 0
+  incrementSeconds = 0,
+  isTimed = false,
+  firstMoveEnPassant = true
 ) {
   const workerRef = useRef(null);
+  // Lazy SMP helpers and the shared table's search control word
+  const helpersRef = useRef([]);
+  const searchControlRef = useRef(null);
   const [isReady, setIsReady] = useState(false);
   const [isPlayingDoubleMove, setIsPlayingDoubleMove] = useState(false);
   const pendingRef = useRef(new Map());
@@ -34,6 +58,8 @@ export function useMarseillaisEngine(
   useEffect(() => {
     let worker;
     let terminated = false;
+    const helpers = [];
+    const threadCount = getSearchThreadCount();
 
     async function init() {
       try {
@@ -50,10 +76,37 @@ export function useMarseillaisEngine(
           worker.postMessage({ type: 'debug', enabled });
         };
 
-        log('[useMarseillaisEngine] Initialized worker');
+        worker.postMessage({
+          type: 'init',
+          ttSizeMb: ENGINE_TT_SIZE_MB,
+          shareTable: threadCount > 1,
+          tablebaseUrl: TABLEBASE_URL,
+        });
+
+        log('[useMarseillaisEngine] Initialized worker', { threadCount });
 
         worker.onmessage = e => {
           const { type, move, requestId, error } = e.data;
+
+          // The main worker hands back its shared table: start the helpers on it
+          if (type === 'ready' && e.data.sharedTable && !terminated) {
+            for (let i = 1; i < threadCount; i++) {
+              const helper = new MarseillaisEngineWorker();
+              helper.postMessage({ type: 'init', sharedTable: e.data.sharedTable });
+              helpers.push(helper);
+            }
+            helpersRef.current = helpers;
+            searchControlRef.current = new Int32Array(e.data.sharedTable, 0, 1);
+            log('[useMarseillaisEngine] Started search helpers', helpers.length);
+            return;
+          }
+
+          // Tablebases the main worker loaded, shared with the helpers
+          if (type === 'tablebases') {
+            helpers.forEach(helper => helper.postMessage(e.data));
+            return;
+          }
+
           log('[useMarseillaisEngine] worker.onmessage', {
             type,
             requestId,
@@ -67,6 +120,8 @@ export function useMarseillaisEngine(
 
           if (type === 'bestMove') {
             cb(null, move);
+          } else if (type === 'analysis') {
+            cb(null, e.data);
           } else if (type === 'error') {
             cb(new Error(error), null);
           }
@@ -83,6 +138,9 @@ export function useMarseillaisEngine(
     return () => {
       terminated = true;
       if (worker) worker.terminate();
+      helpers.forEach(helper => helper.terminate());
+      helpersRef.current = [];
+      searchControlRef.current = null;
     };
   }, []);
 
@@ -106,8 +164,12 @@ export function useMarseillaisEngine(
       return;
     }
 
-    const depth = (LEVELS[skillLevel] && LEVELS[skillLevel].depth) || 3;
-    const fen = chessGame.fen();
+    // Marseillais FEN: the moves left in the turn and every en passant target.
+    // The worker searches the game replayed from its moves instead, so it
+    // knows the repetitions and the halfmove clock; the FEN is for the log.
+    const fen = chessController.getFen();
+    const startFen = chessController.initialFen;
+    const moves = chessController.moveHistory.map(m => m.from + m.to + (m.promotion ?? ''));
     const requestId = reqIdRef.current++;
 
     log(
@@ -119,14 +181,33 @@ export function useMarseillaisEngine(
     setIsRequestInFlight(true);
     requestInFlightRef.current = true;
 
-    // give more time for higher difficulty levels
-    const timeoutMs = skillLevel === 3 ? 30000 : skillLevel === 2 ? 18000 : 12000;
+    // Helpers only pay off for levels that play the search result as is.
+    // Bumping the control word starts a new shared search; bumping it again
+    // once the main worker answers tells the helpers to stop.
+    const control = searchControlRef.current;
+    const useHelpers = control && helpersRef.current.length > 0
+      && isFullStrengthLevel(getBotLevel(skillLevel));
+    const searchId = useHelpers ? Atomics.add(control, 0, 1) + 1 : undefined;
+    const stopHelpers = () => {
+      if (useHelpers) Atomics.add(control, 0, 1);
+    };
+
+    // In timed games the worker budgets its own search from the engine's clock,
+    // so the safety timeout only has to outlast that clock. Untimed games keep
+    // a ceiling derived from the level's thinking time.
+    const engineTimeLeftMs = isTimed
+      ? (engineColor === 'w' ? clock?.whiteMs : clock?.blackMs)
+      : null;
+    const timeoutMs = typeof engineTimeLeftMs === 'number'
+      ? engineTimeLeftMs + 2000
+      : getBotLevel(skillLevel).thinkMs + SEARCH_TIMEOUT_SLACK_MS;
 
     const timeoutId = setTimeout(() => {
       console.warn(
         '[useMarseillaisEngine] search timeout, clearing isPlayingDoubleMove and request-in-flight',
         { requestId }
       );
+      stopHelpers();
       setIsPlayingDoubleMove(false);
       setIsRequestInFlight(false);
       requestInFlightRef.current = false;
@@ -136,6 +217,7 @@ export function useMarseillaisEngine(
     return new Promise((resolve, reject) => {
       pendingRef.current.set(requestId, async (err, movePair) => {
         clearTimeout(timeoutId);
+        stopHelpers();
 
         if (err) {
           setIsPlayingDoubleMove(false);
@@ -158,7 +240,7 @@ export function useMarseillaisEngine(
           log('[useMarseillaisEngine] processing move', i, ':', m);
 
           const legalMoves =
-            chessController.chessGame.moves({ verbose: true }) || [];
+            chessController.getLegalMoves({ verbose: true }) || [];
           log(
             '[useMarseillaisEngine] legal moves available:',
             legalMoves.length,
@@ -234,19 +316,41 @@ export function useMarseillaisEngine(
         resolve(movePair);
       });
 
-      // Determine if this is a single-move turn (balanced mode, first turn, white)
-      const moveHistoryLength = chessGame.history().length;
-      const currentTurn = chessGame.turn();
-      const isBalancedFirstTurn = !isUnbalanced && moveHistoryLength === 0 && currentTurn === 'w';
-      const maxMoves = isBalancedFirstTurn ? 1 : 2;
-      
       log('[useMarseillaisEngine] posting findBestMove', {
         requestId,
         skillLevel,
-        maxMoves,
-        isBalancedFirstTurn,
+        fen,
+        engineTimeLeftMs,
+      });
+      worker.postMessage({
+        type: 'findBestMove',
+        startFen,
+        moves,
+        skillLevel,
+        requestId,
+        isUnbalanced,
+        firstMoveEnPassant,
+        timeLeftMs: engineTimeLeftMs,
+        incrementMs: incrementSeconds * 1000,
+        searchId,
       });
-      worker.postMessage({ type: 'findBestMove', fen, skillLevel, requestId, maxMoves });
+
+      if (useHelpers) {
+        helpersRef.current.forEach((helper, i) => {
+          helper.postMessage({
+            type: 'helperSearch',
+            startFen,
+            moves,
+            skillLevel,
+            isUnbalanced,
+            firstMoveEnPassant,
+            timeLeftMs: engineTimeLeftMs,
+            incrementMs: incrementSeconds * 1000,
+            searchId,
+            threadId: i + 1,
+          });
+        });
+      }
     });
   }, [
     chessGame, 
@@ -257,16 +361,51 @@ export function useMarseillaisEngine(
     playerColor, 
     clock, 
     incrementSeconds,
-    isUnbalanced
+    isUnbalanced,
+    isTimed,
+    firstMoveEnPassant
   ]);
 
+  /**
+   * Multi-PV analysis of any position (does not touch the game or clock).
+   * Resolves to { lines: [{ move, san, score, depth, nodes, pv }], depth, nodes }.
+   * Options: { multiPV, maxMoves, depth, skillLevel, timeMs, maxNodes };
+   * maxMoves defaults to what a Marseillais FEN leaves in the turn (else 2).
+   * Options { startFen, moves, isUnbalanced } analyse that game's position
+   * instead of `fen`, repetitions included.
+   */
+  const analyzePosition = useCallback((fen, options = {}) => {
+    const worker = workerRef.current;
+    if (!worker) {
+      return Promise.reject(new Error('Engine worker not ready'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const requestId = reqIdRef.current++;
+      pendingRef.current.set(requestId, (err, analysis) => {
+        if (err) reject(err);
+        else resolve(analysis);
+      });
+
+      log('[useMarseillaisEngine] posting analyze', { requestId, ...options });
+      worker.postMessage({
+        type: 'analyze',
+        fen,
+        skillLevel,
+        ...options,
+        requestId,
+      });
+    });
+  }, [skillLevel]);
+
   return useMemo(() => ({
     workerRef,
     isReady,
     makeEngineMove,
+    analyzePosition,
     isPlayingDoubleMove,
     isRequestInFlight,
-  }), [isReady, makeEngineMove, isPlayingDoubleMove, isRequestInFlight]);
+  }), [isReady, makeEngineMove, analyzePosition, isPlayingDoubleMove, isRequestInFlight]);
 }
 
 export default useMarseillaisEngine;
\ No newline at end of file
@@ -1,18 +1,21 @@
 import { useEffect, useRef, useState, useCallback, useMemo } from "react";
 import { io } from "socket.io-client";
 import { log } from "../utils/debug";
+import { getAuthToken, getGuestSession } from "../utils/auth";
 
 /**
  * useOnlineGame manages a socket connection and provides:
  * - socketRef
  * - isConnected
  * - playerColor
- * - findOnlineGame(userId?)
+ * - findOnlineGame(userId?, { timeMinutes, incrementSeconds, isUnbalanced, firstMoveEnPassant }?)
+ * - leaveQueue() / requestQueueStatus()
+ * - startServerBotGame({ gameId, playerColor, skillLevel, ... })
  * - sendMoveOnline(move)
  *
  * Important: cleanup calls socket.close() so reconnection stops.
  */
-export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, setHistoryIndex, setTurn, playerColor, setPlayerColor, clock, isUnbalanced = true, setMovesInTurn, onGameOver, setIsUnbalanced) {
+export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, setHistoryIndex, setTurn, playerColor, setPlayerColor, clock, isUnbalanced = true, setMovesInTurn, onGameOver, setIsUnbalanced, loadFen, setFirstMoveEnPassant) {
   const socketRef = useRef(null);
   const gameIdRef = useRef(null);
   const hasResignedRef = useRef(false);
@@ -30,7 +33,9 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
     isUnbalanced,
     setMovesInTurn,
     onGameOver,
-    setIsUnbalanced
+    setIsUnbalanced,
+    loadFen,
+    setFirstMoveEnPassant
   });
 
   // Update propsRef on every render
@@ -45,7 +50,9 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
     isUnbalanced,
     setMovesInTurn,
     onGameOver,
-    setIsUnbalanced
+    setIsUnbalanced,
+    loadFen,
+    setFirstMoveEnPassant
   };
 
   const [waiting, setWaiting] = useState(false);
@@ -53,9 +60,11 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
   const [isConnected, setIsConnected] = useState(false);
   const [isSpectator, setIsSpectator] = useState(false);
   const [opponentNames, setOpponentNames] = useState({ white: 'White', black: 'Black' });
+  const [playerRatings, setPlayerRatings] = useState(null); // { key, white, black } - null entries for guests
   const [error, setError] = useState(null); // Track connection/game errors
   const [drawOffer, setDrawOffer] = useState(null); // { from: 'w' | 'b' } or null
   const [drawOfferSent, setDrawOfferSent] = useState(false); // True if we sent a draw offer
+  const [queueStatus, setQueueStatus] = useState(null); // { pools, seek } from the matchmaking queue
   const initialTime = 300; // Default initial time in seconds
 
   /**
@@ -128,6 +137,7 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
         socket.emit("leaveGame", { gameId: gid });
         log("👋 Left game:", gid);
       });
+      socket.emit("leaveQueue");
     }
     
     // Reset all game state
@@ -137,9 +147,11 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
     hasResignedRef.current = false;
     setIsSpectator(false);
     setOpponentNames({ white: 'White', black: 'Black' });
+    setPlayerRatings(null);
     setError(null);
     setDrawOffer(null);
     setDrawOfferSent(false);
+    setQueueStatus(null);
     
     // Clear all game-related localStorage
     clearOldGames();
@@ -173,6 +185,10 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
         timeout: 5000,               // Connection timeout 5 seconds (default is 20000ms)
         transports: ['polling', 'websocket'], // Try polling first for faster initial connection
         upgrade: true,               // Upgrade to websocket after polling connects
+        // Read on every (re)connect so a login/logout since the last one is picked up
+        auth: (cb) => {
+          getGuestSession().then((session) => cb({ token: getAuthToken(), guestToken: session?.guestToken }));
+        },
       });
       socketRef.current = socket;
     }
@@ -225,7 +241,23 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
       }
     });
 
-    socket.on("gameStarted", ({ gameId, color, fen, turn, whiteMs, blackMs, incrementMs, serverTime, history, movesInTurn, isCompleted, gameResult, winner }) => {
+    // Matchmaking queue events
+    socket.on("queueJoined", ({ pool, position }) => {
+      log("joined matchmaking queue", pool, "position:", position);
+      setWaiting(true);
+    });
+
+    socket.on("queueLeft", () => {
+      log("left matchmaking queue");
+      setWaiting(false);
+      setQueueStatus(null);
+    });
+
+    socket.on("queueStatus", (status) => {
+      setQueueStatus(status);
+    });
+
+    socket.on("gameStarted", ({ gameId, color, fen, turn, whiteMs, blackMs, incrementMs, serverTime, history, isCompleted, gameResult, winner, whitePlayer, blackPlayer, ratings, firstMoveEnPassant }) => {
       log("game started", gameId, color, "completed:", isCompleted);
       log('[Online] gameStarted - clock times:', { whiteMs, blackMs, turn });
       
@@ -233,11 +265,21 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
       clearOldGames(gameId);
 
       setWaiting(false);
+      setQueueStatus(null);
       setGameId(gameId);
       gameIdRef.current = gameId;
       hasResignedRef.current = false;
       propsRef.current.setPlayerColor(color);
       setIsSpectator(false);
+      setPlayerRatings(ratings || null);
+      if (whitePlayer && blackPlayer) {
+        setOpponentNames({ white: whitePlayer, black: blackPlayer });
+      }
+
+      // Check moves with the server's en passant rule, not the last bot game's
+      if (firstMoveEnPassant !== undefined && propsRef.current.setFirstMoveEnPassant) {
+        propsRef.current.setFirstMoveEnPassant(firstMoveEnPassant);
+      }
 
       // If game is already completed, don't store it for reconnection - just show the result
       if (!isCompleted) {
@@ -265,7 +307,7 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
       }
 
       // Sync clock state from server - DON'T start clock yet, wait for first move
-      const { clock: currentClock, setChessPosition: scp, setMoveHistory: smh, setHistoryIndex: shi, setTurn: st, setMovesInTurn: smit } = propsRef.current;
+      const { clock: currentClock, setMoveHistory: smh, setHistoryIndex: shi, setTurn: st, loadFen: lf } = propsRef.current;
       if (currentClock?.syncFromServer) {
         log('[Online] Calling syncFromServer with startClock=false');
         currentClock.syncFromServer(
@@ -276,18 +318,13 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
         );
       }
 
-      // sync position
+      // sync position: the server's Marseillais FEN carries the turn phase
+      // and the en passant targets
       try {
-        chessGameRef.current?.load?.(fen);
-        scp(fen);
+        lf(fen);
         smh(history || []);
         shi(null);
         st(turn);
-        
-        // Sync movesInTurn if available
-        if (movesInTurn !== undefined && smit) {
-          smit(movesInTurn);
-        }
       } catch (e) {
         console.warn("failed to load fen", e);
       }
@@ -298,13 +335,13 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
       }
     });
 
-    socket.on("spectatorJoined", ({ gameId, fen, turn, whiteMs, blackMs, incrementMs, serverTime, history, isCompleted, movesInTurn, gameResult, winner, whitePlayer, blackPlayer, isUnbalanced: serverIsUnbalanced }) => {
+    socket.on("spectatorJoined", ({ gameId, fen, turn, whiteMs, blackMs, incrementMs, serverTime, history, isCompleted, gameResult, winner, whitePlayer, blackPlayer, ratings, isUnbalanced: serverIsUnbalanced, firstMoveEnPassant: serverFirstMoveEnPassant }) => {
       log("joined as spectator", gameId, "fen:", fen, "history length:", history?.length, "isCompleted:", isCompleted);
       
       // Clear all active game IDs from localStorage when spectating
       clearOldGames();
 
-      const { setChessPosition: scp, setMoveHistory: smh, setHistoryIndex: shi, setTurn: st, setMovesInTurn: smit, clock: c, onGameOver: ogo, setIsUnbalanced: siu } = propsRef.current;
+      const { setMoveHistory: smh, setHistoryIndex: shi, setTurn: st, loadFen: lf, clock: c, onGameOver: ogo, setIsUnbalanced: siu, setFirstMoveEnPassant: sfep } = propsRef.current;
       
       setWaiting(false);
       setGameId(gameId);
@@ -315,10 +352,14 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
       if (whitePlayer && blackPlayer) {
         setOpponentNames({ white: whitePlayer, black: blackPlayer });
       }
+      setPlayerRatings(ratings || null);
       
       if (serverIsUnbalanced !== undefined && siu) {
         siu(serverIsUnbalanced);
       }
+      if (serverFirstMoveEnPassant !== undefined && sfep) {
+        sfep(serverFirstMoveEnPassant);
+      }
 
       // Store increment (convert ms to seconds)
       if (incrementMs !== undefined && typeof window !== 'undefined') {
@@ -349,29 +390,22 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
         }
 
         chessGame.reset();
-        chessGame.load(fen);
-        scp(fen);
+        lf(fen);
         smh(history || []);
         shi(null);
         st(turn);
-
-        // Sync movesInTurn for spectators
-        if (movesInTurn !== undefined && smit) {
-          smit(movesInTurn);
-        }
       } catch (e) {
         console.error("failed to load spectator state", e);
       }
     });
 
-    socket.on("moveMade", ({ move, fen, turn, movesInTurn, whiteMs, blackMs, serverTime }) => {
+    socket.on("moveMade", ({ move, fen, turn, whiteMs, blackMs, serverTime }) => {
       log("move made", move.san);
       log('[Online] moveMade - clock times:', { whiteMs, blackMs, turn });
-      const { setChessPosition: scp, setMoveHistory: smh, setHistoryIndex: shi, setTurn: st, setMovesInTurn: smit, clock: c } = propsRef.current;
+      const { setMoveHistory: smh, setHistoryIndex: shi, setTurn: st, loadFen: lf, clock: c } = propsRef.current;
       
       if (!fen) return;
-      chessGameRef.current?.load?.(fen);
-      scp(fen);
+      lf(fen);
       
       // Store full move object with FEN and clock times for proper history navigation
       if (move) {
@@ -386,11 +420,6 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
       
       shi(null);
       st(turn);
-      
-      // Update movesInTurn from server
-      if (movesInTurn !== undefined && smit) {
-        smit(movesInTurn);
-      }
 
       // Sync clock state from server after move (includes starting the clock)
       if (c?.syncFromServer) {
@@ -446,6 +475,10 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
         setGameId(null);
         gameIdRef.current = null;
         setError({ code: 'GAME_NOT_FOUND', message: 'Game not found. It may have been deleted or never existed.' });
+      } else if (msg?.code === 'INVALID_BOT_GAME') {
+        setGameId(null);
+        gameIdRef.current = null;
+        setError({ code: 'INVALID_BOT_GAME', message: msg.message });
       }
     });
 
@@ -474,6 +507,9 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
       socket.off("disconnect");
       socket.off("connect_error");
       socket.off("waitingForOpponent");
+      socket.off("queueJoined");
+      socket.off("queueLeft");
+      socket.off("queueStatus");
       socket.off("gameStarted");
       socket.off("spectatorJoined");
       socket.off("moveMade");
@@ -503,7 +539,12 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const findOnlineGame = useCallback((userId) => {
+  /**
+   * Join the public matchmaking queue. Options pick the pool (time control,
+   * variant and en passant rule); the server falls back to its default pool
+   * for anything missing.
+   */
+  const findOnlineGame = useCallback((userId, options = {}) => {
     const socket = socketRef.current;
     if (!socket) {
       console.error("Socket not initialized");
@@ -518,11 +559,24 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
     // Clear old game data before starting a new search
     clearOldGames();
     
-    log("🔍 Finding game...");
-    socket.emit("findGame", { userId });
+    log("🔍 Joining matchmaking queue...", options);
+    socket.emit("joinQueue", { userId, ...options });
+  }, []);
+
+  const leaveQueue = useCallback(() => {
+    const socket = socketRef.current;
+    if (!socket || !socket.connected) return;
+    socket.emit("leaveQueue");
+  }, []);
+
+  const requestQueueStatus = useCallback(() => {
+    const socket = socketRef.current;
+    if (!socket || !socket.connected) return;
+    socket.emit("getQueueStatus");
   }, []);
 
-  const joinSpecificGame = useCallback((gameIdToJoin, userId, timeMinutes, incrementSeconds, playerColor) => {
+  // firstMoveEnPassant is only used by the server when this join creates the game
+  const joinSpecificGame = useCallback((gameIdToJoin, userId, timeMinutes, incrementSeconds, playerColor, firstMoveEnPassant) => {
     const socket = socketRef.current;
     if (!socket || !socket.connected) {
       console.error("Cannot join game: socket not connected");
@@ -533,7 +587,36 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
     clearOldGames(gameIdToJoin);
 
     log("🔗 Joining specific game:", gameIdToJoin, "with", timeMinutes, "min +", incrementSeconds, "sec", "color:", playerColor);
-    socket.emit("joinGame", { gameId: gameIdToJoin, userId, timeMinutes, incrementSeconds, playerColor });
+    socket.emit("joinGame", { gameId: gameIdToJoin, userId, timeMinutes, incrementSeconds, playerColor, firstMoveEnPassant });
+  }, []);
+
+  /**
+   * Start a bot game hosted by the server: it runs the engine and plays the
+   * bot's moves, and the game then behaves like any online game (gameStarted,
+   * moveMade, gameOver). options: { gameId, playerColor, skillLevel,
+   * isUnbalanced, firstMoveEnPassant, timeMinutes, incrementSeconds }
+   */
+  const startServerBotGame = useCallback((options) => {
+    const socket = socketRef.current;
+    if (!socket || !socket.connected) {
+      console.error("Cannot start server bot game: socket not connected");
+      return;
+    }
+
+    clearOldGames();
+
+    log("🤖 Starting server-hosted bot game:", options);
+    socket.emit("createBotGame", options);
+  }, []);
+
+  /**
+   * Tell the server this connection's account changed (after login/logout).
+   * Pass null to go back to playing as a guest.
+   */
+  const authenticate = useCallback((token) => {
+    const socket = socketRef.current;
+    if (!socket || !socket.connected) return;
+    socket.emit("authenticate", { token });
   }, []);
 
   const sendMoveOnline = useCallback((moveObj) => {
@@ -635,10 +718,10 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
   }, []);
 
   // Bot game tracking methods - send game state to server for DB persistence on completion
-  const notifyBotGameStarted = useCallback((gameId, playerColor, isUnbalanced) => {
+  const notifyBotGameStarted = useCallback((gameId, playerColor, isUnbalanced, skillLevel, firstMoveEnPassant = true) => {
     const socket = socketRef.current;
     if (socket && socket.connected) {
-      socket.emit('botGameStarted', { gameId, playerColor, isUnbalanced });
+      socket.emit('botGameStarted', { gameId, playerColor, isUnbalanced, skillLevel, firstMoveEnPassant });
       log('[Socket] Bot game started:', gameId);
     } else {
       log('[Socket] Bot game started FAILED - not connected:', gameId, 'socket:', !!socket, 'connected:', socket?.connected);
@@ -671,11 +754,17 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
     isConnected,
     isSpectator,
     opponentNames,
+    playerRatings,
     error,
     drawOffer,
     drawOfferSent,
+    queueStatus,
     findOnlineGame,
+    leaveQueue,
+    requestQueueStatus,
     joinSpecificGame,
+    startServerBotGame,
+    authenticate,
     sendMoveOnline,
     resign,
     offerDraw,
@@ -688,5 +777,5 @@ export function useOnlineGame(chessGameRef, setChessPosition, setMoveHistory, se
     notifyBotGameStarted,
     notifyBotGameMove,
     notifyBotGameEnded,
-  }), [waiting, gameId, playerColor, isConnected, isSpectator, opponentNames, error, drawOffer, drawOfferSent, findOnlineGame, joinSpecificGame, sendMoveOnline, resign, offerDraw, acceptDraw, declineDraw, disconnect, clearError, leaveCurrentGame, notifyBotGameStarted, notifyBotGameMove, notifyBotGameEnded]);
+  }), [waiting, gameId, playerColor, isConnected, isSpectator, opponentNames, playerRatings, error, drawOffer, drawOfferSent, queueStatus, findOnlineGame, leaveQueue, requestQueueStatus, joinSpecificGame, startServerBotGame, authenticate, sendMoveOnline, resign, offerDraw, acceptDraw, declineDraw, disconnect, clearError, leaveCurrentGame, notifyBotGameStarted, notifyBotGameMove, notifyBotGameEnded]);
 }
@@ -0,0 +1,140 @@
+/**
+ * Account helpers: guest session, stored auth token, and the /api/auth calls.
+ */
+
+const AUTH_STORAGE_KEY = 'chess_auth';
+const GUEST_STORAGE_KEY = 'guestSession';
+const apiBase = import.meta.env.DEV ? 'http://localhost:3001' : '';
+
+let guestSessionRequest = null;
+
+/**
+ * This tab's guest session as { sessionId, guestToken }, or null if the
+ * server can't be reached. The server issues both: the signed token is what
+ * lets this guest's games be claimed on sign-up, so nobody who only learns
+ * the session ID can claim them.
+ */
+export function getGuestSession() {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(GUEST_STORAGE_KEY) || 'null');
+    if (stored?.sessionId && stored?.guestToken) return Promise.resolve(stored);
+  } catch {
+    // Unreadable entry - start a new session
+  }
+
+  if (!guestSessionRequest) {
+    guestSessionRequest = postJson('/api/auth/guest')
+      .then(({ sessionId, guestToken }) => {
+        const session = { sessionId, guestToken };
+        sessionStorage.setItem(GUEST_STORAGE_KEY, JSON.stringify(session));
+        return session;
+      })
+      .catch((err) => {
+        console.warn('Failed to start a guest session:', err);
+        return null;
+      })
+      .finally(() => {
+        guestSessionRequest = null;
+      });
+  }
+  return guestSessionRequest;
+}
+
+/**
+ * Stored { token, user } or null
+ */
+export function getStoredAuth() {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+export function getAuthToken() {
+  return getStoredAuth()?.token || null;
+}
+
+function storeAuth(token, user) {
+  localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify({ token, user }));
+}
+
+export function clearStoredAuth() {
+  localStorage.removeItem(AUTH_STORAGE_KEY);
+}
+
+async function postJson(path, body, token = null) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const res = await fetch(`${apiBase}${path}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body || {}),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || `Request failed (${res.status})`);
+  }
+  return data;
+}
+
+/**
+ * Create an account, claiming this session's guest games.
+ * Resolves to { token, user, claimed }.
+ */
+export async function register({ username, email, password }) {
+  const guestToken = (await getGuestSession())?.guestToken;
+  const data = await postJson('/api/auth/register', { username, email, password, guestToken });
+  storeAuth(data.token, data.user);
+  return data;
+}
+
+/**
+ * Log in with username or email. Resolves to { token, user }.
+ */
+export async function login({ login, password }) {
+  const data = await postJson('/api/auth/login', { login, password });
+  storeAuth(data.token, data.user);
+  return data;
+}
+
+/**
+ * Check the stored token is still valid (it expires, and logout elsewhere revokes it).
+ * Clears it if the server rejects it. Resolves to the user or null.
+ */
+export async function fetchCurrentUser() {
+  const token = getAuthToken();
+  if (!token) return null;
+
+  const res = await fetch(`${apiBase}/api/auth/me`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  if (res.status === 401) {
+    clearStoredAuth();
+    return null;
+  }
+  if (!res.ok) {
+    // Server trouble - keep the token and try again next visit
+    return getStoredAuth()?.user || null;
+  }
+
+  const { user } = await res.json();
+  storeAuth(token, user);
+  return user;
+}
+
+/**
+ * Revoke the token server-side and forget it locally.
+ * The local copy is cleared even if the server can't be reached.
+ */
+export async function logout() {
+  const token = getAuthToken();
+  clearStoredAuth();
+  if (!token) return;
+  try {
+    await postJson('/api/auth/logout', {}, token);
+  } catch (err) {
+    console.warn('Logout request failed:', err);
+  }
+}
@@ -2,20 +2,13 @@
  * Draw Detection Utility for Marseillais (Double-Move) Chess
  * 
  * Tracks position history for threefold repetition and halfmove clock for 50-move rule.
- * Works independently of chess.js to properly track Marseillais-specific rules.
+ * chess.js loses its own history whenever the turn is handed back mid-turn, so
+ * the counting is done by chess-rules (the same code the server uses).
  */
 
-/**
- * Generate a position hash from a FEN string for repetition detection.
- * Only considers piece positions, side to move, castling rights, and en passant square.
- * Does NOT include halfmove clock or fullmove number (those don't affect repetition).
- */
-export function getPositionKey(fen) {
-  const parts = fen.split(' ');
-  // parts[0] = piece positions, parts[1] = side to move, parts[2] = castling, parts[3] = en passant
-  // We ignore parts[4] (halfmove clock) and parts[5] (fullmove number) for repetition
-  return `${parts[0]}|${parts[1]}|${parts[2]}|${parts[3]}`;
-}
+import { START_FEN, getPositionKey, recordDrawState, getDrawStatus } from 'chess-rules';
+
+export { getPositionKey };
 
 /**
  * DrawTracker class for tracking draw conditions in a game
@@ -38,8 +31,7 @@ export class DrawTracker {
     this.lastMoveWasCapture = false;
     
     // Record initial position
-    const initialFen = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
-    this.recordPosition(initialFen);
+    this.recordPosition(START_FEN);
   }
 
   /**
@@ -60,28 +52,12 @@ export class DrawTracker {
    * @returns {Object} - Draw status { isRepetition, isFiftyMove, repetitionCount }
    */
   recordMove(move, fenAfterMove) {
-    // Check if this move resets the halfmove clock
-    const isPawnMove = move.piece === 'p';
-    const isCapture = !!move.captured;
-    
-    if (isPawnMove || isCapture) {
-      this.halfMoveClock = 0;
-    } else {
-      this.halfMoveClock++;
-    }
-    
-    this.lastMoveWasPawn = isPawnMove;
-    this.lastMoveWasCapture = isCapture;
-    
-    // Record the new position
-    const repetitionCount = this.recordPosition(fenAfterMove);
-    
-    return {
-      isRepetition: repetitionCount >= 3,
-      isFiftyMove: this.halfMoveClock >= 100, // 100 half-moves = 50 full moves
-      repetitionCount,
-      halfMoveClock: this.halfMoveClock
-    };
+    this.lastMoveWasPawn = move.piece === 'p';
+    this.lastMoveWasCapture = !!move.captured;
+
+    // Same counting as the server (chess-rules)
+    recordDrawState(this, move, fenAfterMove);
+    return getDrawStatus(this, fenAfterMove);
   }
 
   /**
@@ -90,15 +66,7 @@ export class DrawTracker {
    * @returns {Object} - Draw status
    */
   checkDrawStatus(fen) {
-    const key = getPositionKey(fen);
-    const repetitionCount = this.positionHistory.get(key) || 0;
-    
-    return {
-      isRepetition: repetitionCount >= 3,
-      isFiftyMove: this.halfMoveClock >= 100,
-      repetitionCount,
-      halfMoveClock: this.halfMoveClock
-    };
+    return getDrawStatus(this, fen);
   }
 
   /**
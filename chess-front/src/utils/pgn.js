@@ -0,0 +1,112 @@
+/**
+ * PGN for Marseillais (double-move) chess.
+ *
+ * Both moves of a side's turn share one move number, white's turn written
+ * "N." and black's "N...":  1. e4 d4 1... Nc6 Nf6 2. Nf3 Bc4 ...
+ * Games are written by buildPgn from chess-rules, the same writer the server
+ * uses, and re-exported here next to the reader.
+ */
+import { replayMoves, buildPgn } from "chess-rules";
+
+export { buildPgn };
+
+const RESULT_TOKENS = ['1-0', '0-1', '1/2-1/2', '*'];
+// import.meta.env only exists under Vite; Node scripts (e.g. the match runner) import this too
+const apiBase = import.meta.env?.DEV ? 'http://localhost:3001' : '';
+
+/**
+ * Variant and en passant rule from the Balanced and FirstMoveEnPassant tags
+ */
+function getRules(tags) {
+  return {
+    isUnbalanced: tags.Balanced !== 'true',
+    firstMoveEnPassant: tags.FirstMoveEnPassant !== 'false',
+  };
+}
+
+/**
+ * Parse the first game in a PGN.
+ * Comments, variations, NAGs and move numbers are dropped; only the SAN moves
+ * are kept, since turn boundaries follow from the double-move rules on replay.
+ * Returns { tags, sans, result, isUnbalanced, firstMoveEnPassant }; a PGN
+ * without the FirstMoveEnPassant tag gets the default rule.
+ */
+export function parsePgn(text) {
+  const tags = {};
+  const source = String(text || '').replace(/\r\n?/g, '\n');
+
+  // Tag pairs come first; the movetext is whatever follows them
+  const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/;
+  const lines = source.split('\n');
+  let i = 0;
+  for (; i < lines.length; i++) {
+    const match = lines[i].match(tagPattern);
+    if (match) {
+      tags[match[1]] = match[2].replace(/\\(.)/g, '$1');
+    } else if (lines[i].trim() !== '') {
+      break;
+    }
+  }
+
+  const movetext = lines.slice(i).join('\n')
+    .replace(/\{[^}]*\}/g, ' ')   // {comments}
+    .replace(/;[^\n]*/g, ' ');    // ; rest-of-line comments
+
+  const sans = [];
+  let result = tags.Result || '*';
+  let variationDepth = 0;
+  for (const rawToken of movetext.split(/\s+/)) {
+    // Split parentheses off so "(1... e5" and "Nf3)" still nest correctly
+    for (const token of rawToken.split(/([()])/).filter(Boolean)) {
+      if (token === '(') { variationDepth++; continue; }
+      if (token === ')') { variationDepth = Math.max(0, variationDepth - 1); continue; }
+      if (variationDepth > 0) continue;
+      if (RESULT_TOKENS.includes(token)) {
+        result = token;
+        return { tags, sans, result, ...getRules(tags) };
+      }
+      if (/^\$\d+$/.test(token)) continue;   // NAG
+
+      const san = token.replace(/^\d+\.+/, '').replace(/[!?]+$/, '');
+      if (san) sans.push(san);
+    }
+  }
+
+  return { tags, sans, result, ...getRules(tags) };
+}
+
+/**
+ * Replay SAN moves under the double-move rules (chess-rules, the same turn
+ * logic as useChessController.applyLocalMove and the server).
+ * Returns { chess, moves, movesInTurn, epSquares, error } where moves are
+ * verbose moves with the FEN after each, and error names the first move that
+ * didn't apply.
+ */
+export function replayMarseillaisMoves(sans, { isUnbalanced = true, firstMoveEnPassant = true } = {}) {
+  const { chess, moves, movesInTurn, epSquares, error } = replayMoves(sans, { isUnbalanced, firstMoveEnPassant });
+  return { chess, moves, movesInTurn, epSquares, error };
+}
+
+/**
+ * Server-side PGN for an online game (includes clock comments)
+ */
+export async function fetchGamePgn(gameId) {
+  const res = await fetch(`${apiBase}/api/games/${encodeURIComponent(gameId)}/pgn`);
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed (${res.status})`);
+  }
+  return res.text();
+}
+
+/**
+ * Save PGN text as a file through the browser
+ */
+export function downloadPgn(pgn, filename) {
+  const url = URL.createObjectURL(new Blob([pgn], { type: 'application/x-chess-pgn' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
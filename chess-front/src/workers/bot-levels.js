@@ -0,0 +1,49 @@
+/**
+ * Bot strength ladder.
+ *
+ * Each level fixes how hard the bot searches (depth in turns, node cap,
+ * thinking-time cap) and how it plays like a weaker human below the top
+ * levels:
+ *   - evalNoise: Gaussian noise (centipawns, standard deviation) added to
+ *     the scores of the best `multiPV` root turns before picking one, so it
+ *     prefers good turns without always finding the best
+ *   - maxLoss: turns scoring more than this below the best are never picked,
+ *     which keeps the noise from throwing whole pieces away every turn
+ *   - mistakeChance: chance of keeping the chosen first move but replacing
+ *     the second with a plausible-looking weaker one - the typical
+ *     Marseillais beginner error of spending the second move badly
+ * Forced mates the search finds are always played as found.
+ *
+ * Plain data, shared by the engine worker (bot-turn.js applies the
+ * settings) and the UI (level picker), so it imports nothing.
+ */
+
+export const BOT_LEVELS = [
+  { level: 1, name: 'Beginner',     depth: 1, maxNodes: 5000,     thinkMs: 1000,  multiPV: 8, evalNoise: 250, maxLoss: 900, mistakeChance: 0.5,  useBook: false },
+  { level: 2, name: 'Novice',       depth: 1, maxNodes: 10000,    thinkMs: 1500,  multiPV: 6, evalNoise: 150, maxLoss: 500, mistakeChance: 0.35, useBook: false },
+  { level: 3, name: 'Casual',       depth: 1, maxNodes: 20000,    thinkMs: 2000,  multiPV: 5, evalNoise: 90,  maxLoss: 300, mistakeChance: 0.2,  useBook: false },
+  { level: 4, name: 'Club',         depth: 2, maxNodes: 30000,    thinkMs: 3000,  multiPV: 4, evalNoise: 50,  maxLoss: 200, mistakeChance: 0.1,  useBook: true },
+  { level: 5, name: 'Intermediate', depth: 2, maxNodes: 80000,    thinkMs: 5000,  multiPV: 3, evalNoise: 25,  maxLoss: 100, mistakeChance: 0.04, useBook: true },
+  { level: 6, name: 'Advanced',     depth: 2, maxNodes: Infinity, thinkMs: 8000,  multiPV: 1, evalNoise: 0,   maxLoss: 0,   mistakeChance: 0,    useBook: true },
+  { level: 7, name: 'Expert',       depth: 3, maxNodes: Infinity, thinkMs: 10000, multiPV: 1, evalNoise: 0,   maxLoss: 0,   mistakeChance: 0,    useBook: true },
+  { level: 8, name: 'Master',       depth: 4, maxNodes: Infinity, thinkMs: 15000, multiPV: 1, evalNoise: 0,   maxLoss: 0,   mistakeChance: 0,    useBook: true },
+];
+
+export const MIN_BOT_LEVEL = 1;
+export const MAX_BOT_LEVEL = BOT_LEVELS.length;
+export const DEFAULT_BOT_LEVEL = 4;
+
+/**
+ * Settings for a level; unknown or missing levels get the default
+ */
+export function getBotLevel(level) {
+  return BOT_LEVELS.find(l => l.level === level) || BOT_LEVELS[DEFAULT_BOT_LEVEL - 1];
+}
+
+/**
+ * Whether a level plays the search's best turn as is (no noise or
+ * mistakes) - only those levels gain from extra search threads
+ */
+export function isFullStrengthLevel(level) {
+  return level.evalNoise === 0 && level.mistakeChance === 0;
+}
@@ -0,0 +1,100 @@
+/**
+ * Turn selection for the bot at a given strength level (see bot-levels.js).
+ */
+
+import {
+  analyzePosition,
+  findBestTurn,
+  generateLegalMoves,
+  makeMove,
+  undoMove,
+  evaluate,
+  CHECKMATE_SCORE,
+} from './double-move-engine.js';
+import { isFullStrengthLevel } from './bot-levels.js';
+
+// How many of the best-looking second moves a mistake is picked from
+const MISTAKE_CANDIDATES = 4;
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Same first move, different second move: one of the few second moves that
+ * look best by static evaluation, as a player who only glances at the
+ * position after the first move would choose.
+ */
+function withWeakSecondMove(state, turn, color, random) {
+  const position = state.clone();
+  makeMove(position, turn[0]);
+
+  const alternatives = generateLegalMoves(position, color, true)
+    .filter(move => move !== turn[1])
+    .map(move => {
+      const undoInfo = makeMove(position, move);
+      const score = evaluate(position) * color;
+      undoMove(position, move, undoInfo);
+      return { move, score };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MISTAKE_CANDIDATES);
+
+  if (alternatives.length === 0) return turn;
+  return [turn[0], alternatives[Math.floor(random() * alternatives.length)].move];
+}
+
+/**
+ * Pick the bot's turn for the side to move at the given level.
+ * Top levels play the search's best turn; lower levels pick among the
+ * best few with noise and sometimes spoil the second move.
+ *
+ * @param {GameState} state - Position at the start of the turn
+ * @param {Object} level - Entry from BOT_LEVELS
+ * @param {Object} options - { maxMoves, timeMs, random, searchId }
+ *   searchId joins a parallel search (see findBestTurn); only the top
+ *   levels, which play the plain search result, take part in one
+ * @returns {Array|null} Engine moves, or null when there are none
+ */
+export function chooseBotTurn(state, level, options = {}) {
+  const { maxMoves = 2, timeMs = Infinity, random = Math.random, searchId } = options;
+  const color = state.sideToMove;
+  const budget = { timeMs: Math.min(timeMs, level.thinkMs), maxNodes: level.maxNodes };
+
+  if (isFullStrengthLevel(level)) {
+    return findBestTurn(state, level.depth, color, maxMoves, { ...budget, searchId });
+  }
+
+  const { lines } = analyzePosition(state, {
+    depth: level.depth,
+    multiPV: level.multiPV,
+    maxMoves,
+    color,
+    ...budget,
+  });
+  if (lines.length === 0) return null;
+
+  const bestScore = lines[0].score;
+  if (bestScore >= CHECKMATE_SCORE / 2) return lines[0].turn;
+
+  let chosen = lines[0];
+  let chosenScore = -Infinity;
+  for (const line of lines) {
+    if (bestScore - line.score > level.maxLoss) continue;
+    const noisyScore = line.score + gaussian(random) * level.evalNoise;
+    if (noisyScore > chosenScore) {
+      chosen = line;
+      chosenScore = noisyScore;
+    }
+  }
+
+  if (chosen.turn.length === 2 && random() < level.mistakeChance) {
+    return withWeakSecondMove(state, chosen.turn, color, random);
+  }
+  return chosen.turn;
+}
@@ -10,6 +10,9 @@
  * Uses minimax with alpha-beta pruning
  */
 
+import { DEFAULT_EVAL_PARAMS, normalizeEvalParams, cloneEvalParams } from './eval-params.js';
+import { probeTablebase, hasTablebases, TB_MISSING, TB_DRAW } from './tablebase.js';
+
 // ============================================================================
 // DEBUG LOGGING
 // ============================================================================
@@ -49,10 +52,9 @@ export const B_KING = -6;
 export const WHITE = 1;
 export const BLACK = -1;
 
-// Material values
-// MARSEILLAIS CHESS ADJUSTMENT: Pawns devalued to 80cp because spending a full
-// turn (2 moves) to win a pawn while opponent develops is a losing trade
-const PIECE_VALUES = new Int16Array([0, 80, 320, 330, 500, 900, 20000]);
+// Material values, filled from the evaluation parameters (see eval-params.js)
+// Shared with SEE and move ordering, so they follow whatever set is loaded
+const PIECE_VALUES = new Int16Array(7);
 
 // 10x12 mailbox - maps 64 squares to 120 array
 // The padding allows easy off-board detection for sliding pieces
@@ -124,6 +126,18 @@ for (let i = 0; i < 9; i++) {
 // Zobrist key for side to move
 const ZOBRIST_SIDE = seededRandomBigInt();
 
+/**
+ * En passant part of the Zobrist hash. Two open targets hash as the XOR of
+ * their files, so a single target keys the same whichever slot holds it.
+ */
+function zobristEp(state) {
+  if (state.epSquare === -1 && state.epSquare2 === -1) return ZOBRIST_EP[8];
+  let key = 0n;
+  if (state.epSquare !== -1) key ^= ZOBRIST_EP[MAILBOX_120[state.epSquare] % 8];
+  if (state.epSquare2 !== -1) key ^= ZOBRIST_EP[MAILBOX_120[state.epSquare2] % 8];
+  return key;
+}
+
 // ============================================================================
 // MOVE ORDERING TABLES
 // ============================================================================
@@ -145,71 +159,13 @@ for (let p = 0; p < 7; p++) {
 // PIECE-SQUARE TABLES (from white's perspective, index 0-63)
 // ============================================================================
 
-const PST_PAWN = new Int16Array([
-   0,  0,  0,  0,  0,  0,  0,  0,
-  50, 50, 50, 50, 50, 50, 50, 50,
-  15, 15, 25, 35, 35, 25, 15, 15,
-  10, 10, 15, 30, 30, 15, 10, 10,
-   5,  5, 10, 25, 25, 10,  5,  5,
-   0,  0,  0, 15, 15,  0,  0,  0,
-   5,  5,-30,-15,-15,-30,  5,  5,
-   0,  0,  0,  0,  0,  0,  0,  0,
-]);
-
-const PST_KNIGHT = new Int16Array([
-  -50,-40,-30,-30,-30,-30,-40,-50,
-  -40,-20, 10, 10, 10, 10,-20,-40,
-  -30, 10, 25, 30, 30, 25, 10,-30,
-  -30, 15, 30, 35, 35, 30, 15,-30,
-  -30, 10, 30, 35, 35, 30, 10,-30,
-  -30, 15, 25, 30, 30, 25, 15,-30,
-  -40,-20,  5, 10, 10,  5,-20,-40,
-  -50,-40,-20,-30,-30,-20,-40,-50,
-]);
-
-const PST_BISHOP = new Int16Array([
-  -20,-10,-10,-10,-10,-10,-10,-20,
-  -10,  5,  0,  0,  0,  0,  5,-10,
-  -10, 10, 10, 10, 10, 10, 10,-10,
-  -10,  0, 15, 15, 15, 15,  0,-10,
-  -10,  5, 15, 15, 15, 15,  5,-10,
-  -10,  0, 15, 10, 10, 15,  0,-10,
-  -10,  0,  0,  0,  0,  0,  0,-10,
-  -20,-10,-40,-10,-10,-40,-10,-20,
-]);
-
-const PST_ROOK = new Int16Array([
-   0,  0,  0,  0,  0,  0,  0,  0,
-   5, 10, 10, 10, 10, 10, 10,  5,
-  -5,  0,  0,  0,  0,  0,  0, -5,
-  -5,  0,  0,  0,  0,  0,  0, -5,
-  -5,  0,  0,  0,  0,  0,  0, -5,
-  -5,  0,  0,  0,  0,  0,  0, -5,
-  -5,  0,  0,  0,  0,  0,  0, -5,
-   0,  0,  0,  5,  5,  0,  0,  0,
-]);
-
-const PST_QUEEN = new Int16Array([
-  -30,-20,-20,-10,-10,-20,-20,-30,
-  -20,-10,-10, -5, -5,-10,-10,-20,
-  -20,-10,  0,  0,  0,  0,-10,-20,
-  -10, -5,  0,  0,  0,  0, -5,-10,
-  -10, -5,  0,  0,  0,  0, -5,-10,
-  -10,  0,  0,  0,  0,  0,  0,-10,
-   -5,  0,  0,  0,  0,  0,  0, -5,
-  -10, -5, -5,  0,  0, -5, -5,-10,
-]);
-
-const PST_KING = new Int16Array([
-  -50,-50,-50,-50,-50,-50,-50,-50,
-  -50,-50,-50,-50,-50,-50,-50,-50,
-  -50,-50,-50,-50,-50,-50,-50,-50,
-  -40,-40,-40,-50,-50,-40,-40,-40,
-  -30,-30,-30,-40,-40,-30,-30,-30,
-  -20,-20,-20,-20,-20,-20,-20,-20,
-   10, 20, -5,-10,-10, -5, 20, 10,
-   15, 40, 25,  0,  0, 10, 40, 15,
-]);
+// Filled from the evaluation parameters by setEvalParams
+const PST_PAWN = new Int16Array(64);
+const PST_KNIGHT = new Int16Array(64);
+const PST_BISHOP = new Int16Array(64);
+const PST_ROOK = new Int16Array(64);
+const PST_QUEEN = new Int16Array(64);
+const PST_KING = new Int16Array(64);
 
 const PST = [null, PST_PAWN, PST_KNIGHT, PST_BISHOP, PST_ROOK, PST_QUEEN, PST_KING];
 
@@ -232,6 +188,14 @@ export class GameState {
     // En passant square (mailbox index, or -1 if none)
     this.epSquare = -1;
     
+    // Second en passant square: a double push from the first move of the
+    // turn, still open for the opponent's reply (-1 if none)
+    this.epSquare2 = -1;
+    
+    // Whether a double push on the first move of a turn can be taken en
+    // passant (a game option; otherwise only the last move's push counts)
+    this.firstMoveEnPassant = true;
+    
     // Side to move: 1 = white, -1 = black
     this.sideToMove = WHITE;
     
@@ -294,6 +258,7 @@ export class GameState {
     this.blackKingSq = 25;
     this.castling = 0b1111;
     this.epSquare = -1;
+    this.epSquare2 = -1;
     this.sideToMove = WHITE;
     this.history = [];
     this.halfMoveClock = 0;
@@ -326,12 +291,7 @@ export class GameState {
     hash ^= ZOBRIST_CASTLING[this.castling];
     
     // Hash en passant
-    if (this.epSquare !== -1) {
-      const epFile = MAILBOX_120[this.epSquare] % 8;
-      hash ^= ZOBRIST_EP[epFile];
-    } else {
-      hash ^= ZOBRIST_EP[8]; // No ep
-    }
+    hash ^= zobristEp(this);
     
     // Hash side to move
     if (this.sideToMove === BLACK) {
@@ -342,24 +302,39 @@ export class GameState {
   }
   
   /**
-   * Generate a hash string for the current position (for repetition detection)
+   * Generate a hash string for the current position (for repetition detection).
+   * It names the side that just moved rather than sideToMove, which the
+   * search never flips: makeMove knows the mover, so keys recorded in a
+   * search match the ones recorded while replaying the game.
    */
-  getPositionHash() {
-    // Include: piece positions, side to move, castling rights, ep square
+  getPositionHash(lastMover = -this.sideToMove) {
+    // Include: piece positions, last mover, castling rights, ep square
     let hash = '';
     for (let i = 0; i < 64; i++) {
       const sq = MAILBOX_64[i];
       const piece = this.board[sq];
       hash += String.fromCharCode(piece + 50); // Offset to printable chars
     }
-    hash += this.sideToMove === WHITE ? 'w' : 'b';
+    hash += lastMover === WHITE ? 'w' : 'b';
     hash += String.fromCharCode(this.castling + 65);
-    hash += this.epSquare === -1 ? '-' : String.fromCharCode(this.epSquare);
+    // Both targets in square order, so the same targets give the same key
+    const ep1 = this.epSquare;
+    const ep2 = this.epSquare2;
+    if (ep1 === -1 && ep2 === -1) {
+      hash += '-';
+    } else if (ep1 === -1 || ep2 === -1) {
+      hash += String.fromCharCode(Math.max(ep1, ep2));
+    } else {
+      hash += String.fromCharCode(Math.min(ep1, ep2), Math.max(ep1, ep2));
+    }
     return hash;
   }
   
   /**
-   * Load position from FEN string
+   * Load position from a FEN string, plain or Marseillais (chess-rules): the
+   * en passant field may name two squares, the first-move target first.
+   * Returns the moves left in the side to move's turn (the seventh field,
+   * 2 for a plain FEN).
    */
   loadFen(fen) {
     this.board.fill(OFF_BOARD);
@@ -367,7 +342,7 @@ export class GameState {
       this.board[MAILBOX_64[i]] = EMPTY;
     }
     
-    const parts = fen.split(' ');
+    const parts = fen.trim().split(/\s+/);
     const position = parts[0];
     
     let sq64 = 0;
@@ -412,18 +387,66 @@ export class GameState {
       if (parts[2].includes('q')) this.castling |= 0b0001;
     }
     
-    // En passant
-    this.epSquare = -1;
-    if (parts[3] && parts[3] !== '-') {
-      const file = parts[3].charCodeAt(0) - 97;
-      const rank = 8 - parseInt(parts[3][1]);
-      this.epSquare = MAILBOX_64[rank * 8 + file];
-    }
+    // En passant: the latest push, after a target carried from the first move
+    const targets = (parts[3] || '').match(/[a-h][1-8]/g) || [];
+    const squares = targets.map(algebraicToSquare);
+    this.epSquare = squares.length > 0 ? squares[squares.length - 1] : -1;
+    this.epSquare2 = squares.length > 1 ? squares[0] : -1;
     
+    this.halfMoveClock = parseInt(parts[4], 10) || 0;
     this.history = [];
     
     // Recompute Zobrist hash for loaded position
     this.zobristHash = this.computeZobristHash();
+    
+    // The game starts over here as far as repetitions go
+    if (this.positionHistory) {
+      this.positionHistory = new Map([[this.getPositionHash(), 1]]);
+    }
+    
+    return parts[6] === '1' ? 1 : 2;
+  }
+  
+  /**
+   * The position as a Marseillais FEN (see chess-rules) with `movesLeft`
+   * moves left in the side to move's turn
+   */
+  toFen({ movesLeft = 2, fullMoveNumber = 1 } = {}) {
+    const pieceChars = { [W_PAWN]: 'P', [W_KNIGHT]: 'N', [W_BISHOP]: 'B', [W_ROOK]: 'R', [W_QUEEN]: 'Q', [W_KING]: 'K' };
+    const rows = [];
+    for (let rank = 0; rank < 8; rank++) {
+      let row = '';
+      let empty = 0;
+      for (let file = 0; file < 8; file++) {
+        const piece = this.board[MAILBOX_64[rank * 8 + file]];
+        if (piece === EMPTY) {
+          empty++;
+          continue;
+        }
+        if (empty > 0) row += empty;
+        empty = 0;
+        const char = pieceChars[Math.abs(piece)];
+        row += piece > 0 ? char : char.toLowerCase();
+      }
+      rows.push(empty > 0 ? row + empty : row);
+    }
+    
+    const castling = ['K', 'Q', 'k', 'q'].filter((_, i) => this.castling & (0b1000 >> i)).join('') || '-';
+    // Mid-turn the mover's own push is only kept under first-move en passant
+    const ownEpRank = this.sideToMove === WHITE ? 7 : 4;
+    const targets = [this.epSquare2, this.epSquare].filter(sq =>
+      sq !== -1 && (this.firstMoveEnPassant || Math.floor(sq / 10) !== ownEpRank));
+    const ep = targets.map(squareToAlgebraic).join('') || '-';
+    
+    return [
+      rows.join('/'),
+      this.sideToMove === WHITE ? 'w' : 'b',
+      castling,
+      ep,
+      this.halfMoveClock,
+      fullMoveNumber,
+      movesLeft,
+    ].join(' ');
   }
   
   /**
@@ -436,6 +459,8 @@ export class GameState {
     copy.blackKingSq = this.blackKingSq;
     copy.castling = this.castling;
     copy.epSquare = this.epSquare;
+    copy.epSquare2 = this.epSquare2;
+    copy.firstMoveEnPassant = this.firstMoveEnPassant;
     copy.sideToMove = this.sideToMove;
     copy.halfMoveClock = this.halfMoveClock;
     copy.positionHistory = new Map(this.positionHistory);
@@ -470,7 +495,7 @@ export function getMovePromotion(move) { return (move >> 18) & 0xF; }
 export function getMoveFlags(move) { return (move >> 22) & 0x3; }
 
 const FLAG_NORMAL = 0;
-const FLAG_EP = 1;
+export const FLAG_EP = 1;
 const FLAG_CASTLE = 2;
 const FLAG_DOUBLE_PAWN = 3;
 
@@ -502,8 +527,9 @@ export function isSquareAttacked(state, sq, byColor) {
     }
   }
   
-  // Pawn attacks
-  const pawnDir = byColor === WHITE ? -10 : 10;
+  // Pawn attacks - an attacking pawn stands one rank behind the square
+  // from its own side (below it for white, above it for black)
+  const pawnDir = byColor === WHITE ? 10 : -10;
   const pawn = byColor === WHITE ? W_PAWN : B_PAWN;
   if (board[sq + pawnDir - 1] === pawn || board[sq + pawnDir + 1] === pawn) {
     return true;
@@ -640,8 +666,8 @@ function getLeastValuableAttackerFromBoard(board, sq, byColor) {
   let bestSq = -1;
   let bestPiece = 7;
   
-  // Check pawns first
-  const pawnDir = byColor === WHITE ? -10 : 10;
+  // Check pawns first (one rank behind the square from their side, as in isSquareAttacked)
+  const pawnDir = byColor === WHITE ? 10 : -10;
   const pawn = byColor === WHITE ? W_PAWN : B_PAWN;
   for (const sideDir of [-1, 1]) {
     const from = sq + pawnDir + sideDir;
@@ -798,7 +824,7 @@ function generatePawnMoves(state, from, color, moves) {
     // En passant - only valid if capturing an ENEMY pawn
     // In double-move chess, a player's own pawn might set the ep square
     // but only the opponent should be able to capture it
-    if (capTo === state.epSquare) {
+    if (capTo === state.epSquare || capTo === state.epSquare2) {
       // The pawn being captured is on the adjacent rank
       const epPawnSq = capTo + (color === WHITE ? 10 : -10);
       const epPawn = board[epPawnSq];
@@ -944,6 +970,7 @@ export function makeMove(state, move) {
   const undoInfo = {
     castling: state.castling,
     epSquare: state.epSquare,
+    epSquare2: state.epSquare2,
     piece: piece,
     halfMoveClock: state.halfMoveClock,
     zobristHash: state.zobristHash,
@@ -993,12 +1020,7 @@ export function makeMove(state, move) {
   hash ^= ZOBRIST_CASTLING[state.castling];
   
   // Update ep hash
-  if (state.epSquare !== -1) {
-    const oldEpFile = MAILBOX_120[state.epSquare] % 8;
-    hash ^= ZOBRIST_EP[oldEpFile];
-  } else {
-    hash ^= ZOBRIST_EP[8];
-  }
+  hash ^= zobristEp(state);
   
   // Update halfmove clock (reset on pawn move or capture, else increment)
   if (pieceType === W_PAWN || captured !== 0) {
@@ -1007,8 +1029,15 @@ export function makeMove(state, move) {
     state.halfMoveClock++;
   }
   
+  // The opponent's targets only last for this move. A push from our own
+  // first move stays open for their reply (the second move of our turn).
+  const ownEpRank = color === WHITE ? 7 : 4;
+  const carriedEp = state.firstMoveEnPassant && state.epSquare !== -1 &&
+    Math.floor(state.epSquare / 10) === ownEpRank ? state.epSquare : -1;
+  
   // Clear en passant (will be set if double pawn push)
   state.epSquare = -1;
+  state.epSquare2 = -1;
   
   // Move the piece
   board[from] = EMPTY;
@@ -1066,20 +1095,22 @@ export function makeMove(state, move) {
   // Update castling hash with new rights
   hash ^= ZOBRIST_CASTLING[state.castling];
   
-  // Update ep hash with new ep square
-  if (state.epSquare !== -1) {
-    const newEpFile = MAILBOX_120[state.epSquare] % 8;
-    hash ^= ZOBRIST_EP[newEpFile];
-  } else {
-    hash ^= ZOBRIST_EP[8];
+  // Keep the first-move target while the pushed pawn is still there and
+  // nothing stands on the square behind it
+  if (carriedEp !== -1 && board[carriedEp] === EMPTY &&
+      board[carriedEp + (color === WHITE ? -10 : 10)] === W_PAWN * color) {
+    state.epSquare2 = carriedEp;
   }
   
+  // Update ep hash with new ep squares
+  hash ^= zobristEp(state);
+  
   // Store the updated hash
   state.zobristHash = hash;
   
   // Record position for repetition detection
   if (state.positionHistory) {
-    const posHash = state.getPositionHash();
+    const posHash = state.getPositionHash(color);
     const count = state.positionHistory.get(posHash) || 0;
     state.positionHistory.set(posHash, count + 1);
     undoInfo.positionHash = posHash;
@@ -1141,6 +1172,7 @@ export function undoMove(state, move, undoInfo) {
   // Restore castling and ep
   state.castling = undoInfo.castling;
   state.epSquare = undoInfo.epSquare;
+  state.epSquare2 = undoInfo.epSquare2;
   
   // Restore halfmove clock
   if (undoInfo.halfMoveClock !== undefined) {
@@ -1243,7 +1275,7 @@ export function evaluate(state) {
     const pieceType = Math.abs(piece);
     const color = piece > 0 ? WHITE : BLACK;
     
-    // Material value (pawns already devalued to 80cp)
+    // Material value
     const matValue = PIECE_VALUES[pieceType];
     
     if (color === WHITE) {
@@ -1262,7 +1294,7 @@ export function evaluate(state) {
   }
   
   // =========================================================================
-  // PHASE 2: Development (BUFFED - 45cp per piece)
+  // PHASE 2: Development
   // In Marseillais, development is worth MORE than standard chess
   // =========================================================================
   let whiteUndeveloped = 0;
@@ -1280,24 +1312,24 @@ export function evaluate(state) {
   const whiteDeveloped = 4 - whiteUndeveloped;
   const blackDeveloped = 4 - blackUndeveloped;
   
-  // MARSEILLAIS ADJUSTMENT: 60cp per developed piece
-  // Developing 2 pieces in a turn = +120cp, beats grabbing pawn (80cp)
-  score += whiteDeveloped * 60;
-  score -= blackDeveloped * 60;
+  // MARSEILLAIS ADJUSTMENT: developing 2 pieces in a turn should beat
+  // grabbing a pawn, so each developed piece outweighs half a pawn
+  score += whiteDeveloped * evalParams.developedPiece;
+  score -= blackDeveloped * evalParams.developedPiece;
   
   // =========================================================================
-  // PHASE 3: Bishop Pair Bonus (+150cp) - very significant in Marseillais
+  // PHASE 3: Bishop Pair Bonus - very significant in Marseillais
   // Two bishops can coordinate attacks in a double-move turn (Bc4 Bxf7+)
   // Losing the pair is costly; removing opponent's pair is valuable
   // This strongly encourages: take their bishop (not knight) when given choice
   // =========================================================================
-  if (whiteBishops >= 2) score += 150;
-  if (blackBishops >= 2) score -= 150;
+  if (whiteBishops >= 2) score += evalParams.bishopPair;
+  if (blackBishops >= 2) score -= evalParams.bishopPair;
   
   // =========================================================================
   // PHASE 4: Anti-Trading Piece Count Bonus
   // In Marseillais, more pieces = more double-move threats
-  // Each minor/major piece is worth +25cp just for existing (on top of material)
+  // Each minor/major piece earns a bonus just for existing (on top of material)
   // This makes even trades bad because you lose the "activity" bonus
   // =========================================================================
   let whitePieceCount = 0;
@@ -1313,10 +1345,10 @@ export function evaluate(state) {
       else blackPieceCount++;
     }
   }
-  // +25cp per piece - trading pieces loses this bonus for BOTH sides
-  // but if you initiate the trade, opponent can recapture and you wasted a turn
-  score += whitePieceCount * 25;
-  score -= blackPieceCount * 25;
+  // Trading pieces loses this bonus for BOTH sides, but if you initiate the
+  // trade, opponent can recapture and you wasted a turn
+  score += whitePieceCount * evalParams.pieceCount;
+  score -= blackPieceCount * evalParams.pieceCount;
   
   // =========================================================================
   // PHASE 5: King Safety - Aggressive Penalty
@@ -1325,9 +1357,9 @@ export function evaluate(state) {
   const whiteKingAttackers = countKingAttackers(state, state.whiteKingSq, false);
   const blackKingAttackers = countKingAttackers(state, state.blackKingSq, true);
   
-  // -30cp per enemy piece near your king
-  score -= whiteKingAttackers * 30;
-  score += blackKingAttackers * 30;
+  // Penalty per enemy piece near your king
+  score -= whiteKingAttackers * evalParams.kingAttacker;
+  score += blackKingAttackers * evalParams.kingAttacker;
   
   // =========================================================================
   // PHASE 5b: Pawn Shield - Penalize exposed king diagonals
@@ -1339,11 +1371,11 @@ export function evaluate(state) {
   if (state.whiteKingSq === 95 || state.whiteKingSq === 97) { // e1 or g1
     // Check if f2 pawn is missing (sq64=53 = f2)
     if (board[MAILBOX_64[53]] !== W_PAWN) {
-      score -= 150; // Exposed king diagonal - very dangerous in Marseillais
+      score -= evalParams.missingFPawn; // Exposed king diagonal - very dangerous in Marseillais
     }
     // Also penalize missing g2 pawn if king is on g1
     if (state.whiteKingSq === 97 && board[MAILBOX_64[54]] !== W_PAWN) {
-      score -= 80;
+      score -= evalParams.missingGPawn;
     }
   }
   
@@ -1351,11 +1383,11 @@ export function evaluate(state) {
   if (state.blackKingSq === 25 || state.blackKingSq === 27) { // e8 or g8
     // Check if f7 pawn is missing (sq64=5 = f7)
     if (board[MAILBOX_64[5]] !== B_PAWN) {
-      score += 150; // Exposed king diagonal (good for white)
+      score += evalParams.missingFPawn; // Exposed king diagonal (good for white)
     }
     // Also penalize missing g7 pawn if king is on g8
     if (state.blackKingSq === 27 && board[MAILBOX_64[6]] !== B_PAWN) {
-      score += 80;
+      score += evalParams.missingGPawn;
     }
   }
   
@@ -1365,29 +1397,29 @@ export function evaluate(state) {
   // =========================================================================
   
   // Bonus for still having castling rights (can castle later)
-  if (state.castling & 0b1000) score += 40;  // White kingside
-  if (state.castling & 0b0100) score += 20;  // White queenside
-  if (state.castling & 0b0010) score -= 40;  // Black kingside
-  if (state.castling & 0b0001) score -= 20;  // Black queenside
+  if (state.castling & 0b1000) score += evalParams.castlingRightKingside;   // White kingside
+  if (state.castling & 0b0100) score += evalParams.castlingRightQueenside;  // White queenside
+  if (state.castling & 0b0010) score -= evalParams.castlingRightKingside;   // Black kingside
+  if (state.castling & 0b0001) score -= evalParams.castlingRightQueenside;  // Black queenside
   
   // BIG bonus for having castled - king is safe
-  if (state.whiteKingSq === 97) score += 150;  // White castled kingside
-  if (state.whiteKingSq === 93) score += 120;  // White castled queenside
-  if (state.blackKingSq === 27) score -= 150;  // Black castled kingside
-  if (state.blackKingSq === 23) score -= 120;  // Black castled queenside
+  if (state.whiteKingSq === 97) score += evalParams.castledKingside;   // White castled kingside
+  if (state.whiteKingSq === 93) score += evalParams.castledQueenside;  // White castled queenside
+  if (state.blackKingSq === 27) score -= evalParams.castledKingside;   // Black castled kingside
+  if (state.blackKingSq === 23) score -= evalParams.castledQueenside;  // Black castled queenside
   
   // HEAVY penalty for king on bad squares (moved without castling)
   // f1/f8 is particularly bad - exposed on open file
   const whiteKingOnF1 = state.whiteKingSq === 96; // f1
   const blackKingOnF8 = state.blackKingSq === 26; // f8
-  if (whiteKingOnF1) score -= 200;
-  if (blackKingOnF8) score += 200;
+  if (whiteKingOnF1) score -= evalParams.kingOnF1;
+  if (blackKingOnF8) score += evalParams.kingOnF1;
   
   // General penalty for king not on starting square or castled position
   const whiteKingBad = state.whiteKingSq !== 95 && state.whiteKingSq !== 97 && state.whiteKingSq !== 93;
   const blackKingBad = state.blackKingSq !== 25 && state.blackKingSq !== 27 && state.blackKingSq !== 23;
-  if (whiteKingBad) score -= 120;
-  if (blackKingBad) score += 120;
+  if (whiteKingBad) score -= evalParams.kingDisplaced;
+  if (blackKingBad) score += evalParams.kingDisplaced;
   
   // EXTRA penalty: Lost castling rights while still in opening (undeveloped pieces)
   // This catches the case where king moved and LOST the option to castle
@@ -1396,19 +1428,19 @@ export function evaluate(state) {
   
   if (whiteLostCastling && !whiteKingBad && state.whiteKingSq === 95) {
     // White is on e1 but can't castle (rooks moved) - mild penalty
-    score -= 40;
+    score -= evalParams.lostCastlingAtHome;
   }
   if (blackLostCastling && !blackKingBad && state.blackKingSq === 25) {
     // Black is on e8 but can't castle (rooks moved) - mild penalty
-    score += 40;
+    score += evalParams.lostCastlingAtHome;
   }
   
   // If still have undeveloped pieces but lost castling, extra penalty
   if (whiteLostCastling && whiteUndeveloped >= 2 && whiteKingBad) {
-    score -= 100; // Moved king early while undeveloped = bad
+    score -= evalParams.earlyKingWalk; // Moved king early while undeveloped = bad
   }
   if (blackLostCastling && blackUndeveloped >= 2 && blackKingBad) {
-    score += 100; // Moved king early while undeveloped = bad
+    score += evalParams.earlyKingWalk; // Moved king early while undeveloped = bad
   }
   
   // =========================================================================
@@ -1431,8 +1463,8 @@ export function evaluate(state) {
     else if (piece < 0) blackCenterControl += 1;
   }
   
-  score += whiteCenterControl * 15;
-  score -= blackCenterControl * 15;
+  score += whiteCenterControl * evalParams.centerControl;
+  score -= blackCenterControl * evalParams.centerControl;
   
   // =========================================================================
   // PHASE 8: Early Queen Penalty
@@ -1441,10 +1473,10 @@ export function evaluate(state) {
   const blackQueenSq = findPiece(board, B_QUEEN);
   
   if (whiteQueenSq !== -1 && whiteQueenSq !== 59 && whiteUndeveloped >= 2) {
-    score -= 50;
+    score -= evalParams.earlyQueen;
   }
   if (blackQueenSq !== -1 && blackQueenSq !== 3 && blackUndeveloped >= 2) {
-    score += 50;
+    score += evalParams.earlyQueen;
   }
   
   // =========================================================================
@@ -1459,10 +1491,10 @@ export function evaluate(state) {
   // Heavy penalty for trading while undeveloped
   // If black is undeveloped and pieces have been traded, black is doing it wrong
   if (blackUndeveloped >= 2 && piecesTradedAway > 0) {
-    score += piecesTradedAway * 40; // +40cp penalty to black per piece traded
+    score += piecesTradedAway * evalParams.tradeWhileUndeveloped; // Penalty to black per piece traded
   }
   if (whiteUndeveloped >= 2 && piecesTradedAway > 0) {
-    score -= piecesTradedAway * 40; // +40cp penalty to white per piece traded
+    score -= piecesTradedAway * evalParams.tradeWhileUndeveloped; // Penalty to white per piece traded
   }
   
   return score;
@@ -1494,14 +1526,53 @@ export function evaluateMaterial(state) {
 
 const MVV_LVA = new Int16Array(49); // 7x7 for victim/attacker combinations
 
-// Initialize MVV-LVA table
-for (let victim = 1; victim <= 6; victim++) {
-  for (let attacker = 1; attacker <= 6; attacker++) {
-    // Higher score = better capture (high value victim by low value attacker)
-    MVV_LVA[victim * 7 + attacker] = PIECE_VALUES[victim] * 10 - PIECE_VALUES[attacker];
+// ============================================================================
+// EVALUATION PARAMETERS
+// ============================================================================
+
+// Scalar weights for evaluate(); the tables above are filled in place
+let evalParams = null;
+
+/**
+ * Load an evaluation parameter set (see eval-params.js). Missing entries fall
+ * back to the defaults. Refills the material values and piece-square tables
+ * in place - SEE and move ordering read them too - and rebuilds MVV-LVA.
+ * Cached search results scored with the old weights are dropped.
+ *
+ * @param {Object} params - Parameter set, e.g. a file written by scripts/tune-eval.mjs
+ * @throws {Error} If a table has the wrong shape or a weight isn't a finite number
+ */
+export function setEvalParams(params = DEFAULT_EVAL_PARAMS) {
+  const normalized = normalizeEvalParams(params);
+
+  PIECE_VALUES.set(normalized.pieceValues.map(Math.round));
+  PST_PAWN.set(normalized.pst.pawn.map(Math.round));
+  PST_KNIGHT.set(normalized.pst.knight.map(Math.round));
+  PST_BISHOP.set(normalized.pst.bishop.map(Math.round));
+  PST_ROOK.set(normalized.pst.rook.map(Math.round));
+  PST_QUEEN.set(normalized.pst.queen.map(Math.round));
+  PST_KING.set(normalized.pst.king.map(Math.round));
+
+  for (let victim = 1; victim <= 6; victim++) {
+    for (let attacker = 1; attacker <= 6; attacker++) {
+      // Higher score = better capture (high value victim by low value attacker)
+      MVV_LVA[victim * 7 + attacker] = PIECE_VALUES[victim] * 10 - PIECE_VALUES[attacker];
+    }
   }
+
+  if (evalParams) clearSearchTables();
+  evalParams = normalized;
 }
 
+/**
+ * Copy of the parameter set the evaluation is currently using
+ */
+export function getEvalParams() {
+  return cloneEvalParams(evalParams);
+}
+
+setEvalParams(DEFAULT_EVAL_PARAMS);
+
 /**
  * Score a move for ordering (higher = search first)
  * Uses SEE to properly order captures: winning > equal > quiet > losing
@@ -1661,11 +1732,34 @@ function getQuietScore(state, turn) {
 // SEARCH - MINIMAX WITH ALPHA-BETA FOR DOUBLE-MOVE CHESS
 // ============================================================================
 
-const CHECKMATE_SCORE = 100000;
+export const CHECKMATE_SCORE = 100000;
 const DRAW_SCORE = 0;
 
 let nodesSearched = 0;
 
+// Search limits (set by findBestTurn, checked inside searchTurns)
+let searchDeadline = Infinity;   // Date.now() timestamp after which the search stops
+let searchNodeLimit = Infinity;  // Max nodes before the search stops
+let searchAborted = false;       // Set once a limit is hit - partial results are discarded
+
+// Parallel search: the shared table's control word holds the current search
+// id; a thread whose search id no longer matches has been told to stop
+let searchControl = null;        // Int32Array over the shared table header, or null
+let searchId = 0;                // Id of the running parallel search (0 = not parallel)
+
+/**
+ * Check the time and node budget. Once exceeded, the whole search unwinds.
+ */
+function checkSearchLimits() {
+  if (searchAborted) return true;
+  if (nodesSearched >= searchNodeLimit || Date.now() >= searchDeadline) {
+    searchAborted = true;
+  } else if (searchId !== 0 && Atomics.load(searchControl, TT_CONTROL_SEARCH_ID) !== searchId) {
+    searchAborted = true;
+  }
+  return searchAborted;
+}
+
 /**
  * Check if the game is over
  * Returns: 'checkmate', 'stalemate', 'draw', or null
@@ -1687,7 +1781,7 @@ export function getGameResult(state, color) {
   
   // Check for threefold repetition
   if (state.positionHistory) {
-    const hash = state.getPositionHash();
+    const hash = state.getPositionHash(-color);
     const count = state.positionHistory.get(hash) || 0;
     if (count >= 3) {
       return 'repetition';
@@ -1773,7 +1867,7 @@ function generatePawnCaptures(state, from, color, moves) {
     }
     
     // En passant
-    if (capTo === state.epSquare) {
+    if (capTo === state.epSquare || capTo === state.epSquare2) {
       const epPawnSq = capTo + (color === WHITE ? 10 : -10);
       const epPawn = board[epPawnSq];
       if (epPawn !== EMPTY && epPawn * color < 0 && Math.abs(epPawn) === W_PAWN) {
@@ -2029,76 +2123,147 @@ function scoreFirstMove(state, move) {
   return score;
 }
 
+// Turn generation is staged, so a search that cuts off early never pays for
+// the whole list. Stage 1 holds the turns most likely to matter, ordered by
+// scoreTurn: every second move after the best-scored first moves, captures
+// and promotions after the next ones, and the one-move turns (checks).
+// Stage 2 - the late turns - is everything else, expanded one first move at
+// a time in scoreFirstMove order. The search decides how hard to look at
+// late turns; the generator never leaves a legal turn out.
+const STAGE1_FULL_FIRST_MOVES = 15;
+const STAGE1_TACTICAL_FIRST_MOVES = 25;
+
 /**
- * Generate all legal turns for a color.
- * A turn is [move1, move2] or [move1] if move1 gives check.
- * Returns array of turns, each turn is an array of 1-2 encoded moves.
- * 
- * OPTIMIZATION: Late first moves only get tactical second-move expansion.
- * This skips the expensive generateLegalMoves call for unpromising first moves.
+ * Lazily generate every legal turn for a color.
+ * A turn is [move1, move2], or [move1] if move1 gives check or leaves no
+ * second move. Returns { next, isLate }: next() gives the next turn or null
+ * once there are none left, and isLate tells whether that turn came from
+ * stage 2. `firstTurn` (the TT's best turn) is given first if it is legal.
+ * The state must be back in the generator's position at every next() call.
  */
-function generateAllTurns(state, color, maxMoves = 2) {
-  const turns = [];
+function createTurnGenerator(state, color, maxMoves = 2, firstTurn = null) {
   const firstMoves = generateLegalMoves(state, color);
+  let stage1 = [];
+  // Stage 2 first moves as { move, skip }: skip holds the second moves
+  // stage 1 already paired with it
+  const lateFirstMoves = [];
   
   if (maxMoves === 1) {
     // Single-move mode (balanced first turn)
-    for (const move1 of firstMoves) {
-      turns.push([move1]);
+    stage1 = firstMoves.map(move1 => [move1]);
+  } else {
+    const scoredFirst = firstMoves.map(m => ({
+      move: m,
+      score: scoreFirstMove(state, m)
+    }));
+    scoredFirst.sort((a, b) => b.score - a.score);
+    
+    for (let i = 0; i < scoredFirst.length; i++) {
+      const move1 = scoredFirst[i].move;
+      const undoInfo1 = makeMove(state, move1);
+      
+      if (isInCheck(state, -color)) {
+        // A check ends the turn
+        stage1.push([move1]);
+      } else if (i < STAGE1_FULL_FIRST_MOVES) {
+        const secondMoves = generateLegalMoves(state, color);
+        if (secondMoves.length === 0) {
+          stage1.push([move1]);
+        } else {
+          for (const move2 of secondMoves) {
+            stage1.push([move1, move2]);
+          }
+        }
+      } else if (i < STAGE1_TACTICAL_FIRST_MOVES) {
+        // FAST tactical expansion: only captures now, the quiet rest later
+        const captures = generateTacticalMoves(state, color);
+        for (const move2 of captures) {
+          stage1.push([move1, move2]);
+        }
+        lateFirstMoves.push({ move: move1, skip: new Set(captures) });
+      } else {
+        lateFirstMoves.push({ move: move1, skip: null });
+      }
+      
+      undoMove(state, move1, undoInfo1);
     }
-    return turns;
   }
   
-  // Score and sort first moves for pruning decisions
-  // Top moves get full expansion, rest only get captures as second moves
-  const FULL_EXPANSION_LIMIT = 15;
-  const TACTICAL_EXPANSION_LIMIT = 25; // Beyond this, only single-move or check turns
+  if (stage1.length > 8) stage1 = orderTurns(state, stage1);
   
-  const scoredFirst = firstMoves.map(m => ({
-    move: m,
-    score: scoreFirstMove(state, m)
-  }));
-  scoredFirst.sort((a, b) => b.score - a.score);
+  // The TT turn goes first. A late one is checked for legality here (the
+  // entry may belong to another position) and skipped in stage 2.
+  let lateFirstTurn = null;
+  if (firstTurn) {
+    stage1 = putTurnFirst(stage1, firstTurn);
+    const isInStage1 = stage1.length > 0 && stage1[0][0] === firstTurn[0] && stage1[0][1] === firstTurn[1];
+    const late = !isInStage1 && firstTurn.length === 2 && lateFirstMoves.find(f => f.move === firstTurn[0]);
+    if (late && !late.skip?.has(firstTurn[1])) {
+      const undoInfo1 = makeMove(state, late.move);
+      if (generateLegalMoves(state, color).includes(firstTurn[1])) {
+        lateFirstTurn = [firstTurn[0], firstTurn[1]];
+      }
+      undoMove(state, late.move, undoInfo1);
+    }
+  }
   
-  for (let i = 0; i < scoredFirst.length; i++) {
-    const move1 = scoredFirst[i].move;
+  // Stage 2 turns of one first move, best scoreTurn first
+  const expandLate = ({ move: move1, skip }) => {
     const undoInfo1 = makeMove(state, move1);
+    const secondMoves = generateLegalMoves(state, color);
+    undoMove(state, move1, undoInfo1);
     
-    // Check if first move gave check - turn ends
-    const gaveCheck = isInCheck(state, -color);
-    
-    if (gaveCheck) {
-      turns.push([move1]);
-    } else if (i < FULL_EXPANSION_LIMIT) {
-      // Full expansion for top first moves
-      const secondMoves = generateLegalMoves(state, color);
-      if (secondMoves.length === 0) {
-        turns.push([move1]);
-      } else {
-        for (const move2 of secondMoves) {
-          turns.push([move1, move2]);
-        }
+    if (secondMoves.length === 0) return [[move1]];
+    const turns = [];
+    for (const move2 of secondMoves) {
+      if (skip?.has(move2)) continue;
+      if (lateFirstTurn && move1 === lateFirstTurn[0] && move2 === lateFirstTurn[1]) continue;
+      turns.push([move1, move2]);
+    }
+    return turns.length > 1 ? orderTurns(state, turns) : turns;
+  };
+  
+  let isLateFirstTurnDone = false;
+  let stage1Index = 0;
+  let lateIndex = 0;
+  let lateTurns = [];
+  let lateTurnIndex = 0;
+  
+  const generator = {
+    isLate: false,
+    next() {
+      if (lateFirstTurn && !isLateFirstTurnDone) {
+        isLateFirstTurnDone = true;
+        generator.isLate = false;
+        return lateFirstTurn;
       }
-    } else if (i < TACTICAL_EXPANSION_LIMIT) {
-      // FAST tactical expansion: only generate captures (skip full legal gen)
-      // Use pseudo-legal captures, then filter for legality
-      const captures = generateTacticalMoves(state, color);
-      if (captures.length === 0) {
-        turns.push([move1]); // Single-move turn as fallback
-      } else {
-        for (const move2 of captures) {
-          turns.push([move1, move2]);
-        }
+      if (stage1Index < stage1.length) {
+        generator.isLate = false;
+        return stage1[stage1Index++];
       }
-    } else {
-      // Very late first moves: just add as single-move turn
-      // These are unlikely to be best anyway
-      turns.push([move1]);
-    }
-    
-    undoMove(state, move1, undoInfo1);
+      while (lateTurnIndex >= lateTurns.length) {
+        if (lateIndex >= lateFirstMoves.length) return null;
+        lateTurns = expandLate(lateFirstMoves[lateIndex++]);
+        lateTurnIndex = 0;
+      }
+      generator.isLate = true;
+      return lateTurns[lateTurnIndex++];
+    },
+  };
+  return generator;
+}
+
+/**
+ * Every legal turn for a color, in the generator's order (see
+ * createTurnGenerator). Late turns are also added to `lateTurns` if given.
+ */
+function generateAllTurns(state, color, maxMoves = 2, lateTurns = null) {
+  const generator = createTurnGenerator(state, color, maxMoves);
+  const turns = [];
+  for (let turn = generator.next(); turn; turn = generator.next()) {
+    turns.push(turn);
+    if (generator.isLate) lateTurns?.add(turn);
   }
-  
   return turns;
 }
 
@@ -2144,7 +2309,7 @@ function generateTacticalMoves(state, color) {
         }
         
         // En passant
-        if (capTo === state.epSquare) {
+        if (capTo === state.epSquare || capTo === state.epSquare2) {
           const epPawnSq = capTo + (color === WHITE ? 10 : -10);
           const epPawn = board[epPawnSq];
           if (epPawn !== EMPTY && epPawn * color < 0 && Math.abs(epPawn) === W_PAWN) {
@@ -2316,20 +2481,223 @@ function orderTurns(state, turns) {
   return scored.map(s => s.turn);
 }
 
-// Simple transposition table - caches search results
-const TT_SIZE = 65536; // 64K entries
-const ttable = new Map();
+// ============================================================================
+// TRANSPOSITION TABLE
+// ============================================================================
+
+// Fixed-size table in typed arrays, so it never allocates during search.
+// Entries come in buckets of two: slot 0 keeps the deepest result for its
+// bucket (unless it is from an older search), slot 1 is always replaced.
+// Keys are the 64-bit Zobrist hash split into hi/lo 32-bit halves. The
+// Zobrist keys come from a weak LCG whose low bits barely vary, so the bucket
+// index is the top bits of (hi ^ lo) times the golden ratio (a Fibonacci
+// hash), never the raw low bits.
+//
+// All arrays are views over one buffer, which can be a SharedArrayBuffer
+// shared by several workers (lazy SMP). Threads write entries without
+// locking, so the low key half is stored xor-ed with the entry's data: an
+// entry torn by two threads writing at once fails the key check instead of
+// returning another position's score.
+const TT_DEFAULT_SIZE_MB = 16;
+const TT_BUCKET_SLOTS = 2;
+// keyHi + keyLo + score + two turn moves (4 bytes each) + depth, flag, age
+const TT_BYTES_PER_ENTRY = 5 * 4 + 3;
+// Buffer header (Int32 words): parallel search control, then the entry count
+const TT_HEADER_BYTES = 16;
+const TT_CONTROL_SEARCH_ID = 0;
+const TT_CONTROL_ENTRIES = 1;
 
 // TT entry flags - must track bound type for correct alpha-beta
 const TT_FLAG_EXACT = 0;  // True minimax value
 const TT_FLAG_ALPHA = 1;  // Upper bound (all moves failed low)
 const TT_FLAG_BETA = 2;   // Lower bound (cutoff occurred)
+const TT_FLAG_EMPTY = 3;  // Unused slot
+
+let ttBucketMask = 0;
+let ttBucketShift = 32;
+let ttKeyHi;
+let ttKeyLo;
+let ttScore;
+let ttMove1;   // Best turn's first move
+let ttMove2;   // Best turn's second move (0 for a one-move turn)
+let ttDepth;
+let ttFlag;
+let ttAge;
+let ttCurrentAge = 0;
+
+/**
+ * Entry count for a table of about `sizeMb`, rounded down to a power of two
+ * so a bucket index is just a mask of the key
+ */
+function ttEntriesForSize(sizeMb) {
+  const maxEntries = Math.max(TT_BUCKET_SLOTS, Math.floor(sizeMb * 1024 * 1024 / TT_BYTES_PER_ENTRY));
+  const buckets = 2 ** Math.floor(Math.log2(maxEntries / TT_BUCKET_SLOTS));
+  return buckets * TT_BUCKET_SLOTS;
+}
+
+/**
+ * Point the table arrays at `buffer` (header + entries)
+ */
+function ttAttach(buffer) {
+  const header = new Int32Array(buffer, 0, TT_HEADER_BYTES / 4);
+  const entries = header[TT_CONTROL_ENTRIES];
+  let offset = TT_HEADER_BYTES;
+  const view = (Type) => {
+    const array = new Type(buffer, offset, entries);
+    offset += entries * Type.BYTES_PER_ELEMENT;
+    return array;
+  };
+  
+  ttBucketMask = entries / TT_BUCKET_SLOTS - 1;
+  ttBucketShift = 32 - Math.log2(entries / TT_BUCKET_SLOTS);
+  ttKeyHi = view(Uint32Array);
+  ttKeyLo = view(Uint32Array);
+  ttScore = view(Int32Array);
+  ttMove1 = view(Int32Array);
+  ttMove2 = view(Int32Array);
+  ttDepth = view(Int8Array);
+  ttFlag = view(Uint8Array);
+  ttAge = view(Uint8Array);
+  ttCurrentAge = 0;
+  
+  const isShared = typeof SharedArrayBuffer !== 'undefined' && buffer instanceof SharedArrayBuffer;
+  searchControl = isShared ? header : null;
+  return entries;
+}
+
+/**
+ * A fresh table buffer: header filled in, every entry empty
+ */
+function ttCreateBuffer(sizeMb, BufferType) {
+  const entries = ttEntriesForSize(sizeMb);
+  const buffer = new BufferType(TT_HEADER_BYTES + entries * TT_BYTES_PER_ENTRY);
+  new Int32Array(buffer, 0, TT_HEADER_BYTES / 4)[TT_CONTROL_ENTRIES] = entries;
+  ttAttach(buffer);
+  ttFlag.fill(TT_FLAG_EMPTY);
+  return buffer;
+}
+
+/**
+ * (Re)allocate a private table for this thread. Clears all entries.
+ */
+export function setTranspositionTableSize(sizeMb = TT_DEFAULT_SIZE_MB) {
+  ttCreateBuffer(sizeMb, ArrayBuffer);
+  log(`[Engine] Transposition table: ${ttFlag.length} entries (${sizeMb}MB)`);
+}
+
+/**
+ * Allocate a table in a SharedArrayBuffer and use it. Hand the buffer to
+ * other threads (postMessage) and attach it there with
+ * attachSharedTranspositionTable, so they all search into one table.
+ * The buffer's first Int32 word is the parallel search control word (see
+ * findBestTurn's searchId); the rest is private to the engine.
+ *
+ * @returns {SharedArrayBuffer}
+ */
+export function createSharedTranspositionTable(sizeMb = TT_DEFAULT_SIZE_MB) {
+  const buffer = ttCreateBuffer(sizeMb, SharedArrayBuffer);
+  log(`[Engine] Shared transposition table: ${ttFlag.length} entries (${sizeMb}MB)`);
+  return buffer;
+}
+
+/**
+ * Use a table created by createSharedTranspositionTable in another thread
+ */
+export function attachSharedTranspositionTable(buffer) {
+  const entries = ttAttach(buffer);
+  log(`[Engine] Attached shared transposition table: ${entries} entries`);
+}
+
+/**
+ * How much of the table is in use: { buckets, usedBuckets, entries, usedEntries }.
+ * A search that fills entries but leaves most buckets untouched means the
+ * keys aren't spreading over the table.
+ */
+export function getTranspositionTableUsage() {
+  ttEnsureTable();
+  const entries = ttFlag.length;
+  let usedEntries = 0;
+  let usedBuckets = 0;
+  for (let base = 0; base < entries; base += TT_BUCKET_SLOTS) {
+    let used = 0;
+    for (let i = base; i < base + TT_BUCKET_SLOTS; i++) {
+      if (ttFlag[i] !== TT_FLAG_EMPTY) used++;
+    }
+    usedEntries += used;
+    if (used > 0) usedBuckets++;
+  }
+  return { buckets: entries / TT_BUCKET_SLOTS, usedBuckets, entries, usedEntries };
+}
+
+/**
+ * Allocate the default private table if none has been set or attached yet.
+ * Not done at load, so a helper worker that attaches a shared table never
+ * allocates one of its own.
+ */
+function ttEnsureTable() {
+  if (!ttFlag) setTranspositionTableSize();
+}
 
-function ttProbe(hash, depth, alpha, beta) {
-  const entry = ttable.get(hash);
-  if (entry && entry.depth >= depth) {
-    const score = entry.score;
-    const flag = entry.flag;
+/**
+ * Start a new search generation. Entries from earlier searches stay usable
+ * but are the first to be replaced.
+ */
+function ttNewSearch() {
+  ttCurrentAge = (ttCurrentAge + 1) & 0xFF;
+}
+
+/**
+ * Everything in an entry besides the key, folded into 32 bits - stored
+ * xor-ed into the low key half so torn entries don't match
+ */
+function ttEntryCheck(index) {
+  return (ttScore[index] ^ ttMove1[index] ^ Math.imul(ttMove2[index], 31) ^ (ttDepth[index] << 24) ^ (ttFlag[index] << 16)) >>> 0;
+}
+
+/**
+ * Low key half of the entry at `index` (undoes the check xor)
+ */
+function ttStoredKeyLo(index) {
+  return (ttKeyLo[index] ^ ttEntryCheck(index)) >>> 0;
+}
+
+/**
+ * Table key for `color` to move. The incremental hash doesn't flip sides
+ * within a search (makeMove leaves sideToMove alone), so mix the side in here.
+ */
+function ttKey(hash, color) {
+  return color === BLACK ? hash ^ ZOBRIST_SIDE : hash;
+}
+
+/**
+ * First slot of the bucket for a key's hi/lo halves. A shift of 32 (a
+ * one-bucket table) is a shift of 0 to JavaScript, so the mask is still needed.
+ */
+function ttBucketBase(hi, lo) {
+  return ((Math.imul(hi ^ lo, 0x9E3779B1) >>> ttBucketShift) & ttBucketMask) * TT_BUCKET_SLOTS;
+}
+
+/**
+ * Index of the slot holding `key`, or -1
+ */
+function ttFind(key) {
+  const hi = Number(key >> 32n);
+  const lo = Number(key & 0xFFFFFFFFn);
+  const base = ttBucketBase(hi, lo);
+  
+  for (let i = base; i < base + TT_BUCKET_SLOTS; i++) {
+    if (ttFlag[i] !== TT_FLAG_EMPTY && ttKeyHi[i] === hi && ttStoredKeyLo(i) === lo) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function ttProbe(hash, color, depth, alpha, beta) {
+  const index = ttFind(ttKey(hash, color));
+  if (index !== -1 && ttDepth[index] >= depth) {
+    const score = ttScore[index];
+    const flag = ttFlag[index];
     
     // Only return exact scores directly
     if (flag === TT_FLAG_EXACT) {
@@ -2347,150 +2715,282 @@ function ttProbe(hash, depth, alpha, beta) {
   return null;
 }
 
-function ttStore(hash, depth, score, flag) {
-  // Simple replacement: always replace (or keep deeper)
-  const existing = ttable.get(hash);
-  if (!existing || existing.depth <= depth) {
-    if (ttable.size >= TT_SIZE) {
-      // Clear half the table when full (simple strategy)
-      const keys = Array.from(ttable.keys()).slice(0, TT_SIZE / 2);
-      for (const k of keys) ttable.delete(k);
+/**
+ * Best turn stored for this position (from any depth), or null
+ */
+function ttProbeTurn(hash, color) {
+  const index = ttFind(ttKey(hash, color));
+  if (index === -1 || ttMove1[index] === 0) return null;
+  return ttMove2[index] === 0 ? [ttMove1[index]] : [ttMove1[index], ttMove2[index]];
+}
+
+function ttStore(hash, color, depth, score, flag, bestTurn) {
+  // Scores must fit the Int32 slot (search scores are finite centipawns)
+  if (!Number.isFinite(score)) return;
+  
+  const key = ttKey(hash, color);
+  const hi = Number(key >> 32n);
+  const lo = Number(key & 0xFFFFFFFFn);
+  const base = ttBucketBase(hi, lo);
+  
+  // Depth-preferred slot: take it for the same position, an empty or stale
+  // slot, or a result at least as deep; otherwise use the always-replace slot
+  let index = base + 1;
+  const isSame = ttFlag[base] !== TT_FLAG_EMPTY && ttKeyHi[base] === hi && ttStoredKeyLo(base) === lo;
+  if (isSame || ttFlag[base] === TT_FLAG_EMPTY || ttAge[base] !== ttCurrentAge || depth >= ttDepth[base]) {
+    index = base;
+  }
+  
+  // Keep a known best turn when a bound without one overwrites the same position
+  const keepTurn = !bestTurn && ttFlag[index] !== TT_FLAG_EMPTY && ttKeyHi[index] === hi && ttStoredKeyLo(index) === lo;
+  
+  ttKeyHi[index] = hi;
+  ttScore[index] = score;
+  ttDepth[index] = depth;
+  ttFlag[index] = flag;
+  ttAge[index] = ttCurrentAge;
+  if (!keepTurn) {
+    ttMove1[index] = bestTurn ? bestTurn[0] : 0;
+    ttMove2[index] = bestTurn && bestTurn.length > 1 ? bestTurn[1] : 0;
+  }
+  ttKeyLo[index] = (lo ^ ttEntryCheck(index)) >>> 0;
+}
+
+/**
+ * Move the turn matching `ttTurn` (same moves) to the front, if present
+ */
+function putTurnFirst(turns, ttTurn) {
+  if (!ttTurn) return turns;
+  const index = turns.findIndex(turn =>
+    turn.length === ttTurn.length && turn[0] === ttTurn[0] && turn[1] === ttTurn[1]
+  );
+  if (index <= 0) return turns;
+  return [turns[index], ...turns.slice(0, index), ...turns.slice(index + 1)];
+}
+
+// ============================================================================
+// ENDGAME TABLEBASES
+// ============================================================================
+
+// Tablebase wins score below real mates found by the search but far above
+// any evaluation, and fall off with the distance to mate so the search
+// heads for the quickest one. The distance belongs to the position, not to
+// the search path, so these scores are safe to keep in the TT.
+const TB_WIN_SCORE = CHECKMATE_SCORE / 2;
+
+/**
+ * Exact score for `color` to move from a loaded tablebase, or null if no
+ * table covers the position (see tablebase.js)
+ */
+function probeTablebaseScore(state, color) {
+  if (state.castling !== 0 || !hasTablebases()) return null;
+
+  const value = probeTablebase(state.board, color);
+  if (value === TB_MISSING) return null;
+  if (value === TB_DRAW) return getDrawScore(state, color);
+
+  const distance = value - 1;
+  return distance % 2 === 1 ? TB_WIN_SCORE - distance : -TB_WIN_SCORE + distance;
+}
+
+/**
+ * Pick a turn straight from the tablebases: the quickest win, else a draw,
+ * else the slowest loss. Returns null unless the position and every
+ * position a turn leads to are covered.
+ */
+function findTablebaseTurn(state, color, maxMoves) {
+  if (probeTablebaseScore(state, color) === null) return null;
+
+  let bestTurn = null;
+  let bestScore = -Infinity;
+
+  for (const turn of generateAllTurns(state, color, maxMoves)) {
+    const undoInfos = applyTurn(state, turn);
+    const replyScore = probeTablebaseScore(state, -color);
+    undoTurn(state, turn, undoInfos);
+
+    if (replyScore === null) return null;
+    if (-replyScore > bestScore) {
+      bestScore = -replyScore;
+      bestTurn = turn;
     }
-    ttable.set(hash, { depth, score, flag });
   }
+
+  if (bestTurn) {
+    log(`[Engine] Tablebase turn: ${turnToString(state, bestTurn)} score=${bestScore}`);
+  }
+  return bestTurn;
 }
 
 // ============================================================================
-// HANGING PIECE DETECTION - Fast tactical awareness without full quiescence
+// TURN-LEVEL QUIESCENCE SEARCH
 // ============================================================================
 
+// Quiescence depth in turns. Tactical turns can chain (capture-capture,
+// recapture-recapture...), so the limit keeps leaf searches bounded.
+const QS_MAX_PLY = 4;
+
+// Quiet first moves (checks, and quiet moves that set up a new capture) are
+// only tried this many turns into quiescence - beyond that only captures
+// and promotions are followed.
+const QS_QUIET_PLIES = 1;
+
+// Delta pruning: skip tactical turns that can't raise the score to alpha
+// even if they win a bit more than their static exchange estimate
+const QS_DELTA_MARGIN = 200;
+
 /**
- * Detect hanging pieces and return a penalty.
- * A piece is "hanging" if:
- * 1. It's attacked and not defended
- * 2. It's attacked by a less valuable piece (bad trade)
- * 3. It CAN BE attacked by a pawn advance + capture (Marseillais key tactic!)
- * 
- * In double-move chess, the opponent can advance a pawn AND capture in one turn,
- * so pieces that are "one pawn push away" from being captured are in danger.
+ * Generate the tactical turns for quiescence:
+ * - captures and promotions, optionally followed by a second capture/promotion
+ * - checks (which end the turn)
+ * - capture-after-quiet-move pairs, e.g. a pawn push and then a capture the
+ *   push made possible (the Marseillais tactic the old hanging-piece
+ *   heuristic tried to guess statically)
+ * In check, every evasion is tried as a first move.
+ * Returns [{ turn, score }] sorted by expected material gain.
  */
-function getHangingPiecePenalty(state, color) {
-  const board = state.board;
-  const opponent = -color;
-  let penalty = 0;
+function generateTacticalTurns(state, color, inCheck, allowQuiet) {
+  const result = [];
   
-  for (let sq64 = 0; sq64 < 64; sq64++) {
-    const sq = MAILBOX_64[sq64];
-    const piece = board[sq];
+  // Captures available before any quiet move - quiet pairs must create new ones
+  const existingTargets = new Set();
+  
+  // Full move lists are pseudo-legal here; legality is checked once each move is made
+  let firstMoves;
+  if (inCheck) {
+    firstMoves = generatePseudoLegalMoves(state, color);
+  } else {
+    const tactical = generateTacticalMoves(state, color);
+    for (const move of tactical) existingTargets.add(getMoveTo(move));
+    firstMoves = allowQuiet ? generatePseudoLegalMoves(state, color) : tactical;
+  }
+  
+  for (const move1 of firstMoves) {
+    const captured1 = getMoveCaptured(move1);
+    const promotion1 = getMovePromotion(move1);
+    const isTactical1 = captured1 !== 0 || promotion1 !== 0;
     
-    if (piece === EMPTY) continue;
-    if (piece * color <= 0) continue; // Not our piece
+    // Losing captures rarely matter once both sides can recapture
+    const see1 = captured1 !== 0 ? staticExchangeEval(state, move1) : 0;
+    if (!inCheck && captured1 !== 0 && see1 < 0) continue;
     
-    const pieceType = Math.abs(piece);
-    if (pieceType === W_KING) continue; // Don't count king
+    const gain1 = isTactical1
+      ? Math.max(see1, 0) + (promotion1 ? PIECE_VALUES[promotion1] - PIECE_VALUES[W_PAWN] : 0)
+      : 0;
     
-    // Check if this piece is attacked by opponent
-    if (isSquareAttacked(state, sq, opponent)) {
-      // Check if it's defended by us
-      const isDefended = isSquareAttacked(state, sq, color);
-      
-      if (!isDefended) {
-        // Undefended and attacked = hanging!
-        penalty += PIECE_VALUES[pieceType];
-      } else {
-        // Defended but attacked - check for unfavorable trades
-        const pawnDir = opponent === WHITE ? -10 : 10;
-        const oppPawn = opponent === WHITE ? W_PAWN : B_PAWN;
-        if (pieceType > W_PAWN && 
-            (board[sq + pawnDir - 1] === oppPawn || board[sq + pawnDir + 1] === oppPawn)) {
-          penalty += PIECE_VALUES[pieceType] - PIECE_VALUES[W_PAWN];
-        }
-      }
-    }
+    const undoInfo1 = makeMove(state, move1);
     
-    // MARSEILLAIS SPECIAL: Check if piece can be captured by pawn advance + capture
-    // This is the key tactic - opponent plays pawn push, then pawn captures
-    // Example: Knight on f6, pawn on e4 -> e5 exf6 wins the knight
-    // Example: Knight on c6, pawn on d4 -> d5 dxc6 wins the knight
-    if (pieceType >= W_KNIGHT) { // Only check for pieces, not pawns
-      const pawnAdvanceDir = opponent === WHITE ? -10 : 10; // Direction pawns move
-      const pawnStartDir = opponent === WHITE ? 10 : -10;   // Where pawn comes from
-      const oppPawn = opponent === WHITE ? W_PAWN : B_PAWN;
-      
-      // Check both diagonal attack squares
-      for (const sideDir of [-1, 1]) {
-        const attackFromSq = sq + pawnAdvanceDir + sideDir; // Square pawn attacks from
-        const pawnCurrentSq = attackFromSq + pawnStartDir;  // Where pawn is now
-        
-        // Is there an opponent pawn that can advance to attack us?
-        if (board[pawnCurrentSq] === oppPawn && board[attackFromSq] === EMPTY) {
-          // Pawn can advance and then capture us!
-          // Check if we'd be defended after the pawn advances
-          // (Simplified: assume we're not defended from this new angle)
-          const isDefended = isSquareAttacked(state, sq, color);
-          if (!isDefended) {
-            // Completely undefended - full piece value at risk
-            penalty += PIECE_VALUES[pieceType];
-          } else {
-            // Defended, but pawn trade is still bad for us
-            penalty += PIECE_VALUES[pieceType] - PIECE_VALUES[W_PAWN];
-          }
-          break; // Don't double-count
-        }
+    if (isInCheck(state, color)) {
+      // Illegal - leaves our king in check
+    } else if (isInCheck(state, -color)) {
+      // A check ends the turn
+      result.push({ turn: [move1], score: gain1 + 50 });
+    } else {
+      let hasSecond = false;
+      for (const move2 of generateTacticalMoves(state, color)) {
+        const captured2 = getMoveCaptured(move2);
+        const see2 = captured2 !== 0 ? staticExchangeEval(state, move2) : 0;
+        if (captured2 !== 0 && see2 < 0) continue;
         
-        // Also check 2-square pawn advance from starting rank
-        const pawnDoubleStartSq = pawnCurrentSq + pawnStartDir;
-        const pawnStartRank = opponent === WHITE ? 6 : 1; // Rank 2 or 7 (0-indexed)
-        const pawnDoubleRank = Math.floor(MAILBOX_120[pawnDoubleStartSq] / 8);
+        // After a quiet first move, only follow captures it made possible
+        if (!isTactical1 && !inCheck && (see2 <= 0 || existingTargets.has(getMoveTo(move2)))) continue;
         
-        if (pawnDoubleRank === pawnStartRank && 
-            board[pawnDoubleStartSq] === oppPawn && 
-            board[pawnCurrentSq] === EMPTY &&
-            board[attackFromSq] === EMPTY) {
-          // Pawn can double-advance and then capture!
-          const isDefended = isSquareAttacked(state, sq, color);
-          if (!isDefended) {
-            penalty += PIECE_VALUES[pieceType];
-          } else {
-            penalty += PIECE_VALUES[pieceType] - PIECE_VALUES[W_PAWN];
-          }
-          break;
-        }
+        const promotion2 = getMovePromotion(move2);
+        const gain2 = Math.max(see2, 0) + (promotion2 ? PIECE_VALUES[promotion2] - PIECE_VALUES[W_PAWN] : 0);
+        result.push({ turn: [move1, move2], score: gain1 + gain2 });
+        hasSecond = true;
+      }
+      
+      // A lone capture (or evasion) is still a turn; a lone quiet move isn't tactical
+      if (!hasSecond && (isTactical1 || inCheck)) {
+        result.push({ turn: [move1], score: gain1 });
       }
     }
+    
+    undoMove(state, move1, undoInfo1);
   }
   
-  return penalty;
+  result.sort((a, b) => b.score - a.score);
+  return result;
 }
 
 /**
- * Evaluation with hanging piece detection.
- * This replaces quiescence search with a fast static analysis.
+ * Quiescence search over tactical turns, so leaf scores reflect resolved
+ * captures instead of positions with pieces still en prise.
+ * The side to move may "stand pat" on the static eval (unless in check),
+ * which both bounds the score and allows early cutoffs.
+ * @param qply - turns searched so far in quiescence
  */
-function evalWithHanging(state, color) {
-  const baseEval = evalForColor(state, color);
+function quiesceTurns(state, alpha, beta, color, qply = 0) {
+  nodesSearched++;
   
-  // Penalize our hanging pieces
-  const ourHanging = getHangingPiecePenalty(state, color);
+  if (checkSearchLimits()) {
+    return 0;
+  }
   
-  // Bonus for opponent's hanging pieces (we can capture them)
-  const theirHanging = getHangingPiecePenalty(state, -color);
+  const inCheck = isInCheck(state, color);
+  let bestScore = -Infinity;
   
-  // In double-move chess, hanging pieces are VERY bad because
-  // opponent can attack+capture in one turn. Apply 80% of the penalty.
-  let score = baseEval - Math.floor(ourHanging * 0.8) + Math.floor(theirHanging * 0.8);
+  if (!inCheck) {
+    let standPat = evalForColor(state, color);
+    standPat += get50MoveAdjustment(state, color, standPat);
+    
+    if (standPat >= beta || qply >= QS_MAX_PLY) {
+      return standPat;
+    }
+    bestScore = standPat;
+    if (standPat > alpha) {
+      alpha = standPat;
+    }
+  }
   
-  // Apply 50-move rule adjustment if approaching draw
-  score += get50MoveAdjustment(state, color, score);
+  const turns = generateTacticalTurns(state, color, inCheck, qply < QS_QUIET_PLIES);
   
-  return score;
+  if (turns.length === 0) {
+    if (!inCheck) return bestScore;
+    // In check with no evasions is mate; otherwise fall back to the static eval
+    return generateLegalMoves(state, color).length === 0
+      ? -CHECKMATE_SCORE
+      : evalForColor(state, color);
+  }
+  
+  // Evasions past the ply limit aren't searched any further
+  if (qply >= QS_MAX_PLY) {
+    return evalForColor(state, color);
+  }
+  
+  for (const { turn, score: gain } of turns) {
+    // Turns are sorted by gain, so once one can't reach alpha none of the rest can
+    if (!inCheck && bestScore + gain + QS_DELTA_MARGIN <= alpha) break;
+    
+    const undoInfos = applyTurn(state, turn);
+    const score = -quiesceTurns(state, -beta, -alpha, -color, qply + 1);
+    undoTurn(state, turn, undoInfos);
+    
+    if (searchAborted) {
+      return 0;
+    }
+    
+    if (score > bestScore) {
+      bestScore = score;
+    }
+    if (score > alpha) {
+      alpha = score;
+    }
+    if (alpha >= beta) {
+      break;
+    }
+  }
+  
+  return bestScore;
 }
 
 /**
- * Check if the current position is a draw by repetition or 50-move rule.
+ * Check if the current position, reached by a move of `lastMover`, is a draw
+ * by repetition or 50-move rule.
  * Returns true if it's a draw, false otherwise.
  */
-function isDrawPosition(state) {
+function isDrawPosition(state, lastMover) {
   // 50-move rule: 100 half-moves without pawn move or capture
   if (state.halfMoveClock >= 100) {
     return true;
@@ -2498,7 +2998,7 @@ function isDrawPosition(state) {
   
   // Threefold repetition
   if (state.positionHistory) {
-    const hash = state.getPositionHash();
+    const hash = state.getPositionHash(lastMover);
     const count = state.positionHistory.get(hash) || 0;
     if (count >= 3) {
       return true;
@@ -2509,12 +3009,12 @@ function isDrawPosition(state) {
 }
 
 /**
- * Check if a position would be a draw after applying a turn.
+ * Check if a position would be a draw after applying a turn of `lastMover`.
  * Returns the repetition count (3 = immediate draw).
  */
-function getRepetitionCount(state) {
+function getRepetitionCount(state, lastMover) {
   if (!state.positionHistory) return 0;
-  const hash = state.getPositionHash();
+  const hash = state.getPositionHash(lastMover);
   return state.positionHistory.get(hash) || 0;
 }
 
@@ -2572,21 +3072,52 @@ function get50MoveAdjustment(state, color, currentEval) {
   }
 }
 
+// Principal variation per ply: pvTable[ply] = best line of turns found below that ply.
+// Lines are cut short at TT hits, so deep PVs can be truncated.
+const pvTable = [];
+
+// Late quiet turns one turn from the leaves are skipped when the static eval
+// is this far below alpha (unless they give check)
+const FUTILITY_MARGIN = 300;
+
+/**
+ * Whether a turn neither captures nor promotes
+ */
+function isQuietTurn(turn) {
+  for (const move of turn) {
+    if (getMoveCaptured(move) !== 0 || getMovePromotion(move) !== 0) return false;
+  }
+  return true;
+}
+
 /**
  * Simple negamax search on TURNS (not moves).
  * This is correct for double-move chess because we search atomic turns.
+ * @param ply - distance from the root in turns (root children are ply 1)
  */
-function searchTurns(state, depth, alpha, beta, color) {
+function searchTurns(state, depth, alpha, beta, color, ply = 1) {
   nodesSearched++;
-  
+  pvTable[ply] = [];
+
+  // Out of time/nodes - the caller throws this result away
+  if (checkSearchLimits()) {
+    return 0;
+  }
+
   // Check for draws BEFORE evaluating position
-  if (isDrawPosition(state)) {
+  if (isDrawPosition(state, -color)) {
     return getDrawScore(state, color);
   }
   
-  // Leaf node - use hanging piece detection for tactical awareness
+  // Endgames in the tablebases are known exactly
+  const tbScore = probeTablebaseScore(state, color);
+  if (tbScore !== null) {
+    return tbScore;
+  }
+  
+  // Leaf node - resolve pending tactics before evaluating
   if (depth <= 0) {
-    return evalWithHanging(state, color);
+    return quiesceTurns(state, alpha, beta, color);
   }
   
   // Save original alpha for TT flag determination
@@ -2594,32 +3125,49 @@ function searchTurns(state, depth, alpha, beta, color) {
   
   // Check transposition table
   const hash = state.zobristHash;
-  const ttScore = ttProbe(hash, depth, alpha, beta);
-  if (ttScore !== null) {
-    return ttScore;
+  const ttResult = ttProbe(hash, color, depth, alpha, beta);
+  if (ttResult !== null) {
+    return ttResult;
   }
   
-  // Generate all turns
-  const turns = generateAllTurns(state, color);
+  // Turns come ordered, captures first; the TT's best turn from an earlier
+  // search of this position goes first of all
+  const turns = createTurnGenerator(state, color, 2, ttProbeTurn(hash, color));
+  let turn = turns.next();
   
   // No moves = terminal
-  if (turns.length === 0) {
+  if (!turn) {
     if (isInCheck(state, color)) {
       return -CHECKMATE_SCORE;
     }
     return getDrawScore(state, color); // Stalemate - use draw score with contempt
   }
   
-  // Order turns for better pruning - ALWAYS order at depth 1 to find captures first
-  const orderedTurns = turns.length > 8 ? orderTurns(state, turns) : turns;
+  const inCheck = isInCheck(state, color);
+  let staticEval = null;
   
   let bestScore = -Infinity;
+  let bestTurn = null;
   
-  for (const turn of orderedTurns) {
+  for (; turn; turn = turns.next()) {
+    // Late quiet turns (see createTurnGenerator) are where the pruning is
+    const isLateQuiet = turns.isLate && !inCheck && isQuietTurn(turn);
+    if (isLateQuiet && depth === 1 && staticEval === null) {
+      staticEval = evalForColor(state, color);
+    }
+    
     const undoInfos = applyTurn(state, turn);
+    const givesCheck = isLateQuiet && isInCheck(state, -color);
+    
+    // Futility: at the frontier a quiet turn that doesn't check can't
+    // bring a position this far below alpha back up
+    if (isLateQuiet && !givesCheck && depth === 1 && staticEval + FUTILITY_MARGIN <= alpha) {
+      undoTurn(state, turn, undoInfos);
+      continue;
+    }
     
     // Check for repetition after this turn
-    const repCount = getRepetitionCount(state);
+    const repCount = getRepetitionCount(state, color);
     let score;
     
     if (repCount >= 3) {
@@ -2628,98 +3176,98 @@ function searchTurns(state, depth, alpha, beta, color) {
     } else if (repCount === 2) {
       // This is the 2nd occurrence - opponent could force draw on next move
       // Apply a penalty/bonus depending on position
-      score = -searchTurns(state, depth - 1, -beta, -alpha, -color);
+      score = -searchTurns(state, depth - 1, -beta, -alpha, -color, ply + 1);
       // Adjust score towards draw if opponent is losing (they'll take the draw)
       const oppEval = evalForColor(state, -color);
       if (oppEval < -100) {
         // Opponent is losing, they might repeat for a draw
         score = Math.max(score, -getDrawScore(state, -color));
       }
+    } else if (isLateQuiet && !givesCheck && depth >= 2) {
+      // Late move reduction: one turn shallower, the full depth only if
+      // the turn turns out better than alpha
+      score = -searchTurns(state, depth - 2, -beta, -alpha, -color, ply + 1);
+      if (score > alpha) {
+        score = -searchTurns(state, depth - 1, -beta, -alpha, -color, ply + 1);
+      }
     } else {
       // Normal search
-      score = -searchTurns(state, depth - 1, -beta, -alpha, -color);
+      score = -searchTurns(state, depth - 1, -beta, -alpha, -color, ply + 1);
     }
     
     undoTurn(state, turn, undoInfos);
-    
+
+    // Budget ran out below us - score is meaningless, don't pollute the TT
+    if (searchAborted) {
+      return 0;
+    }
+
     if (score > bestScore) {
       bestScore = score;
+      bestTurn = turn;
     }
     if (score > alpha) {
       alpha = score;
+      pvTable[ply] = [turn, ...(pvTable[ply + 1] || [])];
     }
     if (alpha >= beta) {
       break; // Alpha-beta cutoff
     }
   }
-  
+
   // Determine TT flag based on what happened
-  let ttFlag;
+  let flag;
   if (bestScore <= origAlpha) {
-    ttFlag = TT_FLAG_ALPHA;  // Failed low - upper bound
+    flag = TT_FLAG_ALPHA;  // Failed low - upper bound
   } else if (bestScore >= beta) {
-    ttFlag = TT_FLAG_BETA;   // Failed high - lower bound
+    flag = TT_FLAG_BETA;   // Failed high - lower bound
   } else {
-    ttFlag = TT_FLAG_EXACT;  // True minimax value
+    flag = TT_FLAG_EXACT;  // True minimax value
   }
   
   // Store in transposition table
-  ttStore(hash, depth, bestScore, ttFlag);
+  ttStore(hash, color, depth, bestScore, flag, bestTurn);
   
   return bestScore;
 }
 
 /**
- * Find the best turn for the current position.
- * Uses iterative deepening for better move ordering.
- * Considers draws by repetition and 50-move rule.
+ * Search every root turn to a fixed depth. Quiet turns in `lateTurns` get
+ * the same reduction as in searchTurns.
+ * Returns { turn, score, pv } for the best turn, or the partial best if the
+ * search was aborted (callers check searchAborted and discard it).
  */
-export function findBestTurn(state, depth = 2, color = undefined, maxMoves = 2) {
-  nodesSearched = 0;
-  const startTime = Date.now();
-  
-  if (color === undefined) {
-    color = state.sideToMove;
-  }
-  
-  // Check if we're already in a drawn position
-  if (isDrawPosition(state)) {
-    log('[Engine] Position is already drawn');
-    // Still need to make a move, but any legal move will do
-  }
-  
-  const turns = generateAllTurns(state, color, maxMoves);
-  if (turns.length === 0) {
-    return null;
-  }
-  
-  // Order turns for better alpha-beta pruning
-  const orderedTurns = turns.length > 8 ? orderTurns(state, turns) : turns;
-  
+function searchRoot(state, orderedTurns, depth, color, preferDraw, avoidDraw, lateTurns) {
+  const inCheck = isInCheck(state, color);
   let bestTurn = orderedTurns[0];
   let bestScore = -Infinity;
+  let bestPv = [bestTurn];
   let alpha = -Infinity;
   const beta = Infinity;
   
-  // Track if we should prefer/avoid draws based on our position
-  const ourEval = evalForColor(state, color);
-  const preferDraw = ourEval < -200; // We're losing, prefer draws
-  const avoidDraw = ourEval > 200;   // We're winning, avoid draws
-  
   for (const turn of orderedTurns) {
     const undoInfos = applyTurn(state, turn);
     
     // Check if this turn causes a draw
-    const repCount = getRepetitionCount(state);
+    const repCount = getRepetitionCount(state, color);
     let score;
+    let pv = [turn];
     
     if (repCount >= 3) {
       // This turn leads to immediate draw by repetition
       score = getDrawScore(state, color);
       log(`[Engine] Turn ${turnToString(state, turn)} causes repetition draw, score=${score}`);
     } else {
-      // Search opponent's response
-      score = -searchTurns(state, depth - 1, -beta, -alpha, -color);
+      // Search opponent's response, a late quiet turn one turn shallower
+      // first (see searchTurns)
+      if (alpha > -Infinity && depth >= 2 && lateTurns.has(turn) && !inCheck
+          && isQuietTurn(turn) && !isInCheck(state, -color)) {
+        score = -searchTurns(state, depth - 2, -beta, -alpha, -color);
+      }
+      if (score === undefined || score > alpha) {
+        score = -searchTurns(state, depth - 1, -beta, -alpha, -color);
+      }
+      pv = [turn, ...(pvTable[1] || [])];
       
       // If this is the 2nd repetition, adjust score based on whether we want draws
       if (repCount === 2) {
@@ -2735,21 +3283,314 @@ export function findBestTurn(state, depth = 2, color = undefined, maxMoves = 2)
     
     undoTurn(state, turn, undoInfos);
     
+    if (searchAborted) break;
+    
     if (score > bestScore) {
       bestScore = score;
       bestTurn = turn;
+      bestPv = pv;
     }
     if (score > alpha) {
       alpha = score;
     }
   }
   
+  return { turn: bestTurn, score: bestScore, pv: bestPv };
+}
+
+/**
+ * Find the best turn for the current position.
+ * Uses iterative deepening: each completed depth puts its best turn first
+ * for the next one, and the result of the last COMPLETED depth is returned.
+ * Considers draws by repetition and 50-move rule.
+ * 
+ * @param {GameState} state - Position to search
+ * @param {number} depth - Maximum depth in turns
+ * @param {number} color - Side to search for (defaults to state.sideToMove)
+ * @param {number} maxMoves - 1 for the balanced first turn, otherwise 2
+ * @param {Object} limits - Optional budget: { timeMs, maxNodes }
+ *   Depth 1 always completes; deeper iterations stop once either limit is hit.
+ *   { onDepth } is called after every completed iteration with
+ *   { depth, score, nodes, timeMs, pv } (pv[0] is the best turn).
+ *   For a parallel (lazy SMP) search over a shared table, also { searchId, threadId }:
+ *   every thread searches the same position with the same searchId, and
+ *   stops as soon as the table's control word no longer holds it. Helper
+ *   threads (threadId > 0) visit the root turns in a rotated order so they
+ *   fill the table with different parts of the tree than the main thread.
+ */
+export function findBestTurn(state, depth = 2, color = undefined, maxMoves = 2, limits = {}) {
+  const { timeMs = Infinity, maxNodes = Infinity, threadId = 0, onDepth } = limits;
+  ttEnsureTable();
+  
+  // All threads of a parallel search share one table generation
+  if (limits.searchId && searchControl) {
+    searchId = limits.searchId;
+    ttCurrentAge = searchId & 0xFF;
+  } else {
+    searchId = 0;
+    ttNewSearch();
+  }
+  nodesSearched = 0;
+  searchAborted = false;
+  searchDeadline = Infinity;
+  searchNodeLimit = Infinity;
+  const startTime = Date.now();
+  
+  if (color === undefined) {
+    color = state.sideToMove;
+  }
+  
+  // Check if we're already in a drawn position
+  if (isDrawPosition(state, -color)) {
+    log('[Engine] Position is already drawn');
+    // Still need to make a move, but any legal move will do
+  }
+  
+  // Tablebase endgames need no search
+  const tbTurn = findTablebaseTurn(state, color, maxMoves);
+  if (tbTurn) {
+    searchId = 0;
+    return tbTurn;
+  }
+  
+  // Every legal turn, already ordered for alpha-beta
+  const lateTurns = new Set();
+  let orderedTurns = generateAllTurns(state, color, maxMoves, lateTurns);
+  if (orderedTurns.length === 0) {
+    return null;
+  }
+  
+  // Helpers start elsewhere in the list (the best-looking turns still come
+  // early, just not in the main thread's order)
+  if (threadId > 0 && orderedTurns.length > 1) {
+    const shift = (threadId * 3) % orderedTurns.length;
+    orderedTurns = [...orderedTurns.slice(shift), ...orderedTurns.slice(0, shift)];
+  }
+  
+  // Track if we should prefer/avoid draws based on our position
+  const ourEval = evalForColor(state, color);
+  const preferDraw = ourEval < -200; // We're losing, prefer draws
+  const avoidDraw = ourEval > 200;   // We're winning, avoid draws
+  
+  let bestTurn = orderedTurns[0];
+  let bestScore = -Infinity;
+  let completedDepth = 0;
+  
+  for (let iterDepth = 1; iterDepth <= depth; iterDepth++) {
+    // Budget only applies after depth 1, so there is always a real result
+    if (iterDepth > 1) {
+      searchDeadline = startTime + timeMs;
+      searchNodeLimit = maxNodes;
+    }
+    
+    const result = searchRoot(state, orderedTurns, iterDepth, color, preferDraw, avoidDraw, lateTurns);
+    
+    if (searchAborted) {
+      log(`[Engine] Depth ${iterDepth} aborted (budget), keeping depth ${completedDepth} result`);
+      break;
+    }
+    
+    bestTurn = result.turn;
+    bestScore = result.score;
+    completedDepth = iterDepth;
+    
+    // Search the previous best turn first in the next iteration
+    orderedTurns = [bestTurn, ...orderedTurns.filter(t => t !== bestTurn)];
+    
+    const elapsed = Date.now() - startTime;
+    log(`[Engine] Depth ${iterDepth}: ${turnToString(state, bestTurn)} score=${bestScore} nodes=${nodesSearched} time=${elapsed}ms`);
+    onDepth?.({ depth: iterDepth, score: bestScore, nodes: nodesSearched, timeMs: elapsed, pv: result.pv });
+    
+    // Forced mate found - deeper search can't improve on it
+    if (bestScore >= CHECKMATE_SCORE) break;
+    
+    // Each extra turn of depth costs far more than all shallower ones combined,
+    // so don't start an iteration that has no chance of finishing
+    if (elapsed * 2 > timeMs) break;
+  }
+  
+  searchDeadline = Infinity;
+  searchNodeLimit = Infinity;
+  searchAborted = false;
+  searchId = 0;
+  
   const elapsed = Date.now() - startTime;
-  log(`[Engine] Search: depth=${depth} nodes=${nodesSearched} time=${elapsed}ms score=${bestScore}`);
+  log(`[Engine] Search: depth=${completedDepth} nodes=${nodesSearched} time=${elapsed}ms score=${bestScore}`);
+  if (ENGINE_DEBUG) {
+    const usage = getTranspositionTableUsage();
+    log(`[Engine] TT: ${usage.usedEntries}/${usage.entries} entries in ${usage.usedBuckets}/${usage.buckets} buckets`);
+  }
   
   return bestTurn;
 }
 
+/**
+ * Multi-PV analysis: score the top N root turns instead of just the best one.
+ * Each root turn is searched with alpha raised to the current Nth-best score,
+ * so turns that can't make the list are cut off cheaply while those that can
+ * get an exact score. Uses the same iterative deepening and budget rules as
+ * findBestTurn (depth 1 always completes).
+ *
+ * @param {GameState} state - Position to analyze
+ * @param {Object} options - { depth, multiPV, maxMoves, timeMs, maxNodes, color }
+ * @returns {{ lines: Array<{ turn, score, depth, nodes, pv }>, depth: number, nodes: number }}
+ *   Scores are centipawns from the mover's point of view. pv[0] is the root turn;
+ *   the rest are the expected replies, alternating sides.
+ */
+export function analyzePosition(state, options = {}) {
+  const {
+    depth = 2,
+    multiPV = 3,
+    maxMoves = 2,
+    timeMs = Infinity,
+    maxNodes = Infinity,
+  } = options;
+  const color = options.color === undefined ? state.sideToMove : options.color;
+  
+  ttEnsureTable();
+  ttNewSearch();
+  nodesSearched = 0;
+  searchAborted = false;
+  searchDeadline = Infinity;
+  searchNodeLimit = Infinity;
+  const startTime = Date.now();
+  
+  const turns = generateAllTurns(state, color, maxMoves);
+  if (turns.length === 0) {
+    return { lines: [], depth: 0, nodes: 0 };
+  }
+  
+  // Drop transpositions (e.g. "Nc3 d4" vs "d4 Nc3") so each line is a distinct position
+  const seenPositions = new Set();
+  const uniqueTurns = turns.filter(turn => {
+    const undoInfos = applyTurn(state, turn);
+    const hash = state.zobristHash;
+    undoTurn(state, turn, undoInfos);
+    if (seenPositions.has(hash)) return false;
+    seenPositions.add(hash);
+    return true;
+  });
+  
+  let orderedTurns = uniqueTurns;
+  let lines = [];
+  let completedDepth = 0;
+  
+  for (let iterDepth = 1; iterDepth <= depth; iterDepth++) {
+    if (iterDepth > 1) {
+      searchDeadline = startTime + timeMs;
+      searchNodeLimit = maxNodes;
+    }
+    
+    const results = [];
+    
+    for (const turn of orderedTurns) {
+      // Score needed to enter the top N so far
+      const floor = results.length >= multiPV
+        ? results[multiPV - 1].score
+        : -Infinity;
+      const nodesBefore = nodesSearched;
+      const undoInfos = applyTurn(state, turn);
+      
+      let score;
+      let pv = [turn];
+      if (getRepetitionCount(state, color) >= 3) {
+        score = getDrawScore(state, color);
+      } else {
+        score = -searchTurns(state, iterDepth - 1, -Infinity, -floor, -color);
+        pv = [turn, ...(pvTable[1] || [])];
+      }
+      
+      undoTurn(state, turn, undoInfos);
+      if (searchAborted) break;
+      
+      results.push({ turn, score, depth: iterDepth, nodes: nodesSearched - nodesBefore, pv });
+      results.sort((a, b) => b.score - a.score);
+    }
+    
+    if (searchAborted) {
+      log(`[Engine] Analysis depth ${iterDepth} aborted (budget), keeping depth ${completedDepth} lines`);
+      break;
+    }
+    
+    lines = results.slice(0, multiPV);
+    completedDepth = iterDepth;
+    
+    // Next iteration searches the turns in this iteration's order
+    orderedTurns = results.map(r => r.turn);
+    
+    const elapsed = Date.now() - startTime;
+    log(`[Engine] Analysis depth ${iterDepth}: best ${turnToString(state, lines[0].turn)} score=${lines[0].score} nodes=${nodesSearched} time=${elapsed}ms`);
+    
+    if (elapsed * 2 > timeMs) break;
+  }
+  
+  searchDeadline = Infinity;
+  searchNodeLimit = Infinity;
+  searchAborted = false;
+  
+  return { lines, depth: completedDepth, nodes: nodesSearched };
+}
+
+// ============================================================================
+// PERFT - MOVE GENERATION VERIFICATION
+// ============================================================================
+
+/**
+ * Count the turn sequences `depth` turns deep (leaf nodes), for checking
+ * move generation, make/undo and the double-move rules against a reference.
+ *
+ * @param {GameState} state - Position to count from (left unchanged)
+ * @param {number} depth - Depth in turns
+ * @param {Object} options - { color, maxMoves }
+ *   maxMoves applies to the first turn only (1 for the balanced first turn).
+ */
+export function perft(state, depth, options = {}) {
+  const { maxMoves = 2 } = options;
+  const color = options.color === undefined ? state.sideToMove : options.color;
+  return perftTurns(state, depth, color, maxMoves);
+}
+
+function perftTurns(state, depth, color, maxMoves) {
+  if (depth <= 0) return 1;
+  
+  const turns = generateAllTurns(state, color, maxMoves);
+  if (depth === 1) return turns.length;
+  
+  let nodes = 0;
+  for (const turn of turns) {
+    const undoInfos = applyTurn(state, turn);
+    nodes += perftTurns(state, depth - 1, -color, 2);
+    undoTurn(state, turn, undoInfos);
+  }
+  return nodes;
+}
+
+/**
+ * Perft split by root turn: [{ turn: 'e2e4 d2d4', nodes }], sorted by turn.
+ * Turns are written as coordinate moves so they can be compared with any
+ * other move generator.
+ */
+export function divide(state, depth, options = {}) {
+  const { maxMoves = 2 } = options;
+  const color = options.color === undefined ? state.sideToMove : options.color;
+  const promoChars = ['', 'p', 'n', 'b', 'r', 'q', 'k'];
+  
+  const result = [];
+  for (const turn of generateAllTurns(state, color, maxMoves)) {
+    const text = turn.map(move =>
+      squareToAlgebraic(getMoveFrom(move)) + squareToAlgebraic(getMoveTo(move)) + promoChars[getMovePromotion(move)]
+    ).join(' ');
+    
+    const undoInfos = applyTurn(state, turn);
+    const nodes = perftTurns(state, depth - 1, -color, 2);
+    undoTurn(state, turn, undoInfos);
+    
+    result.push({ turn: text, nodes });
+  }
+  
+  return result.sort((a, b) => (a.turn < b.turn ? -1 : a.turn > b.turn ? 1 : 0));
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -2839,6 +3680,12 @@ export function turnToString(state, turn) {
  * Clear all search tables (call when starting a new game)
  */
 export function clearSearchTables() {
-  ttable.clear();
+  ttEnsureTable();
+  ttKeyHi.fill(0);
+  ttKeyLo.fill(0);
+  ttMove1.fill(0);
+  ttMove2.fill(0);
+  ttFlag.fill(TT_FLAG_EMPTY);
+  ttCurrentAge = 0;
   nodesSearched = 0;
 }
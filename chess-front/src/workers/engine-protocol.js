@@ -0,0 +1,307 @@
+/**
+ * Marseillais Chess Interface (MCI): a UCI-like text protocol for the engine,
+ * one command per line. scripts/engine-cli.mjs speaks it on stdin/stdout.
+ *
+ * Moves are coordinate moves ("e2e4", "e7e8q"). A turn is written as its
+ * moves joined by commas ("e2e4,d2d4"); a single-move turn (a check, the
+ * balanced opening move, or the second half of a started turn) is one move.
+ *
+ * GUI to engine:
+ *   mci                     identify; answered with id/option lines and "mciok"
+ *   isready                 answered with "readyok" once earlier commands are done
+ *   setoption name <name> value <value>
+ *   newgame                 forget everything learned in the last game
+ *   position [startpos | fen <fen>] [variant unbalanced|balanced]
+ *            [movesinturn 0|1] [moves <move> ...]
+ *       Moves are played one by one with the double-move rules: a check or a
+ *       game-ending move ends the turn, otherwise the same side moves again.
+ *       movesinturn 1 means the side to move in the FEN already made the first
+ *       move of its turn (a plain FEN after a first move looks like a turn
+ *       start). A Marseillais FEN (see chess-rules) says so itself: a 1 in
+ *       its seventh field leaves a single move to play. In balanced games
+ *       white's first turn is a single move. Send the whole game (its
+ *       starting position and every move): the engine counts repetitions
+ *       and the fifty-move rule from the moves, and when the moves extend
+ *       the last position command's it only plays the new ones.
+ *   go [depth <turns>] [movetime <ms>] [nodes <n>] [wtime <ms>] [btime <ms>]
+ *      [winc <ms>] [binc <ms>] [infinite]
+ *   fen                     answered with "fen <Marseillais FEN>" for the position
+ *   stop                    end the search now and report the best turn so far
+ *   quit
+ *
+ * Engine to GUI:
+ *   info depth <turns> score cp <x> | mate <turns> nodes <n> time <ms> nps <n> pv <turn> ...
+ *   bestturn <turn>         or "bestturn (none)" when the game is over
+ *   fen <fen>               the position set up, as a Marseillais FEN
+ *   info string <text>      errors and notes
+ *
+ * Scores are centipawns from the side to move's point of view. "mate N"
+ * counts the winning side's turns in the principal variation (negative when
+ * the side to move gets mated).
+ */
+
+import {
+  GameState,
+  generateLegalMoves,
+  makeMove,
+  isInCheck,
+  WHITE,
+  CHECKMATE_SCORE,
+} from './double-move-engine.js';
+import { turnToCoords } from './opening-book.js';
+import { getTimeBudget } from './time-management.js';
+
+export const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// Search depth in turns when `go` gives no limit at all, and the cap when
+// it only gives a time or node limit
+const DEFAULT_GO_DEPTH = 3;
+const MAX_GO_DEPTH = 32;
+
+const GO_NUMBERS = ['depth', 'movetime', 'nodes', 'wtime', 'btime', 'winc', 'binc'];
+const POSITION_KEYWORDS = ['variant', 'movesinturn', 'moves'];
+
+/**
+ * Split a command line into its name and arguments
+ */
+export function parseCommand(line) {
+  const [name = '', ...args] = line.trim().split(/\s+/);
+  return { name, args };
+}
+
+/**
+ * Arguments of a `position` command as { fen, isUnbalanced, movesInTurn, moves }.
+ * Throws on malformed input.
+ */
+export function parsePosition(args) {
+  const spec = { fen: START_FEN, isUnbalanced: true, movesInTurn: 0, moves: [] };
+  let i = 0;
+
+  if (args[0] === 'startpos') {
+    i = 1;
+  } else if (args[0] === 'fen') {
+    const end = args.findIndex((arg, j) => j > 0 && POSITION_KEYWORDS.includes(arg));
+    spec.fen = args.slice(1, end === -1 ? args.length : end).join(' ');
+    i = end === -1 ? args.length : end;
+    if (!spec.fen) throw new Error('position fen needs a FEN');
+  } else {
+    throw new Error('position needs startpos or fen');
+  }
+
+  while (i < args.length) {
+    const keyword = args[i++];
+    if (keyword === 'variant') {
+      const variant = args[i++];
+      if (variant !== 'balanced' && variant !== 'unbalanced') {
+        throw new Error('variant must be balanced or unbalanced');
+      }
+      spec.isUnbalanced = variant === 'unbalanced';
+    } else if (keyword === 'movesinturn') {
+      spec.movesInTurn = Number(args[i++]);
+      if (spec.movesInTurn !== 0 && spec.movesInTurn !== 1) {
+        throw new Error('movesinturn must be 0 or 1');
+      }
+    } else if (keyword === 'moves') {
+      spec.moves = args.slice(i);
+      break;
+    } else {
+      throw new Error(`Unexpected ${keyword} in position`);
+    }
+  }
+
+  return spec;
+}
+
+/**
+ * Play out a parsed position. Returns { state, maxMoves, movesInTurn,
+ * fullMoveNumber, spec, moves } with state.sideToMove set to the side whose
+ * turn it is; maxMoves is what that side may still play this turn,
+ * fullMoveNumber the FEN's move number after the moves (counted as chess.js
+ * does) and moves the coordinate moves played. The state's position history
+ * holds every position since the FEN, so repetitions and the halfmove clock
+ * carry into the search. spec.firstMoveEnPassant is the en passant rule (the
+ * FirstMoveEnPassant option). Throws on an illegal move.
+ */
+export function setUpPosition(spec) {
+  const state = new GameState();
+  state.firstMoveEnPassant = spec.firstMoveEnPassant ?? true;
+  const movesLeft = state.loadFen(spec.fen);
+
+  // A single move left: balanced white's opening move, or a turn the FEN
+  // was saved in the middle of
+  const isSingleMoveTurn = spec.movesInTurn === 0 && (movesLeft === 1 || (!spec.isUnbalanced
+    && spec.fen.split(' ').slice(0, 2).join(' ') === START_FEN.split(' ').slice(0, 2).join(' ')));
+
+  const position = {
+    state,
+    maxMoves: isSingleMoveTurn || spec.movesInTurn === 1 ? 1 : 2,
+    movesInTurn: spec.movesInTurn,
+    fullMoveNumber: parseInt(spec.fen.trim().split(/\s+/)[5], 10) || 1,
+    spec,
+    moves: [],
+  };
+  for (const coords of spec.moves) {
+    playMove(position, coords);
+  }
+  return position;
+}
+
+/**
+ * Play one coordinate move on a position from setUpPosition with the
+ * double-move rules: a check or a game-ending move ends the turn, as does
+ * the last move the turn allows. Throws on an illegal move.
+ */
+export function playMove(position, coords) {
+  const { state } = position;
+  const color = state.sideToMove;
+  const move = generateLegalMoves(state, color).find(m => turnToCoords([m]) === coords);
+  if (!move) {
+    throw new Error(`Illegal move ${coords}`);
+  }
+  makeMove(state, move);
+  if (color !== WHITE) position.fullMoveNumber++;
+
+  const turnOver = position.maxMoves === 1
+    || isInCheck(state, -color)
+    || generateLegalMoves(state, -color).length === 0
+    || generateLegalMoves(state, color).length === 0;
+
+  if (turnOver) {
+    state.sideToMove = -color;
+    position.movesInTurn = 0;
+    position.maxMoves = 2;
+  } else {
+    // Same side again. A double push keeps its square: makeMove leaves it
+    // open for the opponent after the second move.
+    position.movesInTurn = 1;
+    position.maxMoves = 1;
+  }
+  state.zobristHash = state.computeZobristHash();
+  position.moves.push(coords);
+}
+
+/**
+ * The position for `spec`, carried on from `position` (an earlier result
+ * for the same game) when spec only adds moves to the ones it played;
+ * otherwise set up from scratch. `position` is updated in place, so a
+ * caller that searches should search a clone of its state; an illegal move
+ * throws with the moves before it played.
+ */
+export function updatePosition(position, spec) {
+  const isSameGame = position
+    && position.spec.fen === spec.fen
+    && position.spec.isUnbalanced === spec.isUnbalanced
+    && position.spec.movesInTurn === spec.movesInTurn
+    && (position.spec.firstMoveEnPassant ?? true) === (spec.firstMoveEnPassant ?? true)
+    && position.moves.length <= spec.moves.length
+    && position.moves.every((coords, i) => coords === spec.moves[i]);
+  if (!isSameGame) return setUpPosition(spec);
+
+  for (const coords of spec.moves.slice(position.moves.length)) {
+    playMove(position, coords);
+  }
+  return position;
+}
+
+/**
+ * The position of an engine worker request as { state, movesLeft, game }:
+ * a state to search (a copy, free to change) and the moves its side to move
+ * may still play this turn. With `moves` (the game's coordinate moves) the
+ * game is replayed from `startFen` (default: the start position), so the
+ * search sees its repetitions and halfmove clock; `game` is the replayed
+ * game, to pass back in with the next request. Without moves, or when they
+ * don't replay to `fen`, `fen` (plain or Marseillais) is the position alone.
+ */
+export function loadRequestPosition(game, { fen, startFen = START_FEN, moves, isUnbalanced = true, firstMoveEnPassant = true }) {
+  if (moves) {
+    try {
+      game = updatePosition(game, { fen: startFen, isUnbalanced, movesInTurn: 0, moves, firstMoveEnPassant });
+      if (!fen || boardAndSide(game.state.toFen()) === boardAndSide(fen)) {
+        return { state: game.state.clone(), movesLeft: game.maxMoves, game };
+      }
+    } catch (err) {
+      if (!fen) throw err;
+      game = null;
+    }
+  }
+
+  const state = new GameState();
+  state.firstMoveEnPassant = firstMoveEnPassant;
+  const movesLeft = state.loadFen(fen);
+  return { state, movesLeft, game };
+}
+
+// Placement and side to move of a FEN
+function boardAndSide(fen) {
+  return fen.trim().split(/\s+/).slice(0, 2).join(' ');
+}
+
+/**
+ * The position set up by setUpPosition as a Marseillais FEN
+ */
+export function formatPosition({ state, maxMoves, fullMoveNumber }) {
+  return state.toFen({ movesLeft: maxMoves, fullMoveNumber });
+}
+
+/**
+ * Arguments of a `go` command as { depth, movetime, nodes, wtime, ..., infinite }
+ */
+export function parseGo(args) {
+  const go = { infinite: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === 'infinite') {
+      go.infinite = true;
+    } else if (GO_NUMBERS.includes(args[i])) {
+      const value = Number(args[++i]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${args[i - 1]} needs a number`);
+      }
+      go[args[i - 1]] = value;
+    } else {
+      throw new Error(`Unexpected ${args[i]} in go`);
+    }
+  }
+  return go;
+}
+
+/**
+ * Search depth and budget for a `go` with `color` to move:
+ * { depth, timeMs, maxNodes }
+ */
+export function goLimits(go, color) {
+  if (go.infinite) {
+    return { depth: go.depth || MAX_GO_DEPTH, timeMs: Infinity, maxNodes: Infinity };
+  }
+
+  const timeMs = go.movetime !== undefined
+    ? go.movetime
+    : getTimeBudget(color === WHITE ? go.wtime : go.btime, (color === WHITE ? go.winc : go.binc) || 0);
+  const maxNodes = go.nodes || Infinity;
+  const limited = isFinite(timeMs) || isFinite(maxNodes);
+
+  return { depth: go.depth || (limited ? MAX_GO_DEPTH : DEFAULT_GO_DEPTH), timeMs, maxNodes };
+}
+
+/**
+ * A turn as comma-joined coordinate moves, e.g. "e2e4,d2d4"
+ */
+export function formatTurn(turn) {
+  return turn.map(move => turnToCoords([move])).join(',');
+}
+
+/**
+ * An `info` line for one completed search depth (findBestTurn's onDepth)
+ */
+export function formatInfo({ depth, score, nodes, timeMs, pv }) {
+  let scoreText;
+  if (score >= CHECKMATE_SCORE) {
+    scoreText = `mate ${Math.ceil(pv.length / 2)}`;
+  } else if (score <= -CHECKMATE_SCORE) {
+    scoreText = `mate -${Math.max(1, Math.floor(pv.length / 2))}`;
+  } else {
+    scoreText = `cp ${Math.round(score)}`;
+  }
+
+  const nps = Math.round(nodes * 1000 / Math.max(1, timeMs));
+  return `info depth ${depth} score ${scoreText} nodes ${nodes} time ${timeMs} nps ${nps} pv ${pv.map(formatTurn).join(' ')}`;
+}
@@ -0,0 +1,214 @@
+/**
+ * Evaluation parameters for the Marseillais engine.
+ *
+ * Every weight the static evaluation uses lives here: material values, the
+ * piece-square tables (from white's perspective, a8 first) and the bonuses
+ * and penalties of the evaluate() phases. The engine reads them at runtime
+ * through setEvalParams, so tuned sets can be swapped in without touching
+ * the search code.
+ *
+ * For tuning, a parameter set flattens into a single numeric vector (see
+ * PARAM_LAYOUT, paramsToVector and vectorToParams). scripts/tune-eval.mjs
+ * fits that vector to game results and writes a JSON parameter file the
+ * worker can load with an init or setEvalParams message.
+ */
+
+// Material values
+// MARSEILLAIS CHESS ADJUSTMENT: Pawns devalued to 80cp because spending a full
+// turn (2 moves) to win a pawn while opponent develops is a losing trade
+const PIECE_VALUES = [0, 80, 320, 330, 500, 900, 20000];
+
+const PST_PAWN = [
+   0,  0,  0,  0,  0,  0,  0,  0,
+  50, 50, 50, 50, 50, 50, 50, 50,
+  15, 15, 25, 35, 35, 25, 15, 15,
+  10, 10, 15, 30, 30, 15, 10, 10,
+   5,  5, 10, 25, 25, 10,  5,  5,
+   0,  0,  0, 15, 15,  0,  0,  0,
+   5,  5,-30,-15,-15,-30,  5,  5,
+   0,  0,  0,  0,  0,  0,  0,  0,
+];
+
+const PST_KNIGHT = [
+  -50,-40,-30,-30,-30,-30,-40,-50,
+  -40,-20, 10, 10, 10, 10,-20,-40,
+  -30, 10, 25, 30, 30, 25, 10,-30,
+  -30, 15, 30, 35, 35, 30, 15,-30,
+  -30, 10, 30, 35, 35, 30, 10,-30,
+  -30, 15, 25, 30, 30, 25, 15,-30,
+  -40,-20,  5, 10, 10,  5,-20,-40,
+  -50,-40,-20,-30,-30,-20,-40,-50,
+];
+
+const PST_BISHOP = [
+  -20,-10,-10,-10,-10,-10,-10,-20,
+  -10,  5,  0,  0,  0,  0,  5,-10,
+  -10, 10, 10, 10, 10, 10, 10,-10,
+  -10,  0, 15, 15, 15, 15,  0,-10,
+  -10,  5, 15, 15, 15, 15,  5,-10,
+  -10,  0, 15, 10, 10, 15,  0,-10,
+  -10,  0,  0,  0,  0,  0,  0,-10,
+  -20,-10,-40,-10,-10,-40,-10,-20,
+];
+
+const PST_ROOK = [
+   0,  0,  0,  0,  0,  0,  0,  0,
+   5, 10, 10, 10, 10, 10, 10,  5,
+  -5,  0,  0,  0,  0,  0,  0, -5,
+  -5,  0,  0,  0,  0,  0,  0, -5,
+  -5,  0,  0,  0,  0,  0,  0, -5,
+  -5,  0,  0,  0,  0,  0,  0, -5,
+  -5,  0,  0,  0,  0,  0,  0, -5,
+   0,  0,  0,  5,  5,  0,  0,  0,
+];
+
+const PST_QUEEN = [
+  -30,-20,-20,-10,-10,-20,-20,-30,
+  -20,-10,-10, -5, -5,-10,-10,-20,
+  -20,-10,  0,  0,  0,  0,-10,-20,
+  -10, -5,  0,  0,  0,  0, -5,-10,
+  -10, -5,  0,  0,  0,  0, -5,-10,
+  -10,  0,  0,  0,  0,  0,  0,-10,
+   -5,  0,  0,  0,  0,  0,  0, -5,
+  -10, -5, -5,  0,  0, -5, -5,-10,
+];
+
+const PST_KING = [
+  -50,-50,-50,-50,-50,-50,-50,-50,
+  -50,-50,-50,-50,-50,-50,-50,-50,
+  -50,-50,-50,-50,-50,-50,-50,-50,
+  -40,-40,-40,-50,-50,-40,-40,-40,
+  -30,-30,-30,-40,-40,-30,-30,-30,
+  -20,-20,-20,-20,-20,-20,-20,-20,
+   10, 20, -5,-10,-10, -5, 20, 10,
+   15, 40, 25,  0,  0, 10, 40, 15,
+];
+
+/**
+ * The engine's built-in parameters. Treat as read-only - copy with
+ * cloneEvalParams before changing anything.
+ */
+export const DEFAULT_EVAL_PARAMS = Object.freeze({
+  pieceValues: PIECE_VALUES,
+  pst: {
+    pawn: PST_PAWN,
+    knight: PST_KNIGHT,
+    bishop: PST_BISHOP,
+    rook: PST_ROOK,
+    queen: PST_QUEEN,
+    king: PST_KING,
+  },
+  developedPiece: 60,          // per knight/bishop off its home square
+  bishopPair: 150,
+  pieceCount: 25,              // per knight, bishop, rook and queen on the board
+  kingAttacker: 30,            // per enemy piece next to (or a knight jump from) the king
+  missingFPawn: 150,           // king on e1/g1 without the f2 pawn
+  missingGPawn: 80,            // king on g1 without the g2 pawn
+  castlingRightKingside: 40,
+  castlingRightQueenside: 20,
+  castledKingside: 150,
+  castledQueenside: 120,
+  kingOnF1: 200,
+  kingDisplaced: 120,          // king neither home nor castled
+  lostCastlingAtHome: 40,      // king home but no castling rights left
+  earlyKingWalk: 100,          // displaced king, no castling rights, 2+ pieces undeveloped
+  centerControl: 15,           // per unit: 2 for a central pawn, 1 for a piece
+  earlyQueen: 50,              // queen out with 2+ pieces undeveloped
+  tradeWhileUndeveloped: 40,   // per minor/major piece traded off
+});
+
+const PST_NAMES = ['pawn', 'knight', 'bishop', 'rook', 'queen', 'king'];
+
+const SCALAR_NAMES = Object.keys(DEFAULT_EVAL_PARAMS)
+  .filter(name => name !== 'pieceValues' && name !== 'pst');
+
+/**
+ * Order of the parameters in the flattened vector: piece values P..K, then
+ * each piece-square table square by square, then the scalar weights.
+ * Entries marked `fixed` are left alone by the tuner - the king's value
+ * never enters the evaluation difference, and pawns can't stand on the
+ * first or last rank.
+ */
+export const PARAM_LAYOUT = [
+  ...PIECE_VALUES.slice(1).map((_, i) => ({ name: `pieceValues.${i + 1}`, fixed: i + 1 === 6 })),
+  ...PST_NAMES.flatMap(piece => Array.from({ length: 64 }, (_, sq) => ({
+    name: `pst.${piece}.${sq}`,
+    fixed: piece === 'pawn' && (sq < 8 || sq >= 56),
+  }))),
+  ...SCALAR_NAMES.map(name => ({ name, fixed: false })),
+];
+
+/**
+ * Deep copy of a parameter set
+ */
+export function cloneEvalParams(params = DEFAULT_EVAL_PARAMS) {
+  return {
+    ...params,
+    pieceValues: [...params.pieceValues],
+    pst: Object.fromEntries(PST_NAMES.map(piece => [piece, [...params.pst[piece]]])),
+  };
+}
+
+/**
+ * Fill in anything missing from `params` with the defaults and check the
+ * shapes, so a partial or hand-edited file can't leave holes in the tables.
+ * Throws on malformed input.
+ */
+export function normalizeEvalParams(params = {}) {
+  const merged = cloneEvalParams(DEFAULT_EVAL_PARAMS);
+
+  if (params.pieceValues !== undefined) {
+    if (!Array.isArray(params.pieceValues) || params.pieceValues.length !== 7) {
+      throw new Error('pieceValues must be an array of 7 numbers');
+    }
+    merged.pieceValues = params.pieceValues.map(Number);
+  }
+
+  for (const piece of PST_NAMES) {
+    const table = params.pst?.[piece];
+    if (table === undefined) continue;
+    if (!Array.isArray(table) || table.length !== 64) {
+      throw new Error(`pst.${piece} must be an array of 64 numbers`);
+    }
+    merged.pst[piece] = table.map(Number);
+  }
+
+  for (const name of SCALAR_NAMES) {
+    if (params[name] !== undefined) merged[name] = Number(params[name]);
+  }
+
+  const values = [...merged.pieceValues, ...PST_NAMES.flatMap(p => merged.pst[p]), ...SCALAR_NAMES.map(n => merged[n])];
+  if (values.some(v => !Number.isFinite(v))) {
+    throw new Error('Evaluation parameters must be finite numbers');
+  }
+
+  return merged;
+}
+
+/**
+ * Flatten a parameter set into a plain array in PARAM_LAYOUT order
+ */
+export function paramsToVector(params) {
+  return [
+    ...params.pieceValues.slice(1),
+    ...PST_NAMES.flatMap(piece => params.pst[piece]),
+    ...SCALAR_NAMES.map(name => params[name]),
+  ];
+}
+
+/**
+ * Rebuild a parameter set from a vector in PARAM_LAYOUT order
+ */
+export function vectorToParams(vector) {
+  if (vector.length !== PARAM_LAYOUT.length) {
+    throw new Error(`Expected ${PARAM_LAYOUT.length} parameters, got ${vector.length}`);
+  }
+
+  let index = 0;
+  const take = (count) => vector.slice(index, (index += count));
+
+  const params = { pieceValues: [0, ...take(6)], pst: {} };
+  for (const piece of PST_NAMES) params.pst[piece] = take(64);
+  for (const name of SCALAR_NAMES) params[name] = take(1)[0];
+  return params;
+}
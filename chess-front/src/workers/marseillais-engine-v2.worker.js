@@ -6,8 +6,7 @@
  */
 
 import {
-  GameState,
-  findBestTurn,
+  analyzePosition,
   getMoveFrom,
   getMoveTo,
   getMovePromotion,
@@ -18,7 +17,20 @@ import {
   WHITE,
   BLACK,
   setEngineDebug,
+  setTranspositionTableSize,
+  createSharedTranspositionTable,
+  attachSharedTranspositionTable,
+  findBestTurn,
+  setEvalParams,
+  perft,
+  divide,
 } from './double-move-engine.js';
+import { probeBook } from './opening-book.js';
+import { getBotLevel } from './bot-levels.js';
+import { chooseBotTurn } from './bot-turn.js';
+import { decodeTablebase, addTablebase, shareTablebase } from './tablebase.js';
+import { getTimeBudget } from './time-management.js';
+import { loadRequestPosition } from './engine-protocol.js';
 
 // ============================================================================
 // DEBUG LOGGING
@@ -34,38 +46,24 @@ function log(...args) {
 log('[marseillais-engine-v2.worker] Worker initialized');
 
 // ============================================================================
-// SKILL LEVEL -> DEPTH MAPPING
+// SKILL LEVEL -> SEARCH DEPTH
 // ============================================================================
 
 function getSearchDepth(skillLevel) {
-  // Depth = number of TURNS to look ahead
-  // Hanging piece detection handles tactical threats at leaf nodes
-  switch (skillLevel) {
-    case 1: return 2;  // Easy
-    case 2: return 2;  // Medium - relies on tactical eval
-    case 3: return 3;  // Hard
-    default: return 2;
-  }
+  // Depth = number of TURNS to look ahead (see bot-levels.js for the ladder)
+  // Quiescence search resolves captures and checks at leaf nodes
+  return getBotLevel(skillLevel).depth;
 }
 
 // ============================================================================
-// MAIN SEARCH
+// MOVE CONVERSION
 // ============================================================================
 
-function findBestMoveFromFen(fen, skillLevel, maxMoves = 2) {
-  const state = new GameState();
-  state.loadFen(fen);
-  
-  const depth = getSearchDepth(skillLevel);
-  log(`[Engine] Searching at depth ${depth} (skill ${skillLevel}), maxMoves ${maxMoves}`);
-  
-  const turn = findBestTurn(state, depth, undefined, maxMoves);
-  
-  if (!turn || turn.length === 0) {
-    return null;
-  }
-  
-  // Convert internal moves to the format expected by the game
+/**
+ * Convert an internal turn to the format expected by the game:
+ * [{ from, to, san, promotion? }]. Applies the moves to `state`.
+ */
+function turnToMoveObjects(state, turn) {
   const result = [];
   
   for (const move of turn) {
@@ -93,17 +91,190 @@ function findBestMoveFromFen(fen, skillLevel, maxMoves = 2) {
     makeMove(state, move);
   }
   
+  return result;
+}
+
+/**
+ * Render a principal variation as one SAN string per turn,
+ * e.g. ['e4 e5', 'Nf3 Nc6'] (each turn played from the position after the last).
+ */
+function pvToStrings(state, pv) {
+  const clone = state.clone();
+  const result = [];
+  
+  for (const turn of pv) {
+    result.push(turnToString(clone, turn));
+    for (const move of turn) {
+      makeMove(clone, move);
+    }
+  }
+  
+  return result;
+}
+
+// ============================================================================
+// POSITIONS
+// ============================================================================
+
+// The game of the last request that sent its moves, so the next request
+// from the same game only plays the moves made since
+let gamePosition = null;
+
+/**
+ * The position a request asks about as { state, movesLeft }: its `fen`, or
+ * the game replayed from { startFen, moves } (see loadRequestPosition)
+ */
+function loadPosition(request) {
+  const { state, movesLeft, game } = loadRequestPosition(gamePosition, request);
+  gamePosition = game;
+  return { state, movesLeft };
+}
+
+// ============================================================================
+// MAIN SEARCH
+// ============================================================================
+
+/**
+ * The bot's turn in `position` (see loadPosition). maxMoves defaults to the
+ * moves left in the turn.
+ */
+function findBestMove({ state, movesLeft }, skillLevel, maxMoves, timeLeftMs = null, incrementMs = 0, { isUnbalanced = true, useBook = true, searchId } = {}) {
+  maxMoves = maxMoves ?? movesLeft;
+  
+  const level = getBotLevel(skillLevel);
+  
+  // Known opening positions are answered from the book without searching
+  // (the weakest levels play their own openings)
+  if (useBook && level.useBook) {
+    const bookTurn = probeBook(state, { isUnbalanced, maxMoves });
+    if (bookTurn) {
+      const result = turnToMoveObjects(state, bookTurn);
+      log(`[Engine] Book turn: ${result.map(m => m.san).join(' ')}`);
+      return result;
+    }
+  }
+  
+  const timeMs = getTimeBudget(timeLeftMs, incrementMs);
+  log(`[Engine] ${level.name} (level ${level.level}): depth ${level.depth}, maxMoves ${maxMoves}, budget ${Math.min(timeMs, level.thinkMs)}ms`);
+  
+  const turn = chooseBotTurn(state, level, { maxMoves, timeMs, searchId });
+  
+  if (!turn || turn.length === 0) {
+    return null;
+  }
+  
+  const result = turnToMoveObjects(state, turn);
+  
   log(`[Engine] Best turn: ${result.map(m => m.san).join(' ')}`);
   
   return result;
 }
 
+/**
+ * Helper thread of a parallel search: search the same position into the
+ * shared table until the main worker's search ends (the coordinator then
+ * changes the control word). Odd helpers go one turn deeper than the main
+ * search, so the table also holds results the main thread hasn't reached.
+ * The result itself is thrown away.
+ */
+function helperSearch({ state, movesLeft }, skillLevel, maxMoves, timeLeftMs, incrementMs, searchId, threadId) {
+  maxMoves = maxMoves ?? movesLeft;
+  
+  const level = getBotLevel(skillLevel);
+  const depth = level.depth + (threadId % 2);
+  const timeMs = Math.min(getTimeBudget(timeLeftMs, incrementMs), level.thinkMs);
+  
+  findBestTurn(state, depth, undefined, maxMoves, { timeMs, maxNodes: level.maxNodes, searchId, threadId });
+  log(`[Engine] Helper ${threadId} done (search ${searchId}, depth ${depth})`);
+}
+
+/**
+ * Multi-PV analysis for the analysis panel.
+ * Depth comes from `depth` if given, otherwise from the skill level.
+ */
+function analyze({ state, movesLeft }, { skillLevel, depth, maxMoves, multiPV = 3, timeMs, maxNodes } = {}) {
+  maxMoves = maxMoves ?? movesLeft;
+  
+  const searchDepth = depth || getSearchDepth(skillLevel);
+  log(`[Engine] Analyzing to depth ${searchDepth}, multiPV ${multiPV}, maxMoves ${maxMoves}`);
+  
+  const analysis = analyzePosition(state, {
+    depth: searchDepth,
+    multiPV,
+    maxMoves,
+    timeMs: timeMs ?? Infinity,
+    maxNodes: maxNodes ?? Infinity,
+  });
+  
+  const lines = analysis.lines.map(line => ({
+    move: turnToMoveObjects(state.clone(), line.turn),
+    san: turnToString(state, line.turn),
+    score: line.score,
+    depth: line.depth,
+    nodes: line.nodes,
+    pv: pvToStrings(state, line.pv),
+  }));
+  
+  return { lines, depth: analysis.depth, nodes: analysis.nodes };
+}
+
+/**
+ * Load evaluation weights - either a bare parameter set or a tuner output
+ * file ({ version, params, ... }). Nothing/null restores the defaults.
+ */
+function loadEvalParams(data) {
+  setEvalParams(data?.params ?? data ?? undefined);
+  log('[Engine] Evaluation parameters', data ? 'loaded' : 'reset to defaults');
+}
+
+/**
+ * Fetch the endgame tablebases listed in `${baseUrl}index.json` (written by
+ * scripts/generate-tablebases.mjs). Runs in the background: searches before
+ * it finishes just don't probe, and a missing directory only means no
+ * tablebases. With `share`, the tables are kept in SharedArrayBuffers for
+ * the search helpers. Resolves to the tables loaded.
+ */
+async function loadTablebases(baseUrl, share) {
+  const loaded = [];
+  try {
+    const response = await fetch(`${baseUrl}index.json`);
+    // Dev servers answer unknown paths with the app's HTML
+    if (!response.ok || !response.headers.get('content-type')?.includes('json')) {
+      log(`[Engine] No tablebases at ${baseUrl}`);
+      return loaded;
+    }
+    const { tables } = await response.json();
+    
+    for (const name of tables) {
+      const file = await fetch(`${baseUrl}${name}.dtb`);
+      if (!file.ok) throw new Error(`${name}: HTTP ${file.status}`);
+      let table = decodeTablebase(await file.arrayBuffer());
+      if (share) table = shareTablebase(table);
+      addTablebase(table);
+      loaded.push(table);
+      log(`[Engine] Tablebase ${name} loaded`);
+    }
+  } catch (err) {
+    console.error('[Engine Error] Loading tablebases failed:', err.message);
+  }
+  return loaded;
+}
+
 // ============================================================================
 // WORKER MESSAGE HANDLER
 // ============================================================================
 
 self.onmessage = function(e) {
-  const { type, fen, skillLevel, requestId, maxMoves = 2 } = e.data;
+  const {
+    type,
+    skillLevel,
+    requestId,
+    maxMoves,
+    timeLeftMs = null,
+    incrementMs = 0,
+    isUnbalanced = true,
+    useBook = true,
+  } = e.data;
   
   // Toggle debug mode from console: worker.postMessage({type:'debug',enabled:true})
   if (type === 'debug') {
@@ -113,16 +284,69 @@ self.onmessage = function(e) {
     return;
   }
   
+  // Optional { ttSizeMb } resizes (and clears) the transposition table,
+  // optional { evalParams } loads evaluation weights (see setEvalParams below),
+  // optional { tablebaseUrl } loads endgame tablebases from that directory.
+  // Parallel search: the main worker gets { shareTable: true } and answers
+  // with the new SharedArrayBuffer table in `ready`; helper workers then get
+  // { sharedTable } and search into the same table. Only the main worker
+  // loads tablebases: once they are in, it posts them (values in
+  // SharedArrayBuffers) as { type: 'tablebases', tables } for the helpers.
   if (type === 'init') {
-    self.postMessage({ type: 'ready' });
+    let sharedTable;
+    if (e.data.sharedTable) {
+      attachSharedTranspositionTable(e.data.sharedTable);
+    } else if (e.data.shareTable && typeof SharedArrayBuffer !== 'undefined') {
+      sharedTable = createSharedTranspositionTable(e.data.ttSizeMb || undefined);
+    } else if (typeof e.data.ttSizeMb === 'number' && e.data.ttSizeMb > 0) {
+      setTranspositionTableSize(e.data.ttSizeMb);
+    }
+    if (e.data.evalParams) {
+      try {
+        loadEvalParams(e.data.evalParams);
+      } catch (err) {
+        console.error('[Engine Error] Bad evaluation parameters, keeping defaults:', err.message);
+      }
+    }
+    if (e.data.tablebaseUrl) {
+      loadTablebases(e.data.tablebaseUrl, Boolean(sharedTable)).then(tables => {
+        if (sharedTable && tables.length) self.postMessage({ type: 'tablebases', tables });
+      });
+    }
+    self.postMessage({ type: 'ready', sharedTable });
+    return;
+  }
+  
+  // { tables } - tablebases loaded by the main worker, for a search helper
+  if (type === 'tablebases') {
+    e.data.tables.forEach(addTablebase);
+    log(`[Engine] ${e.data.tables.length} shared tablebases added`);
+    return;
+  }
+  
+  // { params } - a parameter set or a file written by scripts/tune-eval.mjs;
+  // omit it to go back to the built-in weights
+  if (type === 'setEvalParams') {
+    try {
+      loadEvalParams(e.data.params);
+      self.postMessage({ type: 'evalParams', requestId });
+    } catch (err) {
+      self.postMessage({
+        type: 'error',
+        error: err.message,
+        requestId,
+      });
+    }
     return;
   }
   
+  // { fen } or { startFen, moves } (see loadPosition), skillLevel, maxMoves,
+  // timeLeftMs, incrementMs, isUnbalanced, firstMoveEnPassant, useBook
   if (type === 'findBestMove') {
     try {
-      log(`[Engine] Skill ${skillLevel}, maxMoves ${maxMoves}`);
+      log(`[Engine] Skill ${skillLevel}, clock ${timeLeftMs}ms +${incrementMs}ms`);
       
-      const bestTurn = findBestMoveFromFen(fen, skillLevel, maxMoves);
+      const bestTurn = findBestMove(loadPosition(e.data), skillLevel, maxMoves, timeLeftMs, incrementMs, { isUnbalanced, useBook, searchId: e.data.searchId });
       
       if (bestTurn && bestTurn.length > 0) {
         self.postMessage({
@@ -145,5 +369,72 @@ self.onmessage = function(e) {
         requestId,
       });
     }
+    return;
+  }
+  
+  // Parallel search helper: the findBestMove position and clock, plus
+  // { searchId, threadId }
+  if (type === 'helperSearch') {
+    try {
+      helperSearch(loadPosition(e.data), skillLevel, maxMoves, timeLeftMs, incrementMs, e.data.searchId, e.data.threadId);
+    } catch (err) {
+      console.error('[Engine Error]', err);
+    }
+    self.postMessage({ type: 'helperDone', requestId });
+    return;
+  }
+  
+  // Move generation check: the findBestMove position plus { depth, maxMoves, divide }
+  if (type === 'perft') {
+    try {
+      const { state, movesLeft } = loadPosition(e.data);
+      const options = { maxMoves: maxMoves ?? movesLeft };
+      const startTime = Date.now();
+      
+      if (e.data.divide) {
+        const turns = divide(state, e.data.depth, options);
+        const nodes = turns.reduce((sum, t) => sum + t.nodes, 0);
+        self.postMessage({ type: 'perft', nodes, divide: turns, timeMs: Date.now() - startTime, requestId });
+      } else {
+        const nodes = perft(state, e.data.depth, options);
+        self.postMessage({ type: 'perft', nodes, timeMs: Date.now() - startTime, requestId });
+      }
+    } catch (err) {
+      console.error('[Engine Error]', err);
+      self.postMessage({
+        type: 'error',
+        error: err.message,
+        requestId,
+      });
+    }
+    return;
+  }
+  
+  // The findBestMove position plus { depth, multiPV, timeMs, maxNodes }
+  if (type === 'analyze') {
+    try {
+      const analysis = analyze(loadPosition(e.data), e.data);
+      
+      if (analysis.lines.length > 0) {
+        self.postMessage({
+          type: 'analysis',
+          ...analysis,
+          requestId,
+        });
+      } else {
+        self.postMessage({
+          type: 'error',
+          error: 'No legal moves available',
+          requestId,
+        });
+      }
+    } catch (err) {
+      console.error('[Engine Error]', err);
+      self.postMessage({
+        type: 'error',
+        error: err.message,
+        requestId,
+      });
+    }
   }
 };
@@ -0,0 +1,88 @@
+// Generated by scripts/generate-opening-book.mjs - do not edit by hand.
+// Options: plies 4, multipv 3, depth 3, margin 100
+//
+// Keys are GameState.computeZobristHash() in hex (see opening-book.js getBookKey);
+// values are [turn, weight] pairs with turns written as coordinate moves.
+
+export default {
+  version: 1,
+  unbalanced: {
+    '35bee600512bd7f0': [["b1c3 g1f3",100],["b1c3 e2e3",50],["g1f3 d2d4",26]],
+    '8743127076ff03f0': [["b8c6 g8f6",100],["g7g5 f8g7",70],["g8f6 e7e5",65]],
+    'ffcca6703c23e7f0': [["b8c6 g8f6",100],["e7e5 g8e7",100],["g7g5 f8g7",100]],
+    '15795a708b6e1b00': [["b8c6 d7d5",100],["b8c6 g8f6",75],["e7e5 f7f6",55]],
+    'c08f470071d19570': [["d2d4 f3g5",100],["b2b4 c1b2",26],["e2e4 f1e2",6]],
+    '54573800955a81f0': [["d2d4 g2g3",100],["d2d4 c1d2",75],["d2d4 g2g4",75]],
+    'cc7d26006ebaff70': [["e2e4 f1d3",100],["d2d4 d4e5",65],["e2e4 f1e2",31]],
+    'b800f3003b0d7170': [["f1b5 g1f3",100],["g1f3 d2d4",46],["d2d4 f1d3",21]],
+    '6728ce000fddf7f0': [["g1f3 f1d3",100],["f1c4 d1h5",80],["d2d4 d4e5",70]],
+    '2cd88c00df8665f0': [["d2d4 c1d2",100],["d2d4 f1d3",85],["e3e4 d2d4",75]],
+    '7824a580307d0970': [["b1c3 c1d2",100],["c2c4 b1c3",95],["b1c3 h2h3",80]],
+    '52b50f008c408d80': [["b1c3 f3g5",100]],
+    '59ebe6806803c900': [["d4e5 b1d2",100],["d4e5 e2e4",95],["b1d2 e2e4",80]],
+    '74110f09e439780': [["h7h6 h6g5",100]],
+    '1f558f70b89b1d70': [["e7e6 f6g4",100],["e7e5 f6g4",75]],
+    '3478a53091e9eb70': [["e7e5 c6b8",100]],
+    'fca5707069e46900': [["b8c6 h7h6",100],["b8c6 g8f6",95],["b8c6 d7d5",55]],
+    'a740704b8c9900': [["b8c6 d7d5",100],["g5g4 g4f3",85],["b8c6 h7h6",85]],
+    'dc7e287059de1100': [["b8c6 h7h6",100],["b8c6 d7d5",95],["g8f6 d7d5",90]],
+    '312f5630ff003b70': [["f8b4 b8c6",100],["d7d5 b8d7",50],["d7d5 f6g4",36]],
+    'bffe68f055aa47f0': [["f6g8 f7f6",100]],
+    '388ac4308e828170': [["b8c6 f8d6",100],["d7d5 b8d7",85],["d7d6 b8d7",70]],
+    '593b5ff00da32670': [["a7a6 a6b5",100]],
+    '98c74f70e148bd80': [["e7e5 f6g4",100],["d7d5 c8d7",95],["e7e5 e5d4",95]],
+    '893f970e6257380': [["d7d5 f6g4",100],["d7d5 c8e6",55]],
+    '604c4670c5812ff0': [["e5e4 e4d3",100],["e5e4 e4f3",75],["b8c6 d7d5",65]],
+    'fdeab27082efbbf0': [["d7d5 d5c4",100],["b7b5 b5c4",41]],
+    '14ab80f034cd4f70': [["e7d5 d5c3",100],["f7f6 f6e5",90],["b8c6 e7f5",75]],
+    '7828f47001507d00': [["b8c6 d7d6",100],["b8c6 e7e6",85],["b8c6 d7d5",85]],
+    '9c4b867002ae6700': [["b8c6 d7d5",100]],
+    '1fd8d43065b6d900': [["b8c6 g8f6",100],["b8c6 d7d5",65]],
+    'beee95f0133a0970': [["g8f6 f6g4",100],["g8f6 c8d7",80],["c8g4 g8f6",41]],
+    '2dcc53f000c3a700': [["c8g4 g8f6",100],["d5c4 g8f6",60],["g8f6 f6g4",55]],
+    '79df3cf0066e5c70': [["g8h6 h6f5",100],["g8f6 c8d7",65],["g8f6 c8e6",55]],
+    '584a84701bf61d70': [["f6e5 g8f6",100],["f6e5 b8c6",65]],
+    '67a9d2301f81b770': [["f6e5 g8f6",100],["d7d5 f8b4",1]],
+    'f1388eb0a1457500': [["g8e7 d7d5",100],["f8e7 d7d5",65],["g8h6 d7d5",60]],
+  },
+  balanced: {
+    '35bee600512bd7f0': [["b1c3",100],["g1f3",100],["d2d3",80]],
+    '163dba7007b08bf0': [["b8c6 g8f6",100],["b7b5 c8b7",95],["b8c6 d7d5",90]],
+    '33f07070ed5549f0': [["b8c6 g8f6",100],["b8c6 e7e5",75],["g8f6 d7d5",50]],
+    '5c68ee707bc37f70': [["g8f6 d7d5",100],["g8f6 e7e5",85],["d7d5 c8d7",80]],
+    '51f1ef00009e1d70': [["b2b4 c1b2",100],["e2e4 f1e2",80],["d2d4 e2e4",75]],
+    'a39d4e701a49bff0': [["g1f3 e2e4",100],["e2e4 g1e2",65],["e2e4 f1e2",60]],
+    '7b604580bca39980': [["g1f3 d2d4",100]],
+    '743c2500ea7bdf70': [["d2d4 b1d2",100],["b2b4 c1b2",100],["b1c3 g2g3",70]],
+    'a8322f003f0f35f0': [["b1c3 e2e4",100],["d2d4 b1d2",75],["d2d4 e2e4",70]],
+    '8e51e4809c59db00': [["b1c3 d2d4",100],["d2d4 f3g5",70],["b1c3 h2h3",46]],
+    'e1c97a800acfed80': [["c1g5 b1c3",100],["b1c3 d3d4",90],["e2e4 g1e2",65]],
+    '1756da00638683f0': [["b1c3 g1f3",100],["b1d2 e2e4",21],["g1f3 e2e4",16]],
+    'c1fa2a8002cbe400': [["b1c3 c1d2",100],["b1c3 d3d4",60],["c1f4 f4g3",55]],
+    '8e2b2770c9d49570': [["e7e5 f6g4",100]],
+    'a5060d30e0a66370': [["d7d5 d5e4",100],["e7e6 f8b4",90],["e7e5 d7d6",60]],
+    '8b00ab30813dcd80': [["d7d5 d5e4",100],["f6e4 e4c3",70],["e7e5 e5d4",50]],
+    'ce9b88408c9eb5f0': [["g8f6 e7e6",100],["b8c6 g8h6",46],["g8f6 b8a6",26]],
+    '967376402e7e5370': [["g8f6 e7e5",100],["b8c6 b5b4",11]],
+    '576aac40fa71c1f0': [["b7e4 e4c6",100],["g8f6 e7e5",90],["b8c6 a7a6",80]],
+    '5ba7f9f066e65570': [["g8h6 h6f5",100],["c8g4 g8f6",85],["g8f6 c8e6",21]],
+    '912e37706fafa580': [["d7d5 c8g4",100],["d7d5 f6g4",80],["e7e5 e5d4",36]],
+    'abe6ed7023315770': [["e7e6 f6g4",100]],
+    '4ef42570eb542f70': [["e7e5 f8d6",100],["b7b5 c8b7",80],["e7e6 f8b4",70]],
+    'e0f92330433dfdf0': [["g8f6 f8d6",100],["g8f6 f8e7",55],["g8f6 f8c5",31]],
+    '4d203d70badb4f00': [["e5e4 e4f3",100],["e5d4 g8f6",65],["g8f6 e5e4",31]],
+    '72c36b30beace500': [["g8f6 d7d5",100],["e5d4 g8f6",95],["c6d4 d4f3",90]],
+    '8b5b92f0acf9d5f0': [["c8g4 b8c6",100],["b8c6 c8e6",36],["c7c5 b8c6",21]],
+    '499fb37073cbd9f0': [["h7h6 h6g5",100]],
+    '8faa7df0aa4a8e00': [["b8c6 e7e5",100],["b8d7 e7e5",95],["b8c6 c8d7",65]],
+    '4cd774f08792fb00': [["h7h6 h6g5",100],["d5d4 d4c3",80]],
+    '1a253af0ddb65df0': [["b8c6 c8d7",100],["c8d7 f6g8",95],["b8c6 f6g8",85]],
+    'd42742b03ef80100': [["d5e4 c8d7",100],["b8a6 e7e5",95],["d5d4 e7e5",70]],
+    'a5ab2e70445257f0': [["f8b4 b8c6",100]],
+    'bf85b230aac03ff0': [["f8b4 d7d6",100],["b8c6 f8d6",95],["f8c5 d7d5",90]],
+    '7a501c30f55189f0': [["f8e7 d7d5",100],["d7d5 b8d7",75],["b8a6 d7d5",70]],
+    '7301af0218ce400': [["b8c6 g8f6",100],["d5d4 d4c3",50]],
+    '3a166af0d5b25470': [["b8c6 g8f6",100],["b8c6 d7c8",85]],
+    '35ac9af02dece400': [["e7e5 f8b4",100],["f7f5 f5f4",36],["b8c6 g8f6",36]],
+  },
+};
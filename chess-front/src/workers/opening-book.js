@@ -0,0 +1,120 @@
+/**
+ * Opening book for the first Marseillais turns.
+ *
+ * Positions are keyed by GameState.computeZobristHash (hex) and map to
+ * weighted candidate turns written as coordinate moves, e.g. "e2e4 d2d4".
+ * Balanced and unbalanced games get separate lines, since white's single
+ * opening move changes every position that follows.
+ *
+ * The data lives in opening-book-data.js, generated by
+ * scripts/generate-opening-book.mjs from offline self-play search.
+ */
+
+import {
+  generateLegalMoves,
+  makeMove,
+  isInCheck,
+  getMoveFrom,
+  getMoveTo,
+  getMovePromotion,
+  getMoveFlags,
+  squareToAlgebraic,
+  FLAG_EP,
+} from './double-move-engine.js';
+import OPENING_BOOK from './opening-book-data.js';
+
+const PROMO_CHARS = ['', 'p', 'n', 'b', 'r', 'q', 'k'];
+
+/**
+ * Book key for `color` to start a turn in `state`.
+ * An en passant square only counts when an ep capture onto it is legal -
+ * chess.js leaves it out of the FEN otherwise, so both sides of the worker
+ * boundary hash the same position the same way.
+ */
+export function getBookKey(state, color = state.sideToMove) {
+  const position = state.clone();
+  position.sideToMove = color;
+
+  if (position.epSquare !== -1 || position.epSquare2 !== -1) {
+    const epTargets = generateLegalMoves(position, color)
+      .filter(move => getMoveFlags(move) === FLAG_EP)
+      .map(getMoveTo);
+    if (!epTargets.includes(position.epSquare)) position.epSquare = -1;
+    if (!epTargets.includes(position.epSquare2)) position.epSquare2 = -1;
+  }
+
+  return position.computeZobristHash().toString(16);
+}
+
+/**
+ * Write a turn as coordinate moves, e.g. "e2e4 d2d4" or "e7e8q"
+ */
+export function turnToCoords(turn) {
+  return turn.map(move => {
+    const promotion = getMovePromotion(move);
+    return squareToAlgebraic(getMoveFrom(move)) + squareToAlgebraic(getMoveTo(move)) + PROMO_CHARS[promotion];
+  }).join(' ');
+}
+
+/**
+ * Parse a book turn back into engine moves for `color`.
+ * Returns null unless every move is legal and the turn follows the
+ * double-move rules (a check ends the turn, at most maxMoves moves).
+ */
+export function coordsToTurn(state, text, color = state.sideToMove, maxMoves = 2) {
+  const coords = text.trim().split(/\s+/);
+  if (coords.length === 0 || coords.length > maxMoves) return null;
+
+  const position = state.clone();
+  const turn = [];
+
+  for (let i = 0; i < coords.length; i++) {
+    const move = generateLegalMoves(position, color).find(m => turnToCoords([m]) === coords[i]);
+    if (!move) return null;
+
+    makeMove(position, move);
+    turn.push(move);
+
+    // Checking on the first move ends the turn
+    if (i === 0 && coords.length > 1 && isInCheck(position, -color)) return null;
+  }
+
+  return turn;
+}
+
+/**
+ * Pick a book turn for `color` to play from `state`, or null when the
+ * position isn't in the book. Candidates are chosen at random in
+ * proportion to their weight so the bot doesn't always open the same way.
+ *
+ * @param {GameState} state - Position at the start of the turn
+ * @param {Object} options - { isUnbalanced, maxMoves, color, random, book }
+ */
+export function probeBook(state, options = {}) {
+  const {
+    isUnbalanced = true,
+    maxMoves = 2,
+    color = state.sideToMove,
+    random = Math.random,
+    book = OPENING_BOOK,
+  } = options;
+
+  const entries = book[isUnbalanced ? 'unbalanced' : 'balanced']?.[getBookKey(state, color)];
+  if (!entries || entries.length === 0) return null;
+
+  // Skip stale or mistyped entries rather than playing an illegal turn
+  const candidates = [];
+  for (const [text, weight] of entries) {
+    const turn = coordsToTurn(state, text, color, maxMoves);
+    if (turn && weight > 0) candidates.push({ turn, weight });
+  }
+  if (candidates.length === 0) return null;
+
+  const total = candidates.reduce((sum, c) => sum + c.weight, 0);
+  let pick = random() * total;
+  for (const candidate of candidates) {
+    pick -= candidate.weight;
+    if (pick < 0) return candidate.turn;
+  }
+  return candidates[candidates.length - 1].turn;
+}
@@ -0,0 +1,343 @@
+/**
+ * Endgame tablebases for double-move chess.
+ *
+ * A table holds the exact result of every position of one material set
+ * (e.g. KQKR) at the start of a turn, for both sides to move: win, loss or
+ * draw, plus the distance to mate. Tables are built offline by
+ * scripts/generate-tablebases.mjs and stored in a compact binary file
+ * (see encodeTablebase) that the engine worker loads at startup.
+ *
+ * Distances count turns of either side ("turn plies"): 0 means the side to
+ * move is checkmated, 1 that it mates with this turn, 2 that it is mated
+ * after its turn and the opponent's reply, and so on - odd distances are
+ * wins for the side to move, even ones losses. Each position is one byte:
+ *   0          draw
+ *   1..254     distance + 1
+ *   255        not a legal position
+ *
+ * Tables are stored with the stronger side (listed first in the name) as
+ * white; positions where black has that material are probed with colors
+ * swapped. Castling rights and en passant are not part of the index - with
+ * this little material they either can't exist or don't matter.
+ *
+ * This module only reads the engine's mailbox board, so it doesn't import
+ * the engine and the engine can import it.
+ */
+
+// Material sets in build order - later sets fall into earlier ones by
+// captures and promotions
+export const TABLEBASE_SETS = ['KQK', 'KRK', 'KBBK', 'KBNK', 'KPK', 'KQKR'];
+
+export const TB_DRAW = 0;
+export const TB_INVALID = 255;
+// probeTablebase result when no table covers the position
+export const TB_MISSING = -1;
+
+const FILE_MAGIC = 'DMTB';
+const FILE_VERSION = 1;
+const FILE_HEADER_BYTES = 16;
+
+const PIECE_LETTERS = ['', 'P', 'N', 'B', 'R', 'Q', 'K'];
+
+// Strong king slots: pawnless tables use the a1-d1-d4 triangle (8-fold
+// symmetry), tables with pawns the a-d files (left-right mirror only).
+// Squares are 0..63 from a8, as in the engine.
+const TRIANGLE_SLOTS = new Int8Array(64).fill(-1);
+const HALF_BOARD_SLOTS = new Int8Array(64).fill(-1);
+const TRIANGLE_SQUARES = [];
+const HALF_BOARD_SQUARES = [];
+
+for (let sq = 0; sq < 64; sq++) {
+  const file = sq & 7;
+  const rank = 7 - (sq >> 3);
+  if (file <= 3 && rank <= file) {
+    TRIANGLE_SLOTS[sq] = TRIANGLE_SQUARES.length;
+    TRIANGLE_SQUARES.push(sq);
+  }
+  if (file <= 3) {
+    HALF_BOARD_SLOTS[sq] = HALF_BOARD_SQUARES.length;
+    HALF_BOARD_SQUARES.push(sq);
+  }
+}
+
+// Loaded tables by material signature (see materialSignature)
+const tables = new Map();
+let maxTablePieces = 0;
+
+// ============================================================================
+// MATERIAL AND INDEXING
+// ============================================================================
+
+/**
+ * Piece types of a material name: 'KQKR' -> { strong: [5], weak: [4] }
+ */
+function parseMaterial(name) {
+  const match = /^K([QRBNP]*)K([QRBNP]*)$/.exec(name);
+  if (!match) {
+    throw new Error(`Invalid material set ${name}`);
+  }
+  const types = letters => [...letters].map(letter => PIECE_LETTERS.indexOf(letter));
+  return { strong: types(match[1]), weak: types(match[2]) };
+}
+
+/**
+ * One side's non-king pieces as a number: two bits of count per piece type
+ */
+function sideSignature(types) {
+  return types.reduce((sig, type) => sig + (1 << (2 * (type - 1))), 0);
+}
+
+function materialSignature(strongSig, weakSig) {
+  return strongSig * 1024 + weakSig;
+}
+
+/**
+ * Create an empty table for a material set; every position starts as a draw
+ */
+export function createTablebase(name) {
+  const { strong, weak } = parseMaterial(name);
+  const hasPawns = strong.includes(1) || weak.includes(1);
+  const kingSlots = hasPawns ? HALF_BOARD_SQUARES.length : TRIANGLE_SQUARES.length;
+  const pieceCount = 2 + strong.length + weak.length;
+  const size = kingSlots * 64 ** (pieceCount - 1);
+
+  return {
+    name,
+    strong,
+    weak,
+    hasPawns,
+    pieceCount,
+    size,
+    signature: materialSignature(sideSignature(strong), sideSignature(weak)),
+    // [strong side to move, weak side to move]
+    values: [new Uint8Array(size), new Uint8Array(size)],
+  };
+}
+
+/**
+ * Squares of a table index, strong king first, then the weak king, the
+ * strong side's pieces and the weak side's pieces (the order of the name)
+ */
+export function tablebaseSquares(table, index, squares = new Int8Array(table.pieceCount)) {
+  for (let i = table.pieceCount - 1; i > 0; i--) {
+    squares[i] = index & 63;
+    index = Math.floor(index / 64);
+  }
+  squares[0] = (table.hasPawns ? HALF_BOARD_SQUARES : TRIANGLE_SQUARES)[index];
+  return squares;
+}
+
+/**
+ * Square transform that brings the strong king into its slot area
+ */
+function canonicalTransform(kingSq, hasPawns) {
+  let transform = 0;
+  if ((kingSq & 7) > 3) transform |= 1;                  // mirror files
+  if (hasPawns) return transform;
+  if ((kingSq >> 3) < 4) transform |= 2;                 // mirror ranks
+  const sq = applyTransform(kingSq, transform);
+  if (7 - (sq >> 3) > (sq & 7)) transform |= 4;          // flip along a1-h8
+  return transform;
+}
+
+function applyTransform(sq, transform) {
+  if (transform & 1) sq ^= 7;
+  if (transform & 2) sq ^= 56;
+  if (transform & 4) sq = ((7 - (sq & 7)) << 3) | (7 - (sq >> 3));
+  return sq;
+}
+
+/**
+ * Table index of a position given as squares in name order (strong side's
+ * point of view, i.e. already color-swapped if black is the strong side)
+ */
+function indexSquares(table, squares) {
+  const transform = canonicalTransform(squares[0], table.hasPawns);
+  const slots = table.hasPawns ? HALF_BOARD_SLOTS : TRIANGLE_SLOTS;
+  let index = slots[applyTransform(squares[0], transform)];
+  for (let i = 1; i < table.pieceCount; i++) {
+    index = index * 64 + applyTransform(squares[i], transform);
+  }
+  return index;
+}
+
+// Scratch space for reading a board
+const foundSquares = [[], []];
+const foundTypes = [[], []];
+const lookupSquares = new Int8Array(8);
+
+// Pawns, rooks and queens - anything that can still force mate on its own
+const MATING_SIGNATURE_BITS = [1, 4, 5].reduce((bits, type) => bits | (3 << (2 * (type - 1))), 0);
+
+/**
+ * Find the table and index for `color` to move on an engine board.
+ * Fills `out` with { table, index, side } (side 0 = the table's strong side
+ * to move) and returns true, or returns false if no loaded table matches.
+ * Material with no mating chances (bare kings, a lone minor piece) returns
+ * false with out.table = null and out.draw = true.
+ */
+export function locateTablebasePosition(board, color, out) {
+  out.table = null;
+  out.draw = false;
+
+  const white = foundSquares[0];
+  const black = foundSquares[1];
+  white.length = 0;
+  black.length = 0;
+  foundTypes[0].length = 0;
+  foundTypes[1].length = 0;
+  let whiteKing = -1;
+  let blackKing = -1;
+  let whiteSig = 0;
+  let blackSig = 0;
+  let count = 0;
+
+  for (let sq = 21; sq <= 98; sq++) {
+    const piece = board[sq];
+    if (piece === 0 || piece === 99) continue;
+    if (++count > maxTablePieces && count > 3) return false;
+    const sq64 = (Math.floor(sq / 10) - 2) * 8 + (sq % 10) - 1;
+    if (piece === 6) {
+      whiteKing = sq64;
+    } else if (piece === -6) {
+      blackKing = sq64;
+    } else if (piece > 0) {
+      white.push(sq64);
+      foundTypes[0].push(piece);
+      whiteSig += 1 << (2 * (piece - 1));
+    } else {
+      black.push(sq64);
+      foundTypes[1].push(-piece);
+      blackSig += 1 << (2 * (-piece - 1));
+    }
+  }
+
+  if (count <= 3 && ((whiteSig | blackSig) & MATING_SIGNATURE_BITS) === 0) {
+    out.draw = true;
+    return false;
+  }
+
+  // Strong side is white unless only the swapped material has a table
+  let swapped = false;
+  let table = tables.get(materialSignature(whiteSig, blackSig));
+  if (!table) {
+    table = tables.get(materialSignature(blackSig, whiteSig));
+    swapped = true;
+    if (!table) return false;
+  }
+
+  const strongSide = swapped ? 1 : 0;
+  const flip = swapped ? 56 : 0;
+  lookupSquares[0] = (swapped ? blackKing : whiteKing) ^ flip;
+  lookupSquares[1] = (swapped ? whiteKing : blackKing) ^ flip;
+  let n = 2;
+  for (const side of [strongSide, 1 - strongSide]) {
+    const pieceTypes = side === strongSide ? table.strong : table.weak;
+    // Place pieces in the table's type order
+    for (const type of pieceTypes) {
+      const i = foundTypes[side].indexOf(type);
+      lookupSquares[n++] = foundSquares[side][i] ^ flip;
+      foundTypes[side][i] = 0;
+    }
+  }
+
+  out.table = table;
+  out.index = indexSquares(table, lookupSquares);
+  out.side = (color === 1) === !swapped ? 0 : 1;
+  return true;
+}
+
+// ============================================================================
+// LOADED TABLES
+// ============================================================================
+
+export function addTablebase(table) {
+  tables.set(table.signature, table);
+  maxTablePieces = Math.max(maxTablePieces, table.pieceCount);
+}
+
+export function clearTablebases() {
+  tables.clear();
+  maxTablePieces = 0;
+}
+
+export function getTablebaseNames() {
+  return [...tables.values()].map(table => table.name);
+}
+
+export function hasTablebases() {
+  return tables.size > 0;
+}
+
+const probeResult = { table: null, index: 0, side: 0, draw: false };
+
+/**
+ * Value byte for `color` to move on an engine board (TB_DRAW or
+ * distance + 1), or TB_MISSING if no table covers the position
+ */
+export function probeTablebase(board, color) {
+  if (!locateTablebasePosition(board, color, probeResult)) {
+    return probeResult.draw ? TB_DRAW : TB_MISSING;
+  }
+  const value = probeResult.table.values[probeResult.side][probeResult.index];
+  return value === TB_INVALID ? TB_MISSING : value;
+}
+
+// ============================================================================
+// FILE FORMAT
+// ============================================================================
+
+/**
+ * Binary file for a finished table:
+ *   bytes 0-3    'DMTB'
+ *   byte  4      format version
+ *   byte  5      piece count
+ *   bytes 6-7    reserved
+ *   bytes 8-15   material name, ASCII, zero padded
+ *   then the strong-side-to-move values, then the weak-side-to-move values
+ */
+export function encodeTablebase(table) {
+  const bytes = new Uint8Array(FILE_HEADER_BYTES + 2 * table.size);
+  for (let i = 0; i < 4; i++) bytes[i] = FILE_MAGIC.charCodeAt(i);
+  bytes[4] = FILE_VERSION;
+  bytes[5] = table.pieceCount;
+  for (let i = 0; i < table.name.length; i++) bytes[8 + i] = table.name.charCodeAt(i);
+  bytes.set(table.values[0], FILE_HEADER_BYTES);
+  bytes.set(table.values[1], FILE_HEADER_BYTES + table.size);
+  return bytes;
+}
+
+/**
+ * Read a table from a file's bytes (ArrayBuffer or Uint8Array).
+ * Throws on anything that isn't a table of the current version.
+ */
+export function decodeTablebase(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const magic = String.fromCharCode(...bytes.subarray(0, 4));
+  if (magic !== FILE_MAGIC || bytes[4] !== FILE_VERSION) {
+    throw new Error('Not a tablebase file');
+  }
+
+  const name = String.fromCharCode(...bytes.subarray(8, 16)).replace(/\0+$/, '');
+  const table = createTablebase(name);
+  if (bytes.length !== FILE_HEADER_BYTES + 2 * table.size) {
+    throw new Error(`Tablebase ${name} has the wrong size`);
+  }
+
+  table.values[0] = bytes.slice(FILE_HEADER_BYTES, FILE_HEADER_BYTES + table.size);
+  table.values[1] = bytes.slice(FILE_HEADER_BYTES + table.size);
+  return table;
+}
+
+/**
+ * The same table with its values moved into SharedArrayBuffers, so posting
+ * it to another worker shares the values instead of copying them
+ */
+export function shareTablebase(table) {
+  const share = (values) => {
+    const shared = new Uint8Array(new SharedArrayBuffer(values.length));
+    shared.set(values);
+    return shared;
+  };
+  return { ...table, values: table.values.map(share) };
+}
@@ -0,0 +1,25 @@
+/**
+ * Search time budgeting from a game clock, shared by the engine worker and
+ * the command-line protocol (engine-protocol.js).
+ */
+
+// Never plan to use the last slice of the clock - leaves room for the
+// 200-300ms move animation in useMarseillaisEngine and message overhead
+const CLOCK_SAFETY_MS = 1000;
+const MIN_BUDGET_MS = 100;
+
+/**
+ * Derive a per-turn search budget from the engine's remaining clock.
+ * Assumes ~20 more turns to play and spends most of the increment.
+ * Returns Infinity for untimed games (depth-limited search only).
+ */
+export function getTimeBudget(timeLeftMs, incrementMs = 0) {
+  if (typeof timeLeftMs !== 'number' || !isFinite(timeLeftMs)) {
+    return Infinity;
+  }
+  
+  const usable = Math.max(0, timeLeftMs - CLOCK_SAFETY_MS);
+  const budget = usable / 20 + incrementMs * 0.75;
+  
+  return Math.max(MIN_BUDGET_MS, Math.min(budget, usable));
+}
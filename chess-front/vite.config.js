@@ -30,4 +30,14 @@ export default defineConfig({
   worker: {
     format: 'es',
   },
+  // chess-rules is a CommonJS workspace package (the server requires it too);
+  // linked packages aren't converted to ES modules unless listed
+  optimizeDeps: {
+    include: ['chess-rules'],
+  },
+  build: {
+    commonjsOptions: {
+      include: [/chess-rules/, /node_modules/],
+    },
+  },
 })
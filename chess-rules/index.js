@@ -0,0 +1,396 @@
+const { Chess } = require("chess.js");
+const { buildPgn } = require("./pgn");
+
+/**
+ * Marseillais (double-move) chess rules on top of chess.js.
+ *
+ * Shared by the client (useChessController, PGN import), the server
+ * (GameService live play and replay from the DB) and the Node scripts, so a
+ * turn is played the same way everywhere:
+ * - each turn is two moves by the same side;
+ * - in the balanced variant white's first turn is a single move;
+ * - a check or stalemate on the first move ends the turn, and so does a
+ *   move that leaves the mover nothing to play as a second move.
+ *
+ * chess.js only knows alternating moves, so mid-turn the FEN is handed back
+ * to the mover with the en passant square cleared.
+ *
+ * En passant: a double push on either move of a turn can be taken on the
+ * first move of the opponent's next turn, as long as the pawn is still on
+ * its landing square. With firstMoveEnPassant off only a push made with the
+ * last move of the turn counts (as in a normal game). A FEN holds a single en
+ * passant square, so the targets travel alongside it as epSquares.
+ *
+ * Marseillais FEN: the six FEN fields plus a seventh, the moves the side to
+ * move has left in its turn (2, or 1 for the second move of a turn and for
+ * balanced white's opening move), so any position can be saved and resumed
+ * mid-turn. The en passant field lists every target ("c6f6"): at the start
+ * of a turn the squares the mover may capture on, mid-turn the square behind
+ * the mover's own first-move push, kept for the opponent's reply. The
+ * halfmove clock counts single moves, not turns. A plain FEN reads as the
+ * start of a two-move turn. See toMarseillaisFen and parseMarseillaisFen.
+ *
+ * Functions that play moves take the Chess instance plus the turn context
+ * { movesInTurn, plyCount, isUnbalanced, epSquares, firstMoveEnPassant }:
+ * moves already played this turn (0 or 1), moves played in the game so far,
+ * the variant, the en passant targets (see applyMove; the FEN's own square
+ * when left out) and the en passant rule (on by default).
+ * Draw tracking works on any { positionHistory, halfMoveClock } object.
+ * The PGN writer lives in pgn.js and is re-exported here.
+ */
+
+const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+/**
+ * Position key for repetition: pieces, side to move, castling and en passant
+ * (the move counters don't make positions different)
+ */
+function getPositionKey(fen) {
+  const parts = fen.split(" ");
+  return `${parts[0]}|${parts[1]}|${parts[2]}|${parts[3]}`;
+}
+
+/**
+ * Give the move back to the side that just moved, for their second move
+ */
+function handBackTurn(fen) {
+  const parts = fen.split(" ");
+  parts[1] = parts[1] === "w" ? "b" : "w";
+  // The square a double push created belongs to the opponent's reply, and
+  // chess.js rejects it with the mover to play
+  parts[3] = "-";
+  return parts.join(" ");
+}
+
+/**
+ * The square behind a double push, or null for any other move
+ */
+function pushTarget(move) {
+  if (!move.flags.includes("b")) return null;
+  return move.to[0] + (move.color === "w" ? "3" : "6");
+}
+
+/**
+ * A target stays open while the pushed pawn sits on its landing square and
+ * nothing has moved onto the square behind it
+ */
+function isTargetOpen(chess, square) {
+  const color = square[1] === "3" ? "w" : "b";
+  const landing = chess.get(square[0] + (color === "w" ? "4" : "5"));
+  return !chess.get(square) && landing?.type === "p" && landing.color === color;
+}
+
+function withEpSquare(fen, square) {
+  const parts = fen.split(" ");
+  parts[3] = square;
+  return parts.join(" ");
+}
+
+/**
+ * The positions a turn can start from: chess.js keeps one en passant square,
+ * so with two open targets each gets its own copy of the FEN
+ */
+function epPositions(chess, turn = {}) {
+  const fen = chess.fen();
+  if (turn.movesInTurn || !turn.epSquares?.length) return [fen];
+  return [fen, ...turn.epSquares.map((square) => withEpSquare(fen, square))];
+}
+
+/**
+ * chess.moves() under the double-move rules (the same options), including
+ * en passant captures on targets the FEN can't hold
+ */
+function legalMoves(chess, turn = {}, options = {}) {
+  const positions = epPositions(chess, turn);
+  if (positions.length === 1) return chess.moves(options);
+
+  const moves = new Map();
+  for (const fen of positions) {
+    for (const move of new Chess(fen).moves(options)) {
+      moves.set(options.verbose ? move.lan : move, move);
+    }
+  }
+  return [...moves.values()];
+}
+
+function isFirstTurnBalanced({ plyCount = 0, isUnbalanced = true } = {}) {
+  return !isUnbalanced && plyCount === 0;
+}
+
+/**
+ * Who is to move and how many moves are left in their turn
+ * Returns { color, movesInTurn, movesLeft }
+ */
+function turnState(chess, turn = {}) {
+  const movesInTurn = turn.movesInTurn || 0;
+  return {
+    color: chess.turn(),
+    movesInTurn,
+    movesLeft: movesInTurn === 1 || isFirstTurnBalanced(turn) ? 1 : 2,
+  };
+}
+
+/**
+ * The position on `chess` as a Marseillais FEN (see above), `turn` being the
+ * context for the next move
+ */
+function toMarseillaisFen(chess, turn = {}) {
+  const parts = chess.fen().split(" ");
+  const { movesInTurn, movesLeft } = turnState(chess, turn);
+  let epSquares = turn.epSquares ?? (parts[3] === "-" ? [] : [parts[3]]);
+  // Without first-move en passant a push from the first move is never carried
+  if (movesInTurn === 1 && turn.firstMoveEnPassant === false) epSquares = [];
+  parts[3] = epSquares.join("") || "-";
+  return [...parts, movesLeft].join(" ");
+}
+
+/**
+ * Read a Marseillais FEN (or a plain one).
+ * Returns { fen, movesLeft, turn }: the FEN for chess.js, the moves left in
+ * the turn and the turn context { movesInTurn, plyCount, isUnbalanced,
+ * epSquares } to play on from there. Throws on a malformed turn field.
+ */
+function parseMarseillaisFen(marseillaisFen) {
+  const parts = marseillaisFen.trim().split(/\s+/);
+  const movesLeft = parts.length > 6 ? Number(parts[6]) : 2;
+  if (movesLeft !== 1 && movesLeft !== 2) {
+    throw new Error(`Invalid Marseillais FEN: moves left must be 1 or 2, got ${parts[6]}`);
+  }
+
+  const epSquares = parts[3]?.match(/[a-h][36]/g) || [];
+  const ownRank = parts[1] === "w" ? "3" : "6";
+  // A single move left is the second move of a turn, unless it is a turn
+  // start: the targets are the opponent's, or nothing has been played yet
+  const isTurnStart = movesLeft === 2
+    || epSquares.some((square) => square[1] !== ownRank)
+    || parts[0] === START_FEN.split(" ")[0];
+
+  const fenParts = parts.slice(0, 6);
+  // chess.js holds one square, and none with the mover to play again
+  fenParts[3] = isTurnStart && epSquares.length > 0 ? epSquares[epSquares.length - 1] : "-";
+
+  let turn;
+  if (!isTurnStart) {
+    turn = { movesInTurn: 1, plyCount: 1, isUnbalanced: true, epSquares };
+  } else if (movesLeft === 1) {
+    turn = { movesInTurn: 0, plyCount: 0, isUnbalanced: false, epSquares };
+  } else {
+    turn = { movesInTurn: 0, plyCount: 0, isUnbalanced: true, epSquares };
+  }
+  return { fen: fenParts.join(" "), movesLeft, turn };
+}
+
+/**
+ * Whether the move just played on `chess` ends the mover's turn.
+ * `turn` is the context from before that move.
+ */
+function isTurnOver(chess, turn = {}) {
+  if (turn.movesInTurn === 1 || isFirstTurnBalanced(turn)) return true;
+  // Check (or mate) or stalemate on the first move. Insufficient material
+  // doesn't end the turn (getGameResult calls the draw either way), the same
+  // as in the engine's move generator.
+  if (chess.inCheck() || chess.isStalemate()) return true;
+  // Nothing to play as a second move - the turn is the first move alone
+  return new Chess(handBackTurn(chess.fen())).moves().length === 0;
+}
+
+function tryMove(chess, move) {
+  try {
+    return chess.move(move);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Play one move (SAN or { from, to, promotion }) under the double-move rules.
+ * Returns { move, movesInTurn, epSquares } with the chess.js move, the moves
+ * played in the turn afterwards (0 once it passed to the opponent) and the
+ * en passant targets: the mover's own push while the turn goes on, then the
+ * squares the opponent may take on. Returns null if the move is illegal
+ * (chess is left untouched then).
+ */
+function applyMove(chess, move, turn = {}) {
+  const { firstMoveEnPassant = true } = turn;
+  const positions = epPositions(chess, turn);
+  const before = chess.fen();
+
+  let result = tryMove(chess, move);
+  // An en passant capture on a target the FEN doesn't hold
+  for (let i = 1; !result && i < positions.length; i++) {
+    chess.load(positions[i]);
+    result = tryMove(chess, move);
+  }
+  if (!result) {
+    if (positions.length > 1) chess.load(before);
+    return null;
+  }
+
+  const push = pushTarget(result);
+
+  if (isTurnOver(chess, turn)) {
+    const pending = turn.movesInTurn === 1 && firstMoveEnPassant ? turn.epSquares || [] : [];
+    const epSquares = [...pending, ...(push ? [push] : [])].filter((square) => isTargetOpen(chess, square));
+    // The FEN carries the latest target, or the first-move one if that's all
+    const fenSquare = epSquares.length > 0 ? epSquares[epSquares.length - 1] : "-";
+    if (fenSquare !== (push || "-")) chess.load(withEpSquare(chess.fen(), fenSquare));
+    return { move: result, movesInTurn: 0, epSquares };
+  }
+
+  chess.load(handBackTurn(chess.fen()));
+  return { move: result, movesInTurn: 1, epSquares: push ? [push] : [] };
+}
+
+/**
+ * Every legal turn from `fen` as { moves, fen, epSquares }: the verbose
+ * chess.js moves, the position after the turn with the opponent to move and
+ * the en passant targets left for them.
+ * maxMoves 1 is a single-move turn (mid-turn, or balanced white's opening).
+ * epSquares are the targets open at the start of the turn (the FEN's square
+ * when left out).
+ */
+function legalTurns(fen, { maxMoves = 2, epSquares, firstMoveEnPassant = true } = {}) {
+  const chess = new Chess(fen);
+  // A single-move turn plays like balanced white's opening
+  const turn = maxMoves === 1
+    ? { movesInTurn: 0, plyCount: 0, isUnbalanced: false, epSquares }
+    : { movesInTurn: 0, epSquares, firstMoveEnPassant };
+  const turns = [];
+
+  for (const first of legalMoves(chess, turn, { verbose: true })) {
+    chess.load(fen);
+    const played = applyMove(chess, first, turn);
+    if (played.movesInTurn === 0) {
+      turns.push({ moves: [played.move], fen: chess.fen(), epSquares: played.epSquares });
+      continue;
+    }
+
+    const secondFen = chess.fen();
+    const secondTurn = { movesInTurn: 1, epSquares: played.epSquares, firstMoveEnPassant };
+    for (const second of chess.moves({ verbose: true })) {
+      chess.load(secondFen);
+      const last = applyMove(chess, second, secondTurn);
+      turns.push({ moves: [played.move, last.move], fen: chess.fen(), epSquares: last.epSquares });
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Fresh draw tracking with `fen` (the start position by default) seen once
+ * and the fifty-move count taken from its halfmove clock
+ */
+function createDrawState(fen = START_FEN) {
+  return {
+    positionHistory: new Map([[getPositionKey(fen), 1]]), // Map<positionKey, count>
+    halfMoveClock: Number(fen.split(" ")[4]) || 0, // Moves since the last pawn move or capture
+  };
+}
+
+/**
+ * Count a played move for the fifty-move rule and the position after it
+ * (with the side to move after any hand-back) for repetition.
+ * Returns how many times that position has now been seen.
+ */
+function recordDrawState(draws, move, fenAfter) {
+  if (move.piece === "p" || move.captured) {
+    draws.halfMoveClock = 0;
+  } else {
+    draws.halfMoveClock = (draws.halfMoveClock || 0) + 1;
+  }
+
+  if (!draws.positionHistory) draws.positionHistory = new Map();
+  const key = getPositionKey(fenAfter);
+  const count = (draws.positionHistory.get(key) || 0) + 1;
+  draws.positionHistory.set(key, count);
+  return count;
+}
+
+/**
+ * Returns { isRepetition, isFiftyMove, repetitionCount, halfMoveClock } for `fen`
+ */
+function getDrawStatus(draws, fen) {
+  const repetitionCount = draws.positionHistory?.get(getPositionKey(fen)) || 0;
+  const halfMoveClock = draws.halfMoveClock || 0;
+  return {
+    isRepetition: repetitionCount >= 3,
+    isFiftyMove: halfMoveClock >= 100, // 100 half-moves = 50 full moves
+    repetitionCount,
+    halfMoveClock,
+  };
+}
+
+/**
+ * How the game ended, or null while it goes on.
+ * Returns { reason, winner } with reason 'checkmate', 'stalemate', 'draw'
+ * (insufficient material), 'repetition' or 'fifty-move' and winner 'white',
+ * 'black' or null.
+ * Repetition and the fifty-move rule come from `draws`: chess.js loses its
+ * own history every time the turn is handed back.
+ */
+function getGameResult(chess, draws = null) {
+  if (chess.isCheckmate()) {
+    return { reason: "checkmate", winner: chess.turn() === "w" ? "black" : "white" };
+  }
+  if (chess.isStalemate()) return { reason: "stalemate", winner: null };
+  if (chess.isInsufficientMaterial()) return { reason: "draw", winner: null };
+
+  if (draws) {
+    const status = getDrawStatus(draws, chess.fen());
+    if (status.isRepetition) return { reason: "repetition", winner: null };
+    if (status.isFiftyMove) return { reason: "fifty-move", winner: null };
+  }
+  return null;
+}
+
+/**
+ * Replay SAN moves from the start position (or `fen`, plain or Marseillais;
+ * a Marseillais FEN decides how the first turn goes, not isUnbalanced).
+ * Returns { chess, moves, movesInTurn, epSquares, draws, error } where moves
+ * are the verbose moves with the FEN after each (and the Marseillais FEN as
+ * marseillaisFen), and error names the first move that didn't apply (the
+ * replay stops there).
+ */
+function replayMoves(sans = [], { isUnbalanced = true, fen = START_FEN, firstMoveEnPassant = true } = {}) {
+  const start = parseMarseillaisFen(fen);
+  const chess = new Chess(start.fen);
+  const draws = createDrawState(chess.fen());
+  const moves = [];
+  let { movesInTurn, epSquares } = start.turn;
+  if (fen.trim().split(/\s+/).length > 6) isUnbalanced = start.turn.isUnbalanced;
+
+  for (const san of sans) {
+    const turn = { movesInTurn, plyCount: moves.length, isUnbalanced, epSquares, firstMoveEnPassant };
+    const played = applyMove(chess, san, turn);
+    if (!played) {
+      return { chess, moves, movesInTurn, epSquares, draws, error: `Illegal move ${moves.length + 1}: ${san}` };
+    }
+
+    ({ movesInTurn, epSquares } = played);
+    const fenAfter = chess.fen();
+    recordDrawState(draws, played.move, fenAfter);
+    const marseillaisFen = toMarseillaisFen(chess, { ...turn, movesInTurn, plyCount: moves.length + 1, epSquares });
+    moves.push({ ...played.move, fen: fenAfter, marseillaisFen });
+  }
+
+  return { chess, moves, movesInTurn, epSquares, draws, error: null };
+}
+
+module.exports = {
+  START_FEN,
+  getPositionKey,
+  turnState,
+  toMarseillaisFen,
+  parseMarseillaisFen,
+  isTurnOver,
+  legalMoves,
+  applyMove,
+  legalTurns,
+  createDrawState,
+  recordDrawState,
+  getDrawStatus,
+  getGameResult,
+  replayMoves,
+  buildPgn,
+};
@@ -0,0 +1,187 @@
+/**
+ * PGN writer for Marseillais (double-move) chess, shared by the server's
+ * /pgn endpoint, the client's export of local games and the match runner.
+ *
+ * Both moves of a side's turn share one move number, white's turn written
+ * "N." and black's "N...":  1. e4 d4 1... Nc6 Nf6 2. Nf3 Bc4 ...
+ * Reading PGNs back is the client's job (chess-front/src/utils/pgn.js).
+ */
+
+const PGN_LINE_LENGTH = 80;
+
+// How each stored result maps onto the standard Termination tag
+const TERMINATIONS = {
+  timeout: 'time forfeit',
+  abandonment: 'abandoned',
+  // Engine matches (chess-front/scripts/match.mjs)
+  adjudicated: 'adjudication',
+  'illegal move': 'rules infraction',
+};
+
+// Wording for the closing comment, keyed by stored result
+const RESULT_REASONS = {
+  checkmate: 'checkmate',
+  resignation: 'resignation',
+  timeout: 'timeout',
+  abandonment: 'abandonment',
+  agreement: 'agreement',
+  stalemate: 'stalemate',
+  repetition: 'threefold repetition',
+  'fifty-move': 'the fifty-move rule',
+};
+
+/**
+ * PGN tag values may not contain unescaped quotes or backslashes
+ */
+function escapeTagValue(value) {
+  return String(value ?? '?').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * PGN date, e.g. "2025.03.14". Unknown dates are "????.??.??".
+ */
+function formatDate(timestamp) {
+  if (!timestamp) return '????.??.??';
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`;
+}
+
+/**
+ * Clock for a [%clk] comment, e.g. "0:04:58"
+ */
+function formatClock(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Result token from the winner ('white', 'black' or null)
+ */
+function getResultToken(winner, isCompleted) {
+  if (!isCompleted) return '*';
+  if (winner === 'white') return '1-0';
+  if (winner === 'black') return '0-1';
+  return '1/2-1/2';
+}
+
+/**
+ * Closing comment describing how the game ended, e.g. "Black wins by resignation"
+ */
+function describeResult(result, winner) {
+  if (winner) {
+    const reason = RESULT_REASONS[result];
+    const side = winner === 'white' ? 'White' : 'Black';
+    return reason ? `${side} wins by ${reason}` : `${side} wins`;
+  }
+  if (result === 'timeout') return 'Draw: flag fell against insufficient mating material';
+  return RESULT_REASONS[result] ? `Draw by ${RESULT_REASONS[result]}` : 'Draw';
+}
+
+/**
+ * Split moves into turns: a turn is every consecutive move by the same color.
+ * Each side's turn gets the move number of the white turn it belongs to.
+ */
+function groupTurns(moves) {
+  const turns = [];
+  let number = 0;
+  for (const move of moves) {
+    const last = turns[turns.length - 1];
+    if (last && last.color === move.color) {
+      last.moves.push(move);
+      continue;
+    }
+    if (move.color === 'w' || number === 0) number++;
+    turns.push({ number, color: move.color, moves: [move] });
+  }
+  return turns;
+}
+
+/**
+ * Wrap movetext tokens at the usual PGN line length
+ */
+function wrapTokens(tokens) {
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + 1 + token.length > PGN_LINE_LENGTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+/**
+ * Build a Marseillais PGN.
+ * Moves are { san, color, whiteMs?, blackMs? }; when clocks are present the
+ * mover's remaining time is written after each turn as a [%clk] comment.
+ * result is how the game ended ('checkmate', 'timeout', ...) and sets the
+ * Termination tag and closing comment. firstMoveEnPassant is the en passant
+ * rule (see index.js), written as the FirstMoveEnPassant tag so a replay
+ * uses the same rule. extraTags are [name, value] pairs appended after the
+ * standard ones.
+ */
+function buildPgn({
+  moves = [],
+  isUnbalanced = true,
+  firstMoveEnPassant = true,
+  white = '?',
+  black = '?',
+  startedAt = null,
+  initialMs = null,
+  incrementMs = null,
+  result = null,
+  winner = null,
+  isCompleted = false,
+  event = isCompleted ? 'Casual game' : 'Live game',
+  site = 'Double-Move Chess',
+  extraTags = [],
+}) {
+  const resultToken = getResultToken(winner, isCompleted);
+  const termination = !isCompleted ? 'unterminated' : (TERMINATIONS[result] || 'normal');
+
+  const tags = [
+    ['Event', event],
+    ['Site', site],
+    ['Date', formatDate(startedAt)],
+    ['White', white],
+    ['Black', black],
+    ['Result', resultToken],
+    ['Variant', 'Marseillais'],
+    ['Balanced', isUnbalanced ? 'false' : 'true'],
+    ['FirstMoveEnPassant', firstMoveEnPassant ? 'true' : 'false'],
+    ['TimeControl', initialMs ? `${Math.round(initialMs / 1000)}+${Math.round((incrementMs || 0) / 1000)}` : '-'],
+    ['Termination', termination],
+    ...extraTags,
+  ];
+
+  const tokens = [];
+  for (const turn of groupTurns(moves.filter(m => m?.san))) {
+    tokens.push(turn.color === 'w' ? `${turn.number}.` : `${turn.number}...`);
+    tokens.push(...turn.moves.map(m => m.san));
+
+    const last = turn.moves[turn.moves.length - 1];
+    const clockMs = turn.color === 'w' ? last.whiteMs : last.blackMs;
+    if (typeof clockMs === 'number') {
+      tokens.push(`{[%clk ${formatClock(clockMs)}]}`);
+    }
+  }
+
+  const ending = isCompleted ? describeResult(result, winner) : null;
+  if (ending) tokens.push(`{${ending}}`);
+  tokens.push(resultToken);
+
+  const header = tags.map(([name, value]) => `[${name} "${escapeTagValue(value)}"]`).join('\n');
+  return `${header}\n\n${wrapTokens(tokens)}\n`;
+}
+
+module.exports = {
+  buildPgn,
+};
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+/**
+ * Table of tricky turn sequences for the shared rules: each case replays SAN
+ * moves and checks where the game ends up - side to move, moves played in
+ * the current turn, the result, the Marseillais FEN, or the move that was
+ * rejected. Every position reached must also read back from its Marseillais
+ * FEN unchanged.
+ *
+ * Usage:
+ *   node scripts/check-turns.js [--verbose]
+ *
+ * Exits 1 if any case fails.
+ */
+
+const { Chess } = require("chess.js");
+const { replayMoves, getGameResult, legalTurns, toMarseillaisFen, parseMarseillaisFen } = require("../index");
+
+// expect: turn (side to move), movesInTurn, result (reason or null),
+// fen (Marseillais FEN), error (start of the message naming the rejected move)
+const CASES = [
+  {
+    name: "unbalanced: white plays two moves",
+    moves: ["e4", "d4"],
+    expect: { turn: "b", movesInTurn: 0, result: null },
+  },
+  {
+    name: "balanced: white's first turn is one move",
+    moves: ["e4"],
+    isUnbalanced: false,
+    expect: { turn: "b", movesInTurn: 0 },
+  },
+  {
+    name: "balanced: black still gets two moves",
+    moves: ["e4", "e5"],
+    isUnbalanced: false,
+    expect: { turn: "b", movesInTurn: 1 },
+  },
+  {
+    name: "first move of the turn is handed back to the mover",
+    moves: ["e4"],
+    expect: { turn: "w", movesInTurn: 1, fen: "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e3 0 1 1" },
+  },
+  {
+    name: "balanced: the start position has one move left",
+    moves: [],
+    isUnbalanced: false,
+    expect: { turn: "w", movesInTurn: 0, fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1 1" },
+  },
+  {
+    name: "Marseillais FEN lists both en passant targets",
+    moves: ["e4", "e5", "d5", "f5"],
+    expect: { turn: "w", movesInTurn: 0, fen: "rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq d6f6 0 3 2" },
+  },
+  {
+    name: "resume mid-turn from a Marseillais FEN",
+    fen: "rnbqkbnr/ppp1pppp/8/3pP3/8/5N2/PPPP1PPP/RNBQKB1R b KQkq d6 0 2 1",
+    moves: ["Nc6", "exd6"],
+    expect: { turn: "w", movesInTurn: 1 },
+  },
+  {
+    name: "resume balanced white's opening move from a Marseillais FEN",
+    fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1 1",
+    moves: ["e4"],
+    expect: { turn: "b", movesInTurn: 0 },
+  },
+  {
+    name: "check on the first move ends the turn",
+    moves: ["e4", "Nf3", "d6", "h6", "Bb5+"],
+    expect: { turn: "b", movesInTurn: 0, result: null },
+  },
+  {
+    name: "check must be answered on the first move",
+    moves: ["e4", "Nf3", "d6", "h6", "Bb5+", "h5"],
+    expect: { error: "Illegal move 6: h5" },
+  },
+  {
+    name: "mate on the second move",
+    moves: ["f3", "g4", "e5", "Qh4#"],
+    expect: { turn: "w", movesInTurn: 0, result: "checkmate" },
+  },
+  {
+    name: "mate on the first move ends the game",
+    fen: "6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1",
+    moves: ["Ra8#"],
+    expect: { turn: "b", movesInTurn: 0, result: "checkmate" },
+  },
+  {
+    name: "stalemate on the first move ends the game",
+    fen: "7k/5K2/8/8/8/8/8/6Q1 w - - 0 1",
+    moves: ["Qg6"],
+    expect: { turn: "b", movesInTurn: 0, result: "stalemate" },
+  },
+  {
+    name: "no second move to play ends the turn",
+    fen: "4k1r1/8/8/2p5/8/2P5/r7/7K w - - 0 1",
+    moves: ["c4"],
+    expect: { turn: "b", movesInTurn: 0, result: null },
+  },
+  {
+    name: "a double push on the first move can be taken en passant",
+    moves: ["e4", "e5", "d5", "Nf6", "exd6"],
+    expect: { turn: "w", movesInTurn: 1 },
+  },
+  {
+    name: "without first-move en passant only the last push counts",
+    moves: ["e4", "e5", "d5", "Nf6", "exd6"],
+    firstMoveEnPassant: false,
+    expect: { error: "Illegal move 5: exd6" },
+  },
+  {
+    name: "both pushes of a turn can be taken",
+    moves: ["e4", "e5", "d5", "f5", "exd6"],
+    expect: { turn: "w", movesInTurn: 1 },
+  },
+  {
+    name: "en passant lasts only for the first move of the reply",
+    moves: ["e4", "e5", "d5", "Nf6", "a3", "exd6"],
+    expect: { error: "Illegal move 6: exd6" },
+  },
+  {
+    name: "a pushed pawn that moves on closes its target",
+    moves: ["e4", "e5", "d5", "d4", "exd6"],
+    expect: { error: "Illegal move 5: exd6" },
+  },
+  {
+    name: "a double push on the second move allows en passant",
+    moves: ["e4", "e5", "Nf6", "d5", "exd6"],
+    expect: { turn: "w", movesInTurn: 1 },
+  },
+  {
+    name: "the second move belongs to the same side",
+    moves: ["e4", "e5"],
+    expect: { turn: "b", movesInTurn: 0 },
+  },
+  {
+    name: "a move the mover can't make is rejected",
+    moves: ["e4", "Nf6"],
+    expect: { error: "Illegal move 2: Nf6" },
+  },
+  {
+    name: "threefold repetition counts whole turns",
+    moves: ["Nf3", "Ng1", "Nf6", "Ng8", "Nf3", "Ng1", "Nf6", "Ng8"],
+    expect: { turn: "w", movesInTurn: 0, result: "repetition" },
+  },
+  {
+    name: "insufficient material draws, even mid-turn",
+    fen: "4k3/8/8/8/8/8/3p4/4K3 w - - 0 1",
+    moves: ["Kxd2"],
+    expect: { turn: "w", movesInTurn: 1, result: "draw" },
+  },
+];
+
+// Number of legal turns from a position, counted by legalTurns
+const TURN_COUNTS = [
+  { name: "no second move: the push is a turn of its own", fen: "4k1r1/8/8/2p5/8/2P5/r7/7K w - - 0 1", turns: 1 },
+  { name: "single-move turn", fen: "4k3/8/8/8/8/8/8/4K3 w - - 0 1", maxMoves: 1, turns: 5 },
+  {
+    name: "two en passant targets: each capture opens its own turns",
+    fen: "4k3/8/8/1Pp1Pp2/8/8/8/4K3 w - c6 0 1",
+    epSquares: ["c6", "f6"],
+    maxMoves: 1,
+    turns: 9,
+  },
+];
+
+/**
+ * Problems reading `fen` back from its Marseillais FEN
+ */
+function checkRoundTrip(fen) {
+  const { fen: chessFen, turn } = parseMarseillaisFen(fen);
+  const again = toMarseillaisFen(new Chess(chessFen), turn);
+  return again === fen ? [] : [`${fen} reads back as ${again}`];
+}
+
+function runCase(test) {
+  const isUnbalanced = test.isUnbalanced !== false;
+  const firstMoveEnPassant = test.firstMoveEnPassant !== false;
+  const { chess, moves, movesInTurn, epSquares, draws, error } = replayMoves(test.moves, {
+    isUnbalanced,
+    fen: test.fen,
+    firstMoveEnPassant,
+  });
+  const expect = test.expect;
+  const problems = [];
+
+  if (expect.error) {
+    if (!error || !error.startsWith(expect.error)) problems.push(`error ${error}, expected ${expect.error}`);
+    return problems;
+  }
+  if (error) return [error];
+
+  const result = getGameResult(chess, draws);
+  if (expect.turn && chess.turn() !== expect.turn) problems.push(`turn ${chess.turn()}, expected ${expect.turn}`);
+  if (expect.movesInTurn !== undefined && movesInTurn !== expect.movesInTurn) {
+    problems.push(`movesInTurn ${movesInTurn}, expected ${expect.movesInTurn}`);
+  }
+  if (expect.result !== undefined && (result?.reason ?? null) !== expect.result) {
+    problems.push(`result ${result?.reason ?? null}, expected ${expect.result}`);
+  }
+
+  const fen = moves.length > 0
+    ? moves[moves.length - 1].marseillaisFen
+    : toMarseillaisFen(chess, { movesInTurn, plyCount: 0, isUnbalanced, epSquares, firstMoveEnPassant });
+  if (expect.fen && fen !== expect.fen) problems.push(`fen ${fen}, expected ${expect.fen}`);
+  for (const move of moves) problems.push(...checkRoundTrip(move.marseillaisFen));
+  return problems;
+}
+
+function main() {
+  const verbose = process.argv.includes("--verbose");
+  let failures = 0;
+
+  for (const test of CASES) {
+    const problems = runCase(test);
+    if (problems.length > 0) failures++;
+    if (problems.length > 0 || verbose) console.log(`${problems.length === 0 ? "ok  " : "FAIL"} ${test.name}`);
+    for (const problem of problems) console.log(`  ${problem}`);
+  }
+
+  for (const test of TURN_COUNTS) {
+    const count = legalTurns(test.fen, { maxMoves: test.maxMoves, epSquares: test.epSquares }).length;
+    const ok = count === test.turns;
+    if (!ok) failures++;
+    if (!ok || verbose) console.log(`${ok ? "ok  " : "FAIL"} ${test.name}: ${count} turns${ok ? "" : `, expected ${test.turns}`}`);
+  }
+
+  const total = CASES.length + TURN_COUNTS.length;
+  console.log(failures === 0 ? `All ${total} cases pass` : `\n${failures} of ${total} cases fail`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main();
@@ -17,9 +17,54 @@ module.exports = {
     MAX_PLAYERS: 2,
   },
 
+  // Bot strength ladder (chess-front/src/workers/bot-levels.js)
+  BOT: {
+    MIN_SKILL_LEVEL: 1,
+    MAX_SKILL_LEVEL: 8,
+    DEFAULT_SKILL_LEVEL: 4,
+    PLAYER_NAME: 'Marseillais Bot',
+    // Server-hosted bot games (services/botEngine.service.js)
+    MAX_ENGINE_THREADS: 4, // BOT_ENGINE_THREADS overrides, up to this
+    ENGINE_HASH_MB: 16,    // Transposition table per engine thread
+  },
+
+  // Public matchmaking queue limits
+  MATCHMAKING: {
+    MIN_TIME_MINUTES: 1,
+    MAX_TIME_MINUTES: 30,
+    MAX_INCREMENT_SECONDS: 30,
+  },
+
+  // Glicko-2 rating settings
+  RATING: {
+    DEFAULT_RATING: 1500,
+    DEFAULT_RD: 350,
+    DEFAULT_VOLATILITY: 0.06,
+    MIN_RD: 45,            // Keeps established ratings from freezing completely
+    PROVISIONAL_RD: 110,   // Above this the rating is shown with a "?"
+    TAU: 0.5,              // How fast volatility can change
+    // Category by estimated game length (initial + 40 x increment), in seconds
+    BULLET_MAX_SECONDS: 180,
+    BLITZ_MAX_SECONDS: 480,
+  },
+
+  // Game archive listing
+  ARCHIVE: {
+    DEFAULT_PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100,
+  },
+
+  // Stats aggregates
+  STATS: {
+    SUMMARY_DAYS: 30, // /api/stats/summary covers this many days
+  },
+
   // Auth settings
   AUTH: {
     TOKEN_EXPIRY: '24h',
+    GUEST_TOKEN_EXPIRY: '30d',
+    BCRYPT_ROUNDS: 10,
+    MIN_PASSWORD_LENGTH: 8,
   },
 
   // HTTP status codes
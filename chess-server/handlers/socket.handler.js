@@ -1,10 +1,19 @@
 const gameService = require('../services/game.service');
+const matchmakingService = require('../services/matchmaking.service');
+const authService = require('../services/auth.service');
+const ratingService = require('../services/rating.service');
+const statsService = require('../services/stats.service');
+const botEngineService = require('../services/botEngine.service');
 const BotGame = require('../models/botGame.model');
+const { BOT } = require('../config/constants');
 
 // Track disconnect timeouts for players (gameId -> { color, timeout })
 const disconnectTimeouts = new Map();
 const DISCONNECT_TIMEOUT_MS = 20 * 1000; // 20 seconds
 
+// Track flag-fall timers for running clocks (gameId -> timeout)
+const flagTimers = new Map();
+
 /**
  * Helper to extract client IP from socket handshake
  */
@@ -30,6 +39,16 @@ function getSocketUserAgent(socket) {
   return socket.handshake.headers['user-agent'] || null;
 }
 
+/**
+ * Copy the socket's identity onto its player record (for DB saves and guest claims)
+ */
+function attachPlayerInfo(player, socket) {
+  player.ip = socket.data.ip;
+  player.userAgent = socket.data.userAgent;
+  player.sessionId = socket.data.sessionId;
+  if (socket.data.username) player.username = socket.data.username;
+}
+
 /**
  * Register all socket event handlers for a client
  */
@@ -57,14 +76,34 @@ function registerSocketHandlers(io, socket) {
     console.log(`[Sync] Client ${socket.id} offset: ${offset}ms`);
   });
 
-  // Game finding and joining
-  socket.on("findGame", ({ userId } = {}) => {
-    handleFindGame(io, socket, userId);
+  // Log in / out on an open connection (the handshake token only covers connect time)
+  socket.on("authenticate", async ({ token } = {}) => {
+    await handleAuthenticate(socket, token);
+  });
+
+  // Public matchmaking queue
+  socket.on("joinQueue", async ({ timeMinutes, incrementSeconds, isUnbalanced, firstMoveEnPassant } = {}) => {
+    await handleJoinQueue(io, socket, { timeMinutes, incrementSeconds, isUnbalanced, firstMoveEnPassant });
+  });
+
+  socket.on("leaveQueue", () => {
+    handleLeaveQueue(socket);
+  });
+
+  socket.on("getQueueStatus", () => {
+    socket.emit("queueStatus", matchmakingService.getQueueStatus(socket.id));
+  });
+
+  // Legacy quick match - seeks in the default pool
+  socket.on("findGame", async () => {
+    await handleJoinQueue(io, socket);
   });
 
-  socket.on("joinGame", async ({ gameId, userId, timeMinutes, incrementSeconds, playerColor } = {}) => {
+  // Game joining
+
+  socket.on("joinGame", async ({ gameId, timeMinutes, incrementSeconds, playerColor, firstMoveEnPassant } = {}) => {
     console.log(`[JoinGame] event received: socket=${socket.id} gameId=${gameId} ts=${Date.now()}`);
-    await handleJoinGame(io, socket, gameId, userId, timeMinutes, incrementSeconds, playerColor);
+    await handleJoinGame(io, socket, gameId, timeMinutes, incrementSeconds, playerColor, firstMoveEnPassant);
   });
 
   // Game moves
@@ -105,9 +144,14 @@ function registerSocketHandlers(io, socket) {
     }
   });
 
+  // Server-hosted bot game: the server plays the bot's moves
+  socket.on("createBotGame", async (options = {}) => {
+    await handleCreateBotGame(io, socket, options);
+  });
+
   // Bot game tracking (save to DB only on completion/abandonment)
-  socket.on("botGameStarted", ({ gameId, playerColor, isUnbalanced }) => {
-    handleBotGameStarted(socket, gameId, playerColor, isUnbalanced);
+  socket.on("botGameStarted", ({ gameId, playerColor, isUnbalanced, skillLevel, firstMoveEnPassant }) => {
+    handleBotGameStarted(socket, gameId, playerColor, isUnbalanced, skillLevel, firstMoveEnPassant);
   });
 
   socket.on("botGameMove", ({ gameId, moves, fen }) => {
@@ -126,73 +170,176 @@ function registerSocketHandlers(io, socket) {
 }
 
 /**
- * Handle finding or creating a game
+ * Handle (re)authentication on an open socket.
+ * An empty or invalid token turns the socket back into a guest.
  */
-function handleFindGame(io, socket, userId = null) {
-  const effectiveUserId = userId ?? socket.data.userId ?? socket.handshake.auth?.userId ?? null;
-  if (effectiveUserId) socket.data.userId = effectiveUserId;
+async function handleAuthenticate(socket, token) {
+  let user = null;
+  try {
+    user = await authService.verifyToken(token);
+  } catch (error) {
+    console.error(`[Auth] Socket ${socket.id} authentication failed:`, error);
+  }
 
-  const { game, isNew } = gameService.findOrCreateGame(socket.id, effectiveUserId);
-  
-  // Store IP and userAgent on the player record
-  const currentPlayer = game.players.find(p => p.socketId === socket.id);
-  if (currentPlayer) {
-    currentPlayer.ip = socket.data.ip;
-    currentPlayer.userAgent = socket.data.userAgent;
+  socket.data.userId = user ? user._id.toString() : null;
+  socket.data.username = user ? user.username : null;
+
+  socket.emit("authenticated", { user: user ? user.toPublicJSON() : null });
+  console.log(`[Auth] Socket ${socket.id} is now ${user ? user.username : 'a guest'}`);
+}
+
+/**
+ * Handle joining the public seek queue.
+ * Pairs with a waiting seek in the same pool if there is one, otherwise waits.
+ */
+async function handleJoinQueue(io, socket, options = {}) {
+  const result = matchmakingService.joinQueue(socket.id, socket.data.userId, options);
+  if (result.error) {
+    socket.emit("error", { message: result.error, code: "INVALID_SEEK" });
+    return;
   }
-  
-  // Always join the socket to the game room
-  socket.join(game.id);
-  
-  if (isNew) {
-    // New game created, waiting for opponent
-    socket.emit("waitingForOpponent", { 
+
+  const { seek, opponent, position } = result;
+
+  if (!opponent) {
+    socket.emit("queueJoined", {
+      pool: seek.pool,
+      timeMinutes: seek.timeMinutes,
+      incrementSeconds: seek.incrementSeconds,
+      isUnbalanced: seek.isUnbalanced,
+      firstMoveEnPassant: seek.firstMoveEnPassant,
+      position,
+    });
+    console.log(`[Queue] ${socket.id} waiting in pool ${seek.pool} (position ${position})`);
+    return;
+  }
+
+  // The opponent may have disconnected without the queue noticing yet
+  const opponentSocket = io.sockets.sockets.get(opponent.socketId);
+  if (!opponentSocket) {
+    console.log(`[Queue] Dropping stale seek ${opponent.socketId} from pool ${seek.pool}`);
+    await handleJoinQueue(io, socket, options);
+    return;
+  }
+
+  await startQueuedGame(io, [socket, opponentSocket], seek, opponent);
+}
+
+/**
+ * Create and start a game for two paired seeks
+ */
+async function startQueuedGame(io, sockets, seekA, seekB) {
+  const { white, black } = matchmakingService.assignColors(seekA, seekB);
+  const gameId = gameService.generateGameId();
+
+  gameService.createGameWithId(gameId, white.socketId, white.userId, seekA.isUnbalanced, seekA.timeMinutes, seekA.incrementSeconds, 'w', seekA.firstMoveEnPassant);
+  const { game } = gameService.joinGame(black.socketId, black.userId, gameId);
+
+  for (const playerSocket of sockets) {
+    const player = game.players.find(p => p.socketId === playerSocket.id);
+    if (player) attachPlayerInfo(player, playerSocket);
+    playerSocket.join(gameId);
+  }
+
+  await emitGameStarted(io, game);
+
+  console.log(`[Queue] Paired ${white.socketId} (white) vs ${black.socketId} (black) in pool ${seekA.pool} -> game ${gameId}`);
+}
+
+/**
+ * Handle leaving the public seek queue
+ */
+function handleLeaveQueue(socket) {
+  const seek = matchmakingService.leaveQueue(socket.id);
+  socket.emit("queueLeft", { pool: seek?.pool ?? null });
+
+  if (seek) {
+    console.log(`[Queue] ${socket.id} left pool ${seek.pool}`);
+  }
+}
+
+/**
+ * Notify both players that their game has started, each with their own color
+ * and both players' names and ratings
+ */
+async function emitGameStarted(io, game) {
+  if (game.isBotGame) {
+    const human = game.players.find(p => !p.isBot);
+    statsService.logBotGameStarted(game.id, game.humanColor, human?.sessionId, human?.userAgent, human?.ip, game.isUnbalanced !== false, game.skillLevel);
+  } else {
+    statsService.logPvpGameStarted(game);
+  }
+  const ratings = await ratingService.getGameRatings(game);
+
+  for (const player of game.players) {
+    if (!player.socketId) continue;
+    io.to(player.socketId).emit("gameStarted", {
       gameId: game.id,
+      color: player.color,
+      fen: gameService.getFen(game),
+      turn: game.chess.turn(),
       whiteMs: game.whiteMs,
       blackMs: game.blackMs,
-      incrementMs: game.incrementMs
+      incrementMs: game.incrementMs,
+      isUnbalanced: game.isUnbalanced,
+      firstMoveEnPassant: game.firstMoveEnPassant !== false,
+      whitePlayer: game.players.find(p => p.color === 'w')?.username || 'White',
+      blackPlayer: game.players.find(p => p.color === 'b')?.username || 'Black',
+      ratings,
+      serverTime: Date.now(),
     });
-    console.log(`[Game] ${socket.id} created game ${game.id}`);
-  } else {
-    // Joined existing game, notify both players
-    const white = game.players.find((p) => p.color === "w");
-    const black = game.players.find((p) => p.color === "b");
-    
-    // Notify both players individually with their color
-    if (white?.socketId) {
-      io.to(white.socketId).emit("gameStarted", {
-        gameId: game.id,
-        color: "w",
-        fen: game.chess.fen(),
-        turn: game.chess.turn(),
-        whiteMs: game.whiteMs,
-        blackMs: game.blackMs,
-        serverTime: Date.now(),
-      });
-    }
+  }
+}
 
-    if (black?.socketId) {
-      io.to(black.socketId).emit("gameStarted", {
-        gameId: game.id,
-        color: "b",
-        fen: game.chess.fen(),
-        turn: game.chess.turn(),
-        whiteMs: game.whiteMs,
-        blackMs: game.blackMs,
-        serverTime: Date.now(),
-      });
-    }
+/**
+ * Start a server-hosted bot game for this socket. The game is an ordinary
+ * server game with the bot in the second seat, so it gets server clocks,
+ * reconnection and spectators; the bot's moves arrive as moveMade events.
+ */
+async function handleCreateBotGame(io, socket, { gameId, playerColor, skillLevel, isUnbalanced, firstMoveEnPassant, timeMinutes, incrementSeconds } = {}) {
+  matchmakingService.leaveQueue(socket.id);
+
+  if (typeof gameId !== 'string' || !/^[a-z0-9]{8,}$/i.test(gameId)) {
+    socket.emit("error", { message: "Invalid game ID", code: "INVALID_BOT_GAME" });
+    return;
+  }
+
+  // Same time control limits as the public queue
+  const settings = matchmakingService.normalizeSeek({ timeMinutes, incrementSeconds, isUnbalanced });
+  if (settings.error) {
+    socket.emit("error", { message: settings.error, code: "INVALID_BOT_GAME" });
+    return;
+  }
 
-    console.log(`[Game] Game ${game.id} started with ${white?.socketId} (white) vs ${black?.socketId} (black)`);
+  const game = gameService.createBotGame(gameId, socket.id, socket.data.userId, {
+    humanColor: playerColor === 'b' ? 'b' : 'w',
+    skillLevel: statsService.parseSkillLevel(skillLevel) ?? BOT.DEFAULT_SKILL_LEVEL,
+    isUnbalanced: settings.isUnbalanced,
+    firstMoveEnPassant: firstMoveEnPassant !== false,
+    timeMinutes: settings.timeMinutes,
+    incrementSeconds: settings.incrementSeconds,
+  });
+  if (!game) {
+    socket.emit("error", { message: "Game already exists", code: "INVALID_BOT_GAME" });
+    return;
   }
+
+  attachPlayerInfo(game.players.find(p => !p.isBot), socket);
+  socket.join(gameId);
+
+  await emitGameStarted(io, game);
+  console.log(`[BotGame] Server-hosted game ${gameId} started (human: ${game.humanColor}, level ${game.skillLevel})`);
+
+  // The bot opens when it has white
+  scheduleBotTurn(io, gameId);
 }
 
 /**
  * Handle joining a specific game
  */
-async function handleJoinGame(io, socket, gameId, userId = null, timeMinutes = null, incrementSeconds = null, playerColor = null) {
-  const effectiveUserId = userId ?? socket.data.userId ?? socket.handshake.auth?.userId ?? null;
-  if (effectiveUserId) socket.data.userId = effectiveUserId;
+async function handleJoinGame(io, socket, gameId, timeMinutes = null, incrementSeconds = null, playerColor = null, firstMoveEnPassant = true) {
+  // Joining a specific game cancels any public seek
+  matchmakingService.leaveQueue(socket.id);
 
   // Leave any other game rooms this socket is in (cleanup old games)
   const rooms = Array.from(socket.rooms);
@@ -249,7 +396,7 @@ async function handleJoinGame(io, socket, gameId, userId = null, timeMinutes = n
     return;
   }
 
-  const result = gameService.joinGame(socket.id, effectiveUserId, gameId, timeMinutes, incrementSeconds, playerColor);
+  const result = gameService.joinGame(socket.id, socket.data.userId, gameId, timeMinutes, incrementSeconds, playerColor, firstMoveEnPassant);
   
   if (!result || !result.game) {
     socket.emit("error", "Cannot join game");
@@ -261,8 +408,7 @@ async function handleJoinGame(io, socket, gameId, userId = null, timeMinutes = n
   // Store IP and userAgent on the player record
   const currentPlayer = game.players.find(p => p.socketId === socket.id);
   if (currentPlayer) {
-    currentPlayer.ip = socket.data.ip;
-    currentPlayer.userAgent = socket.data.userAgent;
+    attachPlayerInfo(currentPlayer, socket);
     
     // Cancel any disconnect timeout for this player
     const timeoutKey = `${gameId}_${currentPlayer.color}`;
@@ -281,6 +427,7 @@ async function handleJoinGame(io, socket, gameId, userId = null, timeMinutes = n
   // If player reconnected, send them current game state
   if (reconnected) {
     const player = game.players.find(p => p.socketId === socket.id);
+    const ratings = await ratingService.getGameRatings(game);
     
     // Calculate elapsed time since last move for the active player to sync clocks
     const now = Date.now();
@@ -297,25 +444,32 @@ async function handleJoinGame(io, socket, gameId, userId = null, timeMinutes = n
     socket.emit("gameStarted", {
       gameId: game.id,
       color: player.color,
-      fen: game.chess.fen(),
+      fen: gameService.getFen(game),
       turn: game.chess.turn(),
       whiteMs: adjustedWhiteMs,
       blackMs: adjustedBlackMs,
       incrementMs: game.incrementMs,
       serverTime: now,
       history: game.historyMoves,
-      movesInTurn: game.movesInTurn,
+      firstMoveEnPassant: game.firstMoveEnPassant !== false,
       // Include game over info if game is completed
       isCompleted: game.isCompleted || false,
       gameResult: game.gameResult || null,
       winner: game.winner || null,
+      whitePlayer: game.players.find(p => p.color === 'w')?.username || 'White',
+      blackPlayer: game.players.find(p => p.color === 'b')?.username || 'Black',
+      ratings,
     });
     console.log(`[Game] ${socket.id} reconnected to game ${gameId} as ${player.color} (completed: ${game.isCompleted})`);
+    // Picks the bot back up if its last search failed
+    scheduleBotTurn(io, gameId);
     return;
   }
   
   // If joining as spectator
   if (role === 'spectator') {
+    const ratings = await ratingService.getGameRatings(game);
+
     // Calculate elapsed time since last move for the active player
     const now = Date.now();
     let adjustedWhiteMs = game.whiteMs;
@@ -335,7 +489,7 @@ async function handleJoinGame(io, socket, gameId, userId = null, timeMinutes = n
     // Send current game state to spectator with adjusted clock times
     socket.emit("spectatorJoined", {
       gameId: game.id,
-      fen: game.chess.fen(),
+      fen: gameService.getFen(game),
       turn: game.chess.turn(),
       whiteMs: adjustedWhiteMs,
       blackMs: adjustedBlackMs,
@@ -343,12 +497,13 @@ async function handleJoinGame(io, socket, gameId, userId = null, timeMinutes = n
       serverTime: now,
       history: game.historyMoves,
       isCompleted: game.isCompleted,
-      movesInTurn: game.movesInTurn,
       gameResult: game.gameResult,
       winner: game.winner,
       whitePlayer: game.players.find(p => p.color === 'w')?.username || 'White',
       blackPlayer: game.players.find(p => p.color === 'b')?.username || 'Black',
-      isUnbalanced: game.isUnbalanced
+      ratings,
+      isUnbalanced: game.isUnbalanced,
+      firstMoveEnPassant: game.firstMoveEnPassant !== false
     });
     console.log(`[Game] ${socket.id} joined game ${gameId} as spectator`);
     return;
@@ -370,36 +525,10 @@ async function handleJoinGame(io, socket, gameId, userId = null, timeMinutes = n
   }
   
   // Two players - start the game
+  await emitGameStarted(io, game);
+
   const white = game.players.find((p) => p.color === "w");
   const black = game.players.find((p) => p.color === "b");
-
-  // Notify both players individually with their color
-  if (white?.socketId) {
-    io.to(white.socketId).emit("gameStarted", {
-      gameId: game.id,
-      color: "w",
-      fen: game.chess.fen(),
-      turn: game.chess.turn(),
-      whiteMs: game.whiteMs,
-      blackMs: game.blackMs,
-      incrementMs: game.incrementMs,
-      serverTime: Date.now(),
-    });
-  }
-
-  if (black?.socketId) {
-    io.to(black.socketId).emit("gameStarted", {
-      gameId: game.id,
-      color: "b",
-      fen: game.chess.fen(),
-      turn: game.chess.turn(),
-      whiteMs: game.whiteMs,
-      blackMs: game.blackMs,
-      incrementMs: game.incrementMs,
-      serverTime: Date.now(),
-    });
-  }
-
   console.log(`[Game] Game ${gameId} started with ${white?.socketId} (white) vs ${black?.socketId} (black)`);
 }
 
@@ -407,6 +536,13 @@ async function handleJoinGame(io, socket, gameId, userId = null, timeMinutes = n
  * Handle a move in the game
  */
 function handleMove(io, socket, gameId, move) {
+  // A move that arrives after the flag fell (timer not fired yet) loses on time
+  const activeClock = gameService.getActiveClock(gameId);
+  if (activeClock && activeClock.remainingMs <= 0) {
+    handleFlagFall(io, gameId);
+    return;
+  }
+
   const result = gameService.makeMove(gameId, socket.id, move);
   
   if (!result.success) {
@@ -414,12 +550,21 @@ function handleMove(io, socket, gameId, move) {
     return;
   }
 
+  if (announceMove(io, gameId, result)) {
+    scheduleBotTurn(io, gameId);
+  }
+}
+
+/**
+ * Broadcast a played move and end the game if it's over, otherwise restart
+ * the flag timer. Returns true if the game goes on.
+ */
+function announceMove(io, gameId, result) {
   // Broadcast move to both players
   io.to(gameId).emit("moveMade", {
     move: result.move,
     fen: result.fen,
     turn: result.turn,
-    movesInTurn: result.movesInTurn,
     whiteMs: result.whiteMs,
     blackMs: result.blackMs,
     serverTime: result.serverTime,
@@ -434,13 +579,135 @@ function handleMove(io, socket, gameId, move) {
       ? (result.turn === 'w' ? 'black' : 'white')  // If it's white's turn and checkmate, black won
       : null;
     
+    clearFlagTimer(gameId);
     io.to(gameId).emit("gameOver", { reason: gameOverReason, winner });
     
     // Save game asynchronously (don't delete - keep for spectators)
     gameService.saveGameToDb(gameId, gameOverReason, winner);
     
     console.log(`[Game] Game ${gameId} over: ${gameOverReason}`);
+    return false;
+  }
+
+  // Restart the flag timer for whoever moves next (same player mid double-move)
+  scheduleFlagTimer(io, gameId);
+  return true;
+}
+
+/**
+ * In a server-hosted bot game, start the bot's search when it's the bot's
+ * turn. Does nothing otherwise, or while a search for this game is running.
+ */
+function scheduleBotTurn(io, gameId) {
+  if (botEngineService.isThinking(gameId)) return;
+
+  const position = gameService.getBotSearchPosition(gameId);
+  if (!position) return;
+
+  botEngineService.findBestTurn(gameId, position)
+    .then((moves) => {
+      // null: cancelled because the game ended meanwhile
+      if (moves) playBotTurn(io, gameId, position.fen, moves);
+    })
+    .catch((error) => {
+      // The bot's clock keeps running, so the game still ends on time
+      console.error(`[BotGame] Engine failed in game ${gameId}:`, error);
+    });
+}
+
+/**
+ * Play the engine's turn in a server-hosted bot game, move by move, exactly
+ * as a player's moves are played
+ */
+function playBotTurn(io, gameId, searchedFen, moves) {
+  const game = gameService.getGame(gameId);
+  if (!game || game.isCompleted || gameService.getFen(game) !== searchedFen) return;
+
+  // The bot can run out of time while thinking like anyone else
+  const activeClock = gameService.getActiveClock(gameId);
+  if (activeClock && activeClock.remainingMs <= 0) {
+    handleFlagFall(io, gameId);
+    return;
   }
+
+  for (const move of moves) {
+    let result;
+    try {
+      result = gameService.makeBotMove(gameId, move);
+    } catch (error) {
+      // chess.js throws on moves it can't parse
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      console.error(`[BotGame] Bot move ${move.from}${move.to} rejected in game ${gameId}: ${result.error}`);
+      return;
+    }
+    if (!announceMove(io, gameId, result)) return;
+  }
+
+  // Normally the human's turn now; covers a turn the engine cut short
+  scheduleBotTurn(io, gameId);
+}
+
+/**
+ * (Re)arm the flag-fall timer to fire when the side to move runs out of time
+ */
+function scheduleFlagTimer(io, gameId) {
+  clearFlagTimer(gameId);
+
+  const activeClock = gameService.getActiveClock(gameId);
+  if (!activeClock) return;
+
+  const timeout = setTimeout(() => {
+    flagTimers.delete(gameId);
+    handleFlagFall(io, gameId);
+  }, Math.max(0, activeClock.remainingMs));
+
+  flagTimers.set(gameId, timeout);
+}
+
+/**
+ * Cancel the flag-fall timer for a game (game ended another way)
+ */
+function clearFlagTimer(gameId) {
+  if (flagTimers.has(gameId)) {
+    clearTimeout(flagTimers.get(gameId));
+    flagTimers.delete(gameId);
+  }
+}
+
+/**
+ * Handle the side to move running out of time.
+ * The opponent wins on time, or it's a draw if they can't mate.
+ */
+function handleFlagFall(io, gameId) {
+  clearFlagTimer(gameId);
+
+  const activeClock = gameService.getActiveClock(gameId);
+  if (!activeClock) return; // Game already over
+
+  // setTimeout can fire a few ms early - re-arm instead of flagging
+  if (activeClock.remainingMs > 0) {
+    scheduleFlagTimer(io, gameId);
+    return;
+  }
+
+  const { flaggedColor, winner } = gameService.flagGame(gameId);
+  const game = gameService.getGame(gameId);
+  botEngineService.cancel(gameId);
+
+  io.to(gameId).emit("gameOver", {
+    reason: "timeout",
+    winner,
+    flaggedColor,
+    whiteMs: game.whiteMs,
+    blackMs: game.blackMs,
+  });
+
+  gameService.saveGameToDb(gameId, "timeout", winner);
+
+  console.log(`[Game] ${flaggedColor} flagged in game ${gameId} (winner: ${winner || 'draw'})`);
 }
 
 /**
@@ -454,6 +721,11 @@ function handleDisconnect(io, socket) {
     return;
   }
 
+  // Drop any pending seek so nobody gets paired with a closed socket
+  if (matchmakingService.leaveQueue(socket.id)) {
+    console.log(`[Queue] ${socket.id} removed from queue on disconnect`);
+  }
+
   // Handle bot game disconnect - set timeout to save as abandoned
   if (socket.data.botGame && !socket.data.botGame.isCompleted) {
     const botGame = socket.data.botGame;
@@ -555,6 +827,8 @@ function handleGameAbort(io, gameId, disconnectedColor) {
   const winner = disconnectedColor === 'w' ? 'black' : 'white';
   
   console.log(`[Game] Aborting game ${gameId} - ${disconnectedColor} disconnected for 1 minute`);
+  clearFlagTimer(gameId);
+  botEngineService.cancel(gameId);
   
   io.to(gameId).emit("gameOver", { 
     reason: "abandonment",
@@ -582,8 +856,16 @@ function handleResign(io, socket, gameId) {
     return;
   }
 
+  // The game may already have ended on the clock or a bot move
+  if (game.isCompleted) {
+    socket.emit("error", "Game is already over");
+    return;
+  }
+
   const winner = player.color === "w" ? "black" : "white";
   
+  clearFlagTimer(gameId);
+  botEngineService.cancel(gameId);
   io.to(gameId).emit("gameOver", { 
     reason: "resignation",
     winner: winner,
@@ -612,6 +894,13 @@ function handleOfferDraw(io, socket, gameId) {
     return;
   }
 
+  // The bot plays every game out
+  if (game.isBotGame) {
+    socket.emit("drawDeclined");
+    console.log(`[Game] Bot declined draw in game ${gameId}`);
+    return;
+  }
+
   // Store the draw offer on the game
   game.drawOffer = {
     from: player.color,
@@ -648,6 +937,13 @@ function handleAcceptDraw(io, socket, gameId) {
     return;
   }
 
+  // An offer left pending when the game ended can't end it again
+  if (game.isCompleted) {
+    game.drawOffer = null;
+    socket.emit("error", "Game is already over");
+    return;
+  }
+
   // Verify there's a pending draw offer from the opponent
   if (!game.drawOffer || game.drawOffer.from === player.color) {
     socket.emit("error", "No draw offer to accept");
@@ -656,6 +952,7 @@ function handleAcceptDraw(io, socket, gameId) {
 
   // Clear the draw offer
   game.drawOffer = null;
+  clearFlagTimer(gameId);
 
   // End the game as a draw by agreement
   io.to(gameId).emit("gameOver", {
@@ -700,7 +997,7 @@ function handleDeclineDraw(io, socket, gameId) {
 /**
  * Handle bot game started - store in memory only (save to DB on completion)
  */
-function handleBotGameStarted(socket, gameId, playerColor, isUnbalanced) {
+function handleBotGameStarted(socket, gameId, playerColor, isUnbalanced, skillLevel = null, firstMoveEnPassant = true) {
   if (!gameId) return;
   
   // Store bot game in the socket's data for tracking
@@ -708,6 +1005,8 @@ function handleBotGameStarted(socket, gameId, playerColor, isUnbalanced) {
     gameId,
     playerColor,
     isUnbalanced,
+    firstMoveEnPassant: firstMoveEnPassant !== false,
+    skillLevel: statsService.parseSkillLevel(skillLevel),
     moves: [],
     fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
     startedAt: new Date(),
@@ -715,6 +1014,7 @@ function handleBotGameStarted(socket, gameId, playerColor, isUnbalanced) {
   };
   
   console.log(`[BotGame] Started: ${gameId} (socket: ${socket.id}, color: ${playerColor})`);
+  statsService.logBotGameStarted(gameId, playerColor, socket.data.sessionId, socket.data.userAgent, socket.data.ip, isUnbalanced !== false, socket.data.botGame.skillLevel);
 }
 
 /**
@@ -743,7 +1043,11 @@ async function handleBotGameEnded(socket, gameId, result = null, winner = null)
       gameId: botGame.gameId,
       humanColor: botGame.playerColor,
       humanIp: socket.data.ip,
+      humanUserId: socket.data.userId,
+      humanSessionId: socket.data.sessionId,
       isUnbalanced: botGame.isUnbalanced,
+      firstMoveEnPassant: botGame.firstMoveEnPassant,
+      skillLevel: botGame.skillLevel,
       moves: botGame.moves,
       fen: botGame.fen,
       status: 'completed',
@@ -756,6 +1060,29 @@ async function handleBotGameEnded(socket, gameId, result = null, winner = null)
   } catch (error) {
     console.error(`[BotGame] Failed to save completed game: ${error.message}`);
   }
+
+  logBotGameStats(socket, botGame, result || 'unknown', winner);
+}
+
+/**
+ * Record a finished bot game in the stats collection
+ */
+function logBotGameStats(socket, botGame, result, winner) {
+  statsService.logGameCompleted({
+    gameId: botGame.gameId,
+    result,
+    winner,
+    isBotGame: true,
+    isUnbalanced: botGame.isUnbalanced !== false,
+    moveCount: botGame.moves?.length || 0,
+    durationMs: Date.now() - new Date(botGame.startedAt).getTime(),
+    skillLevel: botGame.skillLevel,
+    playerColor: botGame.playerColor,
+    sessionId: socket.data.sessionId,
+    userId: socket.data.userId,
+    userAgent: socket.data.userAgent,
+    ip: socket.data.ip,
+  });
 }
 
 /**
@@ -785,7 +1112,11 @@ async function handleBotGameAbort(socket) {
       gameId: botGame.gameId,
       humanColor: botGame.playerColor,
       humanIp: socket.data.ip,
+      humanUserId: socket.data.userId,
+      humanSessionId: socket.data.sessionId,
       isUnbalanced: botGame.isUnbalanced,
+      firstMoveEnPassant: botGame.firstMoveEnPassant,
+      skillLevel: botGame.skillLevel,
       moves: botGame.moves,
       fen: botGame.fen,
       status: 'abandoned',
@@ -798,6 +1129,8 @@ async function handleBotGameAbort(socket) {
   } catch (error) {
     console.error(`[BotGame] Failed to save abandoned game: ${error.message}`);
   }
+
+  logBotGameStats(socket, botGame, 'abandonment', winner);
   
   // Clear the bot game data
   socket.data.botGame = null;
@@ -7,7 +7,12 @@ const path = require("path");
 require("dotenv").config();
 
 const { registerSocketHandlers } = require("./handlers/socket.handler");
+const { authenticateSocket } = require("./middleware/auth.middleware");
 const visitRoutes = require("./routes/visit.route");
+const authRoutes = require("./routes/auth.route");
+const ratingRoutes = require("./routes/rating.route");
+const gameRoutes = require("./routes/game.route");
+const statsRoutes = require("./routes/stats.route");
 // Admin initialization disabled
 // const { initializeAdminUser } = require("./controllers/user.controller");
 
@@ -47,6 +52,18 @@ app.use(express.static(distDir));
 // Visit tracking
 app.use("/api/visit", visitRoutes);
 
+// Accounts
+app.use("/api/auth", authRoutes);
+
+// Glicko-2 ratings and leaderboards
+app.use("/api/ratings", ratingRoutes);
+
+// Game archive and PGN export
+app.use("/api/games", gameRoutes);
+
+// Usage statistics and aggregates
+app.use("/api/stats", statsRoutes);
+
 // Health check
 app.get("/health", (req, res) => {
   res.status(200).json({ 
@@ -67,6 +84,9 @@ app.get(/^\/(?!api|socket).*/, (req, res) => {
 // ============================================
 // SOCKET.IO EVENT HANDLERS
 // ============================================
+// Resolve the player's account from handshake.auth.token before any handler runs
+io.use(authenticateSocket);
+
 io.on("connection", (socket) => {
   console.log(`👤 User connected: ${socket.id}`);
   registerSocketHandlers(io, socket);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+const authService = require("../services/auth.service");
+
+/**
+ * Read a bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+/**
+ * Require a valid auth token - sets req.user, otherwise responds 401
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const user = await authService.verifyToken(getBearerToken(req));
+    if (!user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('[Auth] Token check failed:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+/**
+ * Socket.IO middleware: authenticate from handshake.auth.token.
+ * Missing or invalid tokens connect as a guest rather than being refused,
+ * so a stale token never locks a player out of the site. The guest session
+ * comes from handshake.auth.guestToken, so games are only ever recorded
+ * under a session its player can prove.
+ */
+async function authenticateSocket(socket, next) {
+  const { token, guestToken } = socket.handshake.auth || {};
+  socket.data.sessionId = authService.verifyGuestToken(guestToken);
+  socket.data.userId = null;
+  socket.data.username = null;
+
+  // Without a DB the lookup would hang until mongoose's buffer timeout
+  if (token && mongoose.connection.readyState !== 1) {
+    console.log(`[Auth] Socket ${socket.id} connecting as guest - DB not connected`);
+    return next();
+  }
+
+  try {
+    const user = await authService.verifyToken(token);
+    if (user) {
+      socket.data.userId = user._id.toString();
+      socket.data.username = user.username;
+    } else if (token) {
+      console.log(`[Auth] Socket ${socket.id} sent an invalid token, connecting as guest`);
+    }
+  } catch (error) {
+    console.error('[Auth] Socket token check failed:', error);
+  }
+
+  next();
+}
+
+module.exports = { getBearerToken, requireAuth, authenticateSocket };
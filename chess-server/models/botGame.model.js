@@ -1,8 +1,11 @@
 const mongoose = require('mongoose');
+const { BOT } = require('../config/constants');
 
 /**
  * Bot Game Schema
- * Stores bot games when they complete or are abandoned
+ * Stores bot games when they complete or are abandoned.
+ * Browser bot games are reported by the client; server-hosted ones
+ * (isServerHosted) are played and recorded by the server, with clocks.
  */
 const botGameSchema = new mongoose.Schema({
   gameId: { type: String, unique: true, required: true, index: true },
@@ -10,13 +13,28 @@ const botGameSchema = new mongoose.Schema({
   // Human player info
   humanColor: { type: String, enum: ['w', 'b'], required: true },
   humanIp: { type: String, required: false, default: null },
+  humanUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+  humanSessionId: { type: String, default: null, index: true },
   
   // Game settings
   isUnbalanced: { type: Boolean, default: true },
+  // See game.model.js
+  firstMoveEnPassant: { type: Boolean, default: false },
+  skillLevel: { type: Number, min: BOT.MIN_SKILL_LEVEL, max: BOT.MAX_SKILL_LEVEL, default: null },
+  isServerHosted: { type: Boolean, default: false },
   
   // Game data
   moves: [{ type: String }],
+  // Marseillais FEN (chess-rules) of the last position; older games have a plain FEN
   fen: { type: String, default: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1' },
+  // Mover's remaining clock after each move (parallel to moves) - server-hosted games only
+  moveClocks: [{ type: Number }],
+
+  // Clock times in milliseconds - server-hosted games only
+  whiteMs: { type: Number, default: null },
+  blackMs: { type: Number, default: null },
+  initialMs: { type: Number, default: null },
+  increment: { type: Number, default: null },
   
   // Game result
   status: {
@@ -10,24 +10,31 @@ const gameSchema = new mongoose.Schema({
   
   // White player
   white: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false, default: null },
-  whiteSessionId: { type: String, required: false, default: null },
+  whiteSessionId: { type: String, required: false, default: null, index: true },
   whiteIp: { type: String, required: false, default: null },
   whiteUserAgent: { type: String, required: false, default: null },
   
   // Black player  
   black: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false, default: null },
-  blackSessionId: { type: String, required: false, default: null },
+  blackSessionId: { type: String, required: false, default: null, index: true },
   blackIp: { type: String, required: false, default: null },
   blackUserAgent: { type: String, required: false, default: null },
   
   // Game state
+  // Marseillais FEN (chess-rules) of the last position; older games have a plain FEN
   fen: { type: String, default: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1' },
   moves: [{ type: String }],
+  // Mover's remaining clock after each move (parallel to moves), for PGN export
+  moveClocks: [{ type: Number }],
   isUnbalanced: { type: Boolean, default: true },
+  // A double push on the first move of a turn can be taken en passant.
+  // Games stored before this was an option only allowed the last push.
+  firstMoveEnPassant: { type: Boolean, default: false },
   
   // Clock times in milliseconds
   whiteMs: { type: Number, default: 300000 },
   blackMs: { type: Number, default: 300000 },
+  initialMs: { type: Number, default: 300000 },
   increment: { type: Number, default: 2000 },
   
   // Game status
@@ -40,7 +47,7 @@ const gameSchema = new mongoose.Schema({
   // Game result (only if completed)
   result: {
     type: String,
-    enum: ['checkmate', 'draw', 'resignation', 'timeout', 'stalemate', 'abandonment', 'agreement', null],
+    enum: ['checkmate', 'draw', 'resignation', 'timeout', 'stalemate', 'abandonment', 'agreement', 'repetition', 'fifty-move', null],
     default: null
   },
   winner: {
@@ -48,6 +55,13 @@ const gameSchema = new mongoose.Schema({
     enum: ['white', 'black', null],
     default: null
   },
+
+  // Rating changes (only for rated games between two registered players)
+  ratingKey: { type: String, default: null },
+  whiteRatingBefore: { type: Number, default: null },
+  whiteRatingAfter: { type: Number, default: null },
+  blackRatingBefore: { type: Number, default: null },
+  blackRatingAfter: { type: Number, default: null },
   
   // Timestamps
   createdAt: { type: Date, default: Date.now },
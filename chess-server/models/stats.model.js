@@ -12,6 +12,9 @@ const statsSchema = new mongoose.Schema({
   result: { type: String, default: null }, // checkmate, draw, resignation, timeout, stalemate
   winner: { type: String, default: null }, // white, black, null (for draws)
   isBotGame: { type: Boolean, default: false },
+  isUnbalanced: { type: Boolean, default: null },
+  moveCount: { type: Number, default: null },
+  durationMs: { type: Number, default: null },
   
   // For bot_game_started events
   skillLevel: { type: Number, default: null },
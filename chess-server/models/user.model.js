@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * One Glicko-2 rating (per time-control category and variant)
+ */
+const ratingSchema = new mongoose.Schema({
+  rating: { type: Number, required: true },
+  rd: { type: Number, required: true },
+  volatility: { type: Number, required: true },
+  games: { type: Number, default: 0 },
+  lastPlayedAt: { type: Date, default: null },
+}, { _id: false });
+
+/**
+ * User Schema
+ * Registered player accounts. Guests play without one and can claim
+ * their session's games when they register.
+ */
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 20,
+    match: /^[A-Za-z0-9_-]+$/,
+  },
+  email: { type: String, required: true, unique: true, trim: true, lowercase: true },
+
+  // bcrypt hash - never selected unless explicitly requested
+  passwordHash: { type: String, required: true, select: false },
+
+  // Bumped on logout so every previously issued token stops verifying
+  tokenVersion: { type: Number, default: 0 },
+
+  // Ratings keyed by pool, e.g. "blitz_unbalanced" (see rating.service)
+  ratings: { type: Map, of: ratingSchema, default: {} },
+
+  // Completed PvP games this user played
+  games: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Game' }],
+
+  lastLoginAt: { type: Date, default: null },
+}, { timestamps: true });
+
+/**
+ * Public profile - safe to send to any client
+ */
+userSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id.toString(),
+    username: this.username,
+    email: this.email,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/auth.service');
+const { requireAuth } = require('../middleware/auth.middleware');
+
+/**
+ * POST /api/auth/guest - Start a guest session
+ * Returns { sessionId, guestToken }; the token proves the session when claiming its games
+ */
+router.post('/guest', (req, res) => {
+  try {
+    res.status(201).json(authService.createGuestSession());
+  } catch (error) {
+    console.error('[Auth] Guest session failed:', error);
+    res.status(500).json({ error: 'Failed to start a guest session' });
+  }
+});
+
+/**
+ * POST /api/auth/register - Create an account
+ * Body: { username, email, password, guestToken? } - guestToken claims the guest's games
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { username, email, password, guestToken } = req.body || {};
+    const result = await authService.register({ username, email, password, guestToken });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({ token: result.token, user: result.user.toPublicJSON(), claimed: result.claimed });
+  } catch (error) {
+    console.error('[Auth] Registration failed:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+/**
+ * POST /api/auth/login - Log in with username or email
+ * Body: { login, password }
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { login, password } = req.body || {};
+    const result = await authService.login({ login, password });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ token: result.token, user: result.user.toPublicJSON() });
+  } catch (error) {
+    console.error('[Auth] Login failed:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * POST /api/auth/logout - Revoke all of the user's tokens
+ */
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await authService.logout(req.user);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Auth] Logout failed:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+/**
+ * GET /api/auth/me - Current user's profile
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user.toPublicJSON() });
+});
+
+/**
+ * POST /api/auth/claim - Claim a guest session's games for the logged-in user
+ * Body: { guestToken }
+ */
+router.post('/claim', requireAuth, async (req, res) => {
+  try {
+    const { guestToken } = req.body || {};
+    if (!authService.verifyGuestToken(guestToken)) {
+      return res.status(400).json({ error: 'Valid guestToken required' });
+    }
+
+    const claimed = await authService.claimGuestGames(req.user, guestToken);
+    res.json({ claimed });
+  } catch (error) {
+    console.error('[Auth] Claim failed:', error);
+    res.status(500).json({ error: 'Failed to claim games' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const archiveService = require('../services/archive.service');
+const pgnService = require('../services/pgn.service');
+
+/**
+ * GET /api/games?type=human&variant=unbalanced&category=blitz&winner=white&player=alice&page=1&limit=20
+ * Completed games, newest first. All filters are optional:
+ * type (all/human/bot), result, winner (white/black/draw), variant (balanced/unbalanced),
+ * category (bullet/blitz/rapid) or timeControl ("5+2"), from/to (dates), player (username).
+ */
+router.get('/', async (req, res) => {
+  try {
+    if (!archiveService.isAvailable()) {
+      return res.status(503).json({ error: 'Game archive is unavailable' });
+    }
+
+    const parsed = archiveService.parseFilters(req.query);
+    if (!parsed.success) {
+      return res.status(parsed.status).json({ error: parsed.error });
+    }
+
+    res.json(await archiveService.listGames(parsed.filters));
+  } catch (error) {
+    console.error('[Game] Error listing games:', error);
+    res.status(500).json({ error: 'Failed to list games' });
+  }
+});
+
+/**
+ * GET /api/games/:gameId - One archived game: summary plus moves
+ */
+router.get('/:gameId', async (req, res) => {
+  try {
+    if (!archiveService.isAvailable()) {
+      return res.status(503).json({ error: 'Game archive is unavailable' });
+    }
+
+    const game = await archiveService.getGame(req.params.gameId);
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    res.json(game);
+  } catch (error) {
+    console.error('[Game] Error fetching game:', error);
+    res.status(500).json({ error: 'Failed to fetch game' });
+  }
+});
+
+/**
+ * GET /api/games/:gameId/pgn
+ * Download a game as Marseillais PGN (live games include clock comments)
+ */
+router.get('/:gameId/pgn', async (req, res) => {
+  try {
+    const pgn = await pgnService.getGamePgn(req.params.gameId);
+    if (!pgn) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    res.type('application/x-chess-pgn');
+    res.attachment(`${req.params.gameId}.pgn`);
+    res.send(pgn);
+  } catch (error) {
+    console.error('[Game] Error exporting PGN:', error);
+    res.status(500).json({ error: 'Failed to export PGN' });
+  }
+});
+
+module.exports = router;
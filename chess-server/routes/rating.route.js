@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/user.model');
+const ratingService = require('../services/rating.service');
+
+const CATEGORIES = ['bullet', 'blitz', 'rapid'];
+const VARIANTS = ['balanced', 'unbalanced'];
+
+/**
+ * GET /api/ratings/leaderboard?category=blitz&variant=unbalanced&limit=20
+ * Top established (non-provisional) ratings in one pool
+ */
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const category = req.query.category || 'blitz';
+    const variant = req.query.variant || 'unbalanced';
+    if (!CATEGORIES.includes(category) || !VARIANTS.includes(variant)) {
+      return res.status(400).json({ error: `category must be one of ${CATEGORIES.join('/')}, variant one of ${VARIANTS.join('/')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const key = ratingService.getRatingKey(category, variant === 'unbalanced');
+    const players = await ratingService.getLeaderboard(key, limit);
+
+    res.json({ key, players });
+  } catch (error) {
+    console.error('[Rating] Error fetching leaderboard:', error);
+    res.status(500).json({ error: 'Failed to fetch leaderboard' });
+  }
+});
+
+/**
+ * GET /api/ratings/:username - All of a player's ratings, one per pool
+ * Pools the player hasn't played yet are reported at the starting rating.
+ */
+router.get('/:username', async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username }).select('username ratings');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const ratings = {};
+    for (const category of CATEGORIES) {
+      for (const variant of VARIANTS) {
+        const key = ratingService.getRatingKey(category, variant === 'unbalanced');
+        ratings[key] = ratingService.toPublicRating(ratingService.getUserRating(user, key));
+      }
+    }
+
+    res.json({ username: user.username, ratings });
+  } catch (error) {
+    console.error('[Rating] Error fetching ratings:', error);
+    res.status(500).json({ error: 'Failed to fetch ratings' });
+  }
+});
+
+module.exports = router;
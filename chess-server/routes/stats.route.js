@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const statsService = require('../services/stats.service');
+const authService = require('../services/auth.service');
 
 /**
  * Helper to extract client IP from request (supports IPv4 and IPv6)
@@ -39,11 +40,11 @@ router.post('/visit', async (req, res) => {
  * Log when a bot game is started
  */
 router.post('/bot-game-started', async (req, res) => {
-  const { sessionId, playerColor, gameId, isUnbalanced } = req.body;
+  const { sessionId, playerColor, gameId, isUnbalanced, skillLevel } = req.body;
   const userAgent = req.headers['user-agent'];
   const ip = getClientIp(req);
   
-  await statsService.logBotGameStarted(gameId, playerColor, sessionId, userAgent, ip, isUnbalanced !== false);
+  await statsService.logBotGameStarted(gameId, playerColor, sessionId, userAgent, ip, isUnbalanced !== false, statsService.parseSkillLevel(skillLevel));
   res.status(200).json({ success: true });
 });
 
@@ -57,25 +58,28 @@ router.post('/game-completed', async (req, res) => {
     result, 
     winner, 
     isBotGame,
-    sessionId,
+    guestToken,
     // Game data
     moves,
     fen,
     playerColor,
     isUnbalanced,
-    startedAt
+    startedAt,
+    skillLevel
   } = req.body;
   
   // Only handle bot games here - PvP games are handled by socket handlers
   if (isBotGame) {
     const userAgent = req.headers['user-agent'];
     const ip = getClientIp(req);
+    // The game is claimable by its session, so take the session from a signed token
+    const sessionId = authService.verifyGuestToken(guestToken);
     
     await statsService.logBotGameCompleted(
       gameId, 
       result, 
       winner,
-      { moves, fen, playerColor, isUnbalanced, startedAt },
+      { moves, fen, playerColor, isUnbalanced, startedAt, skillLevel: statsService.parseSkillLevel(skillLevel) },
       sessionId,
       userAgent,
       ip
@@ -131,4 +135,24 @@ router.get('/today', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/stats/period?from=2025-01-01&to=2025-02-01
+ * Statistics for a date range (to is exclusive, defaults to now)
+ */
+router.get('/period', async (req, res) => {
+  const start = req.query.from ? new Date(req.query.from) : null;
+  const end = req.query.to ? new Date(req.query.to) : null;
+  if ((start && Number.isNaN(start.getTime())) || (end && Number.isNaN(end.getTime()))) {
+    return res.status(400).json({ error: 'from/to must be valid dates' });
+  }
+
+  const stats = await statsService.getStatsForPeriod(start, end);
+  
+  if (stats) {
+    res.status(200).json(stats);
+  } else {
+    res.status(500).json({ error: 'Failed to get stats' });
+  }
+});
+
 module.exports = router;
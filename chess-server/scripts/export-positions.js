@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Export labelled positions from finished games for evaluation tuning.
+ *
+ * Replays every completed Game and BotGame record with the double-move
+ * rules (GameService._replayMovesForSpectator) and writes one JSON line per
+ * turn-start position: { fen, result, isUnbalanced }, where result is the
+ * game's outcome from white's point of view (1, 0.5 or 0). The file feeds
+ * chess-front/scripts/tune-eval.mjs.
+ *
+ * Only positions where a turn begins are kept - those are the ones the
+ * engine's static evaluation scores - minus the first --skip-turns turns of
+ * each game (the opening book covers them) and positions with the side to
+ * move in check. Games decided by timeout or abandonment are left out unless
+ * --include-timeouts is given, since their result says little about the
+ * position on the board.
+ *
+ * Usage:
+ *   MONGO_URI=... node scripts/export-positions.js [--out positions.jsonl]
+ *     [--skip-turns 4] [--min-moves 10] [--limit 0] [--include-timeouts]
+ *     [--no-bot-games] [--no-pvp-games]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const { Chess } = require("chess.js");
+require("dotenv").config();
+
+const Game = require("../models/game.model");
+const BotGame = require("../models/botGame.model");
+const gameService = require("../services/game.service");
+
+const DEFAULTS = {
+  out: "positions.jsonl",
+  "skip-turns": 4,
+  "min-moves": 10,
+  limit: 0,
+  "include-timeouts": false,
+  "bot-games": true,
+  "pvp-games": true,
+};
+
+// Results that end the game on the board (or by agreement over it)
+const BOARD_RESULTS = ["checkmate", "resignation", "draw", "stalemate", "agreement", "repetition", "fifty-move"];
+const CLOCK_RESULTS = ["timeout", "abandonment"];
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, "");
+    if (name === "include-timeouts") {
+      options[name] = true;
+    } else if (name === "no-bot-games" || name === "no-pvp-games") {
+      options[name.slice(3)] = false;
+    } else if (name in DEFAULTS && typeof DEFAULTS[name] !== "boolean") {
+      const value = argv[++i];
+      options[name] = name === "out" ? path.resolve(value) : Number(value);
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Game outcome for white: 1 win, 0 loss, 0.5 draw
+ */
+function resultForWhite(record) {
+  if (record.winner === "white") return 1;
+  if (record.winner === "black") return 0;
+  return 0.5;
+}
+
+/**
+ * Turn-start positions of one stored game as { fen, result, isUnbalanced }
+ */
+function extractPositions(record, options) {
+  const moves = record.moves || [];
+  if (moves.length < options["min-moves"]) return [];
+
+  const isUnbalanced = record.isUnbalanced !== false;
+  const { historyMoves } = gameService._replayMovesForSpectator(moves, isUnbalanced, gameService._getFirstMoveEnPassant(record));
+  // A move that didn't replay means the record is damaged - skip the game
+  if (historyMoves.length !== moves.length) return [];
+
+  const result = resultForWhite(record);
+  const positions = [];
+  let turnsPlayed = 0;
+
+  for (const move of historyMoves) {
+    // After the flip the mover is still to play; the turn is over when the
+    // FEN hands the move to the other side
+    const sideToMove = move.fen.split(" ")[1];
+    if (sideToMove === move.color) continue;
+
+    turnsPlayed++;
+    if (turnsPlayed <= options["skip-turns"]) continue;
+
+    const chess = new Chess(move.fen);
+    if (chess.isGameOver() || chess.inCheck()) continue;
+
+    positions.push({ fen: move.fen, result, isUnbalanced });
+  }
+
+  return positions;
+}
+
+async function exportCollection(model, label, options, output) {
+  const results = options["include-timeouts"] ? [...BOARD_RESULTS, ...CLOCK_RESULTS] : BOARD_RESULTS;
+  const query = { status: "completed", result: { $in: results } };
+
+  let games = 0;
+  let positions = 0;
+  const cursor = model.find(query).select("moves isUnbalanced firstMoveEnPassant result winner").lean().cursor();
+
+  for await (const record of cursor) {
+    const extracted = extractPositions(record, options);
+    if (extracted.length === 0) continue;
+
+    for (const position of extracted) output.write(`${JSON.stringify(position)}\n`);
+    games++;
+    positions += extracted.length;
+
+    if (options.limit > 0 && games >= options.limit) break;
+  }
+
+  console.log(`${label}: ${positions} positions from ${games} games`);
+  return positions;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!process.env.MONGO_URI) {
+    throw new Error("MONGO_URI is not set");
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const output = fs.createWriteStream(options.out);
+
+  try {
+    let total = 0;
+    if (options["pvp-games"]) total += await exportCollection(Game, "Games", options, output);
+    if (options["bot-games"]) total += await exportCollection(BotGame, "Bot games", options, output);
+    console.log(`Wrote ${total} positions to ${options.out}`);
+  } finally {
+    await new Promise(resolve => output.end(resolve));
+    await mongoose.connection.close();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,310 @@
+const mongoose = require("mongoose");
+const { ARCHIVE, HTTP, RATING } = require("../config/constants");
+const Game = require("../models/game.model");
+const BotGame = require("../models/botGame.model");
+const User = require("../models/user.model");
+
+const TYPES = ['all', 'human', 'bot'];
+const VARIANTS = ['balanced', 'unbalanced'];
+const CATEGORIES = ['bullet', 'blitz', 'rapid'];
+const WINNERS = ['white', 'black', 'draw'];
+const RESULTS = ['checkmate', 'draw', 'resignation', 'timeout', 'stalemate', 'abandonment', 'agreement', 'repetition', 'fifty-move'];
+
+// Estimated game length in seconds, same "initial + 40 x increment" rule as rating.service
+const ESTIMATED_SECONDS = { $divide: [{ $add: ['$initialMs', { $multiply: [40, '$increment'] }] }, 1000] };
+
+/**
+ * Parse an optional date query parameter; undefined if absent, null if invalid
+ */
+function parseDate(value) {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Summary fields shared by both collections, so they can be unioned and sorted together
+ */
+function summaryProjection(type) {
+  const isBot = type === 'bot';
+  return {
+    _id: 0,
+    gameId: 1,
+    type: { $literal: type },
+    whiteId: isBot ? { $cond: [{ $eq: ['$humanColor', 'w'] }, '$humanUserId', null] } : '$white',
+    blackId: isBot ? { $cond: [{ $eq: ['$humanColor', 'b'] }, '$humanUserId', null] } : '$black',
+    humanColor: isBot ? '$humanColor' : { $literal: null },
+    isUnbalanced: { $ne: ['$isUnbalanced', false] },
+    // Null for browser bot games, which have no server clock
+    initialMs: '$initialMs',
+    incrementMs: '$increment',
+    result: 1,
+    winner: 1,
+    moveCount: { $size: { $ifNull: ['$moves', []] } },
+    startedAt: 1,
+    completedAt: 1,
+    durationMs: {
+      $cond: [
+        { $and: ['$startedAt', '$completedAt'] },
+        { $subtract: ['$completedAt', '$startedAt'] },
+        null,
+      ],
+    },
+    ratingKey: isBot ? { $literal: null } : '$ratingKey',
+    whiteRatingBefore: isBot ? { $literal: null } : '$whiteRatingBefore',
+    whiteRatingAfter: isBot ? { $literal: null } : '$whiteRatingAfter',
+    blackRatingBefore: isBot ? { $literal: null } : '$blackRatingBefore',
+    blackRatingAfter: isBot ? { $literal: null } : '$blackRatingAfter',
+  };
+}
+
+/**
+ * Resolve whiteId/blackId to whiteName/blackName (null for guests and bots)
+ */
+function usernameLookupStages() {
+  return [
+    { $lookup: { from: User.collection.name, localField: 'whiteId', foreignField: '_id', as: 'whiteUser' } },
+    { $lookup: { from: User.collection.name, localField: 'blackId', foreignField: '_id', as: 'blackUser' } },
+    {
+      $addFields: {
+        whiteName: { $arrayElemAt: ['$whiteUser.username', 0] },
+        blackName: { $arrayElemAt: ['$blackUser.username', 0] },
+      },
+    },
+    { $project: { whiteUser: 0, blackUser: 0 } },
+  ];
+}
+
+class ArchiveService {
+  /**
+   * Validate list query parameters.
+   * Returns { success: true, filters } or { success: false, status, error }.
+   */
+  parseFilters(query = {}) {
+    const type = query.type || 'all';
+    if (!TYPES.includes(type)) {
+      return { success: false, status: HTTP.BAD_REQUEST, error: `type must be one of ${TYPES.join('/')}` };
+    }
+    if (query.variant && !VARIANTS.includes(query.variant)) {
+      return { success: false, status: HTTP.BAD_REQUEST, error: `variant must be one of ${VARIANTS.join('/')}` };
+    }
+    if (query.category && !CATEGORIES.includes(query.category)) {
+      return { success: false, status: HTTP.BAD_REQUEST, error: `category must be one of ${CATEGORIES.join('/')}` };
+    }
+    if (query.winner && !WINNERS.includes(query.winner)) {
+      return { success: false, status: HTTP.BAD_REQUEST, error: `winner must be one of ${WINNERS.join('/')}` };
+    }
+    if (query.result && !RESULTS.includes(query.result)) {
+      return { success: false, status: HTTP.BAD_REQUEST, error: `result must be one of ${RESULTS.join('/')}` };
+    }
+
+    // Time control as "minutes+seconds", like the matchmaking pools ("3+2")
+    let timeControl = null;
+    if (query.timeControl) {
+      const match = /^(\d+(?:\.\d+)?)\+(\d+)$/.exec(query.timeControl);
+      if (!match) {
+        return { success: false, status: HTTP.BAD_REQUEST, error: 'timeControl must look like "5+2" (minutes+seconds)' };
+      }
+      timeControl = { initialMs: Math.round(Number(match[1]) * 60 * 1000), incrementMs: Number(match[2]) * 1000 };
+    }
+
+    const from = parseDate(query.from);
+    const to = parseDate(query.to);
+    if (from === null || to === null) {
+      return { success: false, status: HTTP.BAD_REQUEST, error: 'from/to must be valid dates' };
+    }
+
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || ARCHIVE.DEFAULT_PAGE_SIZE, 1), ARCHIVE.MAX_PAGE_SIZE);
+
+    return {
+      success: true,
+      filters: {
+        type,
+        variant: query.variant || null,
+        category: query.category || null,
+        timeControl,
+        winner: query.winner || null,
+        result: query.result || null,
+        player: query.player || null,
+        from,
+        to,
+        page,
+        limit,
+      },
+    };
+  }
+
+  /**
+   * Match stage for one collection. Returns null when the filters rule the
+   * whole collection out (e.g. bot games when only PvP is asked for).
+   * Time-control filters skip clockless bot games (those played in the browser).
+   */
+  _buildMatch(filters, type, playerId) {
+    const isBot = type === 'bot';
+    if (filters.type !== 'all' && filters.type !== type) return null;
+
+    const match = isBot ? {} : { status: 'completed' };
+    if (isBot && (filters.category || filters.timeControl)) {
+      match.initialMs = { $gt: 0 };
+    }
+
+    if (filters.variant) {
+      // Older documents may predate the field - they default to unbalanced
+      match.isUnbalanced = filters.variant === 'unbalanced' ? { $ne: false } : false;
+    }
+    if (filters.winner) {
+      match.winner = filters.winner === 'draw' ? null : filters.winner;
+      if (filters.winner === 'draw') match.result = { $ne: null };
+    }
+    if (filters.result) {
+      match.result = filters.result;
+    }
+    if (filters.from || filters.to) {
+      match.completedAt = {};
+      if (filters.from) match.completedAt.$gte = filters.from;
+      if (filters.to) match.completedAt.$lte = filters.to;
+    }
+    if (filters.timeControl) {
+      match.initialMs = filters.timeControl.initialMs;
+      match.increment = filters.timeControl.incrementMs;
+    }
+    if (filters.category) {
+      const bounds = {
+        bullet: [0, RATING.BULLET_MAX_SECONDS],
+        blitz: [RATING.BULLET_MAX_SECONDS, RATING.BLITZ_MAX_SECONDS],
+        rapid: [RATING.BLITZ_MAX_SECONDS, Infinity],
+      }[filters.category];
+      const conditions = [{ $gte: [ESTIMATED_SECONDS, bounds[0]] }];
+      if (bounds[1] !== Infinity) conditions.push({ $lt: [ESTIMATED_SECONDS, bounds[1]] });
+      match.$expr = { $and: conditions };
+    }
+    if (playerId) {
+      if (isBot) {
+        match.humanUserId = playerId;
+      } else {
+        match.$or = [{ white: playerId }, { black: playerId }];
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * One page of completed games, newest first, across PvP and bot games.
+   * Resolves to { games, page, limit, total, totalPages }.
+   */
+  async listGames(filters) {
+    const empty = { games: [], page: filters.page, limit: filters.limit, total: 0, totalPages: 0 };
+
+    let playerId = null;
+    if (filters.player) {
+      const user = await User.findOne({ username: filters.player }).select('_id');
+      if (!user) return empty;
+      playerId = user._id;
+    }
+
+    const humanMatch = this._buildMatch(filters, 'human', playerId);
+    const botMatch = this._buildMatch(filters, 'bot', playerId);
+    if (!humanMatch && !botMatch) return empty;
+
+    // Start from one collection and union the other in, so both sort and page together
+    const [baseModel, baseMatch, baseType] = humanMatch ? [Game, humanMatch, 'human'] : [BotGame, botMatch, 'bot'];
+    const pipeline = [
+      { $match: baseMatch },
+      { $project: summaryProjection(baseType) },
+    ];
+    if (humanMatch && botMatch) {
+      pipeline.push({
+        $unionWith: {
+          coll: BotGame.collection.name,
+          pipeline: [{ $match: botMatch }, { $project: summaryProjection('bot') }],
+        },
+      });
+    }
+
+    const skip = (filters.page - 1) * filters.limit;
+    pipeline.push(
+      { $sort: { completedAt: -1, gameId: 1 } },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          games: [
+            { $skip: skip },
+            { $limit: filters.limit },
+            ...usernameLookupStages(),
+          ],
+        },
+      }
+    );
+
+    const [result] = await baseModel.aggregate(pipeline);
+    const total = result?.total?.[0]?.count || 0;
+
+    return {
+      games: (result?.games || []).map(doc => this.toSummary(doc)),
+      page: filters.page,
+      limit: filters.limit,
+      total,
+      totalPages: Math.ceil(total / filters.limit),
+    };
+  }
+
+  /**
+   * Client-facing summary of one aggregated game document
+   */
+  toSummary(doc) {
+    const playerName = (color) => {
+      const username = color === 'w' ? doc.whiteName : doc.blackName;
+      if (username) return username;
+      if (doc.type === 'bot' && doc.humanColor !== color) return 'Bot';
+      return 'Guest';
+    };
+
+    return {
+      gameId: doc.gameId,
+      type: doc.type,
+      white: playerName('w'),
+      black: playerName('b'),
+      variant: doc.isUnbalanced ? 'unbalanced' : 'balanced',
+      timeControl: doc.initialMs ? { initialMs: doc.initialMs, incrementMs: doc.incrementMs ?? 0 } : null,
+      result: doc.result ?? null,
+      winner: doc.winner ?? null,
+      moveCount: doc.moveCount,
+      durationMs: doc.durationMs,
+      startedAt: doc.startedAt,
+      completedAt: doc.completedAt,
+      ratings: doc.ratingKey ? {
+        key: doc.ratingKey,
+        white: { before: doc.whiteRatingBefore, after: doc.whiteRatingAfter },
+        black: { before: doc.blackRatingBefore, after: doc.blackRatingAfter },
+      } : null,
+    };
+  }
+
+  /**
+   * Summary plus move list for a single archived game, or null if not found
+   */
+  async getGame(gameId) {
+    for (const [model, type] of [[Game, 'human'], [BotGame, 'bot']]) {
+      const [doc] = await model.aggregate([
+        { $match: { gameId } },
+        { $project: { ...summaryProjection(type), moves: 1, fen: 1 } },
+        ...usernameLookupStages(),
+      ]);
+      if (doc) {
+        return { ...this.toSummary(doc), moves: doc.moves || [], fen: doc.fen };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Archive queries need the database
+   */
+  isAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+}
+
+module.exports = new ArchiveService();
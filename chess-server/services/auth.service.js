@@ -0,0 +1,199 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const { AUTH, HTTP } = require("../config/constants");
+const User = require("../models/user.model");
+const Game = require("../models/game.model");
+const BotGame = require("../models/botGame.model");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+
+/**
+ * Signing secret for auth tokens.
+ * Falls back to a fixed secret outside production so local dev works without setup.
+ */
+function getJwtSecret() {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET is not set');
+  }
+  return 'double-chess-dev-secret';
+}
+
+class AuthService {
+  /**
+   * Hash a plain-text password
+   */
+  hashPassword(password) {
+    return bcrypt.hash(password, AUTH.BCRYPT_ROUNDS);
+  }
+
+  /**
+   * Issue a signed token for a user
+   */
+  signToken(user) {
+    return jwt.sign(
+      { sub: user._id.toString(), username: user.username, tv: user.tokenVersion },
+      getJwtSecret(),
+      { expiresIn: AUTH.TOKEN_EXPIRY }
+    );
+  }
+
+  /**
+   * Start a guest session: a server-chosen session ID and a signed token for it.
+   * Only the holder of the token can play or claim games as that session.
+   */
+  createGuestSession() {
+    const sessionId = 'sess_' + crypto.randomBytes(16).toString('hex');
+    const guestToken = jwt.sign(
+      { sid: sessionId, typ: 'guest' },
+      getJwtSecret(),
+      { expiresIn: AUTH.GUEST_TOKEN_EXPIRY }
+    );
+    return { sessionId, guestToken };
+  }
+
+  /**
+   * Session ID of a guest token, or null if it is missing, malformed or expired
+   */
+  verifyGuestToken(guestToken) {
+    if (typeof guestToken !== 'string' || !guestToken) return null;
+
+    try {
+      const payload = jwt.verify(guestToken, getJwtSecret());
+      return payload.typ === 'guest' && typeof payload.sid === 'string' ? payload.sid : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Verify a token and load its user.
+   * Returns null if the token is malformed, expired or revoked by logout.
+   */
+  async verifyToken(token) {
+    if (!token) return null;
+
+    let payload;
+    try {
+      payload = jwt.verify(token, getJwtSecret());
+    } catch {
+      return null;
+    }
+    if (payload.typ === 'guest') return null;
+
+    const user = await User.findById(payload.sub);
+    if (!user || user.tokenVersion !== payload.tv) return null;
+
+    return user;
+  }
+
+  /**
+   * Create an account. If the guest's token is given, their games are claimed.
+   */
+  async register({ username, email, password, guestToken } = {}) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return { success: false, status: HTTP.BAD_REQUEST, error: 'Username must be 3-20 letters, digits, _ or -' };
+    }
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+      return { success: false, status: HTTP.BAD_REQUEST, error: 'A valid email is required' };
+    }
+    if (typeof password !== 'string' || password.length < AUTH.MIN_PASSWORD_LENGTH) {
+      return { success: false, status: HTTP.BAD_REQUEST, error: `Password must be at least ${AUTH.MIN_PASSWORD_LENGTH} characters` };
+    }
+
+    const existing = await User.findOne({ $or: [{ username }, { email: email.toLowerCase() }] });
+    if (existing) {
+      const field = existing.username === username ? 'Username' : 'Email';
+      return { success: false, status: HTTP.CONFLICT, error: `${field} is already taken` };
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        username,
+        email,
+        passwordHash: await this.hashPassword(password),
+        lastLoginAt: new Date(),
+      });
+    } catch (error) {
+      // Lost a race with another registration for the same name or email
+      if (error.code !== 11000) throw error;
+      const field = error.keyPattern?.username ? 'Username' : 'Email';
+      return { success: false, status: HTTP.CONFLICT, error: `${field} is already taken` };
+    }
+
+    const claimed = await this.claimGuestGames(user, guestToken);
+
+    console.log(`[Auth] Registered ${username} (claimed ${claimed.games} games, ${claimed.botGames} bot games)`);
+    return { success: true, user, token: this.signToken(user), claimed };
+  }
+
+  /**
+   * Log in with username or email plus password
+   */
+  async login({ login, password } = {}) {
+    if (typeof login !== 'string' || typeof password !== 'string' || !login || !password) {
+      return { success: false, status: HTTP.BAD_REQUEST, error: 'Username/email and password are required' };
+    }
+
+    const user = await User.findOne({
+      $or: [{ username: login }, { email: login.toLowerCase() }],
+    }).select('+passwordHash');
+
+    // Same message for unknown user and wrong password - don't reveal which accounts exist
+    if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+      return { success: false, status: HTTP.UNAUTHORIZED, error: 'Invalid credentials' };
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    console.log(`[Auth] ${user.username} logged in`);
+    return { success: true, user, token: this.signToken(user) };
+  }
+
+  /**
+   * Revoke every token issued to this user so far
+   */
+  async logout(user) {
+    await User.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+    console.log(`[Auth] ${user.username} logged out`);
+  }
+
+  /**
+   * Attach a guest session's games to an account.
+   * The session comes from its signed guest token, never from a bare session
+   * ID, so only the guest who played the games can claim them. Only seats that
+   * are still unowned are claimed, so a claimed session can't be claimed again.
+   */
+  async claimGuestGames(user, guestToken) {
+    const sessionId = this.verifyGuestToken(guestToken);
+    if (!sessionId) return { games: 0, botGames: 0 };
+
+    const whiteGames = await Game.find({ whiteSessionId: sessionId, white: null }).select('_id');
+    const blackGames = await Game.find({ blackSessionId: sessionId, black: null }).select('_id');
+
+    if (whiteGames.length > 0) {
+      await Game.updateMany({ _id: { $in: whiteGames.map(g => g._id) } }, { $set: { white: user._id } });
+    }
+    if (blackGames.length > 0) {
+      await Game.updateMany({ _id: { $in: blackGames.map(g => g._id) } }, { $set: { black: user._id } });
+    }
+
+    const gameIds = [...whiteGames, ...blackGames].map(g => g._id);
+    if (gameIds.length > 0) {
+      await User.updateOne({ _id: user._id }, { $addToSet: { games: { $each: gameIds } } });
+    }
+
+    const botResult = await BotGame.updateMany(
+      { humanSessionId: sessionId, humanUserId: null },
+      { $set: { humanUserId: user._id } }
+    );
+
+    return { games: gameIds.length, botGames: botResult.modifiedCount || 0 };
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,151 @@
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { BOT } = require("../config/constants");
+
+const WORKER_FILE = path.join(__dirname, "../workers/bot-engine.worker.mjs");
+const DEFAULT_TABLEBASE_DIR = path.join(__dirname, "../../chess-front/public/tablebases");
+
+/**
+ * Pool of engine threads for server-hosted bot games.
+ * Searches are CPU-bound, so each thread runs one at a time and requests
+ * beyond the pool size wait in arrival order. Threads start on first use.
+ */
+class BotEngineService {
+  constructor() {
+    this.threads = [];          // { worker, control, job }
+    this.queue = [];            // jobs waiting for a free thread
+    this.jobsByGame = new Map(); // gameId -> pending job
+    this.nextRequestId = 1;
+  }
+
+  getThreadCount() {
+    const configured = Number(process.env.BOT_ENGINE_THREADS);
+    if (Number.isInteger(configured) && configured > 0) return Math.min(configured, BOT.MAX_ENGINE_THREADS);
+    return Math.max(1, Math.min(os.cpus().length - 1, BOT.MAX_ENGINE_THREADS));
+  }
+
+  _startThreads() {
+    const count = this.getThreadCount();
+    for (let i = 0; i < count; i++) this._spawnThread();
+    console.log(`[BotEngine] Started ${count} engine thread(s)`);
+  }
+
+  _spawnThread() {
+    const thread = { worker: null, control: null, job: null };
+    thread.worker = new Worker(WORKER_FILE, {
+      workerData: {
+        ttSizeMb: BOT.ENGINE_HASH_MB,
+        tablebaseDir: process.env.BOT_TABLEBASE_DIR || DEFAULT_TABLEBASE_DIR,
+      },
+    });
+    thread.worker.on("message", (message) => this._handleMessage(thread, message));
+    // A crashed thread fails its search and is replaced - unless it never
+    // started, which would only fail again
+    thread.worker.on("error", (error) => {
+      console.error("[BotEngine] Engine thread crashed:", error);
+      this.threads = this.threads.filter(t => t !== thread);
+      if (thread.control) this._spawnThread();
+      this._finishJob(thread, { error: error.message });
+      if (this.threads.length === 0) this._failQueue(error);
+    });
+    // Keep the process free to exit while the pool sits idle
+    thread.worker.unref();
+    this.threads.push(thread);
+  }
+
+  _handleMessage(thread, message) {
+    if (message.type === "ready") {
+      thread.control = new Int32Array(message.table, 0, 1);
+      this._dispatch();
+      return;
+    }
+    if (!thread.job || thread.job.requestId !== message.requestId) return;
+
+    this._finishJob(thread, message.type === "bestTurn" ? { moves: message.moves } : { error: message.error });
+  }
+
+  _finishJob(thread, { moves = null, error = null }) {
+    const job = thread.job;
+    thread.job = null;
+    if (job) {
+      if (this.jobsByGame.get(job.gameId) === job) this.jobsByGame.delete(job.gameId);
+      if (error) job.reject(new Error(error));
+      else job.resolve(job.isCancelled ? null : moves);
+    }
+    this._dispatch();
+  }
+
+  /**
+   * Reject everything still waiting (no thread left to run it)
+   */
+  _failQueue(error) {
+    for (const job of this.queue.splice(0)) {
+      this.jobsByGame.delete(job.gameId);
+      job.reject(error);
+    }
+  }
+
+  /**
+   * Hand waiting jobs to idle threads that have finished starting up
+   */
+  _dispatch() {
+    for (const thread of this.threads) {
+      if (this.queue.length === 0) return;
+      if (thread.job || !thread.control) continue;
+
+      const job = this.queue.shift();
+      thread.job = job;
+      const searchId = Atomics.add(thread.control, 0, 1) + 1;
+      thread.worker.postMessage({ type: "findBestTurn", requestId: job.requestId, searchId, gameId: job.gameId, ...job.position });
+    }
+  }
+
+  /**
+   * Search a turn for a bot game. Resolves with the moves as
+   * [{ from, to, promotion? }], or null if the search was cancelled.
+   * position: { fen, moves, skillLevel, timeLeftMs, incrementMs,
+   *   isUnbalanced, firstMoveEnPassant } (see GameService.getBotSearchPosition)
+   */
+  findBestTurn(gameId, position) {
+    if (this.threads.length === 0) this._startThreads();
+    this.cancel(gameId);
+
+    return new Promise((resolve, reject) => {
+      const job = { requestId: this.nextRequestId++, gameId, position, resolve, reject, isCancelled: false };
+      this.jobsByGame.set(gameId, job);
+      this.queue.push(job);
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Drop a game's pending search (the game ended or moved on without it).
+   * A running full-strength search stops right away; weaker levels finish
+   * their short search and the result is thrown away.
+   */
+  cancel(gameId) {
+    const job = this.jobsByGame.get(gameId);
+    if (!job) return false;
+
+    job.isCancelled = true;
+    this.jobsByGame.delete(gameId);
+
+    const queued = this.queue.indexOf(job);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      job.resolve(null);
+      return true;
+    }
+
+    const thread = this.threads.find(t => t.job === job);
+    if (thread?.control) Atomics.add(thread.control, 0, 1);
+    return true;
+  }
+
+  isThinking(gameId) {
+    return this.jobsByGame.has(gameId);
+  }
+}
+
+module.exports = new BotEngineService();
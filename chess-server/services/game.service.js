@@ -1,17 +1,11 @@
 const { Chess } = require("chess.js");
-const { CLOCK } = require("../config/constants");
+const { applyMove, recordDrawState, getGameResult, replayMoves, createDrawState, toMarseillaisFen, parseMarseillaisFen } = require("chess-rules");
+const { CLOCK, BOT } = require("../config/constants");
 const Game = require("../models/game.model");
 const BotGame = require("../models/botGame.model");
-
-/**
- * Generate a position key from FEN for repetition detection.
- * Only includes piece positions, side to move, castling, and en passant.
- */
-function getPositionKey(fen) {
-  const parts = fen.split(' ');
-  // parts[0] = piece positions, parts[1] = side to move, parts[2] = castling, parts[3] = en passant
-  return `${parts[0]}|${parts[1]}|${parts[2]}|${parts[3]}`;
-}
+const User = require("../models/user.model");
+const ratingService = require("./rating.service");
+const statsService = require("./stats.service");
 
 class GameService {
   constructor() {
@@ -33,67 +27,49 @@ class GameService {
 
   /**
    * Replay moves from DB to rebuild Chess instance and history for spectators
+   * (each history move with the Marseillais FEN after it)
    */
-  _replayMovesForSpectator(moves = [], isUnbalanced = true) {
-    const chess = new Chess();
-    const historyMoves = [];
-    let movesInTurn = 0;
-    let halfMoveClock = 0;
-    const positionHistory = new Map();
-    
-    // Record initial position
-    const initialPosKey = getPositionKey(chess.fen());
-    positionHistory.set(initialPosKey, 1);
-
-    for (let i = 0; i < moves.length; i++) {
-      const san = moves[i];
-      const result = chess.move(san);
-      if (!result) break;
-
-      // Apply the same double-move turn-flip logic used during live play
-      if (!chess.isGameOver()) {
-        const isFirstTurnBalanced = !isUnbalanced && i === 0 && result.color === 'w';
-        
-        if (isFirstTurnBalanced) {
-          movesInTurn = 0;
-        } else if (movesInTurn === 0) {
-          if (result.san.includes('+')) {
-            movesInTurn = 0;
-          } else {
-            const parts = chess.fen().split(' ');
-            parts[1] = parts[1] === 'w' ? 'b' : 'w';
-            parts[3] = '-';
-            chess.load(parts.join(' '));
-            movesInTurn = 1;
-          }
-        } else {
-          movesInTurn = 0;
-        }
-      } else {
-        movesInTurn = 0;
-      }
-      
-      // Track draw conditions
-      const isPawnMove = result.piece === 'p';
-      const isCapture = !!result.captured;
-      if (isPawnMove || isCapture) {
-        halfMoveClock = 0;
-      } else {
-        halfMoveClock++;
-      }
-      
-      // Track position for repetition
-      const posKey = getPositionKey(chess.fen());
-      positionHistory.set(posKey, (positionHistory.get(posKey) || 0) + 1);
-
-      historyMoves.push({
-        san: result.san,
-        color: result.color,
-        fen: chess.fen(),
-      });
+  _replayMovesForSpectator(moves = [], isUnbalanced = true, firstMoveEnPassant = true) {
+    // A move that doesn't replay stops the replay; callers compare lengths
+    const { chess, moves: replayed, movesInTurn, epSquares, draws } = replayMoves(moves, { isUnbalanced, firstMoveEnPassant });
+    const historyMoves = replayed.map(({ san, color, from, to, promotion, marseillaisFen }) => ({ san, color, from, to, promotion, fen: marseillaisFen }));
+
+    return { chess, historyMoves, movesInTurn, epSquares, halfMoveClock: draws.halfMoveClock, positionHistory: draws.positionHistory };
+  }
+
+  /**
+   * Load a stored FEN (Marseillais, or plain from older games) onto `chess`.
+   * The turn phase and en passant targets come from the replayed moves.
+   */
+  _loadStoredFen(chess, fen) {
+    try {
+      chess.load(parseMarseillaisFen(fen).fen);
+    } catch {
+      // ignore; keep replayed position
     }
+  }
 
-    return { chess, historyMoves, movesInTurn, halfMoveClock, positionHistory };
+  /**
+   * The game's position as a Marseillais FEN (see chess-rules): what the
+   * client, the DB and the bot engine get, so a game can be picked up
+   * mid-turn
+   */
+  getFen(game) {
+    return toMarseillaisFen(game.chess, {
+      movesInTurn: game.movesInTurn,
+      plyCount: game.historyMoves.length,
+      isUnbalanced: game.isUnbalanced,
+      epSquares: game.epSquares,
+      firstMoveEnPassant: game.firstMoveEnPassant !== false,
+    });
+  }
+
+  /**
+   * En passant rule of a stored game. Games saved before it was an option
+   * were played with only the last push of a turn capturable.
+   */
+  _getFirstMoveEnPassant(doc) {
+    return doc.firstMoveEnPassant === true;
   }
 
   /**
@@ -124,23 +100,18 @@ class GameService {
 
     const isCompleted = this._isDbGameCompleted(dbGame);
     const gameIsUnbalanced = dbGame.isUnbalanced !== undefined ? dbGame.isUnbalanced : true;
+    const firstMoveEnPassant = this._getFirstMoveEnPassant(dbGame);
     
-    const { chess, historyMoves, movesInTurn, halfMoveClock, positionHistory } = this._replayMovesForSpectator(dbGame.moves || [], gameIsUnbalanced);
+    const { chess, historyMoves, movesInTurn, epSquares, halfMoveClock, positionHistory } = this._replayMovesForSpectator(dbGame.moves || [], gameIsUnbalanced, firstMoveEnPassant);
 
     // Trust the persisted final FEN for the final position
-    if (dbGame.fen) {
-      try {
-        chess.load(dbGame.fen);
-      } catch {
-        // ignore; keep replayed position
-      }
-    }
+    if (dbGame.fen) this._loadStoredFen(chess, dbGame.fen);
 
     // Map DB players to the format expected by the service
     const players = [];
     if (dbGame.white) {
       players.push({
-        userId: dbGame.white._id || dbGame.white,
+        userId: String(dbGame.white._id || dbGame.white),
         username: dbGame.white.username,
         color: 'w',
         socketId: null // Not connected yet
@@ -148,7 +119,7 @@ class GameService {
     }
     if (dbGame.black) {
       players.push({
-        userId: dbGame.black._id || dbGame.black,
+        userId: String(dbGame.black._id || dbGame.black),
         username: dbGame.black.username,
         color: 'b',
         socketId: null // Not connected yet
@@ -162,13 +133,16 @@ class GameService {
       spectators: [],
       createdAt: dbGame.createdAt ? new Date(dbGame.createdAt).getTime() : Date.now(),
       startedAt: dbGame.startedAt ? new Date(dbGame.startedAt).getTime() : null,
+      initialMs: dbGame.initialMs ?? CLOCK.INITIAL_TIME_MS,
       whiteMs: dbGame.whiteMs ?? CLOCK.INITIAL_TIME_MS,
       blackMs: dbGame.blackMs ?? CLOCK.INITIAL_TIME_MS,
       incrementMs: dbGame.increment ?? CLOCK.INCREMENT_MS,
       lastMoveTime: null,
       historyMoves,
       movesInTurn,
+      epSquares,
       isUnbalanced: gameIsUnbalanced,
+      firstMoveEnPassant,
       isCompleted,
       completedAt: dbGame.completedAt ? new Date(dbGame.completedAt).getTime() : null,
       savedGameId: dbGame._id,
@@ -209,19 +183,15 @@ class GameService {
 
     console.log(`[DB] Hydrating bot game ${gameId} (status: ${botGame.status}, moves: ${botGame.moves?.length || 0})`);
 
-    const isCompleted = botGame.status === 'completed';
+    // Stored bot games are over either way - an abandoned one must not take a new player
+    const isCompleted = botGame.status === 'completed' || botGame.status === 'abandoned';
     const gameIsUnbalanced = botGame.isUnbalanced !== undefined ? botGame.isUnbalanced : true;
+    const firstMoveEnPassant = this._getFirstMoveEnPassant(botGame);
     
-    const { chess, historyMoves, movesInTurn, halfMoveClock, positionHistory } = this._replayMovesForSpectator(botGame.moves || [], gameIsUnbalanced);
+    const { chess, historyMoves, movesInTurn, epSquares, halfMoveClock, positionHistory } = this._replayMovesForSpectator(botGame.moves || [], gameIsUnbalanced, firstMoveEnPassant);
 
     // Trust the persisted final FEN for the final position
-    if (botGame.fen) {
-      try {
-        chess.load(botGame.fen);
-      } catch {
-        // ignore; keep replayed position
-      }
-    }
+    if (botGame.fen) this._loadStoredFen(chess, botGame.fen);
 
     // Bot games have no real players - just metadata
     const game = {
@@ -231,15 +201,21 @@ class GameService {
       spectators: [],
       isBotGame: true,
       humanColor: botGame.humanColor,
+      skillLevel: botGame.skillLevel ?? null,
+      isServerHosted: botGame.isServerHosted === true,
       createdAt: botGame.startedAt ? new Date(botGame.startedAt).getTime() : Date.now(),
       startedAt: botGame.startedAt ? new Date(botGame.startedAt).getTime() : null,
-      whiteMs: CLOCK.INITIAL_TIME_MS, // Bot games don't track clock in DB
-      blackMs: CLOCK.INITIAL_TIME_MS,
-      incrementMs: CLOCK.INCREMENT_MS,
+      // Only server-hosted bot games have clocks in the DB
+      initialMs: botGame.initialMs ?? CLOCK.INITIAL_TIME_MS,
+      whiteMs: botGame.whiteMs ?? CLOCK.INITIAL_TIME_MS,
+      blackMs: botGame.blackMs ?? CLOCK.INITIAL_TIME_MS,
+      incrementMs: botGame.increment ?? CLOCK.INCREMENT_MS,
       lastMoveTime: null,
       historyMoves,
       movesInTurn,
+      epSquares,
       isUnbalanced: gameIsUnbalanced,
+      firstMoveEnPassant,
       isCompleted,
       completedAt: botGame.completedAt ? new Date(botGame.completedAt).getTime() : null,
       savedGameId: botGame._id,
@@ -254,18 +230,25 @@ class GameService {
     return game;
   }
 
+  /**
+   * Generate a random public game ID
+   */
+  generateGameId() {
+    return Math.random().toString(36).substr(2, 9);
+  }
+
   /**
    * Create a new game with initial player
    */
   createGame(socketId, userId = null) {
-    const gameId = Math.random().toString(36).substr(2, 9);
-    return this.createGameWithId(gameId, socketId, userId);
+    return this.createGameWithId(this.generateGameId(), socketId, userId);
   }
 
   /**
-   * Create a new game with specific ID (for friend mode)
+   * Create a new game with specific ID (for friend mode).
+   * firstMoveEnPassant is the en passant rule (see chess-rules).
    */
-  createGameWithId(gameId, socketId, userId = null, isUnbalanced = true, timeMinutes = null, incrementSeconds = null, playerColor = 'w') {
+  createGameWithId(gameId, socketId, userId = null, isUnbalanced = true, timeMinutes = null, incrementSeconds = null, playerColor = 'w', firstMoveEnPassant = true) {
     // Check if game already exists
     if (this.games.has(gameId)) {
       return this.games.get(gameId);
@@ -277,11 +260,9 @@ class GameService {
     const initialTimeMs = timeMinutes ? timeMinutes * 60 * 1000 : CLOCK.INITIAL_TIME_MS;
     const incrementMs = incrementSeconds !== null ? incrementSeconds * 1000 : CLOCK.INCREMENT_MS;
     
-    // Initialize position history for threefold repetition tracking
-    const initialPositionKey = getPositionKey(chess.fen());
-    const positionHistory = new Map();
-    positionHistory.set(initialPositionKey, 1);
-    
+    // Draw tracking starts with the initial position seen once
+    const { positionHistory } = createDrawState(chess.fen());
+
     const game = {
       id: gameId,
       chess,
@@ -289,13 +270,16 @@ class GameService {
       spectators: [], // Track spectators
       createdAt: Date.now(),
       startedAt: null,
+      initialMs: initialTimeMs,
       whiteMs: initialTimeMs,
       blackMs: initialTimeMs,
       incrementMs: incrementMs,
       lastMoveTime: null,
       historyMoves: [],
       movesInTurn: 0,
+      epSquares: [], // En passant targets (chess-rules applyMove)
       isUnbalanced: isUnbalanced,
+      firstMoveEnPassant,
       isCompleted: false,
       completedAt: null,
       savedGameId: null, // MongoDB _id after saving
@@ -311,21 +295,49 @@ class GameService {
   }
 
   /**
-   * Join an existing game (or create if doesn't exist for friend mode)
+   * Create a server-hosted bot game: the human plays through the normal move
+   * events and the bot's turns come from botEngine.service via makeBotMove.
+   * Starts right away - there is no one to wait for.
+   */
+  createBotGame(gameId, socketId, userId = null, { humanColor = 'w', skillLevel = BOT.DEFAULT_SKILL_LEVEL, isUnbalanced = true, firstMoveEnPassant = true, timeMinutes = null, incrementSeconds = null } = {}) {
+    if (this.games.has(gameId)) return null;
+
+    const game = this.createGameWithId(gameId, socketId, userId, isUnbalanced, timeMinutes, incrementSeconds, humanColor, firstMoveEnPassant);
+    game.players.push({
+      socketId: null,
+      userId: null,
+      username: `${BOT.PLAYER_NAME} (level ${skillLevel})`,
+      color: humanColor === 'w' ? 'b' : 'w',
+      isBot: true,
+    });
+    game.isBotGame = true;
+    game.isServerHosted = true;
+    game.humanColor = humanColor;
+    game.skillLevel = skillLevel;
+    game.startedAt = Date.now();
+    return game;
+  }
+
+  /**
+   * Join an existing game (or create if doesn't exist for friend mode).
+   * firstMoveEnPassant only applies when the game is created here.
    */
-  joinGame(socketId, userId = null, gameId, timeMinutes = null, incrementSeconds = null, playerColor = null) {
+  joinGame(socketId, userId = null, gameId, timeMinutes = null, incrementSeconds = null, playerColor = null, firstMoveEnPassant = true) {
     let game = this.games.get(gameId);
     
     // If game doesn't exist, create it (first player joining via link)
     if (!game) {
       // Use provided color or default to white
       const creatorColor = playerColor || 'w';
-      game = this.createGameWithId(gameId, socketId, userId, true, timeMinutes, incrementSeconds, creatorColor);
+      game = this.createGameWithId(gameId, socketId, userId, true, timeMinutes, incrementSeconds, creatorColor, firstMoveEnPassant !== false);
       return { game, role: 'player' };
     }
     
     // Check if this socket or user is already a player in this game (reconnection)
     const existingPlayer = game.players.find(p => {
+      // Nobody takes over the bot's seat
+      if (p.isBot) return false;
+
       // Same socket ID (same browser session)
       if (p.socketId === socketId) return true;
       
@@ -383,28 +395,6 @@ class GameService {
     return { game, role: 'player' };
   }
 
-  /**
-   * Find a waiting game or create new one
-   */
-  findOrCreateGame(socketId, userId = null) {
-    const waitingGame = [...this.games.values()].find((game) => {
-      if (game.players.length !== 1) return false;
-      const existingPlayer = game.players[0];
-
-      // Avoid matching the same user with themselves when userId is known
-      if (userId && existingPlayer.userId && existingPlayer.userId === userId) return false;
-
-      return true;
-    });
-
-    if (waitingGame) {
-      const result = this.joinGame(socketId, userId, waitingGame.id);
-      return { game: result.game, isNew: false };
-    } else {
-      return { game: this.createGame(socketId, userId), isNew: true };
-    }
-  }
-
   /**
    * Get game by ID
    */
@@ -422,57 +412,53 @@ class GameService {
     const player = game.players.find((p) => p.socketId === socketId);
     if (!player) return { success: false, error: "Player not in game" };
 
+    return this._applyMove(game, player, move);
+  }
+
+  /**
+   * Make the bot's move in a server-hosted bot game
+   */
+  makeBotMove(gameId, move) {
+    const game = this.games.get(gameId);
+    if (!game) return { success: false, error: "Game not found" };
+
+    const bot = game.players.find((p) => p.isBot);
+    if (!bot) return { success: false, error: "Not a bot game" };
+    // A search can finish after the game ended some other way
+    if (game.isCompleted) return { success: false, error: "Game is over" };
+
+    return this._applyMove(game, bot, move);
+  }
+
+  /**
+   * Play a move for a player: double-move turn logic, clocks and draw tracking
+   */
+  _applyMove(game, player, move) {
     // Check turn
     if (player.color !== game.chess.turn()) {
       return { success: false, error: "Not your turn" };
     }
 
-    // Attempt move
-    const result = game.chess.move(move);
-    if (!result) {
+    // Attempt move (double-move turn logic: chess-rules)
+    const played = applyMove(game.chess, move, {
+      movesInTurn: game.movesInTurn,
+      plyCount: game.historyMoves.length,
+      isUnbalanced: game.isUnbalanced,
+      epSquares: game.epSquares,
+      firstMoveEnPassant: game.firstMoveEnPassant !== false,
+    });
+    if (!played) {
       return { success: false, error: "Illegal move", move };
     }
+    const result = played.move;
+    game.movesInTurn = played.movesInTurn;
+    game.epSquares = played.epSquares;
 
     // Initialize lastMoveTime on first move if not already set
     if (!game.lastMoveTime) {
       game.lastMoveTime = Date.now();
     }
 
-    // Double-move logic
-    // In balanced mode: white's first turn is single move only, then double moves for everyone
-    // In unbalanced mode: always double moves
-    const totalMoves = game.historyMoves.length; // moves before this one
-    const isFirstTurnBalanced = !game.isUnbalanced && totalMoves === 0 && result.color === 'w';
-    
-    if (!game.chess.isGameOver()) {
-      if (isFirstTurnBalanced) {
-        // Balanced mode, first turn - white only gets 1 move
-        game.movesInTurn = 0;
-      } else if (game.movesInTurn === 0) {
-        // First move of the turn (double move applies)
-        // If check, turn ends. Otherwise, same player moves again.
-        if (result.san.includes('+')) {
-          game.movesInTurn = 0;
-        } else {
-          // Flip turn back to the player who just moved
-          const fen = game.chess.fen();
-          const parts = fen.split(' ');
-          // parts[1] is the current active color (which just switched). We want to revert it.
-          parts[1] = parts[1] === 'w' ? 'b' : 'w';
-          // Clear en-passant target
-          parts[3] = '-';
-          const newFen = parts.join(' ');
-          game.chess.load(newFen);
-          game.movesInTurn = 1;
-        }
-      } else {
-        // Second move of the turn
-        game.movesInTurn = 0;
-      }
-    } else {
-      game.movesInTurn = 0;
-    }
-
     // Calculate elapsed time since last move (or game start)
     const now = Date.now();
     const elapsed = game.lastMoveTime ? (now - game.lastMoveTime) : 0;
@@ -500,32 +486,18 @@ class GameService {
     const fenAfter = game.chess.fen();
     
     // Track draw conditions (threefold repetition and 50-move rule)
-    // Update halfmove clock: reset on pawn move or capture, otherwise increment
-    const isPawnMove = result.piece === 'p';
-    const isCapture = !!result.captured;
-    if (isPawnMove || isCapture) {
-      game.halfMoveClock = 0;
-    } else {
-      game.halfMoveClock = (game.halfMoveClock || 0) + 1;
-    }
-    
-    // Track position for threefold repetition
-    if (!game.positionHistory) {
-      game.positionHistory = new Map();
-    }
-    const posKey = getPositionKey(fenAfter);
-    const posCount = (game.positionHistory.get(posKey) || 0) + 1;
-    game.positionHistory.set(posKey, posCount);
+    recordDrawState(game, result, fenAfter);
 
-    // Store move with FEN, clock times, and server time for spectators
-    game.historyMoves.push({ ...result, fen: fenAfter, whiteMs: game.whiteMs, blackMs: game.blackMs, serverTime: now });
+    // Store move with the Marseillais FEN, clock times, and server time for spectators
+    const historyMove = { ...result, whiteMs: game.whiteMs, blackMs: game.blackMs, serverTime: now };
+    game.historyMoves.push(historyMove);
+    historyMove.fen = this.getFen(game);
 
     return {
       success: true,
       move: result,
-      fen: fenAfter,
+      fen: historyMove.fen,
       turn: game.chess.turn(),
-      movesInTurn: game.movesInTurn,
       whiteMs: game.whiteMs,
       blackMs: game.blackMs,
       serverTime: now,
@@ -539,30 +511,96 @@ class GameService {
     const game = this.games.get(gameId);
     if (!game) return null;
 
-    // Check chess.js built-in game over conditions
-    if (game.chess.isGameOver()) {
-      if (game.chess.isCheckmate()) return "checkmate";
-      if (game.chess.isDraw()) return "draw";
-      if (game.chess.isStalemate()) return "stalemate";
-      return "unknown";
-    }
-    
-    // Check for Marseillais-specific draw conditions
-    // Threefold repetition
-    if (game.positionHistory) {
-      const currentPosKey = getPositionKey(game.chess.fen());
-      const posCount = game.positionHistory.get(currentPosKey) || 0;
-      if (posCount >= 3) {
-        return "repetition";
+    // Board results, then the Marseillais draw rules tracked on the game
+    // (threefold repetition and the 50-move rule)
+    return getGameResult(game.chess, game)?.reason ?? null;
+  }
+
+  /**
+   * Get the running clock of the side to move, including time elapsed since
+   * the last move. Returns null while no clock is running (before the first
+   * move, or once the game is over).
+   */
+  getActiveClock(gameId) {
+    const game = this.games.get(gameId);
+    if (!game || game.isCompleted || !game.lastMoveTime) return null;
+
+    // During a double-move turn the FEN is flipped back, so turn() is still the mover
+    const color = game.chess.turn();
+    const storedMs = color === 'w' ? game.whiteMs : game.blackMs;
+    const remainingMs = storedMs - (Date.now() - game.lastMoveTime);
+
+    return { color, remainingMs };
+  }
+
+  /**
+   * What the bot engine needs to search the bot's turn in a server-hosted
+   * bot game, or null if it isn't the bot's turn. The engine replays the
+   * coordinate moves from the start position; the Marseillais FEN is the
+   * position they reach.
+   */
+  getBotSearchPosition(gameId) {
+    const game = this.games.get(gameId);
+    if (!game?.isBotGame || game.isCompleted) return null;
+
+    const bot = game.players.find((p) => p.isBot);
+    if (!bot || bot.color !== game.chess.turn()) return null;
+
+    const activeClock = this.getActiveClock(gameId);
+
+    return {
+      fen: this.getFen(game),
+      moves: game.historyMoves.map((m) => m.from + m.to + (m.promotion ?? "")),
+      skillLevel: game.skillLevel,
+      timeLeftMs: activeClock ? activeClock.remainingMs : (bot.color === 'w' ? game.whiteMs : game.blackMs),
+      incrementMs: game.incrementMs,
+      isUnbalanced: game.isUnbalanced,
+      firstMoveEnPassant: game.firstMoveEnPassant !== false,
+    };
+  }
+
+  /**
+   * Check if a side has enough material to ever deliver mate.
+   * A lone king or king + single minor piece cannot.
+   */
+  hasMatingMaterial(gameId, color) {
+    const game = this.games.get(gameId);
+    if (!game) return false;
+
+    let minorPieces = 0;
+    for (const row of game.chess.board()) {
+      for (const square of row) {
+        if (!square || square.color !== color) continue;
+        if (square.type === 'p' || square.type === 'r' || square.type === 'q') return true;
+        if (square.type === 'n' || square.type === 'b') minorPieces++;
       }
     }
-    
-    // 50-move rule (100 half-moves = 50 full moves)
-    if (game.halfMoveClock >= 100) {
-      return "fifty-move";
+
+    return minorPieces >= 2;
+  }
+
+  /**
+   * Flag the side to move: zero their clock and work out the result.
+   * The opponent wins unless they lack mating material, in which case it's a draw.
+   */
+  flagGame(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) return null;
+
+    const flaggedColor = game.chess.turn();
+    const opponentColor = flaggedColor === 'w' ? 'b' : 'w';
+
+    if (flaggedColor === 'w') {
+      game.whiteMs = 0;
+    } else {
+      game.blackMs = 0;
     }
-    
-    return null;
+
+    const winner = this.hasMatingMaterial(gameId, opponentColor)
+      ? (opponentColor === 'w' ? 'white' : 'black')
+      : null;
+
+    return { flaggedColor, winner };
   }
 
   /**
@@ -579,15 +617,38 @@ class GameService {
     game.gameResult = result;
     game.winner = winner;
 
+    if (game.isBotGame) {
+      return this._saveBotGameToDb(game, result, winner);
+    }
+
     try {
       const whitePlayer = game.players.find(p => p.color === 'w');
       const blackPlayer = game.players.find(p => p.color === 'b');
+      const { moves, moveClocks } = this._getRecordedMoves(game);
+
+      // Update both players' ratings - once per game, even if the save is retried
+      let ratingChange = null;
+      if (!game.isRated) {
+        game.isRated = true;
+        try {
+          ratingChange = await ratingService.rateGame(game, winner);
+          game.ratingChange = ratingChange;
+        } catch (error) {
+          console.error(`[Rating] Failed to rate game ${gameId}:`, error);
+        }
+      }
 
-      // Get moves from historyMoves array (not chess.history() which can be cleared by load())
-      // The double-move logic calls chess.load(newFen) which resets chess.js internal history
-      let moves = [];
-      if (game.historyMoves && game.historyMoves.length > 0) {
-        moves = game.historyMoves.map(m => m.san).filter(Boolean);
+      if (!game.isStatsLogged) {
+        game.isStatsLogged = true;
+        statsService.logGameCompleted({
+          gameId,
+          result,
+          winner,
+          isBotGame: false,
+          isUnbalanced: game.isUnbalanced !== false,
+          moveCount: moves.length,
+          durationMs: game.startedAt ? game.completedAt - game.startedAt : null,
+        });
       }
 
       // Save game to database (even for guest games, so they can be viewed)
@@ -599,18 +660,31 @@ class GameService {
             white: whitePlayer?.userId || null,
             whiteIp: whitePlayer?.ip || null,
             whiteUserAgent: whitePlayer?.userAgent || null,
+            whiteSessionId: whitePlayer?.sessionId || null,
             black: blackPlayer?.userId || null,
             blackIp: blackPlayer?.ip || null,
             blackUserAgent: blackPlayer?.userAgent || null,
+            blackSessionId: blackPlayer?.sessionId || null,
             moves: moves,
-            fen: game.chess?.fen() || game.historyMoves?.[game.historyMoves.length - 1]?.fen || 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+            moveClocks: moveClocks,
+            fen: game.chess ? this.getFen(game) : game.historyMoves?.[game.historyMoves.length - 1]?.fen || 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
             status: 'completed',
             result: result, // 'checkmate', 'draw', 'resignation', etc.
             winner: winner, // 'white', 'black', or null
             whiteMs: game.whiteMs,
             blackMs: game.blackMs,
+            initialMs: game.initialMs,
+            increment: game.incrementMs,
             isUnbalanced: game.isUnbalanced,
+            firstMoveEnPassant: game.firstMoveEnPassant !== false,
             completedAt: new Date(),
+            ...(ratingChange && {
+              ratingKey: ratingChange.key,
+              whiteRatingBefore: ratingChange.white.before,
+              whiteRatingAfter: ratingChange.white.after,
+              blackRatingBefore: ratingChange.black.before,
+              blackRatingAfter: ratingChange.black.after,
+            }),
           },
           $setOnInsert: {
             gameId,
@@ -622,10 +696,10 @@ class GameService {
 
       // Update users' game history if they're registered
       if (whitePlayer?.userId) {
-        await User.findByIdAndUpdate(whitePlayer.userId, { $push: { games: newGame._id } });
+        await User.findByIdAndUpdate(whitePlayer.userId, { $addToSet: { games: newGame._id } });
       }
       if (blackPlayer?.userId) {
-        await User.findByIdAndUpdate(blackPlayer.userId, { $push: { games: newGame._id } });
+        await User.findByIdAndUpdate(blackPlayer.userId, { $addToSet: { games: newGame._id } });
       }
 
       game.savedGameId = newGame._id;
@@ -638,6 +712,87 @@ class GameService {
     }
   }
 
+  /**
+   * SAN moves of a game and the mover's clock after each one.
+   * Taken from historyMoves, not chess.history() - the double-move logic
+   * calls chess.load(newFen), which resets chess.js internal history.
+   */
+  _getRecordedMoves(game) {
+    const played = (game.historyMoves || []).filter(m => m.san);
+    return {
+      moves: played.map(m => m.san),
+      moveClocks: played.map(m => (m.color === 'w' ? m.whiteMs : m.blackMs) ?? null),
+    };
+  }
+
+  /**
+   * Save a finished server-hosted bot game to the bot_games collection.
+   * Bot games are never rated.
+   */
+  async _saveBotGameToDb(game, result, winner) {
+    const human = game.players.find(p => !p.isBot);
+    const { moves, moveClocks } = this._getRecordedMoves(game);
+
+    if (!game.isStatsLogged) {
+      game.isStatsLogged = true;
+      statsService.logGameCompleted({
+        gameId: game.id,
+        result,
+        winner,
+        isBotGame: true,
+        isUnbalanced: game.isUnbalanced !== false,
+        moveCount: moves.length,
+        durationMs: game.startedAt ? game.completedAt - game.startedAt : null,
+        skillLevel: game.skillLevel,
+        playerColor: game.humanColor,
+        sessionId: human?.sessionId || null,
+        userId: human?.userId || null,
+        userAgent: human?.userAgent || null,
+        ip: human?.ip || null,
+      });
+    }
+
+    try {
+      const botGame = await BotGame.findOneAndUpdate(
+        { gameId: game.id },
+        {
+          $set: {
+            humanColor: game.humanColor,
+            humanIp: human?.ip || null,
+            humanUserId: human?.userId || null,
+            humanSessionId: human?.sessionId || null,
+            isUnbalanced: game.isUnbalanced,
+            firstMoveEnPassant: game.firstMoveEnPassant !== false,
+            skillLevel: game.skillLevel,
+            isServerHosted: true,
+            moves,
+            moveClocks,
+            fen: this.getFen(game),
+            whiteMs: game.whiteMs,
+            blackMs: game.blackMs,
+            initialMs: game.initialMs,
+            increment: game.incrementMs,
+            status: result === 'abandonment' ? 'abandoned' : 'completed',
+            result,
+            winner,
+            completedAt: new Date(game.completedAt),
+          },
+          $setOnInsert: {
+            gameId: game.id,
+            startedAt: new Date(game.startedAt || game.createdAt),
+          },
+        },
+        { upsert: true, new: true }
+      );
+
+      game.savedGameId = botGame._id;
+      console.log(`[DB] Saved bot game ${game.id} (result: ${result}, winner: ${winner}, moves: ${moves.length})`);
+      return botGame._id;
+    } catch (error) {
+      console.error(`[DB] Failed to save bot game ${game.id}:`, error);
+    }
+  }
+
   /**
    * Get completed game from database
    */
@@ -673,7 +828,7 @@ class GameService {
     return {
       gameId: game.id,
       color: player.color,
-      fen: game.chess.fen(),
+      fen: this.getFen(game),
       turn: game.chess.turn(),
       whiteMs: game.whiteMs,
       blackMs: game.blackMs,
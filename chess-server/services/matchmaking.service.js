@@ -0,0 +1,167 @@
+const { CLOCK, MATCHMAKING } = require("../config/constants");
+
+/**
+ * Build the pool key for a time control + variant + en passant rule, e.g.
+ * "5+2:unbalanced" (the default rule) or "5+2:unbalanced:last-move-ep".
+ * Only seeks in the same pool are ever paired.
+ */
+function getPoolKey(timeMinutes, incrementSeconds, isUnbalanced, firstMoveEnPassant) {
+  const variant = isUnbalanced ? 'unbalanced' : 'balanced';
+  return `${timeMinutes}+${incrementSeconds}:${variant}${firstMoveEnPassant ? '' : ':last-move-ep'}`;
+}
+
+/**
+ * Public seek queue for online play.
+ * Holds one seek per socket, grouped into pools by time control and variant.
+ * Pure bookkeeping - the socket handler creates the game and emits events.
+ */
+class MatchmakingService {
+  constructor() {
+    this.pools = new Map();       // poolKey -> seeks in arrival order
+    this.seeksBySocket = new Map(); // socketId -> seek
+    this.lastColors = new Map();  // userId -> color of their last queued game
+  }
+
+  /**
+   * Validate and normalize seek options, falling back to the default pool.
+   * Returns { error } if the time control is out of range.
+   */
+  normalizeSeek({ timeMinutes, incrementSeconds, isUnbalanced, firstMoveEnPassant } = {}) {
+    const time = timeMinutes ?? CLOCK.INITIAL_TIME_SECONDS / 60;
+    const increment = incrementSeconds ?? CLOCK.INCREMENT_SECONDS;
+
+    if (!Number.isFinite(time) || time < MATCHMAKING.MIN_TIME_MINUTES || time > MATCHMAKING.MAX_TIME_MINUTES) {
+      return { error: `Time must be between ${MATCHMAKING.MIN_TIME_MINUTES} and ${MATCHMAKING.MAX_TIME_MINUTES} minutes` };
+    }
+    if (!Number.isFinite(increment) || increment < 0 || increment > MATCHMAKING.MAX_INCREMENT_SECONDS) {
+      return { error: `Increment must be between 0 and ${MATCHMAKING.MAX_INCREMENT_SECONDS} seconds` };
+    }
+
+    return {
+      timeMinutes: time,
+      incrementSeconds: increment,
+      isUnbalanced: isUnbalanced !== false,
+      firstMoveEnPassant: firstMoveEnPassant !== false,
+    };
+  }
+
+  /**
+   * Add a seek to its pool, or pair it with the oldest compatible seek.
+   * A socket can only hold one seek - joining again replaces the old one.
+   * Returns { seek, opponent } when paired, otherwise { seek, position }.
+   */
+  joinQueue(socketId, userId = null, options = {}) {
+    const normalized = this.normalizeSeek(options);
+    if (normalized.error) return { error: normalized.error };
+
+    this.leaveQueue(socketId);
+
+    const pool = getPoolKey(normalized.timeMinutes, normalized.incrementSeconds, normalized.isUnbalanced, normalized.firstMoveEnPassant);
+    const seek = {
+      socketId,
+      userId,
+      pool,
+      ...normalized,
+      joinedAt: Date.now(),
+    };
+
+    const seeks = this.pools.get(pool) || [];
+
+    // Never pair a user with themselves (same account on two tabs)
+    const opponentIndex = seeks.findIndex(s => !(userId && s.userId && s.userId === userId));
+    if (opponentIndex !== -1) {
+      const [opponent] = seeks.splice(opponentIndex, 1);
+      this.seeksBySocket.delete(opponent.socketId);
+      if (seeks.length === 0) this.pools.delete(pool);
+      return { seek, opponent };
+    }
+
+    seeks.push(seek);
+    this.pools.set(pool, seeks);
+    this.seeksBySocket.set(socketId, seek);
+
+    return { seek, position: seeks.length };
+  }
+
+  /**
+   * Remove a socket's seek. Returns the removed seek or null.
+   */
+  leaveQueue(socketId) {
+    const seek = this.seeksBySocket.get(socketId);
+    if (!seek) return null;
+
+    this.seeksBySocket.delete(socketId);
+
+    const seeks = this.pools.get(seek.pool) || [];
+    const remaining = seeks.filter(s => s.socketId !== socketId);
+    if (remaining.length > 0) {
+      this.pools.set(seek.pool, remaining);
+    } else {
+      this.pools.delete(seek.pool);
+    }
+
+    return seek;
+  }
+
+  /**
+   * Decide colors for a new pairing.
+   * Whoever had white last time gets black; ties are broken randomly.
+   * Only signed-in players are remembered - a guest's socket id is gone
+   * once they disconnect, so guests always count as a tie.
+   * Returns { white, black } seeks.
+   */
+  assignColors(seekA, seekB) {
+    const lastA = seekA.userId ? this.lastColors.get(seekA.userId) : undefined;
+    const lastB = seekB.userId ? this.lastColors.get(seekB.userId) : undefined;
+
+    let aIsWhite;
+    if (lastA === lastB) {
+      aIsWhite = Math.random() < 0.5;
+    } else if (lastA) {
+      aIsWhite = lastA === 'b';
+    } else {
+      aIsWhite = lastB === 'w';
+    }
+
+    const white = aIsWhite ? seekA : seekB;
+    const black = aIsWhite ? seekB : seekA;
+
+    if (white.userId) this.lastColors.set(white.userId, 'w');
+    if (black.userId) this.lastColors.set(black.userId, 'b');
+
+    return { white, black };
+  }
+
+  /**
+   * Queue overview: waiting count per pool, plus this socket's own seek
+   */
+  getQueueStatus(socketId = null) {
+    const pools = [...this.pools.values()].map(seeks => ({
+      pool: seeks[0].pool,
+      timeMinutes: seeks[0].timeMinutes,
+      incrementSeconds: seeks[0].incrementSeconds,
+      isUnbalanced: seeks[0].isUnbalanced,
+      firstMoveEnPassant: seeks[0].firstMoveEnPassant,
+      waiting: seeks.length,
+    }));
+
+    let seek = null;
+    const ownSeek = socketId ? this.seeksBySocket.get(socketId) : null;
+    if (ownSeek) {
+      const seeks = this.pools.get(ownSeek.pool) || [];
+      seek = {
+        pool: ownSeek.pool,
+        timeMinutes: ownSeek.timeMinutes,
+        incrementSeconds: ownSeek.incrementSeconds,
+        isUnbalanced: ownSeek.isUnbalanced,
+        firstMoveEnPassant: ownSeek.firstMoveEnPassant,
+        position: seeks.findIndex(s => s.socketId === socketId) + 1,
+        waitingMs: Date.now() - ownSeek.joinedAt,
+      };
+    }
+
+    return { pools, seek };
+  }
+}
+
+module.exports = new MatchmakingService();
@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+const Game = require("../models/game.model");
+const BotGame = require("../models/botGame.model");
+const gameService = require("./game.service");
+const { buildPgn } = require("chess-rules");
+const { BOT } = require("../config/constants");
+
+/**
+ * Name of the bot side, with its level when known
+ */
+function botPlayerName(skillLevel) {
+  return skillLevel ? `${BOT.PLAYER_NAME} (level ${skillLevel})` : BOT.PLAYER_NAME;
+}
+
+/**
+ * Replay a stored game's moves, attaching the mover's clock to each move
+ * where the record has one (moveClocks, parallel to moves)
+ */
+function replayWithClocks(record, isUnbalanced) {
+  const { historyMoves } = gameService._replayMovesForSpectator(record.moves || [], isUnbalanced, gameService._getFirstMoveEnPassant(record));
+  const clocks = record.moveClocks || [];
+  return historyMoves.map((move, i) => {
+    const clockMs = clocks[i];
+    if (typeof clockMs !== 'number') return move;
+    return { ...move, [move.color === 'w' ? 'whiteMs' : 'blackMs']: clockMs };
+  });
+}
+
+class PgnService {
+  /**
+   * PGN for a game by its public ID: a live game from memory (with clocks),
+   * otherwise a finished PvP or bot game from the database.
+   * Returns null if no such game exists.
+   */
+  async getGamePgn(gameId) {
+    const liveGame = gameService.getGame(gameId);
+    if (liveGame) return this._pgnFromLiveGame(liveGame);
+    if (mongoose.connection.readyState !== 1) return null;
+
+    const dbGame = await Game.findOne({ gameId }).populate('white black', 'username');
+    if (dbGame) return this._pgnFromDbGame(dbGame);
+
+    const botGame = await BotGame.findOne({ gameId }).populate('humanUserId', 'username');
+    if (botGame) return this._pgnFromBotGame(botGame);
+
+    return null;
+  }
+
+  _pgnFromLiveGame(game) {
+    const playerName = (color) => {
+      if (game.isBotGame && game.humanColor !== color) return botPlayerName(game.skillLevel);
+      return game.players.find(p => p.color === color)?.username || 'Guest';
+    };
+
+    return buildPgn({
+      moves: game.historyMoves,
+      isUnbalanced: game.isUnbalanced !== false,
+      firstMoveEnPassant: game.firstMoveEnPassant !== false,
+      white: playerName('w'),
+      black: playerName('b'),
+      startedAt: game.startedAt || game.createdAt,
+      // Browser bot games report no clocks
+      initialMs: game.isBotGame && !game.isServerHosted ? null : game.initialMs,
+      incrementMs: game.incrementMs,
+      result: game.gameResult,
+      winner: game.winner,
+      isCompleted: game.isCompleted,
+    });
+  }
+
+  _pgnFromDbGame(dbGame) {
+    const isUnbalanced = dbGame.isUnbalanced !== false;
+
+    return buildPgn({
+      moves: replayWithClocks(dbGame, isUnbalanced),
+      isUnbalanced,
+      firstMoveEnPassant: gameService._getFirstMoveEnPassant(dbGame),
+      white: dbGame.white?.username || 'Guest',
+      black: dbGame.black?.username || 'Guest',
+      startedAt: dbGame.startedAt || dbGame.createdAt,
+      initialMs: dbGame.initialMs,
+      incrementMs: dbGame.increment,
+      result: dbGame.result,
+      winner: dbGame.winner,
+      isCompleted: dbGame.status === 'completed',
+    });
+  }
+
+  _pgnFromBotGame(botGame) {
+    const isUnbalanced = botGame.isUnbalanced !== false;
+    const humanName = botGame.humanUserId?.username || 'Guest';
+    const botName = botPlayerName(botGame.skillLevel);
+
+    return buildPgn({
+      moves: replayWithClocks(botGame, isUnbalanced),
+      isUnbalanced,
+      firstMoveEnPassant: gameService._getFirstMoveEnPassant(botGame),
+      white: botGame.humanColor === 'w' ? humanName : botName,
+      black: botGame.humanColor === 'b' ? humanName : botName,
+      startedAt: botGame.startedAt,
+      initialMs: botGame.initialMs,
+      incrementMs: botGame.increment,
+      result: botGame.result,
+      winner: botGame.winner,
+      isCompleted: true,
+    });
+  }
+}
+
+module.exports = new PgnService();
@@ -0,0 +1,259 @@
+const mongoose = require("mongoose");
+const { RATING } = require("../config/constants");
+const User = require("../models/user.model");
+
+// Glicko-2 works on its own scale: mu = (r - 1500) / 173.7178, phi = RD / 173.7178
+const GLICKO_SCALE = 173.7178;
+const CONVERGENCE_TOLERANCE = 0.000001;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Glicko-2 g(phi): dampens the impact of an opponent with an uncertain rating
+ */
+function g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+/**
+ * Glicko-2 expected score against one opponent
+ */
+function expectedScore(mu, opponentMu, opponentPhi) {
+  return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+/**
+ * New volatility via the Illinois algorithm (step 5 of Glickman's paper)
+ */
+function computeVolatility(phi, sigma, delta, v) {
+  const a = Math.log(sigma * sigma);
+  const tau = RATING.TAU;
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (tau * tau);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * tau) < 0) k++;
+    B = a - k * tau;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Widen a rating's deviation for the days it sat unused (one rating period per day),
+ * capped at the starting deviation.
+ */
+function applyInactivity(entry, now) {
+  const phi = entry.rd / GLICKO_SCALE;
+  const days = entry.lastPlayedAt ? Math.max(0, (now - new Date(entry.lastPlayedAt).getTime()) / MS_PER_DAY) : 0;
+  const widened = Math.sqrt(phi * phi + days * entry.volatility * entry.volatility);
+  return Math.min(widened * GLICKO_SCALE, RATING.DEFAULT_RD);
+}
+
+/**
+ * One Glicko-2 update for a single game.
+ * @param {Object} player - { rating, rd, volatility }
+ * @param {Object} opponent - { rating, rd }
+ * @param {number} score - 1 win, 0.5 draw, 0 loss
+ * @returns {{ rating, rd, volatility }}
+ */
+function glicko2Update(player, opponent, score) {
+  const mu = (player.rating - 1500) / GLICKO_SCALE;
+  const phi = player.rd / GLICKO_SCALE;
+  const opponentMu = (opponent.rating - 1500) / GLICKO_SCALE;
+  const opponentPhi = opponent.rd / GLICKO_SCALE;
+
+  const gPhi = g(opponentPhi);
+  const E = expectedScore(mu, opponentMu, opponentPhi);
+  const v = 1 / (gPhi * gPhi * E * (1 - E));
+  const delta = v * gPhi * (score - E);
+
+  const sigma = computeVolatility(phi, player.volatility, delta, v);
+  const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * gPhi * (score - E);
+
+  return {
+    rating: newMu * GLICKO_SCALE + 1500,
+    rd: Math.max(newPhi * GLICKO_SCALE, RATING.MIN_RD),
+    volatility: sigma,
+  };
+}
+
+class RatingService {
+  /**
+   * Time-control category from the starting clock, using the usual
+   * "initial + 40 x increment" estimate of a game's length.
+   */
+  getCategory(initialMs, incrementMs = 0) {
+    const estimatedSeconds = (initialMs + 40 * incrementMs) / 1000;
+    if (estimatedSeconds < RATING.BULLET_MAX_SECONDS) return 'bullet';
+    if (estimatedSeconds < RATING.BLITZ_MAX_SECONDS) return 'blitz';
+    return 'rapid';
+  }
+
+  /**
+   * Rating pool key, e.g. "blitz_unbalanced"
+   */
+  getRatingKey(category, isUnbalanced) {
+    return `${category}_${isUnbalanced ? 'unbalanced' : 'balanced'}`;
+  }
+
+  /**
+   * Rating pool key for an in-memory game
+   */
+  getGameRatingKey(game) {
+    const category = this.getCategory(game.initialMs, game.incrementMs ?? 0);
+    return this.getRatingKey(category, game.isUnbalanced !== false);
+  }
+
+  /**
+   * A user's rating in one pool, or the starting rating if they have none yet
+   */
+  getUserRating(user, key) {
+    const entry = user?.ratings?.get?.(key) ?? user?.ratings?.[key];
+    if (!entry) {
+      return {
+        rating: RATING.DEFAULT_RATING,
+        rd: RATING.DEFAULT_RD,
+        volatility: RATING.DEFAULT_VOLATILITY,
+        games: 0,
+        lastPlayedAt: null,
+      };
+    }
+    return {
+      rating: entry.rating,
+      rd: entry.rd,
+      volatility: entry.volatility,
+      games: entry.games,
+      lastPlayedAt: entry.lastPlayedAt,
+    };
+  }
+
+  /**
+   * Client-facing summary: rounded rating and whether it's still provisional
+   */
+  toPublicRating(entry) {
+    return {
+      rating: Math.round(entry.rating),
+      rd: Math.round(entry.rd),
+      games: entry.games,
+      provisional: entry.rd > RATING.PROVISIONAL_RD,
+    };
+  }
+
+  /**
+   * Current ratings of both players for a game's pool (for gameStarted).
+   * Guests and unknown users get null. Returns null if the DB is unavailable.
+   */
+  async getGameRatings(game) {
+    if (mongoose.connection.readyState !== 1) return null;
+
+    const key = this.getGameRatingKey(game);
+    const result = { key, white: null, black: null };
+
+    for (const player of game.players) {
+      if (!player.userId) continue;
+      try {
+        const user = await User.findById(player.userId).select('ratings');
+        if (!user) continue;
+        result[player.color === 'w' ? 'white' : 'black'] = this.toPublicRating(this.getUserRating(user, key));
+      } catch (error) {
+        console.error(`[Rating] Failed to load rating for ${player.userId}:`, error);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply one finished game to both players' ratings.
+   * Only games between two registered players where both sides actually moved count.
+   * Returns { key, white: { before, after }, black: { before, after } } or null if unrated.
+   */
+  async rateGame(game, winner) {
+    const whitePlayer = game.players.find(p => p.color === 'w');
+    const blackPlayer = game.players.find(p => p.color === 'b');
+    if (!whitePlayer?.userId || !blackPlayer?.userId) return null;
+    if (String(whitePlayer.userId) === String(blackPlayer.userId)) return null;
+
+    // A game one side abandoned before making a move says nothing about strength
+    const history = game.historyMoves || [];
+    if (!history.some(m => m.color === 'w') || !history.some(m => m.color === 'b')) return null;
+
+    const [whiteUser, blackUser] = await Promise.all([
+      User.findById(whitePlayer.userId).select('ratings'),
+      User.findById(blackPlayer.userId).select('ratings'),
+    ]);
+    if (!whiteUser || !blackUser) return null;
+
+    const key = this.getGameRatingKey(game);
+    const now = Date.now();
+    const white = this.getUserRating(whiteUser, key);
+    const black = this.getUserRating(blackUser, key);
+    white.rd = applyInactivity(white, now);
+    black.rd = applyInactivity(black, now);
+
+    const whiteScore = winner === 'white' ? 1 : winner === 'black' ? 0 : 0.5;
+    const whiteAfter = glicko2Update(white, black, whiteScore);
+    const blackAfter = glicko2Update(black, white, 1 - whiteScore);
+
+    await Promise.all([
+      User.updateOne({ _id: whiteUser._id }, {
+        $set: { [`ratings.${key}`]: { ...whiteAfter, games: white.games + 1, lastPlayedAt: new Date(now) } },
+      }),
+      User.updateOne({ _id: blackUser._id }, {
+        $set: { [`ratings.${key}`]: { ...blackAfter, games: black.games + 1, lastPlayedAt: new Date(now) } },
+      }),
+    ]);
+
+    console.log(`[Rating] ${key}: white ${Math.round(white.rating)} -> ${Math.round(whiteAfter.rating)}, black ${Math.round(black.rating)} -> ${Math.round(blackAfter.rating)}`);
+
+    return {
+      key,
+      white: { before: Math.round(white.rating), after: Math.round(whiteAfter.rating) },
+      black: { before: Math.round(black.rating), after: Math.round(blackAfter.rating) },
+    };
+  }
+
+  /**
+   * Top players in one pool. Provisional ratings are left out.
+   */
+  async getLeaderboard(key, limit = 20) {
+    const users = await User.find({
+      [`ratings.${key}.rd`]: { $lte: RATING.PROVISIONAL_RD },
+    })
+      .sort({ [`ratings.${key}.rating`]: -1 })
+      .limit(limit)
+      .select('username ratings');
+
+    return users.map(user => ({
+      username: user.username,
+      ...this.toPublicRating(this.getUserRating(user, key)),
+    }));
+  }
+}
+
+module.exports = new RatingService();
@@ -0,0 +1,391 @@
+const mongoose = require("mongoose");
+const { STATS, BOT } = require("../config/constants");
+const Stats = require("../models/stats.model");
+const BotGame = require("../models/botGame.model");
+
+// Bot game fields anyone may read. Who played (IP, session, account) stays
+// private: a guest's session ID is what claims their games.
+const PUBLIC_BOT_GAME_FIELDS = [
+  'gameId', 'humanColor', 'isUnbalanced', 'firstMoveEnPassant', 'skillLevel', 'isServerHosted',
+  'moves', 'fen', 'moveClocks', 'whiteMs', 'blackMs', 'initialMs', 'increment',
+  'status', 'result', 'winner', 'startedAt', 'completedAt',
+].join(' ');
+
+/**
+ * Timestamp filter for an optional [start, end) period
+ */
+function periodMatch(start, end) {
+  if (!start && !end) return {};
+  const timestamp = {};
+  if (start) timestamp.$gte = start;
+  if (end) timestamp.$lt = end;
+  return { timestamp };
+}
+
+/**
+ * Event logging is best-effort: skip it entirely when there's no database
+ */
+function isDbReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Share of count in total, rounded to 3 decimals (0 when there are no games)
+ */
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+}
+
+class StatsService {
+  /**
+   * Log a site visit (sessionId, IP, userAgent only)
+   */
+  async logSiteVisit(sessionId, ip, userAgent) {
+    if (!isDbReady()) return;
+    try {
+      await Stats.create({ type: 'site_visit', sessionId, ip, userAgent });
+    } catch (error) {
+      console.error('[Stats] Failed to log site visit:', error);
+    }
+  }
+
+  /**
+   * A bot skill level reported by the client, or null unless it is on the ladder
+   */
+  parseSkillLevel(value) {
+    return Number.isInteger(value) && value >= BOT.MIN_SKILL_LEVEL && value <= BOT.MAX_SKILL_LEVEL ? value : null;
+  }
+
+  /**
+   * Log the start of a bot game
+   */
+  async logBotGameStarted(gameId, playerColor, sessionId, userAgent, ip, isUnbalanced = true, skillLevel = null) {
+    if (!isDbReady()) return;
+    try {
+      await Stats.create({
+        type: 'bot_game_started',
+        gameId,
+        isBotGame: true,
+        playerColor,
+        isUnbalanced,
+        skillLevel,
+        sessionId,
+        userAgent,
+        ip,
+      });
+    } catch (error) {
+      console.error('[Stats] Failed to log bot game start:', error);
+    }
+  }
+
+  /**
+   * Log the start of a PvP game (both seats filled)
+   */
+  async logPvpGameStarted(game) {
+    if (!isDbReady()) return;
+    const white = game.players.find(p => p.color === 'w');
+    const black = game.players.find(p => p.color === 'b');
+    try {
+      await Stats.create({
+        type: 'pvp_game_started',
+        gameId: game.id,
+        isUnbalanced: game.isUnbalanced !== false,
+        whitePlayerIp: white?.ip || null,
+        whitePlayerUserAgent: white?.userAgent || null,
+        whitePlayerId: white?.userId || null,
+        blackPlayerIp: black?.ip || null,
+        blackPlayerUserAgent: black?.userAgent || null,
+        blackPlayerId: black?.userId || null,
+        gameCreatorColor: game.players[0]?.color || null,
+      });
+    } catch (error) {
+      console.error(`[Stats] Failed to log PvP game start ${game.id}:`, error);
+    }
+  }
+
+  /**
+   * Log a finished game of either kind.
+   * For bot games playerColor is the human's color, so bot wins can be counted per skill level.
+   */
+  async logGameCompleted({
+    gameId,
+    result = null,
+    winner = null,
+    isBotGame = false,
+    isUnbalanced = true,
+    moveCount = 0,
+    durationMs = null,
+    skillLevel = null,
+    playerColor = null,
+    sessionId = null,
+    userId = null,
+    userAgent = null,
+    ip = null,
+  }) {
+    if (!isDbReady()) return;
+    try {
+      await Stats.create({
+        type: 'game_completed',
+        gameId,
+        result,
+        winner,
+        isBotGame,
+        isUnbalanced,
+        moveCount,
+        durationMs,
+        skillLevel,
+        playerColor,
+        sessionId,
+        userId,
+        userAgent,
+        ip,
+      });
+    } catch (error) {
+      console.error(`[Stats] Failed to log completed game ${gameId}:`, error);
+    }
+  }
+
+  /**
+   * Record a bot game reported over REST: store the game itself (unless the
+   * socket already did) and log its completion.
+   */
+  async logBotGameCompleted(gameId, result, winner, gameData = {}, sessionId, userAgent, ip) {
+    if (!isDbReady()) return;
+    const { moves = [], fen, playerColor, isUnbalanced = true, startedAt, skillLevel = null } = gameData;
+    const completedAt = new Date();
+
+    try {
+      await BotGame.updateOne(
+        { gameId },
+        {
+          $setOnInsert: {
+            gameId,
+            humanColor: playerColor,
+            humanIp: ip,
+            humanSessionId: sessionId,
+            isUnbalanced: isUnbalanced !== false,
+            skillLevel,
+            moves,
+            ...(fen && { fen }),
+            status: 'completed',
+            result: result || null,
+            winner: winner || null,
+            startedAt: startedAt ? new Date(startedAt) : completedAt,
+            completedAt,
+          },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error(`[Stats] Failed to save bot game ${gameId}:`, error);
+    }
+
+    await this.logGameCompleted({
+      gameId,
+      result,
+      winner,
+      isBotGame: true,
+      isUnbalanced: isUnbalanced !== false,
+      moveCount: moves.length,
+      durationMs: startedAt ? completedAt - new Date(startedAt) : null,
+      skillLevel,
+      playerColor,
+      sessionId,
+      userAgent,
+      ip,
+    });
+  }
+
+  /**
+   * A stored bot game by its public ID, or null. Only public fields are returned.
+   */
+  async getBotGame(gameId) {
+    try {
+      return await BotGame.findOne({ gameId }).select(PUBLIC_BOT_GAME_FIELDS);
+    } catch (error) {
+      console.error(`[Stats] Failed to fetch bot game ${gameId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Completed games per day, split into bot and PvP
+   */
+  async getGamesPerDay(start, end) {
+    const rows = await Stats.aggregate([
+      { $match: { type: 'game_completed', ...periodMatch(start, end) } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+          total: { $sum: 1 },
+          bot: { $sum: { $cond: ['$isBotGame', 1, 0] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+    return rows.map(row => ({ date: row._id, total: row.total, bot: row.bot, pvp: row.total - row.bot }));
+  }
+
+  /**
+   * How games ended: { checkmate: 12, resignation: 30, ... }
+   */
+  async getResultDistribution(start, end) {
+    const rows = await Stats.aggregate([
+      { $match: { type: 'game_completed', ...periodMatch(start, end) } },
+      { $group: { _id: { $ifNull: ['$result', 'unknown'] }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ]);
+    return Object.fromEntries(rows.map(row => [row._id, row.count]));
+  }
+
+  /**
+   * Average moves and duration of completed games, for bot and PvP games separately
+   */
+  async getAverageGameLength(start, end) {
+    const rows = await Stats.aggregate([
+      { $match: { type: 'game_completed', ...periodMatch(start, end) } },
+      {
+        $group: {
+          _id: '$isBotGame',
+          games: { $sum: 1 },
+          avgMoves: { $avg: '$moveCount' },
+          avgDurationMs: { $avg: '$durationMs' },
+        },
+      },
+    ]);
+
+    const result = { bot: null, pvp: null };
+    for (const row of rows) {
+      result[row._id ? 'bot' : 'pvp'] = {
+        games: row.games,
+        avgMoves: row.avgMoves === null ? null : Math.round(row.avgMoves * 10) / 10,
+        avgDurationMs: row.avgDurationMs === null ? null : Math.round(row.avgDurationMs),
+      };
+    }
+    return result;
+  }
+
+  /**
+   * White/black/draw rates per variant, e.g. { unbalanced: { games, white, black, draw } }
+   */
+  async getWinRatesByVariant(start, end) {
+    const rows = await Stats.aggregate([
+      { $match: { type: 'game_completed', ...periodMatch(start, end) } },
+      {
+        $group: {
+          _id: { $ne: ['$isUnbalanced', false] },
+          games: { $sum: 1 },
+          white: { $sum: { $cond: [{ $eq: ['$winner', 'white'] }, 1, 0] } },
+          black: { $sum: { $cond: [{ $eq: ['$winner', 'black'] }, 1, 0] } },
+        },
+      },
+    ]);
+
+    const result = {};
+    for (const row of rows) {
+      const draws = row.games - row.white - row.black;
+      result[row._id ? 'unbalanced' : 'balanced'] = {
+        games: row.games,
+        white: rate(row.white, row.games),
+        black: rate(row.black, row.games),
+        draw: rate(draws, row.games),
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Bot results per skill level: [{ skillLevel, games, botWinRate, humanWinRate, drawRate }]
+   */
+  async getBotWinRateBySkill(start, end) {
+    const rows = await Stats.aggregate([
+      { $match: { type: 'game_completed', isBotGame: true, skillLevel: { $ne: null }, ...periodMatch(start, end) } },
+      {
+        $project: {
+          skillLevel: 1,
+          // playerColor is the human's color ('w'/'b'); the bot won if the winner is the other side
+          outcome: {
+            $switch: {
+              branches: [
+                { case: { $eq: ['$winner', null] }, then: 'draw' },
+                { case: { $eq: [{ $substrCP: ['$winner', 0, 1] }, '$playerColor'] }, then: 'human' },
+              ],
+              default: 'bot',
+            },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: '$skillLevel',
+          games: { $sum: 1 },
+          bot: { $sum: { $cond: [{ $eq: ['$outcome', 'bot'] }, 1, 0] } },
+          human: { $sum: { $cond: [{ $eq: ['$outcome', 'human'] }, 1, 0] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    return rows.map(row => ({
+      skillLevel: row._id,
+      games: row.games,
+      botWinRate: rate(row.bot, row.games),
+      humanWinRate: rate(row.human, row.games),
+      drawRate: rate(row.games - row.bot - row.human, row.games),
+    }));
+  }
+
+  /**
+   * Event counts plus all game aggregates for [start, end).
+   * Returns null if the database can't be queried.
+   */
+  async getStatsForPeriod(start = null, end = null) {
+    try {
+      const counts = await Stats.aggregate([
+        { $match: periodMatch(start, end) },
+        { $group: { _id: { type: '$type', isBotGame: '$isBotGame' }, count: { $sum: 1 } } },
+      ]);
+      const count = (type, isBotGame) => counts
+        .filter(row => row._id.type === type && (isBotGame === undefined || row._id.isBotGame === isBotGame))
+        .reduce((sum, row) => sum + row.count, 0);
+
+      const [gamesPerDay, results, averageLength, winRatesByVariant, botWinRateBySkill] = await Promise.all([
+        this.getGamesPerDay(start, end),
+        this.getResultDistribution(start, end),
+        this.getAverageGameLength(start, end),
+        this.getWinRatesByVariant(start, end),
+        this.getBotWinRateBySkill(start, end),
+      ]);
+
+      return {
+        period: { start, end },
+        siteVisits: count('site_visit'),
+        botGamesStarted: count('bot_game_started'),
+        pvpGamesStarted: count('pvp_game_started'),
+        gamesCompleted: {
+          total: count('game_completed'),
+          bot: count('game_completed', true),
+          pvp: count('game_completed', false),
+        },
+        gamesPerDay,
+        results,
+        averageLength,
+        winRatesByVariant,
+        botWinRateBySkill,
+      };
+    } catch (error) {
+      console.error('[Stats] Failed to aggregate stats:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stats for the last STATS.SUMMARY_DAYS days
+   */
+  async getStatsSummary() {
+    const start = new Date(Date.now() - STATS.SUMMARY_DAYS * 24 * 60 * 60 * 1000);
+    return this.getStatsForPeriod(start);
+  }
+}
+
+module.exports = new StatsService();
@@ -0,0 +1,106 @@
+/**
+ * Engine thread for server-hosted bot games (see services/botEngine.service.js).
+ *
+ * Plays exactly like the browser bot: the same engine, opening book and
+ * strength ladder from chess-front/src/workers. ES module, since the engine is.
+ *
+ * Messages in:
+ *   { type: 'findBestTurn', requestId, searchId, gameId, fen, moves, skillLevel,
+ *     maxMoves, timeLeftMs, incrementMs, isUnbalanced, firstMoveEnPassant }
+ *   fen is a Marseillais FEN; moves are the game's coordinate moves, replayed
+ *   so the search sees repetitions and the halfmove clock (the thread keeps
+ *   each game it has seen, to only play the new moves next time). maxMoves
+ *   defaults to the moves left in the turn.
+ * Messages out:
+ *   { type: 'ready', table }   once; word 0 of the shared table stops a search
+ *   { type: 'bestTurn', requestId, moves: [{ from, to, promotion? }] }
+ *   { type: 'error', requestId, error }
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { parentPort, workerData } from 'node:worker_threads';
+import {
+  getMoveFrom,
+  getMoveTo,
+  getMovePromotion,
+  squareToAlgebraic,
+  createSharedTranspositionTable,
+} from '../../chess-front/src/workers/double-move-engine.js';
+import { probeBook } from '../../chess-front/src/workers/opening-book.js';
+import { getBotLevel } from '../../chess-front/src/workers/bot-levels.js';
+import { chooseBotTurn } from '../../chess-front/src/workers/bot-turn.js';
+import { decodeTablebase, addTablebase } from '../../chess-front/src/workers/tablebase.js';
+import { getTimeBudget } from '../../chess-front/src/workers/time-management.js';
+import { loadRequestPosition } from '../../chess-front/src/workers/engine-protocol.js';
+
+const PROMOTION_LETTERS = ['', 'p', 'n', 'b', 'r', 'q', 'k'];
+
+// Replayed games by game id (see loadRequestPosition), the most recently
+// searched last; games that haven't come back for a while are dropped
+const MAX_GAMES = 32;
+const games = new Map();
+
+/**
+ * Load the tablebases listed in `${dir}/index.json`, if there are any
+ */
+function loadTablebases(dir) {
+  if (!dir || !existsSync(path.join(dir, 'index.json'))) return;
+  try {
+    const { tables } = JSON.parse(readFileSync(path.join(dir, 'index.json'), 'utf8'));
+    for (const name of tables) {
+      addTablebase(decodeTablebase(readFileSync(path.join(dir, `${name}.dtb`))));
+    }
+  } catch (error) {
+    console.error(`[BotEngine] Failed to load tablebases from ${dir}:`, error.message);
+  }
+}
+
+/**
+ * Pick the bot's turn as { from, to, promotion? } moves for chess.js
+ */
+function findBestTurn({ gameId, skillLevel, maxMoves, timeLeftMs = null, incrementMs = 0, isUnbalanced = true, searchId, ...request }) {
+  const { state, movesLeft, game } = loadRequestPosition(games.get(gameId), { ...request, isUnbalanced });
+  games.delete(gameId);
+  if (game) games.set(gameId, game);
+  if (games.size > MAX_GAMES) games.delete(games.keys().next().value);
+  maxMoves = maxMoves ?? movesLeft;
+  const level = getBotLevel(skillLevel);
+
+  let turn = level.useBook ? probeBook(state, { isUnbalanced, maxMoves }) : null;
+  if (!turn) {
+    const timeMs = getTimeBudget(timeLeftMs, incrementMs);
+    turn = chooseBotTurn(state, level, { maxMoves, timeMs, searchId });
+  }
+  if (!turn || turn.length === 0) return null;
+
+  return turn.map(move => {
+    const result = {
+      from: squareToAlgebraic(getMoveFrom(move)),
+      to: squareToAlgebraic(getMoveTo(move)),
+    };
+    const promotion = getMovePromotion(move);
+    if (promotion) result.promotion = PROMOTION_LETTERS[promotion];
+    return result;
+  });
+}
+
+const table = createSharedTranspositionTable(workerData.ttSizeMb);
+loadTablebases(workerData.tablebaseDir);
+
+parentPort.on('message', (message) => {
+  if (message.type !== 'findBestTurn') return;
+
+  try {
+    const moves = findBestTurn(message);
+    if (moves) {
+      parentPort.postMessage({ type: 'bestTurn', requestId: message.requestId, moves });
+    } else {
+      parentPort.postMessage({ type: 'error', requestId: message.requestId, error: 'No legal moves available' });
+    }
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', requestId: message.requestId, error: error.message });
+  }
+});
+
+parentPort.postMessage({ type: 'ready', table });